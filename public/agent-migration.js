@@ -0,0 +1,78 @@
+// Azure Monitor Agent Migration
+// Inventories the agents reporting to a workspace from Heartbeat, finds machines still on the
+// retired Log Analytics agent (MMA on Windows, OMS on Linux) or SCOM, and sizes what they ingest
+
+// Agent types whose data sources are configured on the workspace rather than in DCRs
+const LEGACY_AGENT_TYPES = ['MMA', 'OMS', 'SCOM'];
+// Agent tables a DCR can collect and filter - Heartbeat is left out as it is not a data source
+const AGENT_DATA_TABLES = ['Perf', 'Event', 'Syslog', 'SecurityEvent', 'WindowsEvent', 'InsightsMetrics',
+    'VMConnection', 'VMBoundPort', 'VMProcess', 'ConfigurationData', 'ConfigurationChange'];
+
+// Agent type from a Heartbeat Category and OSType
+function getAgentType(category, osType) {
+    switch ((category || '').toLowerCase()) {
+        case 'azure monitor agent':
+            return 'AMA';
+        case 'direct agent':
+            return (osType || '').toLowerCase() === 'linux' ? 'OMS' : 'MMA';
+        case 'scom agent':
+        case 'scom management server':
+            return 'SCOM';
+        default:
+            return category || 'Unknown';
+    }
+}
+
+// Agents per machine, largest legacy footprint first.
+// rows: [{ source, computer, category, version, osType, lastHeartbeat }] - one per machine and Heartbeat category
+function summarizeAgentInventory(rows) {
+    const machines = {};
+
+    (rows || []).forEach(row => {
+        const machine = machines[row.source] || (machines[row.source] = {
+            source: row.source,
+            computer: row.computer,
+            osType: row.osType || '',
+            agents: []
+        });
+        machine.agents.push({
+            type: getAgentType(row.category, row.osType),
+            version: row.version || '',
+            lastHeartbeat: row.lastHeartbeat
+        });
+    });
+
+    return Object.values(machines).map(machine => {
+        const legacy = machine.agents.some(a => LEGACY_AGENT_TYPES.includes(a.type));
+        const ama = machine.agents.some(a => a.type === 'AMA');
+        return {
+            ...machine,
+            legacy,
+            // Both agents on one machine usually means the migration stopped before the legacy agent was removed
+            both: legacy && ama,
+            status: legacy ? (ama ? 'Remove legacy agent' : 'Migrate') : 'Migrated'
+        };
+    });
+}
+
+// Agent count by type: { MMA: 12, AMA: 40 }
+function countAgentTypes(machines) {
+    const counts = {};
+    (machines || []).forEach(machine => {
+        new Set(machine.agents.map(a => a.type)).forEach(type => {
+            counts[type] = (counts[type] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LEGACY_AGENT_TYPES,
+        AGENT_DATA_TABLES,
+        getAgentType,
+        summarizeAgentInventory,
+        countAgentTypes
+    };
+}
@@ -0,0 +1,130 @@
+// Azure Monitor Application Insights
+// Breaks workspace-based Application Insights volume down by cloud role, detects the sampling each
+// role already applies from ItemCount, and recommends a fixed sampling percentage with SDK snippets
+
+const APP_INSIGHTS_TABLES = ['AppRequests', 'AppDependencies', 'AppTraces', 'AppExceptions', 'AppPageViews', 'AppMetrics'];
+// Telemetry the SDKs sample - exceptions are kept so every failure stays visible, and metrics are pre-aggregated
+const APP_SAMPLED_TABLES = ['AppRequests', 'AppDependencies', 'AppTraces', 'AppPageViews'];
+// Sampling percentage recommended for a role by its unsampled GB/month, largest threshold first
+const APP_SAMPLING_TIERS = [
+    { minGB: 100, percentage: 10 },
+    { minGB: 20, percentage: 25 },
+    { minGB: 5, percentage: 50 }
+];
+// AppTraces SeverityLevel values 0-4
+const APP_TRACE_SEVERITIES = ['Verbose', 'Information', 'Warning', 'Error', 'Critical'];
+// The breakdown covers 7 days; volumes are scaled to 30
+const APP_INSIGHTS_SAMPLE_DAYS = 7;
+
+// Application Insights component name from its resource ID
+function getComponentName(resourceId) {
+    return (resourceId || '').split('/').pop() || 'unknown component';
+}
+
+// Group telemetry volume by component and cloud role, largest first, with each role's current sampling.
+// rows: [{ table, role, resourceId, gb, items, avgItemCount }] over APP_INSIGHTS_SAMPLE_DAYS days.
+// ItemCount is how many original items a stored one represents, so 100 / ItemCount is the sampling percentage.
+function summarizeAppRoles(rows) {
+    const scale = 30 / APP_INSIGHTS_SAMPLE_DAYS;
+    const roles = {};
+
+    (rows || []).forEach(row => {
+        const resourceId = (row.resourceId || '').toLowerCase();
+        const roleName = row.role || '(no role name)';
+        const key = `${resourceId}|${roleName}`;
+        if (!roles[key]) {
+            roles[key] = { role: roleName, resourceId, component: getComponentName(resourceId), gb: 0, sampledGB: 0, tables: {}, items: 0, representedItems: 0 };
+        }
+        const role = roles[key];
+        const gb = (row.gb || 0) * scale;
+        role.gb += gb;
+        role.tables[row.table] = (role.tables[row.table] || 0) + gb;
+        if (APP_SAMPLED_TABLES.includes(row.table)) {
+            role.sampledGB += gb;
+            role.items += row.items || 0;
+            role.representedItems += (row.items || 0) * Math.max(1, row.avgItemCount || 1);
+        }
+    });
+
+    return Object.values(roles)
+        .map(role => ({
+            ...role,
+            samplingPercentage: role.representedItems > 0 ? 100 * role.items / role.representedItems : 100
+        }))
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// Sampling percentage for a role and the monthly GB it removes, or null when the role is small or
+// already sampled at or below the recommended rate. Volume scales with the share of items kept.
+function getSamplingRecommendation(role) {
+    const fullGB = role.samplingPercentage > 0 ? role.sampledGB * 100 / role.samplingPercentage : role.sampledGB;
+    const tier = APP_SAMPLING_TIERS.find(t => fullGB >= t.minGB);
+    if (!tier || tier.percentage >= role.samplingPercentage - 0.5) return null;
+
+    const projectedGB = fullGB * tier.percentage / 100;
+    return {
+        percentage: tier.percentage,
+        projectedGB,
+        reductionGB: Math.max(0, role.sampledGB - projectedGB)
+    };
+}
+
+// AppTraces GB/month per role and severity level, largest role first.
+// rows: [{ role, severityLevel, gb }] over APP_INSIGHTS_SAMPLE_DAYS days
+function summarizeTraceSeverity(rows) {
+    const scale = 30 / APP_INSIGHTS_SAMPLE_DAYS;
+    const roles = {};
+
+    (rows || []).forEach(row => {
+        const roleName = row.role || '(no role name)';
+        const role = roles[roleName] || (roles[roleName] = { role: roleName, gb: 0, levels: Object.fromEntries(APP_TRACE_SEVERITIES.map(level => [level, 0])) });
+        const level = APP_TRACE_SEVERITIES[row.severityLevel] || 'Verbose';
+        const gb = (row.gb || 0) * scale;
+        role.levels[level] += gb;
+        role.gb += gb;
+    });
+
+    return Object.values(roles).sort((a, b) => b.gb - a.gb);
+}
+
+// Fixed-rate sampling configuration for a role in the .NET, Java and Node.js SDKs
+function buildSamplingSnippets(roleName, percentage) {
+    return {
+        dotnet: `// Program.cs (Microsoft.ApplicationInsights.AspNetCore) - ${roleName}
+builder.Services.AddApplicationInsightsTelemetry(new ApplicationInsightsServiceOptions
+{
+    EnableAdaptiveSampling = false
+});
+builder.Services.Configure<TelemetryConfiguration>(config =>
+{
+    var chain = config.DefaultTelemetrySink.TelemetryProcessorChainBuilder;
+    chain.UseSampling(${percentage}, excludedTypes: "Exception");
+    chain.Build();
+});`,
+        java: `{
+  "role": {
+    "name": "${roleName}"
+  },
+  "sampling": {
+    "percentage": ${percentage}
+  }
+}`,
+        node: `// applicationinsights - ${roleName}
+const appInsights = require('applicationinsights');
+appInsights.setup().start();
+appInsights.defaultClient.context.tags[appInsights.defaultClient.context.keys.cloudRole] = '${roleName}';
+appInsights.defaultClient.config.samplingPercentage = ${percentage};`
+    };
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        APP_INSIGHTS_TABLES,
+        APP_SAMPLED_TABLES,
+        summarizeAppRoles,
+        getSamplingRecommendation,
+        summarizeTraceSeverity,
+        buildSamplingSnippets
+    };
+}
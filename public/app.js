@@ -7,6 +7,7 @@ let allSubscriptions = [];
 let selectedWorkspaces = []; // Changed to array for multi-select
 let sessionId = localStorage.getItem('azureSessionId') || null;
 let authCheckInterval = null;
+let currentChargeback = null; // { entries, metadata, truncated } for re-rendering by another tag
 
 // DOM elements
 const authRequiredSection = document.getElementById('authRequiredSection');
@@ -658,6 +659,10 @@ function setupEventListeners() {
     // Reset checklist button
     document.getElementById('resetChecklistBtn').addEventListener('click', resetChecklist);
     
+    // Chargeback tag selection and CSV export
+    document.getElementById('chargebackTagSelect').addEventListener('change', () => renderChargeback());
+    document.getElementById('exportChargebackBtn').addEventListener('click', exportChargebackCsv);
+    
     // New analysis button
     document.getElementById('newAnalysisBtn').addEventListener('click', () => {
         recommendationsSection.hidden = true;
@@ -793,181 +798,2635 @@ function resetChecklist() {
     }
 }
 
-// Run the full analysis
-async function runAnalysis() {
-    console.log('Starting analysis...');
+// Run the full analysis
+async function runAnalysis() {
+    console.log('Starting analysis...');
+    
+    const context = document.getElementById('context').value;
+    
+    // Use selected workspaces from checkboxes
+    const workspacesToAnalyze = selectedWorkspaces;
+    
+    console.log('Workspaces to analyze:', workspacesToAnalyze.length);
+    
+    if (workspacesToAnalyze.length === 0) {
+        showError('Please select at least one workspace');
+        return;
+    }
+    
+    // Warn if selecting too many
+    if (workspacesToAnalyze.length > 10) {
+        if (!confirm(`You selected ${workspacesToAnalyze.length} workspaces. This may take a while and could hit rate limits. Continue?`)) {
+            return;
+        }
+    }
+    
+    // Show progress section
+    inputSection.hidden = true;
+    progressSection.hidden = false;
+    
+    console.log('Progress section visible');
+    
+    try {
+        // Step 1: Run queries for all workspaces
+        const totalWorkspaces = workspacesToAnalyze.length;
+        let allQueryData = {};
+        let allWorkspaceConfigs = [];
+        
+        for (let i = 0; i < workspacesToAnalyze.length; i++) {
+            const ws = workspacesToAnalyze[i];
+            updateProgress('progressQueries', 'running', `Querying workspace ${i + 1}/${totalWorkspaces}: ${ws.name}...`);
+            
+            const queryResults = await fetch('/api/query', {
+                method: 'POST',
+                headers: apiHeaders(),
+                body: JSON.stringify({
+                    workspaceId: ws.id,
+                    queries: analysisQueries
+                })
+            });
+            
+            if (!queryResults.ok) {
+                console.error(`Failed to query workspace ${ws.name}`);
+                continue;
+            }
+            
+            const queryData = await queryResults.json();
+            
+            // Table plans and retention from the Tables API
+            try {
+                const tables = await fetchTableInventory(ws);
+                queryData.tableInventory = buildTableInventory(tables, ws, queryData);
+            } catch (error) {
+                console.warn(`Table inventory for ${ws.name} unavailable:`, error);
+            }
+            
+            // Computers and resources behind the largest ingestion spikes
+            try {
+                queryData.anomalyDrillDown = await fetchAnomalyDrillDown(ws, queryData);
+            } catch (error) {
+                console.warn(`Anomaly drill-down for ${ws.name} unavailable:`, error);
+            }
+            
+            // Share of billed size per column for the largest tables
+            try {
+                queryData.columnSizes = await fetchColumnSizes(ws, queryData);
+            } catch (error) {
+                console.warn(`Column size analysis for ${ws.name} unavailable:`, error);
+            }
+            
+            // Volume each noisy table's transformation filter would drop
+            try {
+                queryData.transformEstimates = await fetchTransformEstimates(ws, queryData);
+            } catch (error) {
+                console.warn(`Transformation estimates for ${ws.name} unavailable:`, error);
+            }
+            
+            // Diagnostic settings of the resources sending to the workspace
+            try {
+                queryData.diagnosticSettings = await fetchDiagnosticSettings(ws, queryData);
+            } catch (error) {
+                console.warn(`Diagnostic settings for ${ws.name} unavailable:`, error);
+            }
+            
+            allQueryData[ws.name] = queryData;
+            allWorkspaceConfigs.push({
+                name: ws.name,
+                resourceGroup: ws.resourceGroup,
+                sku: ws.sku,
+                retentionDays: ws.retentionDays,
+                dailyQuotaGb: ws.dailyQuotaGb,
+                location: ws.location,
+                sentinelEnabled: !!ws.sentinelEnabled
+            });
+        }
+        
+        // Group configs by RG for summary
+        const rgSummary = {};
+        allWorkspaceConfigs.forEach(cfg => {
+            const rg = cfg.resourceGroup || 'Unknown';
+            if (!rgSummary[rg]) rgSummary[rg] = [];
+            rgSummary[rg].push(cfg.name);
+        });
+        
+        updateProgress('progressQueries', 'complete', `Analyzed ${Object.keys(allQueryData).length} workspace(s) in ${Object.keys(rgSummary).length} RG(s)`);
+        
+        // Tables read by alert rules and dashboards count as used even without a logged query,
+        // and the alert rules are priced for the alert cost card
+        let usedTables = null;
+        let alertRules = [];
+        try {
+            ({ tables: usedTables, alertRules } = await fetchUsedTables(workspacesToAnalyze));
+        } catch (error) {
+            console.warn('Alert rules and dashboards unavailable, unused tables will not exclude them:', error);
+        }
+        
+        // Check if we got any actual data
+        const dataSummary = summarizeQueryData(allQueryData, usedTables);
+        dataSummary.alertCosts = summarizeAlertCosts(alertRules);
+        
+        // Chargeback: cost per emitting resource, joined to resource groups and tags
+        const chargebackEntries = collectChargebackEntries(allQueryData);
+        let resourceMetadata = {};
+        try {
+            resourceMetadata = await fetchResourceMetadata(chargebackEntries.map(e => e.resourceId));
+        } catch (error) {
+            console.warn('Resource metadata unavailable, chargeback will not include tags:', error);
+        }
+        dataSummary.chargeback = { entries: chargebackEntries, metadata: resourceMetadata, truncated: findTruncatedChargeback(allQueryData) };
+        
+        // Metric alerts and Azure Monitor workspaces, billed outside Log Analytics
+        try {
+            const [metricAlerts, monitorWorkspaces] = await Promise.all([
+                fetchMetricAlerts(workspacesToAnalyze),
+                fetchMonitorWorkspaces(workspacesToAnalyze)
+            ]);
+            dataSummary.beyondLogs = summarizeBeyondLogs(metricAlerts, monitorWorkspaces, dataSummary.alertCosts);
+        } catch (error) {
+            console.warn('Metric alerts and Azure Monitor workspaces unavailable:', error);
+        }
+        
+        // Format results for AI
+        const analysisData = formatMultiWorkspaceResults(allQueryData) +
+            formatSentinelForAI(dataSummary.sentinelWorkspaces) +
+            formatRetentionForAI(dataSummary.retention) +
+            formatForecastsForAI(dataSummary.forecasts) +
+            formatAnomaliesForAI(dataSummary.anomalies) +
+            formatColumnSizesForAI(dataSummary.columnSizes) +
+            formatTransformsForAI(dataSummary.transforms) +
+            formatPerfSamplingForAI(dataSummary.perfSampling) +
+            formatContainerInsightsForAI(dataSummary.containerInsights) +
+            formatAppInsightsForAI(dataSummary.appInsights) +
+            formatDiagnosticSettingsForAI(dataSummary.diagnosticSettings) +
+            formatCrossWorkspaceForAI(dataSummary.crossWorkspace) +
+            formatAgentMigrationForAI(dataSummary.agentMigration) +
+            formatWindowsEventsForAI(dataSummary.windowsEvents) +
+            formatSyslogForAI(dataSummary.syslog) +
+            formatUnusedTablesForAI(dataSummary.unusedTables) +
+            formatAlertCostsForAI(dataSummary.alertCosts) +
+            formatBeyondLogsForAI(dataSummary.beyondLogs) +
+            formatDailyCapsForAI(dataSummary.dailyCaps) +
+            formatDedicatedClustersForAI(dataSummary.dedicatedClusters);
+        
+        // If no data at all, show a helpful message instead of calling AI
+        if (dataSummary.totalWorkspaces === 0 || dataSummary.workspacesWithData === 0) {
+            progressSection.hidden = true;
+            showNoDataResults(workspacesToAnalyze, dataSummary);
+            return;
+        }
+        
+        // If very minimal data (under 1GB total), show minimal data message
+        if (dataSummary.totalIngestionGB < 1) {
+            progressSection.hidden = true;
+            showMinimalDataResults(workspacesToAnalyze, dataSummary);
+            return;
+        }
+        
+        // Step 2: Get AI recommendations (only if we have meaningful data)
+        updateProgress('progressAI', 'running', 'Generating AI recommendations...');
+        
+        const aiResponse = await fetch('/api/recommendations', {
+            method: 'POST',
+            headers: apiHeaders(),
+            body: JSON.stringify({
+                workspaceName: totalWorkspaces > 1 ? `Multiple (${totalWorkspaces})` : workspacesToAnalyze[0].name,
+                workspaceConfig: totalWorkspaces > 1 
+                    ? { summary: `${totalWorkspaces} workspaces analyzed`, workspaces: allWorkspaceConfigs }
+                    : allWorkspaceConfigs[0],
+                analysisData,
+                savingsEstimates: dataSummary.savingsEstimates,
+                context
+            })
+        });
+        
+        if (!aiResponse.ok) {
+            const errorData = await aiResponse.json().catch(() => ({}));
+            throw new Error(errorData.error || 'Failed to get recommendations');
+        }
+        
+        const { recommendations } = await aiResponse.json();
+        updateProgress('progressAI', 'complete', 'Recommendations generated');
+        
+        // Show recommendations followed by the cards computed from the data
+        progressSection.hidden = true;
+        showRecommendations(recommendations + formatComputedCards(dataSummary), workspacesToAnalyze, dataSummary);
+        
+        // Save to history
+        saveAnalysisToHistory(workspacesToAnalyze, dataSummary);
+        
+    } catch (error) {
+        console.error('Analysis error:', error);
+        progressSection.hidden = true;
+        inputSection.hidden = false;
+        showError(`Analysis failed: ${error.message}`);
+    }
+}
+
+// Cards computed from the data rather than written by the AI, shown after its recommendations
+function formatComputedCards(dataSummary) {
+    return formatAnomalyCards(dataSummary.anomalies) +
+        formatColumnSizeCards(dataSummary.columnSizes) +
+        formatTransformCards(dataSummary.transforms) +
+        formatPerfSamplingCards(dataSummary.perfSampling) +
+        formatContainerInsightsCards(dataSummary.containerInsights) +
+        formatAppInsightsCards(dataSummary.appInsights) +
+        formatDiagnosticSettingsCards(dataSummary.diagnosticSettings) +
+        formatCrossWorkspaceCards(dataSummary.crossWorkspace) +
+        formatAgentMigrationCards(dataSummary.agentMigration) +
+        formatWindowsEventCards(dataSummary.windowsEvents) +
+        formatSyslogCards(dataSummary.syslog) +
+        formatAlertCostCards(dataSummary.alertCosts) +
+        formatBeyondLogsCards(dataSummary.beyondLogs) +
+        formatUnusedTableCards(dataSummary.unusedTables);
+}
+
+// Spikes to drill into per workspace - each one is a query against the spiking table
+const ANOMALY_DRILLDOWN_LIMIT = 5;
+
+// Daily and hourly spikes from the anomaly queries, largest excess first
+function getAnomalySpikes(queryResults) {
+    const spikes = [];
+    [['dailyAnomalies', 'day'], ['hourlyAnomalies', 'hour']].forEach(([queryName, granularity]) => {
+        const data = queryResults?.[queryName];
+        (data?.rows || []).forEach(row => {
+            spikes.push({
+                dataType: row[data.columns.indexOf('DataType')],
+                granularity,
+                time: new Date(row[data.columns.indexOf('TimeGenerated')]),
+                ingestedGB: parseFloat(row[data.columns.indexOf('IngestedGB')]) || 0,
+                baselineGB: parseFloat(row[data.columns.indexOf('BaselineGB')]) || 0,
+                excessGB: parseFloat(row[data.columns.indexOf('ExcessGB')]) || 0,
+                score: parseFloat(row[data.columns.indexOf('Score')]) || 0
+            });
+        });
+    });
+    return spikes.filter(spike => !isNaN(spike.time)).sort((a, b) => b.excessGB - a.excessGB);
+}
+
+// Run a drill-down query for each of the largest spikes, in the same { columns, rows } shape as query results
+async function fetchAnomalyDrillDown(workspace, queryResults) {
+    const spikes = getAnomalySpikes(queryResults).slice(0, ANOMALY_DRILLDOWN_LIMIT);
+    const queries = {};
+    spikes.forEach((spike, i) => {
+        const query = buildAnomalyDrillDownQuery(spike.dataType, spike.time, spike.granularity === 'hour' ? 1 : 24);
+        if (query) queries[`spike${i}`] = query;
+    });
+    if (Object.keys(queries).length === 0) return null;
+    
+    const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ workspaceId: workspace.id, queries })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Drill-down queries returned ${response.status}`);
+    }
+    
+    const results = await response.json();
+    const rows = [];
+    spikes.forEach((spike, i) => {
+        const data = results[`spike${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([spike.dataType, spike.granularity, spike.time.toISOString(), ...data.columns.map((_, c) => row[c])]);
+        });
+    });
+    
+    return {
+        columns: ['DataType', 'Granularity', 'TimeGenerated', ...(Object.values(results).find(r => r.columns?.length)?.columns || [])],
+        rows
+    };
+}
+
+// Largest tables per workspace to sample column sizes for - each one is a query
+const COLUMN_ANALYSIS_TABLE_LIMIT = 5;
+// Droppable columns carry at least this share of their table and appear in at most this many queries
+const COLUMN_DROP_MIN_SHARE = 0.05;
+const COLUMN_DROP_MAX_MENTIONS = 1;
+// Columns a transformation must keep
+const REQUIRED_COLUMNS = ['TimeGenerated'];
+
+// Largest billable tables from dataVolumeByTable, as [{ name, gb }]
+function getLargestTables(queryResults) {
+    const data = queryResults?.dataVolumeByTable;
+    return (data?.rows || [])
+        .map(row => ({ name: row[data.columns.indexOf('DataType')], gb: parseFloat(row[data.columns.indexOf('BillableGB')]) || 0 }))
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// Whether LAQueryLogs could be read, so column usage can be checked against query text
+function isQueryLogsEnabled(queryResults) {
+    const queryLogs = queryResults?.lowQueryTables;
+    return !!queryLogs && !queryLogs.error;
+}
+
+// Sample column sizes of the largest tables, in the same { columns, rows } shape as query results
+async function fetchColumnSizes(workspace, queryResults) {
+    const tables = getLargestTables(queryResults).slice(0, COLUMN_ANALYSIS_TABLE_LIMIT);
+    const queryLogsEnabled = isQueryLogsEnabled(queryResults);
+    const queries = {};
+    tables.forEach((table, i) => {
+        const query = buildColumnSizeQuery(table.name, queryLogsEnabled);
+        if (query) queries[`table${i}`] = query;
+    });
+    if (Object.keys(queries).length === 0) return null;
+    
+    const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ workspaceId: workspace.id, queries })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Column size queries returned ${response.status}`);
+    }
+    
+    const results = await response.json();
+    const rows = [];
+    tables.forEach((table, i) => {
+        const data = results[`table${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([table.name, ...data.columns.map((_, c) => row[c])]);
+        });
+    });
+    
+    return {
+        columns: ['DataType', ...(Object.values(results).find(r => r.columns?.length)?.columns || [])],
+        rows,
+        queryLogsEnabled
+    };
+}
+
+// Heavy columns that are rarely queried, priced at their share of the table's 30-day ingestion
+function analyzeColumnSizes(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.columnSizes;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const col = name => data.columns.indexOf(name);
+        
+        const tables = getLargestTables(queryResults)
+            .filter(table => !(pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(table.name)))
+            .map(table => {
+                const plan = tablePlans[table.name];
+                const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+                const rows = data.rows.filter(row => row[col('DataType')] === table.name);
+                const columns = rows.map(row => ({
+                    column: row[col('Column')],
+                    share: parseFloat(row[col('Share')]) || 0,
+                    mentions: parseInt(row[col('QueryMentions')]) || 0
+                }));
+                const droppable = columns
+                    .filter(c => !REQUIRED_COLUMNS.includes(c.column) && c.share >= COLUMN_DROP_MIN_SHARE &&
+                        (!data.queryLogsEnabled || c.mentions <= COLUMN_DROP_MAX_MENTIONS))
+                    .map(c => ({ ...c, gb: table.gb * c.share, cost: table.gb * c.share * rate }));
+                return {
+                    table: table.name,
+                    gb: table.gb,
+                    queries: rows.length ? parseInt(rows[0][col('TableQueries')]) || 0 : 0,
+                    columns,
+                    droppable
+                };
+            })
+            .filter(table => table.droppable.length > 0);
+        if (tables.length === 0) continue;
+        
+        const droppable = tables.flatMap(t => t.droppable);
+        results.push({
+            workspace: wsName,
+            queryLogsEnabled: !!data.queryLogsEnabled,
+            tables,
+            gb: droppable.reduce((sum, c) => sum + c.gb, 0),
+            cost: droppable.reduce((sum, c) => sum + c.cost, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace listing droppable columns. Without LAQueryLogs the columns
+// cannot be checked against queries, so the card is informational.
+function formatColumnSizeCards(columnSizes) {
+    return (columnSizes || []).map(c => {
+        const rows = c.tables.flatMap(t => t.droppable.map(d =>
+            `| ${t.table} | ${d.column} | ${(d.share * 100).toFixed(1)}% | ${c.queryLogsEnabled ? `${d.mentions} of ${t.queries}` : 'unknown'} | ${d.gb.toFixed(2)} GB | $${d.cost.toFixed(2)} |`));
+        const projectAway = c.tables.map(t => `- **${t.table}**: \`source | project-away ${t.droppable.map(d => d.column).join(', ')}\``).join('\n');
+        
+        return `
+[CARD:${c.queryLogsEnabled ? 'savings' : 'info'}]
+[TITLE]✂️ Drop Heavy, Rarely-Queried Columns - ${c.workspace}[/TITLE]
+[IMPACT]${c.queryLogsEnabled ? 'Save' : 'Up to'} ~$${c.cost.toFixed(2)}/month (${c.gb.toFixed(1)} GB)[/IMPACT]
+
+These columns carry a large share of their table's billed size (sampled with estimate_data_size over the last day)${c.queryLogsEnabled
+    ? ` and are mentioned in at most ${COLUMN_DROP_MAX_MENTIONS} of the table's queries in LAQueryLogs over 30 days`
+    : ', but LAQueryLogs is not enabled, so check nobody queries them before dropping'}:
+
+| Table | Column | Share of size | Queries mentioning it | GB/month | Cost/month |
+|-------|--------|---------------|-----------------------|----------|------------|
+${rows.join('\n')}
+
+Ingestion-time transformations:
+${projectAway}
+
+[ACTION]Add the project-away transformations to the table's data collection rule (or the workspace transformation DCR) and confirm the columns are not used by alerts, workbooks or dashboards[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/data-collection-transformations[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Run each noisy table's transformation filter over its last 7 days, in the same { columns, rows } shape as query results
+async function fetchTransformEstimates(workspace, queryResults) {
+    const tables = getTransformCandidates(getLargestTables(queryResults));
+    const queries = {};
+    tables.forEach((table, i) => {
+        queries[`table${i}`] = buildTransformEstimateQuery(table.name);
+    });
+    if (tables.length === 0) return null;
+    
+    const response = await fetch('/api/query', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ workspaceId: workspace.id, queries })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Transformation estimate queries returned ${response.status}`);
+    }
+    
+    const results = await response.json();
+    const rows = [];
+    tables.forEach((table, i) => {
+        const data = results[`table${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([table.name, row[data.columns.indexOf('TotalGB')], row[data.columns.indexOf('DroppedGB')]]);
+        });
+    });
+    
+    return { columns: ['DataType', 'TotalGB', 'DroppedGB'], rows };
+}
+
+// Price what each transformation drops and build the DCRs that deploy them
+function analyzeTransforms(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.transformEstimates;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const col = name => data.columns.indexOf(name);
+        
+        const tables = data.rows
+            .map(row => {
+                const table = row[col('DataType')];
+                const plan = tablePlans[table];
+                const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+                const totalGB = parseFloat(row[col('TotalGB')]) || 0;
+                const droppedGB = parseFloat(row[col('DroppedGB')]) || 0;
+                return {
+                    table,
+                    description: DCR_TRANSFORM_RULES[table].description,
+                    transformKql: buildTransformKql(table),
+                    totalGB,
+                    droppedGB,
+                    ...estimateTransformSavings(totalGB, droppedGB, rate)
+                };
+            })
+            .filter(t => t.droppedGB > 0);
+        if (tables.length === 0) continue;
+        
+        const workspace = { name: wsName, resourceId: ws?.resourceId, location: ws?.location };
+        results.push({
+            workspace: wsName,
+            tables,
+            dcr: buildWorkspaceTransformDcr(workspace, tables.map(t => t.table)),
+            agentDataFlows: tables.map(t => buildAgentDataFlow(t.table)).filter(Boolean),
+            gb: tables.reduce((sum, t) => sum + t.monthlyGB, 0),
+            cost: tables.reduce((sum, t) => sum + t.monthlyCost, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace with each table's transformKql, the DCRs to deploy them and the GB they drop
+function formatTransformCards(transforms) {
+    return (transforms || []).map(t => {
+        const rows = t.tables.map(table =>
+            `| ${table.table} | ${table.description} | ${table.droppedGB.toFixed(2)} of ${table.totalGB.toFixed(2)} GB (${(table.share * 100).toFixed(0)}%) | ${table.monthlyGB.toFixed(1)} GB | $${table.monthlyCost.toFixed(2)} |`);
+        const kql = t.tables.map(table => `- **${table.table}**: \`${table.transformKql}\``).join('\n');
+        const agentFlows = t.agentDataFlows.length > 0
+            ? `\nFor data collected by the Azure Monitor Agent, add these to the agent DCR's dataFlows instead:\n\`\`\`json\n${JSON.stringify(t.agentDataFlows, null, 2)}\n\`\`\`\n`
+            : '';
+        const processing = t.tables.some(table => table.share > 0.5)
+            ? '\nFilters that drop more than 50% of a table\'s data incur a data processing charge on the dropped data above 50%.\n'
+            : '';
+        
+        return `
+[CARD:savings]
+[TITLE]🔧 DCR Transformations - ${t.workspace}[/TITLE]
+[IMPACT]Save ~$${t.cost.toFixed(2)}/month (${t.gb.toFixed(1)} GB)[/IMPACT]
+
+Each filter was run as a \`where\` over the last ${TRANSFORM_SAMPLE_DAYS} days of its table:
+
+| Table | Filter | Dropped (${TRANSFORM_SAMPLE_DAYS} days) | GB/month | Cost/month |
+|-------|--------|--------------------|----------|------------|
+${rows.join('\n')}
+
+Transformations:
+${kql}
+
+Workspace transformation DCR, for data from diagnostic settings, the legacy agent or Application Insights:
+\`\`\`json
+${JSON.stringify(t.dcr, null, 2)}
+\`\`\`
+${agentFlows}${processing}
+[ACTION]Deploy the DCR as an ARM resource and set it as the workspace's default transformation DCR (or add the dataFlows to the agent DCR), after checking no alert or workbook relies on the dropped rows[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/data-collection-transformations-workspace[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Per-counter sampling interval and volume, projected at slower rates, with the DCR data source to apply it
+function analyzePerfSampling(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.perfCounterSampling;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const plan = getTablePlans(queryResults).Perf;
+        const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        const col = name => data.columns.indexOf(name);
+        
+        const counters = data.rows.map(row => {
+            const counter = {
+                object: row[col('ObjectName')],
+                counter: row[col('CounterName')],
+                instance: row[col('Instance')],
+                series: parseInt(row[col('Series')]) || 0,
+                intervalSeconds: Math.round(parseFloat(row[col('IntervalSeconds')]) || 0),
+                monthlyGB: parseFloat(row[col('MonthlyGB')]) || 0
+            };
+            return { ...counter, projections: projectPerfSampling(counter) };
+        });
+        
+        // Counters sampled faster than the proposed interval move to it
+        const faster = counters.filter(c => c.intervalSeconds > 0 && c.intervalSeconds < PERF_PROPOSED_INTERVAL);
+        if (faster.length === 0) continue;
+        
+        const savingsGB = faster.reduce((sum, c) => sum + c.monthlyGB - c.projections[PERF_PROPOSED_INTERVAL], 0);
+        results.push({
+            workspace: wsName,
+            counters,
+            dataSource: buildPerfCounterDataSource(faster),
+            monthlyGB: counters.reduce((sum, c) => sum + c.monthlyGB, 0),
+            savingsGB,
+            savings: savingsGB * rate
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace with per-counter projections and the proposed performanceCounters block
+function formatPerfSamplingCards(perfSampling) {
+    return (perfSampling || []).map(p => {
+        const rows = p.counters.slice(0, 15).map(c =>
+            `| ${c.object}\\${c.counter}${c.instance && c.instance !== '*' ? ` (${c.instance})` : ''} | ${c.intervalSeconds}s | ${c.monthlyGB.toFixed(2)} | ${PERF_SAMPLING_INTERVALS.map(seconds => c.projections[seconds].toFixed(2)).join(' | ')} |`);
+        
+        return `
+[CARD:savings]
+[TITLE]📉 Performance Counter Sampling - ${p.workspace}[/TITLE]
+[IMPACT]Save ~$${p.savings.toFixed(2)}/month at ${PERF_PROPOSED_INTERVAL}s (${p.savingsGB.toFixed(1)} GB)[/IMPACT]
+
+Perf ingests ${p.monthlyGB.toFixed(1)} GB/month. Volume scales with the number of samples, so each counter is projected at slower sampling intervals (GB/month, from the median interval between samples over the last day):
+
+| Counter | Current interval | GB/month | ${PERF_SAMPLING_INTERVALS.map(seconds => `At ${seconds}s`).join(' | ')} |
+|---------|------------------|----------|${PERF_SAMPLING_INTERVALS.map(() => '------').join('|')}|
+${rows.join('\n')}
+
+Proposed performanceCounters data source for the Azure Monitor Agent DCR, for the counters sampled faster than ${PERF_PROPOSED_INTERVAL}s:
+\`\`\`json
+${JSON.stringify({ performanceCounters: p.dataSource }, null, 2)}
+\`\`\`
+
+[ACTION]Replace the matching counters in the DCR's performanceCounters data source with this block; keep a faster interval only for counters that alerts depend on[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-performance[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Container log volume by cluster, namespace, pod and stream, legacy-schema clusters and
+// inventory table volumes, priced with the namespace exclusions and ContainerLogV2 migration
+function analyzeContainerInsights(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.containerLogBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const clusters = summarizeContainerLogs(data.rows.map(row => ({
+            schema: row[col('Schema')],
+            clusterId: row[col('ClusterId')],
+            namespace: row[col('Namespace')],
+            pod: row[col('Pod')],
+            stream: row[col('Stream')],
+            gb: parseFloat(row[col('GB')]) || 0
+        }))).map(cluster => {
+            const exclusions = getNamespaceExclusions(cluster);
+            const logRate = cluster.legacyGB > 0 ? planRate('ContainerLog') : planRate('ContainerLogV2');
+            // Legacy volume left after the exclusions moves to ContainerLogV2 on the Basic plan
+            const remainingLegacyGB = cluster.legacyGB * (cluster.gb > 0 ? 1 - exclusions.gb / cluster.gb : 1);
+            return {
+                ...cluster,
+                exclusions,
+                exclusionSavings: exclusions.gb * logRate,
+                migrationSavings: remainingLegacyGB * Math.max(0, planRate('ContainerLog') - pricing.basic),
+                configMap: buildAgentConfigMap(exclusions, { containerLogV2: true })
+            };
+        });
+        
+        const inventory = queryResults.containerInsightsTables;
+        const inventoryTables = (inventory?.rows || []).map(row => {
+            const name = row[inventory.columns.indexOf('DataType')];
+            const gb = parseFloat(row[inventory.columns.indexOf('BillableGB')]) || 0;
+            return { name, gb, cost: gb * planRate(name) };
+        });
+        
+        results.push({
+            workspace: wsName,
+            clusters,
+            inventoryTables,
+            exclusionGB: clusters.reduce((sum, c) => sum + c.exclusions.gb, 0),
+            exclusionSavings: clusters.reduce((sum, c) => sum + c.exclusionSavings, 0),
+            legacyClusters: clusters.filter(c => c.legacyGB > 0),
+            migrationSavings: clusters.reduce((sum, c) => sum + c.migrationSavings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Cards per workspace: log noise by namespace with the agent ConfigMap, and the ContainerLogV2 migration plan
+function formatContainerInsightsCards(containerInsights) {
+    return (containerInsights || []).map(ci => {
+        const nsRows = ci.clusters.flatMap(c => c.namespaces.slice(0, 8).map(ns => {
+            const excluded = c.exclusions.stdout.includes(ns.name)
+                ? (c.exclusions.stderr.includes(ns.name) ? 'stdout + stderr' : 'stdout')
+                : '-';
+            return `| ${c.name} | ${ns.name} | ${ns.stdoutGB.toFixed(2)} | ${ns.stderrGB.toFixed(2)} | ${(ns.share * 100).toFixed(0)}% | ${excluded} |`;
+        }));
+        const podRows = ci.clusters.flatMap(c => c.pods.slice(0, 5).map(pod =>
+            `| ${c.name} | ${pod.namespace} | ${pod.name} | ${pod.gb.toFixed(2)} |`));
+        const inventory = ci.inventoryTables.length > 0
+            ? `\nInventory, event and metric tables: ${ci.inventoryTables.map(t => `${t.name} ${t.gb.toFixed(1)} GB ($${t.cost.toFixed(2)})`).join(', ')}. If you use Managed Prometheus and Grafana, the "Logs and Events" cost preset stops InsightsMetrics and Perf collection.\n`
+            : '';
+        const configMaps = ci.clusters.filter(c => c.exclusions.gb > 0).slice(0, 3).map(c =>
+            `**${c.name}** (saves ${c.exclusions.gb.toFixed(1)} GB, ~$${c.exclusionSavings.toFixed(2)}/month):\n\`\`\`yaml\n${c.configMap}\n\`\`\``).join('\n');
+        
+        let cards = `
+[CARD:${ci.exclusionSavings > 0 ? 'savings' : 'info'}]
+[TITLE]☸️ Container Log Noise - ${ci.workspace}[/TITLE]
+[IMPACT]${ci.exclusionSavings > 0 ? `Save ~$${ci.exclusionSavings.toFixed(2)}/month (${ci.exclusionGB.toFixed(1)} GB)` : `${ci.clusters.length} cluster${ci.clusters.length === 1 ? '' : 's'} analyzed`}[/IMPACT]
+
+Container log GB/month by namespace and stream (last 7 days, scaled to 30). System namespaces are excluded from both streams; an application namespace sending over ${(CONTAINER_NOISY_NAMESPACE_SHARE * 100).toFixed(0)}% of a cluster's volume keeps stderr only:
+
+| Cluster | Namespace | stdout | stderr | Share | Exclude |
+|---------|-----------|--------|--------|-------|---------|
+${nsRows.join('\n')}
+
+Top pods (GB/month):
+
+| Cluster | Namespace | Pod | GB |
+|---------|-----------|-----|----|
+${podRows.join('\n')}
+${inventory}${configMaps ? `\ncontainer-azm-ms-agentconfig ConfigMap per cluster (apply with kubectl apply -f):\n${configMaps}\n` : ''}
+[ACTION]Remove any namespace whose logs you still need from the exclusions, then apply the ConfigMap to each cluster - the agent picks it up without a restart[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/containers/container-insights-data-collection-configmap[/DOCS]
+[/CARD]
+`;
+        
+        if (ci.legacyClusters.length > 0) {
+            const legacyRows = ci.legacyClusters.map(c =>
+                `| ${c.name} | ${c.legacyGB.toFixed(1)} | ${c.v2GB.toFixed(1)} | $${c.migrationSavings.toFixed(2)} |`);
+            cards += `
+[CARD:savings]
+[TITLE]☸️ Migrate to ContainerLogV2 - ${ci.workspace}[/TITLE]
+[IMPACT]Save ~$${ci.migrationSavings.toFixed(2)}/month[/IMPACT]
+
+${ci.legacyClusters.length} cluster${ci.legacyClusters.length === 1 ? ' still sends' : 's still send'} logs in the legacy ContainerLog schema, which cannot use the Basic plan:
+
+| Cluster | ContainerLog GB/month | ContainerLogV2 GB/month | Savings on Basic |
+|---------|-----------------------|-------------------------|------------------|
+${legacyRows.join('\n')}
+
+Migration plan:
+1. Switch the schema - set containerlog_schema_version = "v2" in the ConfigMap above, or enable ContainerLogV2 in the cluster's Container Insights data collection rule
+2. Update queries, alerts and workbooks from ContainerLog (LogEntry, LogEntrySource, ContainerID) to ContainerLogV2 (LogMessage, LogSource, PodName, PodNamespace)
+3. Set ContainerLogV2 to the Basic plan if it is not used by alert rules (savings above assume Basic, before query charges)
+4. Leave ContainerLog in place until its retention expires
+
+[ACTION]Migrate each listed cluster to ContainerLogV2 and move the table to Basic Logs[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/containers/container-insights-logs-schema[/DOCS]
+[/CARD]
+`;
+        }
+        
+        return cards;
+    }).join('');
+}
+
+// Application Insights volume by cloud role with each role's current sampling, traces by severity,
+// and a recommended sampling percentage per role priced from its sampled tables
+function analyzeAppInsights(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.appInsightsVolume;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const roles = summarizeAppRoles(data.rows.map(row => ({
+            table: row[col('TableName')],
+            role: row[col('AppRoleName')],
+            resourceId: row[col('ResourceId')],
+            gb: parseFloat(row[col('GB')]) || 0,
+            items: parseInt(row[col('Items')]) || 0,
+            avgItemCount: parseFloat(row[col('AvgItemCount')]) || 1
+        }))).map(role => {
+            const recommendation = getSamplingRecommendation(role);
+            // Sampling keeps the same share of every sampled table, so the reduction is priced per table
+            const keptShare = recommendation && role.sampledGB > 0 ? recommendation.projectedGB / role.sampledGB : 1;
+            const savings = APP_SAMPLED_TABLES.reduce((sum, table) => sum + (role.tables[table] || 0) * (1 - keptShare) * planRate(table), 0);
+            return { ...role, recommendation, savings };
+        });
+        
+        const traces = queryResults.appTracesBySeverity;
+        const traceSeverity = summarizeTraceSeverity((traces?.rows || []).map(row => ({
+            role: row[traces.columns.indexOf('AppRoleName')],
+            severityLevel: parseInt(row[traces.columns.indexOf('SeverityLevel')]),
+            gb: parseFloat(row[traces.columns.indexOf('GB')]) || 0
+        })));
+        
+        const recommended = roles.filter(r => r.recommendation);
+        results.push({
+            workspace: wsName,
+            roles,
+            traceSeverity,
+            recommended,
+            monthlyGB: roles.reduce((sum, r) => sum + r.gb, 0),
+            savingsGB: recommended.reduce((sum, r) => sum + r.recommendation.reductionGB, 0),
+            savings: recommended.reduce((sum, r) => sum + r.savings, 0),
+            snippets: recommended.length > 0 ? buildSamplingSnippets(recommended[0].role, recommended[0].recommendation.percentage) : null
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with telemetry by role and table, trace severities, per-role sampling and SDK snippets
+function formatAppInsightsCards(appInsights) {
+    const tableLabels = { AppRequests: 'Requests', AppDependencies: 'Dependencies', AppTraces: 'Traces', AppExceptions: 'Exceptions', AppPageViews: 'Page views', AppMetrics: 'Metrics' };
+    
+    return (appInsights || []).map(ai => {
+        const roleRows = ai.roles.slice(0, 15).map(r =>
+            `| ${r.role} | ${r.component} | ${APP_INSIGHTS_TABLES.map(table => (r.tables[table] || 0).toFixed(2)).join(' | ')} | ${r.samplingPercentage.toFixed(0)}% |`);
+        const severityRows = ai.traceSeverity.slice(0, 10).map(t =>
+            `| ${t.role} | ${APP_TRACE_SEVERITIES.map(level => t.levels[level].toFixed(2)).join(' | ')} |`);
+        const recommendationRows = ai.recommended.map(r =>
+            `| ${r.role} | ${r.samplingPercentage.toFixed(0)}% | ${r.recommendation.percentage}% | ${r.sampledGB.toFixed(1)} | ${r.recommendation.projectedGB.toFixed(1)} | $${r.savings.toFixed(2)} |`);
+        const top = ai.recommended[0];
+        
+        return `
+[CARD:${ai.savings > 0 ? 'savings' : 'info'}]
+[TITLE]📱 Application Insights Sampling - ${ai.workspace}[/TITLE]
+[IMPACT]${ai.savings > 0 ? `Save ~$${ai.savings.toFixed(2)}/month (${ai.savingsGB.toFixed(1)} GB)` : `${ai.roles.length} cloud role${ai.roles.length === 1 ? '' : 's'} analyzed`}[/IMPACT]
+
+Application Insights ingests ${ai.monthlyGB.toFixed(1)} GB/month. GB/month by cloud role and table (last 7 days, scaled to 30), with the sampling each role already applies (from ItemCount):
+
+| Role | Component | ${APP_INSIGHTS_TABLES.map(table => tableLabels[table]).join(' | ')} | Sampling |
+|------|-----------|${APP_INSIGHTS_TABLES.map(() => '------').join('|')}|----------|
+${roleRows.join('\n')}
+${severityRows.length > 0 ? `
+AppTraces GB/month by severity - Verbose and Information traces can also be filtered by the SDK log level or a DCR transformation:
+
+| Role | ${APP_TRACE_SEVERITIES.join(' | ')} |
+|------|${APP_TRACE_SEVERITIES.map(() => '------').join('|')}|
+${severityRows.join('\n')}
+` : ''}${recommendationRows.length > 0 ? `
+Recommended fixed-rate sampling per role, projected over requests, dependencies, traces and page views:
+
+| Role | Current | Recommended | Sampled GB/month | Projected GB/month | Savings |
+|------|---------|-------------|------------------|--------------------|---------|
+${recommendationRows.join('\n')}
+
+SDK configuration for **${top.role}** at ${top.recommendation.percentage}% - use each role's percentage from the table above:
+
+.NET:
+\`\`\`csharp
+${ai.snippets.dotnet}
+\`\`\`
+
+Java (applicationinsights.json):
+\`\`\`json
+${ai.snippets.java}
+\`\`\`
+
+Node.js:
+\`\`\`javascript
+${ai.snippets.node}
+\`\`\`
+` : ''}
+[ACTION]${recommendationRows.length > 0 ? 'Apply the sampling percentage to each listed role and confirm dashboards and alerts use ItemCount-aware aggregations (sum(ItemCount) rather than count())' : 'No role is large enough to need more sampling - review the trace severities for verbose logging'}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/app/sampling-classic-api[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Diagnostic settings targeting the workspace, read from the largest resources sending to it
+// in the selected subscription
+async function fetchDiagnosticSettings(workspace, queryResults) {
+    const data = queryResults.chargebackByResource;
+    const entries = (data?.rows || []).map(row => ({
+        resourceId: row[data.columns.indexOf('ResourceId')],
+        gb: parseFloat(row[data.columns.indexOf('BilledGB')]) || 0
+    }));
+    const subscriptionIds = [...new Set(currentWorkspaces.map(w => w.resourceId?.split('/')[2]).filter(Boolean))];
+    const resourceIds = getDiagnosticResourceCandidates(entries, subscriptionIds);
+    if (resourceIds.length === 0) return null;
+    
+    const response = await fetch('/api/resources/diagnostic-settings', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ resourceIds })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Diagnostic settings returned ${response.status}`);
+    }
+    
+    return flattenDiagnosticSettings(await response.json(), workspace.resourceId);
+}
+
+// Enabled categories and mode of each diagnostic setting sending to the workspace, priced per category,
+// with the verbose categories to disable and the AzureDiagnostics-mode settings to switch
+function analyzeDiagnosticSettings(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.diagnosticSettings;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        const volumes = queryResults.diagnosticCategoryVolume;
+        const byResource = queryResults.chargebackByResource;
+        
+        const settings = buildDiagnosticInventory(
+            data.rows.map(row => ({
+                resourceId: row[col('ResourceId')],
+                setting: row[col('SettingName')],
+                mode: row[col('Mode')],
+                category: row[col('Category')],
+                kind: row[col('Kind')],
+                enabled: row[col('Enabled')] === true || row[col('Enabled')] === 'true'
+            })),
+            (volumes?.rows || []).map(row => ({
+                resourceId: row[volumes.columns.indexOf('ResourceId')],
+                category: row[volumes.columns.indexOf('Category')],
+                table: row[volumes.columns.indexOf('TableName')],
+                gb: parseFloat(row[volumes.columns.indexOf('BilledGB')]) || 0
+            })),
+            (byResource?.rows || []).map(row => ({
+                resourceId: row[byResource.columns.indexOf('ResourceId')],
+                table: row[byResource.columns.indexOf('TableName')],
+                gb: parseFloat(row[byResource.columns.indexOf('BilledGB')]) || 0
+            }))
+        ).map(s => ({
+            ...s,
+            categories: s.categories.map(c => ({ ...c, cost: c.gb * planRate(c.table || (s.mode === 'AzureDiagnostics' ? 'AzureDiagnostics' : '')) }))
+        }));
+        
+        const disable = settings.flatMap(s => s.categories
+            .filter(c => c.verbose && c.gb > 0)
+            .map(c => ({ resource: s.name, setting: s.setting, ...c })));
+        // Only log categories change destination - metrics always land in AzureMetrics
+        const legacy = settings
+            .filter(s => s.mode === 'AzureDiagnostics' && s.categories.some(c => c.kind !== 'Metric'))
+            .map(s => {
+                const logs = s.categories.filter(c => c.kind !== 'Metric');
+                return {
+                    ...s,
+                    legacyGB: logs.reduce((sum, c) => sum + c.gb, 0),
+                    keptGB: logs.filter(c => !c.verbose).reduce((sum, c) => sum + c.gb, 0),
+                    command: buildResourceSpecificCommand(s, ws?.resourceId || '', logs.filter(c => !c.verbose))
+                };
+            });
+        const legacyGB = legacy.reduce((sum, s) => sum + s.legacyGB, 0);
+        
+        results.push({
+            workspace: wsName,
+            settings,
+            disable,
+            legacy,
+            disableGB: disable.reduce((sum, c) => sum + c.gb, 0),
+            disableSavings: disable.reduce((sum, c) => sum + c.cost, 0),
+            legacyGB,
+            // Basic pricing applies to what is left once the verbose categories are off
+            basicSavings: legacy.reduce((sum, s) => sum + s.keptGB, 0) * Math.max(0, planRate('AzureDiagnostics') - pricing.basic)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the settings inventory, categories to disable and settings to switch to resource-specific mode
+function formatDiagnosticSettingsCards(diagnosticSettings) {
+    return (diagnosticSettings || []).map(d => {
+        const categoryList = s => {
+            const shown = s.categories.slice(0, 6).map(c => `${c.name}${c.kind === 'CategoryGroup' ? ' (group)' : ''} ${c.gb.toFixed(1)}`);
+            return (shown.join(', ') || 'none') + (s.categories.length > 6 ? `, +${s.categories.length - 6} more` : '');
+        };
+        const settingRows = d.settings.slice(0, 20).map(s =>
+            `| ${s.name} | ${s.type.split('/').pop()} | ${s.setting} | ${s.mode} | ${categoryList(s)} |`);
+        const disableRows = d.disable.map(c =>
+            `| ${c.resource} | ${c.name} | ${c.gb.toFixed(1)} | $${c.cost.toFixed(2)} | ${c.verbose} |`);
+        const legacyRows = d.legacy.slice(0, 10).map(s =>
+            `| ${s.name} | ${s.setting} | ${s.legacyGB.toFixed(1)} |`);
+        const groups = d.settings.filter(s => s.categories.some(c => c.kind === 'CategoryGroup' && c.name === 'allLogs'));
+        const type = d.disableSavings > 0 ? 'savings' : d.legacy.length > 0 ? 'warning' : 'info';
+        const impact = d.disableSavings > 0
+            ? `Save ~$${d.disableSavings.toFixed(2)}/month (${d.disableGB.toFixed(1)} GB)`
+            : d.legacy.length > 0
+                ? `${d.legacy.length} setting${d.legacy.length === 1 ? '' : 's'} in AzureDiagnostics mode`
+                : `${d.settings.length} diagnostic setting${d.settings.length === 1 ? '' : 's'} reviewed`;
+        
+        return `
+[CARD:${type}]
+[TITLE]🩺 Diagnostic Settings - ${d.workspace}[/TITLE]
+[IMPACT]${impact}[/IMPACT]
+
+${d.settings.length} diagnostic setting${d.settings.length === 1 ? ' sends' : 's send'} to this workspace from the largest resources in the subscription. Enabled categories with their GB/month (last 30 days):
+
+| Resource | Type | Setting | Mode | Enabled categories (GB) |
+|----------|------|---------|------|-------------------------|
+${settingRows.join('\n')}
+${groups.length > 0 ? `\n${groups.length} setting${groups.length === 1 ? ' uses' : 's use'} the allLogs category group, which also enables categories added later (${groups.map(s => s.name).join(', ')}).\n` : ''}${disableRows.length > 0 ? `
+Categories to disable:
+
+| Resource | Category | GB/month | Cost/month | Why |
+|----------|----------|----------|------------|-----|
+${disableRows.join('\n')}
+` : ''}${legacyRows.length > 0 ? `
+Settings still sending logs to AzureDiagnostics - resource-specific tables have their own schema, are faster to query and are a prerequisite for the Basic plan (moving the volume left after disabling verbose categories to Basic would save up to ~$${d.basicSavings.toFixed(2)}/month):
+
+| Resource | Setting | AzureDiagnostics GB/month |
+|----------|---------|---------------------------|
+${legacyRows.join('\n')}
+
+Recreate **${d.legacy[0].setting}** on ${d.legacy[0].name} in resource-specific mode, without the categories to disable:
+\`\`\`bash
+${d.legacy[0].command}
+\`\`\`
+` : ''}
+[ACTION]${d.disable.length > 0 ? 'Turn off the listed categories in each diagnostic setting. ' : ''}${d.legacy.length > 0 ? 'Switch AzureDiagnostics-mode settings to resource-specific tables where the resource type supports it, then update queries that read AzureDiagnostics' : 'Review the enabled categories against what your alerts and workbooks use'}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/resource-logs#send-to-log-analytics-workspace[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Sources sending the same table to several analyzed workspaces, priced at the rate of each
+// workspace the copy should be dropped from, and agents multi-homed to more than one workspace
+function analyzeCrossWorkspaceDuplicates(allQueryData) {
+    if (Object.keys(allQueryData).length < 2) return null;
+    
+    const rates = {};
+    const workspaces = Object.entries(allQueryData).map(([wsName, queryResults]) => {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planOf = table => tablePlans[table];
+        rates[wsName] = table => {
+            const plan = planOf(table);
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        
+        // Machines from the agent tables, everything else by the resource that sent it
+        const agents = queryResults.agentSourcesByTable;
+        const resources = queryResults.chargebackByResource;
+        const sources = [
+            ...(agents?.rows || []).map(row => ({
+                source: row[agents.columns.indexOf('Source')],
+                table: row[agents.columns.indexOf('TableName')],
+                gb: parseFloat(row[agents.columns.indexOf('BilledGB')]) || 0
+            })),
+            ...(resources?.rows || [])
+                .filter(row => row[resources.columns.indexOf('ResourceId')] && !CROSS_WORKSPACE_AGENT_TABLES.includes(row[resources.columns.indexOf('TableName')]))
+                .map(row => ({
+                    source: row[resources.columns.indexOf('ResourceId')],
+                    table: row[resources.columns.indexOf('TableName')],
+                    gb: parseFloat(row[resources.columns.indexOf('BilledGB')]) || 0
+                }))
+        ];
+        return { name: wsName, sentinel: !!ws?.sentinelEnabled, sources };
+    });
+    
+    const overlaps = findDuplicateSources(workspaces);
+    const duplicates = overlaps
+        .map(d => ({
+            ...d,
+            gb: d.drop.reduce((sum, c) => sum + c.gb, 0),
+            cost: d.drop.reduce((sum, c) => sum + c.gb * rates[c.name](d.table), 0)
+        }))
+        .filter(d => d.gb >= CROSS_WORKSPACE_MIN_GB)
+        .sort((a, b) => b.cost - a.cost);
+    const multiHomed = Object.entries(findMultiHomedSources(overlaps))
+        .map(([source, names]) => ({ name: getSourceName(source), workspaces: names }));
+    if (duplicates.length === 0 && multiHomed.length === 0) return null;
+    
+    return {
+        workspaceCount: workspaces.length,
+        duplicates,
+        multiHomed,
+        gb: duplicates.reduce((sum, d) => sum + d.gb, 0),
+        cost: duplicates.reduce((sum, d) => sum + d.cost, 0)
+    };
+}
+
+// One card for all analyzed workspaces with the sources paid for twice and the multi-homed agents
+function formatCrossWorkspaceCards(crossWorkspace) {
+    if (!crossWorkspace) return '';
+    
+    const cw = crossWorkspace;
+    const rows = cw.duplicates.slice(0, 25).map(d =>
+        `| ${d.name} | ${d.table} | ${d.copies.map(c => `${c.name} ${c.gb.toFixed(2)}`).join(', ')} | ${d.keep} (${d.reason}) | ${d.gb.toFixed(2)} | $${d.cost.toFixed(2)} |`);
+    const sources = new Set(cw.duplicates.map(d => d.name)).size;
+    const agents = cw.multiHomed.slice(0, 15).map(m => `${m.name} (${m.workspaces.join(', ')})`).join(', ');
+    
+    return `
+[CARD:${cw.cost > 0 ? 'savings' : 'warning'}]
+[TITLE]🔁 Duplicate Data Across Workspaces[/TITLE]
+[IMPACT]${cw.cost > 0 ? `Save ~$${cw.cost.toFixed(2)}/month (${cw.gb.toFixed(1)} GB)` : `${cw.multiHomed.length} multi-homed agent${cw.multiHomed.length === 1 ? '' : 's'}`}[/IMPACT]
+${rows.length > 0 ? `
+Across the ${cw.workspaceCount} analyzed workspaces, ${sources} source${sources === 1 ? ' sends' : 's send'} the same table to more than one workspace, so the data is paid for twice. GB/month per workspace, the workspace that should keep it, and what the extra copies cost (last 30 days):
+
+| Source | Table | GB per workspace | Keep in | Paid twice (GB) | Cost/month |
+|--------|-------|------------------|---------|-----------------|------------|
+${rows.join('\n')}
+` : ''}${cw.multiHomed.length > 0 ? `
+${cw.multiHomed.length} machine${cw.multiHomed.length === 1 ? ' reports' : 's report'} heartbeats to more than one workspace (multi-homed agents): ${agents}${cw.multiHomed.length > 15 ? `, and ${cw.multiHomed.length - 15} more` : ''}.
+` : ''}
+[ACTION]For each source, remove the extra workspace from the agent, data collection rule or diagnostic setting sending the copy, keeping the data in the named workspace; use cross-workspace queries where another team needs it[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/workspace-design[/DOCS]
+[/CARD]
+`;
+}
+
+// Machines still on legacy agents with the data they send, and what the DCR filters for those
+// tables would drop once the machines collect through the Azure Monitor Agent
+function analyzeAgentMigration(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.agentInventory;
+        if (!data?.rows?.length) continue;
+        
+        const col = name => data.columns.indexOf(name);
+        const machines = summarizeAgentInventory(data.rows.map(row => ({
+            source: row[col('Source')],
+            computer: row[col('Computer')],
+            category: row[col('Category')],
+            version: row[col('Version')],
+            osType: row[col('OSType')],
+            lastHeartbeat: row[col('LastHeartbeat')]
+        })));
+        const legacy = machines.filter(m => m.legacy);
+        if (legacy.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        
+        // Agent table volume per machine
+        const volumes = {};
+        const sources = queryResults.agentSourcesByTable;
+        (sources?.rows || []).forEach(row => {
+            const table = row[sources.columns.indexOf('TableName')];
+            if (!AGENT_DATA_TABLES.includes(table)) return;
+            const source = row[sources.columns.indexOf('Source')];
+            (volumes[source] || (volumes[source] = {}))[table] = parseFloat(row[sources.columns.indexOf('BilledGB')]) || 0;
+        });
+        
+        // Share of each table the DCR transformation filter drops, from its 7-day estimate
+        const estimates = queryResults.transformEstimates;
+        const dropShare = {};
+        (estimates?.rows || []).forEach(row => {
+            const total = parseFloat(row[estimates.columns.indexOf('TotalGB')]) || 0;
+            const dropped = parseFloat(row[estimates.columns.indexOf('DroppedGB')]) || 0;
+            dropShare[row[estimates.columns.indexOf('DataType')]] = total > 0 ? dropped / total : 0;
+        });
+        
+        const legacyMachines = legacy
+            .map(m => ({ ...m, gb: Object.values(volumes[m.source] || {}).reduce((sum, gb) => sum + gb, 0) }))
+            .sort((a, b) => b.gb - a.gb);
+        
+        // Data from machines with only a legacy agent is what the legacy data sources collect
+        const tableGB = {};
+        legacyMachines.filter(m => !m.both).forEach(m => {
+            Object.entries(volumes[m.source] || {}).forEach(([table, gb]) => {
+                tableGB[table] = (tableGB[table] || 0) + gb;
+            });
+        });
+        const tables = Object.entries(tableGB)
+            .map(([table, gb]) => {
+                const savingsGB = gb * (dropShare[table] || 0);
+                return { table, gb, filter: dropShare[table] ? DCR_TRANSFORM_RULES[table]?.description : null, savingsGB, savings: savingsGB * planRate(table) };
+            })
+            .sort((a, b) => b.gb - a.gb);
+        
+        results.push({
+            workspace: wsName,
+            counts: countAgentTypes(machines),
+            machineCount: machines.length,
+            legacyMachines,
+            bothCount: legacyMachines.filter(m => m.both).length,
+            tables,
+            legacyGB: tables.reduce((sum, t) => sum + t.gb, 0),
+            savingsGB: tables.reduce((sum, t) => sum + t.savingsGB, 0),
+            savings: tables.reduce((sum, t) => sum + t.savings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Migration plan card per workspace with the machines to migrate and their legacy data sources
+function formatAgentMigrationCards(agentMigration) {
+    return (agentMigration || []).map(m => {
+        const counts = Object.entries(m.counts).map(([type, count]) => `${type} ${count}`).join(', ');
+        const machineRows = m.legacyMachines.slice(0, 20).map(machine =>
+            `| ${machine.computer} | ${machine.osType || '-'} | ${machine.agents.map(a => `${a.type}${a.version ? ` ${a.version}` : ''}`).join(', ')} | ${machine.gb.toFixed(2)} | ${machine.status} |`);
+        const tableRows = m.tables.slice(0, 10).map(t =>
+            `| ${t.table} | ${t.gb.toFixed(1)} | ${t.filter || '-'} | ${t.savingsGB > 0 ? `${t.savingsGB.toFixed(1)} GB, $${t.savings.toFixed(2)}` : '-'} |`);
+        
+        return `
+[CARD:warning]
+[TITLE]🔄 Migrate to Azure Monitor Agent - ${m.workspace}[/TITLE]
+[IMPACT]${m.legacyMachines.length} machine${m.legacyMachines.length === 1 ? '' : 's'} on legacy agents${m.savings > 0 ? ` - DCR filtering saves ~$${m.savings.toFixed(2)}/month` : ''}[/IMPACT]
+
+The Log Analytics agent (MMA on Windows, OMS on Linux) was retired on 31 August 2024. Agents reporting in the last 7 days: ${counts} across ${m.machineCount} machine${m.machineCount === 1 ? '' : 's'}.${m.bothCount > 0 ? ` ${m.bothCount} machine${m.bothCount === 1 ? ' runs both a legacy agent and the Azure Monitor Agent, so its' : 's run both a legacy agent and the Azure Monitor Agent, so their'} data may be collected twice.` : ''}
+
+Machines to migrate (agent data in GB/month, last 30 days):
+
+| Machine | OS | Agents | GB/month | Status |
+|---------|----|--------|----------|--------|
+${machineRows.join('\n')}
+${tableRows.length > 0 ? `
+Ingestion from the legacy data sources (machines with only a legacy agent), and what a DCR filter would drop - these savings are part of the DCR Transformations estimate:
+
+| Table | GB/month | DCR filter | Savings |
+|-------|----------|------------|---------|
+${tableRows.join('\n')}
+` : ''}
+Migration plan:
+1. Create data collection rules for the workspace's legacy data sources (Windows events with XPath queries, Syslog facilities and levels, performance counters), applying the filters above
+2. Install the Azure Monitor Agent on the listed machines (Azure Policy or the VM extension; Azure Arc for machines outside Azure) and associate the DCRs
+3. Confirm the data arrives through the Azure Monitor Agent, then uninstall the legacy agent - machines marked "Remove legacy agent" are at this step
+4. Remove the legacy agent data sources from the workspace so no data is collected twice
+
+[ACTION]Migrate the listed machines to the Azure Monitor Agent with filtering DCRs, then remove the legacy agents[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/azure-monitor-agent-migration[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// SecurityEvent and Event volume by event ID with the noisy events, the All Events to Common
+// comparison and the XPath DCR that filters at the agent
+function analyzeWindowsEvents(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.windowsEventBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const { events, securityGB, eventGB } = summarizeWindowsEvents(data.rows.map(row => ({
+            table: row[col('TableName')],
+            eventId: parseInt(row[col('EventID')]),
+            channel: row[col('Channel')],
+            level: row[col('Level')],
+            gb: parseFloat(row[col('GB')]) || 0,
+            events: parseInt(row[col('Events')]) || 0,
+            computers: parseInt(row[col('Computers')]) || 0
+        })));
+        
+        const computers = queryResults.windowsEventComputers;
+        const exclusions = getXPathExclusions(events);
+        const commonGB = estimateCommonSetReduction(events);
+        
+        results.push({
+            workspace: wsName,
+            events,
+            noisy: events.filter(e => e.noisy),
+            computers: (computers?.rows || []).map(row => ({
+                name: row[computers.columns.indexOf('Computer')],
+                table: row[computers.columns.indexOf('TableName')],
+                gb: (parseFloat(row[computers.columns.indexOf('GB')]) || 0) * 30 / WINDOWS_EVENT_SAMPLE_DAYS,
+                topEventIds: row[computers.columns.indexOf('TopEventIDs')]
+            })),
+            securityGB,
+            eventGB,
+            commonGB,
+            commonSavings: commonGB * planRate('SecurityEvent'),
+            exclusions,
+            xPathGB: exclusions.securityGB + exclusions.eventGB,
+            xPathSavings: exclusions.securityGB * planRate('SecurityEvent') + exclusions.eventGB * planRate('Event'),
+            dataSources: buildXPathDataSources(exclusions)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the largest event IDs and computers, the event set comparison and the XPath DCR block
+function formatWindowsEventCards(windowsEvents) {
+    return (windowsEvents || []).map(w => {
+        const eventRows = w.events.slice(0, 15).map(e =>
+            `| ${e.table} | ${e.eventId} | ${e.channel} | ${e.level} | ${e.gb.toFixed(2)} | ${Math.round(e.eventsPerDay).toLocaleString()} | ${e.computers} | ${e.noisy ? `Noisy: ${e.noisy.name}${e.noisy.advice ? ` - ${e.noisy.advice}` : ''}` : ''} |`);
+        const computerRows = w.computers.slice(0, 10).map(c =>
+            `| ${c.name} | ${c.table} | ${c.gb.toFixed(2)} | ${c.topEventIds} |`);
+        const hasFilter = w.dataSources.length > 0 && w.xPathGB > 0;
+        
+        return `
+[CARD:${hasFilter ? 'savings' : 'info'}]
+[TITLE]🪟 Windows Event Noise - ${w.workspace}[/TITLE]
+[IMPACT]${hasFilter ? `Save ~$${w.xPathSavings.toFixed(2)}/month (${w.xPathGB.toFixed(1)} GB)` : `${(w.securityGB + w.eventGB).toFixed(1)} GB/month of Windows events`}[/IMPACT]
+
+SecurityEvent ingests ${w.securityGB.toFixed(1)} GB/month and Event ${w.eventGB.toFixed(1)} GB/month (last 7 days, scaled to 30). Largest event IDs:
+
+| Table | Event ID | Channel | Level | GB/month | Events/day | Computers | Note |
+|-------|----------|---------|-------|----------|------------|-----------|------|
+${eventRows.join('\n')}
+${computerRows.length > 0 ? `
+Top computers:
+
+| Computer | Table | GB/month | Largest event IDs |
+|----------|-------|----------|-------------------|
+${computerRows.join('\n')}
+` : ''}${w.commonGB > 0 ? `
+${w.securityGB > 0 ? `${((w.commonGB / w.securityGB) * 100).toFixed(0)}% of SecurityEvent` : 'Part of SecurityEvent'} is outside the "Common" event set, so collection looks like "All Events". Switching the Windows Security Events data connector or DCR to Common would drop ${w.commonGB.toFixed(1)} GB/month (~$${w.commonSavings.toFixed(2)}/month) while keeping the events most detections use.
+` : ''}${hasFilter ? `
+Custom XPath filters for the Azure Monitor Agent DCR, dropping ${w.exclusions.securityGB.toFixed(1)} GB of noisy security events and ${w.exclusions.eventGB.toFixed(1)} GB of Information and Verbose events:
+\`\`\`json
+${JSON.stringify({ windowsEventLogs: w.dataSources }, null, 2)}
+\`\`\`
+Filtering at the agent replaces the SecurityEvent and Event transformations - apply one or the other.
+` : ''}
+[ACTION]${hasFilter ? 'Replace the windowsEventLogs data sources in the DCR with these XPath queries' : 'Review the largest event IDs against your detections'}${w.commonGB > 0 ? ', or switch the security event set from All Events to Common' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-windows-events[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Syslog volume by facility, severity and process with the minimum level per facility as a
+// DCR syslog data source and a transformation for the noisy processes
+function analyzeSyslog(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.syslogBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const planRate = table => {
+            const plan = tablePlans[table];
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const { totalGB, facilities, processes } = summarizeSyslog(data.rows.map(row => ({
+            facility: row[col('Facility')],
+            severity: row[col('SeverityLevel')],
+            process: row[col('ProcessName')],
+            gb: parseFloat(row[col('GB')]) || 0
+        })));
+        
+        const computers = queryResults.syslogComputers;
+        const noisy = processes.filter(p => p.noisy);
+        const levelGB = facilities.reduce((sum, f) => sum + f.droppedGB, 0);
+        const processGB = noisy.reduce((sum, p) => sum + p.droppableGB, 0);
+        const rate = planRate('Syslog');
+        
+        results.push({
+            workspace: wsName,
+            totalGB,
+            facilities,
+            processes,
+            noisy,
+            computers: (computers?.rows || []).map(row => ({
+                name: row[computers.columns.indexOf('Computer')],
+                gb: (parseFloat(row[computers.columns.indexOf('GB')]) || 0) * 30 / SYSLOG_SAMPLE_DAYS,
+                topProcesses: row[computers.columns.indexOf('TopProcesses')]
+            })),
+            levelGB,
+            levelSavings: levelGB * rate,
+            processGB,
+            processSavings: processGB * rate,
+            dataSources: buildSyslogDataSources(facilities),
+            transformKql: noisy.length > 0 ? buildSyslogProcessTransform(noisy.map(p => p.name)) : null
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the facility and process breakdown, the syslog DCR block and the process transformation
+function formatSyslogCards(syslog) {
+    return (syslog || []).map(s => {
+        const severityList = f => Object.entries(f.severities)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 4)
+            .map(([severity, gb]) => `${severity || 'unknown'} ${gb.toFixed(2)}`)
+            .join(', ');
+        const facilityRows = s.facilities.slice(0, 15).map(f =>
+            `| ${f.name} | ${f.gb.toFixed(2)} | ${severityList(f)} | ${f.minLevel} | ${f.droppedGB.toFixed(2)} |`);
+        const processRows = s.processes.slice(0, 10).map(p =>
+            `| ${p.name} | ${p.facilities.join(', ')} | ${p.gb.toFixed(2)} | ${(p.share * 100).toFixed(0)}% | ${p.noisy ? `Noisy: drop ${p.droppableGB.toFixed(2)} GB below err` : ''} |`);
+        const computerRows = s.computers.slice(0, 10).map(c =>
+            `| ${c.name} | ${c.gb.toFixed(2)} | ${c.topProcesses} |`);
+        const savingsGB = s.levelGB + s.processGB;
+        const hasSavings = savingsGB > 0;
+        
+        return `
+[CARD:${hasSavings ? 'savings' : 'info'}]
+[TITLE]🐧 Syslog Noise - ${s.workspace}[/TITLE]
+[IMPACT]${hasSavings ? `Save ~$${(s.levelSavings + s.processSavings).toFixed(2)}/month (${savingsGB.toFixed(1)} GB)` : `${s.totalGB.toFixed(1)} GB/month of Syslog`}[/IMPACT]
+
+Syslog ingests ${s.totalGB.toFixed(1)} GB/month (last 7 days, scaled to 30). Volume by facility (GB/month) with the proposed minimum level to collect:
+
+| Facility | GB/month | Largest severities | Minimum level | Dropped GB |
+|----------|----------|--------------------|---------------|------------|
+${facilityRows.join('\n')}
+
+Largest processes once the minimum levels apply:
+
+| Process | Facilities | GB/month | Share | Note |
+|---------|------------|----------|-------|------|
+${processRows.join('\n')}
+${computerRows.length > 0 ? `
+Top computers:
+
+| Computer | GB/month | Largest processes |
+|----------|----------|-------------------|
+${computerRows.join('\n')}
+` : ''}${s.levelGB > 0 ? `
+Collecting only these levels drops ${s.levelGB.toFixed(1)} GB/month (~$${s.levelSavings.toFixed(2)}/month). auth and authpriv keep info for sign-in auditing; facilities under ${SYSLOG_MIN_FACILITY_GB} GB/month keep the levels they send today:
+\`\`\`json
+${JSON.stringify({ syslog: s.dataSources }, null, 2)}
+\`\`\`
+` : ''}${s.transformKql ? `
+${s.noisy.length} process(es) send more than ${(SYSLOG_NOISY_PROCESS_SHARE * 100).toFixed(0)}% of the remaining volume. This transformation keeps only their err and above, dropping ${s.processGB.toFixed(1)} GB/month (~$${s.processSavings.toFixed(2)}/month):
+\`\`\`kql
+${s.transformKql}
+\`\`\`
+` : ''}${hasSavings ? `
+Filtering levels at the agent replaces the Syslog severity transformation - apply one or the other.
+` : ''}
+[ACTION]${s.levelGB > 0 ? 'Replace the syslog data sources in the DCR with these facilities and levels' : 'Review the largest facilities and processes'}${s.transformKql ? ', and add the transformKql to the Microsoft-Syslog data flow' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-syslog[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Tables read by log search alert rules and Log Analytics dashboard tiles that target the workspaces,
+// and those alert rules priced for the alert cost card
+async function fetchUsedTables(workspaces) {
+    const targetWorkspace = resourceIds => workspaces.find(ws => {
+        const wsId = ws.resourceId.toLowerCase();
+        return resourceIds.some(id => id && (id.toLowerCase().includes(wsId) || wsId.includes(id.toLowerCase())));
+    });
+    const targetsWorkspace = resourceIds => !!targetWorkspace(resourceIds);
+    const tables = new Set();
+    const alertRules = [];
+    
+    for (const subscriptionId of Object.keys(getWorkspaceSubscriptions(workspaces))) {
+        const [rulesResponse, dashboardsResponse] = await Promise.all([
+            fetch(`/api/subscriptions/${subscriptionId}/scheduled-query-rules`, { headers: apiHeaders() }),
+            fetch(`/api/subscriptions/${subscriptionId}/dashboards`, { headers: apiHeaders() })
+        ]);
+        if (!rulesResponse.ok || !dashboardsResponse.ok) {
+            throw new Error(`Alert rules returned ${rulesResponse.status}, dashboards returned ${dashboardsResponse.status}`);
+        }
+        
+        (await rulesResponse.json()).forEach(rule => {
+            const workspace = targetWorkspace(rule.properties?.scopes || []);
+            if (!workspace) return;
+            
+            alertRules.push({
+                workspace: workspace.name,
+                ...estimateAlertRuleCost(rule, getPricing(rule.location || workspace.location).logAlertTimeSeries)
+            });
+            (rule.properties.criteria?.allOf || [])
+                .forEach(criterion => extractTablesFromQuery(criterion.query).forEach(t => tables.add(t)));
+        });
+        
+        (await dashboardsResponse.json()).forEach(dashboard => {
+            Object.values(dashboard.properties?.lenses || {}).forEach(lens => Object.values(lens.parts || {}).forEach(part => {
+                const metadata = part.metadata || {};
+                if (!/LogsDashboardPart|AnalyticsPart/.test(metadata.type || '')) return;
+                
+                const inputs = metadata.inputs || [];
+                const resourceIds = [
+                    ...inputs.filter(i => i.name === 'resourceIds' || i.name === 'workspaceResourceId').flatMap(i => [].concat(i.value)),
+                    ...(metadata.settings?.content?.resourceIds || [])
+                ];
+                const query = metadata.settings?.content?.query || inputs.find(i => i.name === 'query')?.value || '';
+                if (query && targetsWorkspace(resourceIds)) {
+                    extractTablesFromQuery(query).forEach(t => tables.add(t));
+                }
+            }));
+        });
+    }
+    
+    return { tables: [...tables], alertRules };
+}
+
+// Extract table names from a KQL query
+function extractTablesFromQuery(query) {
+    if (!query) return [];
+    
+    const tables = new Set();
+    
+    // Common patterns to find table names in KQL:
+    // 1. Table name at the start of a line or after | 
+    // 2. Table name after "from" keyword
+    // 3. Union statements
+    
+    // Known Log Analytics table name patterns
+    const tablePatterns = [
+        // Start of query or after pipe - table name followed by whitespace, pipe, or newline
+        /(?:^|\|)\s*([A-Z][a-zA-Z0-9_]+)\s*(?:\||$|where|project|summarize|extend|join|take|top|limit|order|sort|distinct|count|mv-expand|parse|evaluate)/gim,
+        // Union statements
+        /union\s+(?:kind\s*=\s*\w+\s+)?([A-Z][a-zA-Z0-9_]+(?:\s*,\s*[A-Z][a-zA-Z0-9_]+)*)/gi,
+        // Explicit table() function
+        /table\s*\(\s*["']?([A-Z][a-zA-Z0-9_]+)["']?\s*\)/gi,
+        // Join clauses
+        /join\s+(?:kind\s*=\s*\w+\s+)?([A-Z][a-zA-Z0-9_]+)/gi
+    ];
+    
+    // Known table prefixes
+    const knownPrefixes = ['Container', 'App', 'Azure', 'Security', 'Syslog', 'Perf', 'Heartbeat', 'Event', 
+                          'Usage', 'AKS', 'Storage', 'AZFW', 'CDB', 'AAD', 'Signin', 'AZM', 'AVS', 'Databricks',
+                          'LA', 'Kusto', 'Arc', 'Windows', 'Linux', 'VM', 'SQL', 'Network', 'DNS', 'HTTP'];
+    
+    tablePatterns.forEach(pattern => {
+        let match;
+        while ((match = pattern.exec(query)) !== null) {
+            const potentialTables = match[1].split(/\s*,\s*/);
+            potentialTables.forEach(t => {
+                const tableName = t.trim();
+                // Filter out KQL keywords and operators
+                const keywords = ['where', 'project', 'summarize', 'extend', 'join', 'take', 'top', 'limit', 
+                                 'order', 'sort', 'distinct', 'count', 'let', 'set', 'print', 'render',
+                                 'ago', 'now', 'datetime', 'timespan', 'true', 'false', 'null', 'and', 'or', 'not'];
+                if (tableName && !keywords.includes(tableName.toLowerCase()) && 
+                    /^[A-Z][a-zA-Z0-9_]+$/.test(tableName) && tableName.length > 2) {
+                    tables.add(tableName);
+                }
+            });
+        }
+    });
+    
+    return Array.from(tables);
+}
+
+// Billable tables no query read in the last 30 or 90 days, skipping tables used by alert rules and
+// dashboards, with the suggested action and saving for each. usedTables: null when they were not checked
+function analyzeUnusedTables(allQueryData, usedTables) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.unusedTables;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const tableInventory = queryResults.tableInventory;
+        const inventory = {};
+        (tableInventory?.rows || []).forEach(row => {
+            const idx = name => tableInventory.columns.indexOf(name);
+            inventory[row[idx('TableName')]] = {
+                plan: row[idx('Plan')],
+                retentionInDays: row[idx('RetentionInDays')],
+                totalRetentionInDays: row[idx('TotalRetentionInDays')],
+                tableSubType: row[idx('TableSubType')]
+            };
+        });
+        const col = name => data.columns.indexOf(name);
+        const queryLogsSince = data.rows[0][col('QueryLogsSince')];
+        const queryLogDays = queryLogsSince ? (Date.now() - new Date(queryLogsSince).getTime()) / (24 * 60 * 60 * 1000) : 0;
+        
+        // Without a full window of query logs every table looks unread, so ask for query auditing instead
+        if (queryLogDays < UNUSED_TABLE_WINDOWS[0]) {
+            results.push({ workspace: wsName, queryLogDays: Math.floor(queryLogDays), needsQueryLogs: true, tables: [] });
+            continue;
+        }
+        
+        const tables = findUnusedTables(data.rows.map(row => ({
+            name: row[col('DataType')],
+            gb: parseFloat(row[col('BillableGB')]) || 0,
+            lastRead: row[col('LastRead')] || null
+        })), inventory, usedTables, ws?.location, { sentinel: ws?.sentinelEnabled, queryLogDays });
+        if (tables.length === 0) continue;
+        
+        results.push({
+            workspace: wsName,
+            sentinel: !!ws?.sentinelEnabled,
+            tables,
+            queryLogDays: Math.floor(queryLogDays),
+            usageChecked: !!usedTables,
+            unread90: tables.filter(t => !t.lastRead).length,
+            totalCost: tables.reduce((sum, t) => sum + t.cost, 0),
+            savings: tables.reduce((sum, t) => sum + t.savings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace listing every unread table with its cost and suggested action
+function formatUnusedTableCards(unusedTables) {
+    return (unusedTables || []).map(u => {
+        if (u.needsQueryLogs) {
+            return `
+[CARD:info]
+[TITLE]🗑️ Unused Tables - ${u.workspace}[/TITLE]
+[IMPACT]Enable LAQueryLogs first[/IMPACT]
+
+${u.queryLogDays > 0 ? `LAQueryLogs only covers the last ${u.queryLogDays} day(s)` : 'LAQueryLogs has no queries for this workspace'}, so every table would look unread and none are reported. Turn on query auditing and run the analysis again once it covers ${UNUSED_TABLE_WINDOWS[0]} days.
+
+[ACTION]Add a diagnostic setting on the workspace that sends the Audit category (LAQueryLogs) to it[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/query-audit[/DOCS]
+[/CARD]
+`;
+        }
+        
+        const tableRows = u.tables.slice(0, 25).map(t =>
+            `| ${t.name} | ${t.gb.toFixed(2)} | $${t.cost.toFixed(2)} | ${t.plan} | ${t.lastRead ? new Date(t.lastRead).toISOString().slice(0, 10) : `none in ${t.unreadDays} days`} | ${t.action} - ${t.reason} | ${t.savings > 0 ? `$${t.savings.toFixed(2)}` : ''} |`);
+        const coverage = Math.min(u.queryLogDays, UNUSED_TABLE_WINDOWS[1]);
+        
+        return `
+[CARD:warning]
+[TITLE]🗑️ Unused Tables - ${u.workspace}[/TITLE]
+[IMPACT]$${u.totalCost.toFixed(2)}/month on ${u.tables.length} table(s) nobody reads[/IMPACT]
+
+${u.tables.length} billable table(s) had no reads in LAQueryLogs in the last ${UNUSED_TABLE_WINDOWS[0]} days, ${u.unread90} of them none in the last ${coverage} days${u.usageChecked ? ', and no alert rule or dashboard uses them' : ''}:
+
+| Table | GB/month | Monthly cost | Plan | Last read | Suggestion | Saving |
+|-------|----------|--------------|------|-----------|------------|--------|
+${tableRows.join('\n')}
+${u.tables.length > 25 ? `
+...and ${u.tables.length - 25} smaller table(s).
+` : ''}
+Acting on every suggestion saves about $${u.savings.toFixed(2)}/month. Plan and retention suggestions overlap the Basic Logs and retention recommendations - count them once.
+${u.queryLogDays < UNUSED_TABLE_WINDOWS[1] ? `
+LAQueryLogs only covers the last ${u.queryLogDays} days (its retention or when query auditing was turned on), so no table is suggested for removal on the ${UNUSED_TABLE_WINDOWS[1]}-day rule.
+` : ''}${u.usageChecked ? '' : `
+Alert rules and dashboards were not checked - confirm none use a table before changing it.
+`}${u.sentinel ? `
+This is a Microsoft Sentinel workspace: analytics rules and hunting may read tables without a logged query, so collection is never suggested to stop.
+` : ''}
+Queries that do not name a table - such as \`search *\` or \`union *\` - are not matched.
+
+[ACTION]Stop collecting tables nobody needs, and move the rest to a cheaper plan or shorter interactive retention[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/query-audit[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Log search alert rules targeting the analyzed workspaces, priced, with the 1-minute rules to slow down
+// and the disabled rules. rules: from fetchUsedTables
+function summarizeAlertCosts(rules) {
+    if (!rules?.length) return null;
+    
+    const enabled = rules.filter(r => r.enabled);
+    return {
+        rules: enabled.sort((a, b) => b.monthlyCost - a.monthlyCost),
+        frequent: enabled.filter(r => r.suggestedMinutes).sort((a, b) => b.savings - a.savings),
+        disabled: rules.filter(r => !r.enabled),
+        totalCost: enabled.reduce((sum, r) => sum + r.monthlyCost, 0),
+        savings: enabled.reduce((sum, r) => sum + r.savings, 0),
+        estimated: enabled.some(r => r.estimated)
+    };
+}
+
+// Single card with each rule's cost, the frequency changes with their savings and the disabled rules
+function formatAlertCostCards(alertCosts) {
+    if (!alertCosts) return '';
+    
+    const frequency = minutes => minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`;
+    const ruleRows = alertCosts.rules.slice(0, 15).map(r =>
+        `| ${r.displayName} | ${r.workspace} | ${r.severity ?? ''} | ${frequency(r.frequencyMinutes)} | ${r.timeSeries}${r.estimated ? ' (est.)' : ''} | $${r.monthlyCost.toFixed(2)} | ${r.suggestedMinutes ? `${frequency(r.suggestedMinutes)}: save $${r.savings.toFixed(2)}` : ''} |`);
+    const disabledRows = alertCosts.disabled.slice(0, 15).map(r => `- ${r.displayName} (${r.workspace})`);
+    const hasSavings = alertCosts.savings > 0;
+    
+    return `
+[CARD:${hasSavings ? 'savings' : 'info'}]
+[TITLE]🔔 Alert Cost[/TITLE]
+[IMPACT]${hasSavings ? `Save ~$${alertCosts.savings.toFixed(2)}/month (${alertCosts.frequent.length} rule(s) evaluated every minute)` : `$${alertCosts.totalCost.toFixed(2)}/month across ${alertCosts.rules.length} alert rule(s)`}[/IMPACT]
+
+${alertCosts.rules.length} enabled log search alert rule(s) cost about $${alertCosts.totalCost.toFixed(2)}/month. Each monitored time series (one per scope and dimension value) is billed at the rule's evaluation frequency:
+
+| Rule | Workspace | Severity | Frequency | Time series | Monthly cost | Suggested |
+|------|-----------|----------|-----------|-------------|--------------|-----------|
+${ruleRows.join('\n')}
+${alertCosts.estimated ? `
+(est.) rules split on every dimension value or by resource - ${ALERT_WILDCARD_DIMENSION_VALUES} values are assumed per split.
+` : ''}${hasSavings ? `
+Rules evaluated every minute cost 6x the 15-minute rate per time series. Severity 0 and 1 rules are suggested at 5 minutes and the others at 15, within each rule's window size.
+` : ''}${disabledRows.length > 0 ? `
+Disabled rules (not billed - delete the ones no longer needed):
+${disabledRows.join('\n')}
+` : ''}
+[ACTION]${hasSavings ? 'Evaluate the listed rules less often, at the suggested interval' : 'Review the most expensive rules and their dimensions'}${alertCosts.disabled.length > 0 ? ', and remove disabled rules you no longer need' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/best-practices-cost[/DOCS]
+[/CARD]
+`;
+}
+
+// Subscriptions of the analyzed workspaces, with the region of the first workspace in each for pricing
+function getWorkspaceSubscriptions(workspaces) {
+    const subscriptions = {};
+    workspaces.forEach(ws => {
+        const subscriptionId = ws.resourceId?.match(/\/subscriptions\/([^\/]+)/i)?.[1];
+        if (subscriptionId && !subscriptions[subscriptionId]) subscriptions[subscriptionId] = ws.location;
+    });
+    return subscriptions;
+}
+
+// Metric alert rules in the analyzed workspaces' subscriptions, priced per monitored time series
+async function fetchMetricAlerts(workspaces) {
+    const alerts = [];
+    
+    for (const [subscriptionId, location] of Object.entries(getWorkspaceSubscriptions(workspaces))) {
+        const response = await fetch(`/api/subscriptions/${subscriptionId}/metric-alerts`, { headers: apiHeaders() });
+        if (!response.ok) {
+            console.warn(`Metric alerts for ${subscriptionId} returned ${response.status}`);
+            continue;
+        }
+        
+        const { rules, resourceCounts } = await response.json();
+        const pricing = getPricing(location);
+        (rules || []).forEach(rule => {
+            alerts.push(estimateMetricAlertCost(rule, resourceCounts, pricing.metricAlertTimeSeries));
+        });
+    }
+    
+    return alerts;
+}
+
+// Azure Monitor workspaces (managed Prometheus) in the analyzed workspaces' subscriptions with their usage and cost
+async function fetchMonitorWorkspaces(workspaces) {
+    const accounts = [];
+    
+    for (const subscriptionId of Object.keys(getWorkspaceSubscriptions(workspaces))) {
+        const response = await fetch(`/api/subscriptions/${subscriptionId}/monitor-workspaces`, { headers: apiHeaders() });
+        if (!response.ok) {
+            console.warn(`Azure Monitor workspaces for ${subscriptionId} returned ${response.status}`);
+            continue;
+        }
+        
+        (await response.json()).forEach(account => {
+            const usage = account.usage;
+            const ingestedSamples = usage?.ingestedSamples || 0;
+            const processedSamples = usage ? usage.processedSamples : null;
+            accounts.push({
+                name: account.name,
+                location: account.location,
+                resourceGroup: extractResourceGroup(account.id),
+                hasMetrics: !!usage,
+                activeTimeSeries: usage?.activeTimeSeries || 0,
+                ingestedSamples,
+                processedSamples,
+                ...estimatePrometheusCost(ingestedSamples, processedSamples, getPricing(account.location))
+            });
+        });
+    }
+    
+    return accounts;
+}
+
+// Costs billed outside Log Analytics: metric alerts, Azure Monitor workspaces and the log search alerts priced earlier.
+// alertCosts: null when no log search alert rules were priced
+function summarizeBeyondLogs(metricAlerts, monitorWorkspaces, alertCosts) {
+    if (!metricAlerts?.length && !monitorWorkspaces?.length) return null;
+    
+    const enabledAlerts = (metricAlerts || []).filter(a => a.enabled);
+    const metricAlertCost = enabledAlerts.reduce((sum, a) => sum + a.monthlyCost, 0);
+    const prometheusCost = (monitorWorkspaces || []).reduce((sum, w) => sum + w.monthlyCost, 0);
+    const logAlertCost = alertCosts ? alertCosts.totalCost : null;
+    return {
+        metricAlerts: enabledAlerts.sort((a, b) => b.monthlyCost - a.monthlyCost),
+        disabledMetricAlerts: (metricAlerts || []).filter(a => !a.enabled),
+        monitorWorkspaces: (monitorWorkspaces || []).sort((a, b) => b.monthlyCost - a.monthlyCost),
+        metricAlertCost,
+        prometheusCost,
+        logAlertCost,
+        totalCost: metricAlertCost + prometheusCost + (logAlertCost || 0)
+    };
+}
+
+// Single card with metric alert and Azure Monitor workspace costs next to the log search alert total
+function formatBeyondLogsCards(beyondLogs) {
+    if (!beyondLogs) return '';
+    
+    const samples = count => count >= 1e9 ? `${(count / 1e9).toFixed(2)}B` : `${(count / 1e6).toFixed(1)}M`;
+    const alertRows = beyondLogs.metricAlerts.slice(0, 15).map(a =>
+        `| ${a.name} | ${a.resourceType} | ${a.resources} | ${a.signals} | ${a.timeSeries}${a.estimated ? ' (est.)' : ''} | $${a.monthlyCost.toFixed(2)} |`);
+    const workspaceRows = beyondLogs.monitorWorkspaces.map(w => w.hasMetrics
+        ? `| ${w.name} | ${w.location} | ${w.activeTimeSeries.toLocaleString()} | ${samples(w.ingestedSamples)} | ${w.processedSamples === null ? 'n/a' : samples(w.processedSamples)} | $${w.ingestCost.toFixed(2)} | ${w.processedSamples === null ? 'n/a' : `$${w.queryCost.toFixed(2)}`} |`
+        : `| ${w.name} | ${w.location} | n/a | n/a | n/a | n/a | n/a |`);
+    const multiResource = beyondLogs.metricAlerts.filter(a => a.resources > 1);
+    
+    return `
+[CARD:info]
+[TITLE]📡 Azure Monitor Beyond Logs[/TITLE]
+[IMPACT]$${beyondLogs.totalCost.toFixed(2)}/month outside Log Analytics ingestion[/IMPACT]
+
+| Service | Monthly cost |
+|---------|--------------|
+| Metric alert rules (${beyondLogs.metricAlerts.length}) | $${beyondLogs.metricAlertCost.toFixed(2)} |
+| Managed Prometheus (${beyondLogs.monitorWorkspaces.length} Azure Monitor workspace(s)) | $${beyondLogs.prometheusCost.toFixed(2)} |${beyondLogs.logAlertCost !== null ? `
+| Log search alert rules - see Alert Cost | $${beyondLogs.logAlertCost.toFixed(2)} |` : ''}
+${alertRows.length > 0 ? `
+Metric alert rules are billed per monitored time series - each resource in scope times each signal and dimension value:
+
+| Rule | Resource type | Resources | Signals | Time series | Monthly cost |
+|------|---------------|-----------|---------|-------------|--------------|
+${alertRows.join('\n')}
+${multiResource.length > 0 ? `
+${multiResource.length} multi-resource rule(s) grow with every resource added to their scope. Where they monitor many resources, a log search alert rule over the same data can cost less.
+` : ''}` : ''}${beyondLogs.disabledMetricAlerts.length > 0 ? `
+Disabled metric alert rules (not billed): ${beyondLogs.disabledMetricAlerts.map(a => a.name).join(', ')}
+` : ''}${workspaceRows.length > 0 ? `
+Azure Monitor workspaces - samples ingested and processed by queries over the last 30 days:
+
+| Workspace | Region | Active time series | Samples ingested | Samples queried | Ingestion cost | Query cost |
+|-----------|--------|--------------------|------------------|-----------------|----------------|------------|
+${workspaceRows.join('\n')}
+
+Send Prometheus metrics only to the Azure Monitor workspace - also collecting them into Log Analytics (InsightsMetrics) pays for the same data twice.
+` : ''}
+[ACTION]Review multi-resource metric alerts with many time series, and drop unused Prometheus scrape targets and metrics to reduce ingested samples[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/cost-usage[/DOCS]
+[/CARD]
+`;
+}
+
+// Get every table's plan and retention for a workspace
+async function fetchTableInventory(workspace) {
+    const subscriptionId = workspace.resourceId?.match(/subscriptions\/([^\/]+)/i)?.[1];
+    const resourceGroup = extractResourceGroup(workspace.resourceId);
+    const response = await fetch(
+        `/api/subscriptions/${subscriptionId}/resourceGroups/${resourceGroup}/workspaces/${workspace.name}/tables`,
+        { headers: apiHeaders() }
+    );
+    
+    if (!response.ok) {
+        throw new Error(`Tables API returned ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Keep the tables worth reporting - anything ingesting, not on Analytics, or with its own retention -
+// in the same { columns, rows } shape as query results
+function buildTableInventory(tables, workspace, queryResults) {
+    const volumeData = queryResults.dataVolumeByTable;
+    const typeIdx = volumeData?.columns?.indexOf('DataType') ?? 0;
+    const ingesting = new Set((volumeData?.rows || []).map(row => row[typeIdx]));
+    const workspaceRetention = workspace.retentionDays || 30;
+    
+    const rows = tables
+        .map(t => {
+            // Older API versions omit retentionInDaysAsDefault, so fall back to comparing with the workspace
+            const override = t.retentionInDaysAsDefault === false ||
+                (t.retentionInDaysAsDefault === undefined && t.retentionInDays !== undefined && t.retentionInDays !== workspaceRetention);
+            return [t.name, t.plan, t.retentionInDays ?? workspaceRetention, t.totalRetentionInDays ?? t.retentionInDays ?? workspaceRetention, t.tableSubType || 'Unknown', override];
+        })
+        .filter(row => ingesting.has(row[0]) || row[1] !== 'Analytics' || row[5]);
+    
+    return {
+        columns: ['TableName', 'Plan', 'RetentionInDays', 'TotalRetentionInDays', 'TableSubType', 'RetentionOverride'],
+        rows
+    };
+}
+
+// Map table name -> plan from the table inventory
+function getTablePlans(queryResults) {
+    const inventory = queryResults?.tableInventory;
+    const plans = {};
+    if (!inventory?.rows?.length) return plans;
+    
+    const nameIdx = inventory.columns.indexOf('TableName');
+    const planIdx = inventory.columns.indexOf('Plan');
+    inventory.rows.forEach(row => { plans[row[nameIdx]] = row[planIdx]; });
+    return plans;
+}
+
+// Run one analyzer on its own - if it throws, log it, record it in summary.failedAnalyses
+// and return its empty result so only that analyzer's cards are left out
+function runAnalyzer(summary, name, analyze, empty = []) {
+    try {
+        return analyze();
+    } catch (error) {
+        console.warn(`${name} analysis failed, its cards are left out:`, error);
+        summary.failedAnalyses.push(name);
+        return empty;
+    }
+}
+
+// Summarize query data to check if we have actual data
+// usedTables: tables read by alert rules and dashboards, null when they could not be fetched
+function summarizeQueryData(allQueryData, usedTables = null) {
+    const summary = {
+        totalWorkspaces: Object.keys(allQueryData).length,
+        workspacesWithData: 0,
+        workspacesEmpty: 0,
+        totalIngestionGB: 0,
+        estimatedMonthlyCost: 0, // Pay-as-you-go cost at each workspace's regional price
+        byResourceGroup: {},
+        failedAnalyses: [] // Analyzers that threw - their cards are left out
+    };
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const rg = ws?.resourceGroup || 'Unknown';
+        
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        
+        if (!summary.byResourceGroup[rg]) {
+            summary.byResourceGroup[rg] = { workspaces: [], totalGB: 0, totalCost: 0, hasData: false };
+        }
+        
+        // Check dataVolumeByTable for actual data
+        const volumeData = queryResults.dataVolumeByTable;
+        let wsGB = 0;
+        let wsCost = 0;
+        
+        if (volumeData && volumeData.rows && volumeData.rows.length > 0) {
+            // Sum up all BillableGB values (usually column index 1)
+            const gbIndex = volumeData.columns?.indexOf('BillableGB') ?? 1;
+            const typeIndex = volumeData.columns?.indexOf('DataType') ?? 0;
+            const tablePlans = getTablePlans(queryResults);
+            volumeData.rows.forEach(row => {
+                const gb = parseFloat(row[gbIndex]) || 0;
+                const plan = tablePlans[row[typeIndex]] || 'Analytics';
+                wsGB += gb;
+                // Sentinel ingests its free data sources at no charge
+                if (!(pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(row[typeIndex]))) {
+                    wsCost += gb * (plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics);
+                }
+            });
+        }
+        
+        summary.byResourceGroup[rg].workspaces.push({ name: wsName, gb: wsGB, cost: wsCost, location: ws?.location, sentinel: !!ws?.sentinelEnabled });
+        summary.byResourceGroup[rg].totalGB += wsGB;
+        summary.byResourceGroup[rg].totalCost += wsCost;
+        
+        if (wsGB > 0) {
+            summary.workspacesWithData++;
+            summary.byResourceGroup[rg].hasData = true;
+        } else {
+            summary.workspacesEmpty++;
+        }
+        
+        summary.totalIngestionGB += wsGB;
+        summary.estimatedMonthlyCost += wsCost;
+    }
+    
+    // Dedicated cluster modelling for workspaces sharing a region
+    summary.dedicatedClusters = runAnalyzer(summary, 'dedicatedClusters', () => analyzeDedicatedClusters(allQueryData, summary));
+    
+    // Sentinel pricing, free data sources and split-workspace modelling
+    summary.sentinelWorkspaces = runAnalyzer(summary, 'sentinelWorkspaces', () => analyzeSentinelWorkspaces(allQueryData));
+    
+    // Interactive vs long-term retention cost per table
+    summary.retention = runAnalyzer(summary, 'retention', () => analyzeRetention(allQueryData));
+    
+    // 30/90/180-day ingestion forecast with tier and daily cap crossings
+    summary.forecasts = runAnalyzer(summary, 'forecasts', () => analyzeForecasts(allQueryData, summary));
+    
+    // Daily and hourly ingestion spikes with their top contributors
+    summary.anomalies = runAnalyzer(summary, 'anomalies', () => analyzeAnomalies(allQueryData));
+    
+    // Daily cap vs percentiles of daily ingestion, and days the cap was hit
+    summary.dailyCaps = runAnalyzer(summary, 'dailyCaps', () => analyzeDailyCaps(allQueryData));
+    
+    // Heavy, rarely-queried columns a transformation could drop
+    summary.columnSizes = runAnalyzer(summary, 'columnSizes', () => analyzeColumnSizes(allQueryData));
+    
+    // Ingestion-time filters for noisy tables and the volume they drop
+    summary.transforms = runAnalyzer(summary, 'transforms', () => analyzeTransforms(allQueryData));
+    
+    // Perf volume per counter at slower sampling intervals
+    summary.perfSampling = runAnalyzer(summary, 'perfSampling', () => analyzePerfSampling(allQueryData));
+    
+    // Container log noise by namespace and the ContainerLogV2 migration
+    summary.containerInsights = runAnalyzer(summary, 'containerInsights', () => analyzeContainerInsights(allQueryData));
+    
+    // Application Insights volume per cloud role and recommended sampling
+    summary.appInsights = runAnalyzer(summary, 'appInsights', () => analyzeAppInsights(allQueryData));
+    
+    // Diagnostic settings categories, modes and volumes
+    summary.diagnosticSettings = runAnalyzer(summary, 'diagnosticSettings', () => analyzeDiagnosticSettings(allQueryData));
+    
+    // The same sources sent to more than one analyzed workspace
+    summary.crossWorkspace = runAnalyzer(summary, 'crossWorkspace', () => analyzeCrossWorkspaceDuplicates(allQueryData), null);
+    
+    // Machines still on legacy agents and their data sources
+    summary.agentMigration = runAnalyzer(summary, 'agentMigration', () => analyzeAgentMigration(allQueryData));
+    
+    // SecurityEvent and Event noise by event ID with XPath filters
+    summary.windowsEvents = runAnalyzer(summary, 'windowsEvents', () => analyzeWindowsEvents(allQueryData));
+    
+    // Syslog noise by facility, severity and process with DCR filters
+    summary.syslog = runAnalyzer(summary, 'syslog', () => analyzeSyslog(allQueryData));
+    
+    // Tables nobody reads, apart from the alert rules and dashboards that use them
+    summary.unusedTables = runAnalyzer(summary, 'unusedTables', () => analyzeUnusedTables(allQueryData, usedTables));
+    
+    // Savings per recommendation type, for the AI prompt and the savings counter
+    summary.savingsEstimates = calculateSavingsEstimates(allQueryData, summary);
+    
+    return summary;
+}
+
+// Extract complete days from the dailyIngestionTrend query results
+function getDailyIngestionSeries(queryResults) {
+    const trend = queryResults?.dailyIngestionTrend;
+    if (!trend?.rows?.length) return [];
+    
+    const timeIdx = trend.columns?.indexOf('TimeGenerated') ?? 0;
+    const gbIdx = trend.columns?.indexOf('DailyGB') ?? 1;
+    const series = trend.rows
+        .map(row => ({ date: new Date(row[timeIdx]), gb: parseFloat(row[gbIdx]) || 0 }))
+        .filter(point => !isNaN(point.date))
+        .sort((a, b) => a.date - b.date);
+    
+    // ago(30d) binned by day yields a partial first bin, and today is still in progress
+    const today = new Date().toISOString().slice(0, 10);
+    const complete = series.length > 30 ? series.slice(1) : series;
+    return complete.filter(point => point.date.toISOString().slice(0, 10) !== today);
+}
+
+// Run the commitment tier calculator against one workspace's daily ingestion
+function analyzeWorkspaceCommitmentTiers(workspaceName, queryResults) {
+    const ws = currentWorkspaces.find(w => w.name === workspaceName);
+    const series = getDailyIngestionSeries(queryResults);
+    return calculateCommitmentTiers(series.map(point => point.gb), ws?.location, { sentinel: ws?.sentinelEnabled });
+}
+
+// Model dedicated clusters from the per-workspace totals, grouped by region
+function analyzeDedicatedClusters(allQueryData, summary) {
+    const workspaces = Object.values(summary.byResourceGroup)
+        .flatMap(rg => rg.workspaces)
+        .map(ws => ({
+            name: ws.name,
+            location: ws.location,
+            sentinel: ws.sentinel,
+            monthlyGB: ws.gb,
+            currentMonthlyCost: ws.cost,
+            dailySeries: getDailyIngestionSeries(allQueryData[ws.name])
+        }));
+    return calculateDedicatedClusters(workspaces);
+}
+
+// Price each Sentinel-enabled workspace at combined rates and model splitting out operational data
+function analyzeSentinelWorkspaces(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        if (!ws?.sentinelEnabled) continue;
+        
+        const volumeData = queryResults.dataVolumeByTable;
+        const gbIdx = volumeData?.columns?.indexOf('BillableGB') ?? 1;
+        const typeIdx = volumeData?.columns?.indexOf('DataType') ?? 0;
+        const tables = (volumeData?.rows || []).map(row => ({ name: row[typeIdx], gb: parseFloat(row[gbIdx]) || 0 }));
+        
+        // Free data sources are usually reported as non-billable, so read them from their own query
+        const freeData = queryResults.sentinelFreeData;
+        const freeIdx = freeData?.columns?.indexOf('TotalGB') ?? 1;
+        const freeTypeIdx = freeData?.columns?.indexOf('DataType') ?? 0;
+        const freeSources = (freeData?.rows || []).map(row => ({ name: row[freeTypeIdx], gb: parseFloat(row[freeIdx]) || 0 }));
+        
+        results.push({ workspace: wsName, freeSources, ...calculateSentinelSplit(tables, ws.location) });
+    }
+    
+    return results;
+}
+
+// Price each table's interactive vs long-term retention and the recommended split
+function analyzeRetention(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const volumeData = queryResults.dataVolumeByTable;
+        if (!volumeData?.rows?.length) continue;
+        
+        const gbIdx = volumeData.columns?.indexOf('BillableGB') ?? 1;
+        const typeIdx = volumeData.columns?.indexOf('DataType') ?? 0;
+        const workspaceRetention = ws?.retentionDays || 30;
+        
+        // Per-table retention from the table inventory
+        const inventory = queryResults.tableInventory;
+        const tableRetention = {};
+        (inventory?.rows || []).forEach(row => {
+            tableRetention[row[inventory.columns.indexOf('TableName')]] = {
+                plan: row[inventory.columns.indexOf('Plan')],
+                retentionInDays: row[inventory.columns.indexOf('RetentionInDays')],
+                totalRetentionInDays: row[inventory.columns.indexOf('TotalRetentionInDays')]
+            };
+        });
+        
+        const tables = volumeData.rows.map(row => {
+            const table = tableRetention[row[typeIdx]] || {};
+            return {
+                name: row[typeIdx],
+                monthlyGB: parseFloat(row[gbIdx]) || 0,
+                ...calculateRetentionCost(
+                    parseFloat(row[gbIdx]) || 0,
+                    table.retentionInDays ?? workspaceRetention,
+                    table.totalRetentionInDays ?? table.retentionInDays ?? workspaceRetention,
+                    ws?.location,
+                    { sentinel: ws?.sentinelEnabled, plan: table.plan || 'Analytics' }
+                )
+            };
+        }).filter(t => t.currentMonthlyCost > 0.01);
+        
+        if (tables.length === 0) continue;
+        results.push({
+            workspace: wsName,
+            retentionDays: workspaceRetention,
+            tables,
+            currentMonthlyCost: tables.reduce((sum, t) => sum + t.currentMonthlyCost, 0),
+            monthlySavings: tables.reduce((sum, t) => sum + t.monthlySavings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Forecast each workspace's daily ingestion and find when it crosses a commitment tier or its daily cap
+function analyzeForecasts(allQueryData, summary) {
+    const results = [];
+    const workspaceTotals = Object.values(summary.byResourceGroup).flatMap(rg => rg.workspaces);
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const forecast = forecastIngestion(getDailyIngestionSeries(queryResults));
+        if (!forecast) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const totals = workspaceTotals.find(w => w.name === wsName);
+        const dailyCapGB = ws?.dailyQuotaGb || null;
+        
+        results.push({
+            workspace: wsName,
+            forecast,
+            // Current blended rate, so plans and free tables are priced as they are today
+            ratePerGB: totals?.gb > 0 ? totals.cost / totals.gb : pricing.analytics,
+            tierCrossings: findTierCrossings(forecast, pricing.commitmentTiers),
+            dailyCapGB,
+            capCrossing: dailyCapGB ? findForecastCrossing(forecast, dailyCapGB) : null
+        });
+    }
+    
+    return results;
+}
+
+// Compare each workspace's daily cap with its daily ingestion and the days the cap was hit
+function analyzeDailyCaps(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const series = getDailyIngestionSeries(queryResults);
+        if (series.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const capHits = queryResults.capHitEvents?.rows || [];
+        const advice = calculateDailyCap(series.map(point => point.gb), ws?.dailyQuotaGb, ws?.location, {
+            sentinel: ws?.sentinelEnabled,
+            capHitDays: capHits.length
+        });
+        results.push({ workspace: wsName, sentinel: !!ws?.sentinelEnabled, ...advice });
+    }
+    
+    return results;
+}
+
+// Format daily cap advice for AI consumption
+function formatDailyCapsForAI(dailyCaps) {
+    if (!dailyCaps?.length) return '';
+    
+    let formatted = '\n## Daily Cap Advisor (from percentiles of daily ingestion)\n';
+    formatted += '| Workspace | Current cap | p50 GB/day | p95 GB/day | Peak GB/day | Days cap hit | Status | Recommended cap | Alert at |\n|---|---|---|---|---|---|---|---|---|\n';
+    dailyCaps.forEach(c => {
+        formatted += `| ${c.workspace}${c.sentinel ? ' (Sentinel)' : ''} | ${c.currentCapGB ? `${c.currentCapGB} GB` : 'none'} | ${c.p50GB.toFixed(2)} | ${c.p95GB.toFixed(2)} | ${c.peakGB.toFixed(2)} | ${c.capHitDays} | ${c.status} | ${c.recommendedCapGB} GB | ${c.alertThresholdGB.toFixed(1)} GB |\n`;
+    });
+    return formatted;
+}
+
+// Match each spike with its drill-down contributors and price the excess
+function analyzeAnomalies(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const spikes = getAnomalySpikes(queryResults);
+        if (spikes.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const drillDown = queryResults.anomalyDrillDown;
+        const col = name => drillDown.columns.indexOf(name);
+        
+        spikes.forEach(spike => {
+            spike.contributors = (drillDown?.rows || [])
+                .filter(row => row[col('DataType')] === spike.dataType &&
+                    row[col('Granularity')] === spike.granularity &&
+                    new Date(row[col('TimeGenerated')]).getTime() === spike.time.getTime())
+                .map(row => ({
+                    computer: row[col('Computer')],
+                    resourceId: row[col('ResourceId')],
+                    excessGB: parseFloat(row[col('ExcessGB')]) || 0
+                }));
+        });
+        
+        // Hourly spikes inside a spiking day are already counted by the daily spike
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const dailySpikes = spikes.filter(s => s.granularity === 'day');
+        results.push({
+            workspace: wsName,
+            spikes,
+            excessGB: dailySpikes.reduce((sum, s) => sum + s.excessGB, 0),
+            excessCost: dailySpikes.reduce((sum, s) => {
+                const plan = getTablePlans(queryResults)[s.dataType];
+                return sum + s.excessGB * (plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics);
+            }, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Name a spike contributor by computer, or by the resource name at the end of its resource ID
+function formatAnomalyContributor(contributor) {
+    const name = contributor.computer || contributor.resourceId?.split('/').pop() || 'unknown source';
+    return `${name} (+${contributor.excessGB.toFixed(2)} GB)`;
+}
+
+// Warning card per workspace listing its spikes and top contributors
+function formatAnomalyCards(anomalies) {
+    return (anomalies || []).map(a => {
+        const rows = a.spikes.slice(0, 10).map(spike => {
+            const when = spike.granularity === 'day'
+                ? spike.time.toISOString().slice(0, 10)
+                : `${spike.time.toISOString().slice(0, 13).replace('T', ' ')}:00 UTC`;
+            const contributors = spike.contributors?.length > 0
+                ? spike.contributors.slice(0, 3).map(formatAnomalyContributor).join(', ')
+                : 'not drilled down';
+            return `| ${when} | ${spike.dataType} | ${spike.ingestedGB.toFixed(2)} GB | ${spike.baselineGB.toFixed(2)} GB | +${spike.excessGB.toFixed(2)} GB | ${contributors} |`;
+        });
+        
+        return `
+[CARD:warning]
+[TITLE]📈 Ingestion Anomalies - ${a.workspace}[/TITLE]
+[IMPACT]${a.spikes.length} spike${a.spikes.length === 1 ? '' : 's'}${a.excessGB > 0 ? `, +${a.excessGB.toFixed(1)} GB above baseline (~$${a.excessCost.toFixed(2)})` : ''}[/IMPACT]
+
+Ingestion rose above its expected level (series_decompose_anomalies over daily and hourly Usage per table):
+
+| When | Table | Ingested | Expected | Excess | Top contributors |
+|------|-------|----------|----------|--------|------------------|
+${rows.join('\n')}
+
+[ACTION]Check the top contributors for new diagnostic settings, verbose logging or added agents around those times; filter the noise with a DCR transformation if spikes recur[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/analyze-usage[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Format ingestion anomalies for AI consumption
+function formatAnomaliesForAI(anomalies) {
+    if (!anomalies?.length) return '';
+    
+    let formatted = '\n## Ingestion Anomalies (shown to the user as separate warning cards - do not create anomaly cards)\n';
+    anomalies.forEach(a => {
+        formatted += `- ${a.workspace}: ${a.spikes.length} spike(s) in ${[...new Set(a.spikes.map(s => s.dataType))].join(', ')}, +${a.excessGB.toFixed(1)} GB above baseline\n`;
+    });
+    return formatted;
+}
+
+// Format droppable columns for AI consumption
+function formatColumnSizesForAI(columnSizes) {
+    if (!columnSizes?.length) return '';
+    
+    let formatted = '\n## Droppable Columns (shown to the user as separate cards - do not create column cards)\n';
+    columnSizes.forEach(c => {
+        formatted += `- ${c.workspace}: ${c.tables.flatMap(t => t.droppable.map(d => `${t.table}.${d.column}`)).join(', ')} - ${c.gb.toFixed(1)} GB, $${c.cost.toFixed(2)}/month\n`;
+    });
+    return formatted;
+}
+
+// Format DCR transformations for AI consumption
+function formatTransformsForAI(transforms) {
+    if (!transforms?.length) return '';
+    
+    let formatted = '\n## DCR Transformations (shown to the user as separate cards with the DCR JSON - do not create transformation cards)\n';
+    transforms.forEach(t => {
+        formatted += `- ${t.workspace}: ${t.tables.map(table => `${table.table} (${table.description.toLowerCase()})`).join(', ')} - ${t.gb.toFixed(1)} GB, $${t.cost.toFixed(2)}/month\n`;
+    });
+    return formatted;
+}
+
+// Format performance counter sampling for AI consumption
+function formatPerfSamplingForAI(perfSampling) {
+    if (!perfSampling?.length) return '';
+    
+    let formatted = '\n## Performance Counter Sampling (shown to the user as separate cards with the DCR block - do not create Perf sampling cards)\n';
+    perfSampling.forEach(p => {
+        formatted += `- ${p.workspace}: ${p.counters.filter(c => c.intervalSeconds < PERF_PROPOSED_INTERVAL).length} counter(s) sampled faster than ${PERF_PROPOSED_INTERVAL}s - ${p.savingsGB.toFixed(1)} GB, $${p.savings.toFixed(2)}/month saved at ${PERF_PROPOSED_INTERVAL}s\n`;
+    });
+    return formatted;
+}
+
+// Format Container Insights analysis for AI consumption
+function formatContainerInsightsForAI(containerInsights) {
+    if (!containerInsights?.length) return '';
+    
+    let formatted = '\n## Container Insights (shown to the user as separate cards with the ConfigMap and migration plan - do not create container cards)\n';
+    containerInsights.forEach(ci => {
+        formatted += `- ${ci.workspace}: ${ci.clusters.length} cluster(s), namespace exclusions save ${ci.exclusionGB.toFixed(1)} GB ($${ci.exclusionSavings.toFixed(2)}/month)${ci.legacyClusters.length ? `, ${ci.legacyClusters.length} cluster(s) on legacy ContainerLog - migrating saves $${ci.migrationSavings.toFixed(2)}/month` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format Application Insights sampling analysis for AI consumption
+function formatAppInsightsForAI(appInsights) {
+    if (!appInsights?.length) return '';
+    
+    let formatted = '\n## Application Insights Sampling (shown to the user as separate cards with SDK snippets - do not create sampling cards)\n';
+    appInsights.forEach(ai => {
+        formatted += `- ${ai.workspace}: ${ai.roles.length} cloud role(s), ${ai.monthlyGB.toFixed(1)} GB/month${ai.recommended.length ? ` - sampling ${ai.recommended.map(r => `${r.role} at ${r.recommendation.percentage}%`).join(', ')} saves ${ai.savingsGB.toFixed(1)} GB ($${ai.savings.toFixed(2)}/month)` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format diagnostic settings inventory for AI consumption
+function formatDiagnosticSettingsForAI(diagnosticSettings) {
+    if (!diagnosticSettings?.length) return '';
+    
+    let formatted = '\n## Diagnostic Settings (shown to the user as separate cards - do not create diagnostic settings cards)\n';
+    diagnosticSettings.forEach(d => {
+        formatted += `- ${d.workspace}: ${d.settings.length} setting(s)${d.disable.length ? `, disabling ${d.disable.map(c => `${c.resource} ${c.name}`).join(', ')} saves ${d.disableGB.toFixed(1)} GB ($${d.disableSavings.toFixed(2)}/month)` : ''}${d.legacy.length ? `, ${d.legacy.length} in AzureDiagnostics mode (${d.legacyGB.toFixed(1)} GB)` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format cross-workspace duplicates for AI consumption
+function formatCrossWorkspaceForAI(crossWorkspace) {
+    if (!crossWorkspace) return '';
     
-    const context = document.getElementById('context').value;
+    let formatted = '\n## Duplicate Data Across Workspaces (shown to the user as a separate card - do not create cross-workspace duplicate cards)\n';
+    formatted += `- ${crossWorkspace.duplicates.length} source/table pair(s) sent to more than one workspace - ${crossWorkspace.gb.toFixed(1)} GB, $${crossWorkspace.cost.toFixed(2)}/month paid twice\n`;
+    formatted += `- ${crossWorkspace.multiHomed.length} multi-homed agent(s)\n`;
+    return formatted;
+}
+
+// Format the agent migration plan for AI consumption
+function formatAgentMigrationForAI(agentMigration) {
+    if (!agentMigration?.length) return '';
     
-    // Use selected workspaces from checkboxes
-    const workspacesToAnalyze = selectedWorkspaces;
+    let formatted = '\n## Azure Monitor Agent Migration (shown to the user as separate cards with the migration plan - do not create agent migration cards)\n';
+    agentMigration.forEach(m => {
+        formatted += `- ${m.workspace}: ${m.legacyMachines.length} machine(s) on legacy agents (${m.bothCount} also running AMA), ${m.legacyGB.toFixed(1)} GB/month from legacy data sources${m.savings > 0 ? `, DCR filters would save $${m.savings.toFixed(2)}/month` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format the Windows event noise analysis for AI consumption
+function formatWindowsEventsForAI(windowsEvents) {
+    if (!windowsEvents?.length) return '';
     
-    console.log('Workspaces to analyze:', workspacesToAnalyze.length);
+    let formatted = '\n## Windows Event Noise (shown to the user as separate cards with the XPath DCR block - do not create SecurityEvent or Event filtering cards)\n';
+    windowsEvents.forEach(w => {
+        formatted += `- ${w.workspace}: SecurityEvent ${w.securityGB.toFixed(1)} GB, Event ${w.eventGB.toFixed(1)} GB/month${w.noisy.length ? `, noisy event IDs ${[...new Set(w.noisy.map(e => e.eventId))].join(', ')}` : ''}, XPath filters save ${w.xPathGB.toFixed(1)} GB ($${w.xPathSavings.toFixed(2)}/month)${w.commonGB > 0 ? `, All Events to Common saves ${w.commonGB.toFixed(1)} GB ($${w.commonSavings.toFixed(2)}/month)` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format the Syslog noise analysis for AI consumption
+function formatSyslogForAI(syslog) {
+    if (!syslog?.length) return '';
     
-    if (workspacesToAnalyze.length === 0) {
-        showError('Please select at least one workspace');
-        return;
-    }
+    let formatted = '\n## Syslog Noise (shown to the user as separate cards with the syslog DCR block and transformation - do not create Syslog filtering cards)\n';
+    syslog.forEach(s => {
+        formatted += `- ${s.workspace}: Syslog ${s.totalGB.toFixed(1)} GB/month, minimum levels per facility save ${s.levelGB.toFixed(1)} GB ($${s.levelSavings.toFixed(2)}/month)${s.noisy.length ? `, noisy processes ${s.noisy.map(p => p.name).join(', ')} save ${s.processGB.toFixed(1)} GB ($${s.processSavings.toFixed(2)}/month)` : ''}\n`;
+    });
+    return formatted;
+}
+
+// Format the unused table report for AI consumption
+function formatUnusedTablesForAI(unusedTables) {
+    if (!unusedTables?.length) return '';
     
-    // Warn if selecting too many
-    if (workspacesToAnalyze.length > 10) {
-        if (!confirm(`You selected ${workspacesToAnalyze.length} workspaces. This may take a while and could hit rate limits. Continue?`)) {
+    let formatted = '\n## Unused Tables (shown to the user as separate cards with the suggested action per table - do not create unused table cards)\n';
+    unusedTables.forEach(u => {
+        if (u.needsQueryLogs) {
+            formatted += `- ${u.workspace}: LAQueryLogs covers ${u.queryLogDays} day(s) - not enough to tell which tables are unread\n`;
             return;
         }
-    }
+        formatted += `- ${u.workspace}: ${u.tables.length} table(s) unread for 30 days (${u.unread90} for ${Math.min(u.queryLogDays, 90)}), $${u.totalCost.toFixed(2)}/month: ${u.tables.slice(0, 10).map(t => `${t.name} (${t.action})`).join(', ')}; suggestions save $${u.savings.toFixed(2)}/month\n`;
+    });
+    return formatted;
+}
+
+// Format log search alert rule costs for AI consumption
+function formatAlertCostsForAI(alertCosts) {
+    if (!alertCosts) return '';
     
-    // Show progress section
-    inputSection.hidden = true;
-    progressSection.hidden = false;
+    let formatted = '\n## Alert Rule Cost (shown to the user as a separate card with per-rule costs - do not create alert frequency cards)\n';
+    formatted += `- ${alertCosts.rules.length} enabled log search alert rule(s) cost $${alertCosts.totalCost.toFixed(2)}/month; ${alertCosts.frequent.length} evaluated every minute could save $${alertCosts.savings.toFixed(2)}/month at 5 or 15 minutes; ${alertCosts.disabled.length} disabled\n`;
+    return formatted;
+}
+
+// Format metric alert and Azure Monitor workspace costs for AI consumption
+function formatBeyondLogsForAI(beyondLogs) {
+    if (!beyondLogs) return '';
     
-    console.log('Progress section visible');
+    let formatted = '\n## Azure Monitor Beyond Logs (shown to the user as a separate card - do not create metric alert or Prometheus cost cards)\n';
+    formatted += `- Metric alert rules: ${beyondLogs.metricAlerts.length} enabled, $${beyondLogs.metricAlertCost.toFixed(2)}/month (${beyondLogs.metricAlerts.filter(a => a.resources > 1).length} multi-resource)\n`;
+    formatted += `- Managed Prometheus: ${beyondLogs.monitorWorkspaces.length} Azure Monitor workspace(s), $${beyondLogs.prometheusCost.toFixed(2)}/month\n`;
+    return formatted;
+}
+
+// Format ingestion forecasts for AI consumption
+function formatForecastsForAI(forecasts) {
+    if (!forecasts?.length) return '';
     
-    try {
-        // Step 1: Run queries for all workspaces
-        const totalWorkspaces = workspacesToAnalyze.length;
-        let allQueryData = {};
-        let allWorkspaceConfigs = [];
-        
-        for (let i = 0; i < workspacesToAnalyze.length; i++) {
-            const ws = workspacesToAnalyze[i];
-            updateProgress('progressQueries', 'running', `Querying workspace ${i + 1}/${totalWorkspaces}: ${ws.name}...`);
-            
-            const queryResults = await fetch('/api/query', {
-                method: 'POST',
-                headers: apiHeaders(),
-                body: JSON.stringify({
-                    workspaceId: ws.id,
-                    queries: analysisQueries
-                })
-            });
-            
-            if (!queryResults.ok) {
-                console.error(`Failed to query workspace ${ws.name}`);
-                continue;
-            }
-            
-            const queryData = await queryResults.json();
-            allQueryData[ws.name] = queryData;
-            allWorkspaceConfigs.push({
-                name: ws.name,
-                resourceGroup: ws.resourceGroup,
-                sku: ws.sku,
-                retentionDays: ws.retentionDays,
-                location: ws.location
-            });
-        }
-        
-        // Group configs by RG for summary
-        const rgSummary = {};
-        allWorkspaceConfigs.forEach(cfg => {
-            const rg = cfg.resourceGroup || 'Unknown';
-            if (!rgSummary[rg]) rgSummary[rg] = [];
-            rgSummary[rg].push(cfg.name);
-        });
-        
-        updateProgress('progressQueries', 'complete', `Analyzed ${Object.keys(allQueryData).length} workspace(s) in ${Object.keys(rgSummary).length} RG(s)`);
-        
-        // Check if we got any actual data
-        const dataSummary = summarizeQueryData(allQueryData);
-        
-        // Format results for AI
-        const analysisData = formatMultiWorkspaceResults(allQueryData);
-        
-        // If no data at all, show a helpful message instead of calling AI
-        if (dataSummary.totalWorkspaces === 0 || dataSummary.workspacesWithData === 0) {
-            progressSection.hidden = true;
-            showNoDataResults(workspacesToAnalyze, dataSummary);
-            return;
-        }
-        
-        // If very minimal data (under 1GB total), show minimal data message
-        if (dataSummary.totalIngestionGB < 1) {
-            progressSection.hidden = true;
-            showMinimalDataResults(workspacesToAnalyze, dataSummary);
-            return;
-        }
-        
-        // Step 2: Get AI recommendations (only if we have meaningful data)
-        updateProgress('progressAI', 'running', 'Generating AI recommendations...');
+    let formatted = '\n## Ingestion Forecast (shown to the user as a chart - mention crossings, do not repeat the table)\n';
+    forecasts.forEach(f => {
+        formatted += formatForecastForPrompt(f.workspace, f.forecast, f);
+    });
+    return formatted;
+}
+
+// Render a forecast card per workspace, matching formatMarkdown's card markup
+function formatForecastCards(forecasts) {
+    const day = date => date ? date.toISOString().slice(0, 10) : 'n/a';
+    
+    return (forecasts || []).map(f => {
+        const growth = `${f.forecast.monthlyGrowthPct >= 0 ? '+' : ''}${f.forecast.monthlyGrowthPct.toFixed(1)}%/month`;
+        const thresholds = f.tierCrossings.map(c => ({ gb: c.gbPerDay, label: `${c.gbPerDay} GB/day tier` }));
+        if (f.dailyCapGB) thresholds.push({ gb: f.dailyCapGB, label: `Daily cap ${f.dailyCapGB} GB` });
+        const lastHorizon = f.forecast.horizons[f.forecast.horizons.length - 1];
         
-        const aiResponse = await fetch('/api/recommendations', {
-            method: 'POST',
-            headers: apiHeaders(),
-            body: JSON.stringify({
-                workspaceName: totalWorkspaces > 1 ? `Multiple (${totalWorkspaces})` : workspacesToAnalyze[0].name,
-                workspaceConfig: totalWorkspaces > 1 
-                    ? { summary: `${totalWorkspaces} workspaces analyzed`, workspaces: allWorkspaceConfigs }
-                    : allWorkspaceConfigs[0],
-                analysisData,
-                context
-            })
+        let html = `<div class="rec-card rec-card-info">`;
+        html += `<div class="rec-card-header">`;
+        html += `<span class="rec-card-icon">📈</span>`;
+        html += `<span class="rec-card-title">Ingestion Forecast - ${f.workspace}</span>`;
+        html += `<span class="rec-card-impact">${growth}</span>`;
+        html += `</div>`;
+        html += `<div class="rec-card-body">`;
+        html += `<div class="forecast-chart-container">${renderForecastChart(f.forecast, thresholds)}</div>`;
+        html += `<table class="ai-table"><thead><tr><th>Horizon</th><th>Forecast</th><th>95% range</th><th>Est. cost</th></tr></thead><tbody>`;
+        f.forecast.horizons.forEach(h => {
+            html += `<tr><td>Next ${h.days} days</td><td>${h.totalGB.toFixed(0)} GB</td><td>${h.lowerGB.toFixed(0)}-${h.upperGB.toFixed(0)} GB</td>`;
+            html += `<td>$${(h.lowerGB * f.ratePerGB).toFixed(0)}-$${(h.upperGB * f.ratePerGB).toFixed(0)}</td></tr>`;
         });
-        
-        if (!aiResponse.ok) {
-            const errorData = await aiResponse.json().catch(() => ({}));
-            throw new Error(errorData.error || 'Failed to get recommendations');
+        html += `</tbody></table>`;
+        html += `<p>Trend: ${f.forecast.currentDailyGB.toFixed(1)} GB/day today, ${lastHorizon.endDailyGB.toFixed(1)} GB/day in ${lastHorizon.days} days. Costs use today's rate of $${f.ratePerGB.toFixed(2)}/GB.</p>`;
+        const crossings = f.tierCrossings.map(c =>
+            `<li>Crosses the <strong>${c.gbPerDay} GB/day</strong> commitment tier around <strong>${day(c.date)}</strong> (as early as ${day(c.earliestDate)})</li>`);
+        if (f.capCrossing) {
+            crossings.push(`<li>${f.capCrossing.date ? `Reaches its <strong>${f.dailyCapGB} GB</strong> daily cap around <strong>${day(f.capCrossing.date)}</strong> (as early as ${day(f.capCrossing.earliestDate)})` : `Could reach its <strong>${f.dailyCapGB} GB</strong> daily cap as early as ${day(f.capCrossing.earliestDate)}`} - data above the cap is dropped</li>`);
         }
-        
-        const { recommendations } = await aiResponse.json();
-        updateProgress('progressAI', 'complete', 'Recommendations generated');
-        
-        // Show recommendations
-        progressSection.hidden = true;
-        showRecommendations(recommendations, workspacesToAnalyze, dataSummary);
-        
-        // Save to history
-        saveAnalysisToHistory(workspacesToAnalyze, dataSummary);
-        
-    } catch (error) {
-        console.error('Analysis error:', error);
-        progressSection.hidden = true;
-        inputSection.hidden = false;
-        showError(`Analysis failed: ${error.message}`);
-    }
+        if (crossings.length > 0) html += `<ul>${crossings.join('')}</ul>`;
+        html += `</div></div>`;
+        return html;
+    }).join('');
 }
 
-// Summarize query data to check if we have actual data
-function summarizeQueryData(allQueryData) {
-    const summary = {
-        totalWorkspaces: Object.keys(allQueryData).length,
-        workspacesWithData: 0,
-        workspacesEmpty: 0,
-        totalIngestionGB: 0,
-        byResourceGroup: {}
-    };
+// Compute savings per recommendation type from the query results.
+// Used to brief the AI and to check the [IMPACT] figures it returns.
+function calculateSavingsEstimates(allQueryData, summary) {
+    const planTables = [];
+    const heartbeats = [];
+    const tiers = [];
     
     for (const [wsName, queryResults] of Object.entries(allQueryData)) {
         const ws = currentWorkspaces.find(w => w.name === wsName);
-        const rg = ws?.resourceGroup || 'Unknown';
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const volumeData = queryResults.dataVolumeByTable;
+        if (!volumeData?.rows?.length) continue;
         
-        if (!summary.byResourceGroup[rg]) {
-            summary.byResourceGroup[rg] = { workspaces: [], totalGB: 0, hasData: false };
-        }
+        const gbIdx = volumeData.columns?.indexOf('BillableGB') ?? 1;
+        const typeIdx = volumeData.columns?.indexOf('DataType') ?? 0;
+        const tablePlans = getTablePlans(queryResults);
         
-        // Check dataVolumeByTable for actual data
-        const volumeData = queryResults.dataVolumeByTable;
-        let wsGB = 0;
+        // Projected query charges from LAQueryLogs, if enabled
+        const queryLogs = queryResults.lowQueryTables;
+        const queries = {};
+        (queryLogs?.rows || []).forEach(row => {
+            queries[row[queryLogs.columns.indexOf('Table')]] = {
+                avgQueriesPerDay: (parseFloat(row[queryLogs.columns.indexOf('QueryCount')]) || 0) / 30,
+                queryCost: (parseFloat(row[queryLogs.columns.indexOf('ScannedGB')]) || 0) * pricing.search
+            };
+        });
         
-        if (volumeData && volumeData.rows && volumeData.rows.length > 0) {
-            // Sum up all BillableGB values (usually column index 1)
-            const gbIndex = volumeData.columns?.indexOf('BillableGB') ?? 1;
-            wsGB = volumeData.rows.reduce((sum, row) => sum + (parseFloat(row[gbIndex]) || 0), 0);
-        }
+        const inventory = queryResults.tableInventory;
+        const subTypes = {};
+        (inventory?.rows || []).forEach(row => {
+            subTypes[row[inventory.columns.indexOf('TableName')]] = row[inventory.columns.indexOf('TableSubType')];
+        });
         
-        summary.byResourceGroup[rg].workspaces.push({ name: wsName, gb: wsGB });
-        summary.byResourceGroup[rg].totalGB += wsGB;
+        volumeData.rows.forEach(row => {
+            const name = row[typeIdx];
+            const gb = parseFloat(row[gbIdx]) || 0;
+            const plan = tablePlans[name] || 'Analytics';
+            planTables.push({
+                name,
+                gb,
+                cost: gb * pricing.analytics,
+                basicCost: gb * pricing.basic,
+                auxiliaryCost: gb * pricing.auxiliary,
+                ...(queries[name] || { avgQueriesPerDay: 0, queryCost: 0 }),
+                alreadyOptimized: plan !== 'Analytics',
+                classicCustom: subTypes[name] === 'Classic' && name.endsWith('_CL')
+            });
+        });
         
-        if (wsGB > 0) {
-            summary.workspacesWithData++;
-            summary.byResourceGroup[rg].hasData = true;
-        } else {
-            summary.workspacesEmpty++;
-        }
+        const tierAnalysis = analyzeWorkspaceCommitmentTiers(wsName, queryResults);
+        if (tierAnalysis?.recommended) tiers.push({ workspace: wsName, ...tierAnalysis });
         
-        summary.totalIngestionGB += wsGB;
+        // Heartbeats above 60/hour per computer
+        const freq = queryResults.heartbeatFrequency;
+        const excessive = queryResults.heartbeatAnalysis;
+        const heartbeatRow = volumeData.rows.find(row => row[typeIdx] === 'Heartbeat');
+        if (freq?.rows?.length && excessive?.rows?.length && heartbeatRow) {
+            const amount = calculateHeartbeatSavings(
+                (parseFloat(heartbeatRow[gbIdx]) || 0) * pricing.analytics,
+                excessive.rows.map(row => parseFloat(row[excessive.columns.indexOf('HeartbeatsPerHour')]) || 0),
+                parseFloat(freq.rows[0][freq.columns.indexOf('AvgHeartbeatsPerHour')]) || 0,
+                parseFloat(freq.rows[0][freq.columns.indexOf('ComputerCount')]) || 0
+            );
+            if (amount > 0) heartbeats.push({ workspace: wsName, computers: excessive.rows.length, amount });
+        }
     }
     
-    return summary;
+    const plan = calculatePlanSavings(planTables);
+    const retention = (summary.retention || []).filter(r => r.monthlySavings > 0.01);
+    
+    return {
+        basicLogs: { amount: plan.basicLogsSavings, detail: [...new Set(plan.basicLogs.map(t => t.name))].join(', ') },
+        auxiliary: { amount: plan.auxiliarySavings, detail: [...new Set(plan.auxiliary.map(t => t.name))].join(', ') },
+        commitmentTier: {
+            amount: tiers.reduce((sum, t) => sum + Math.abs(t.monthlyDelta), 0),
+            detail: tiers.map(t => `${t.workspace}: ${t.recommended.gbPerDay} GB/day`).join(', ')
+        },
+        retention: {
+            amount: retention.reduce((sum, r) => sum + r.monthlySavings, 0),
+            detail: retention.map(r => r.workspace).join(', ')
+        },
+        heartbeat: {
+            amount: heartbeats.reduce((sum, h) => sum + h.amount, 0),
+            detail: heartbeats.map(h => `${h.workspace}: ${h.computers} computer(s)`).join(', ')
+        }
+    };
+}
+
+// Format retention cost calculator results for AI consumption
+function formatRetentionForAI(retention) {
+    if (!retention?.length) return '';
+    
+    let formatted = '\n# Retention Cost Calculator (interactive vs long-term)\n';
+    retention.forEach(r => {
+        formatted += `## ${r.workspace}: workspace retention ${r.retentionDays} days, retention ≈ $${r.currentMonthlyCost.toFixed(2)}/month, recommended split saves $${r.monthlySavings.toFixed(2)}/month\n`;
+        formatted += '| Table | Monthly GB | Current Interactive / Total | Current Cost | Recommended Interactive / Total | New Cost | Savings |\n| --- | --- | --- | --- | --- | --- | --- |\n';
+        r.tables.forEach(t => {
+            formatted += `| ${t.name} | ${t.monthlyGB.toFixed(2)} | ${t.retentionInDays} / ${t.totalRetentionInDays} | $${t.currentMonthlyCost.toFixed(2)} | ${t.recommendedRetentionInDays} / ${t.recommendedTotalRetentionInDays} | $${t.recommendedMonthlyCost.toFixed(2)} | $${t.monthlySavings.toFixed(2)} |\n`;
+        });
+        formatted += '\n';
+    });
+    return formatted;
+}
+
+// Format Sentinel analysis for AI consumption
+function formatSentinelForAI(sentinelWorkspaces) {
+    if (!sentinelWorkspaces?.length) return '';
+    
+    let formatted = '\n# Microsoft Sentinel Workspaces\n';
+    sentinelWorkspaces.forEach(s => {
+        formatted += `## ${s.workspace}: billed at $${s.sentinelRatePerGB.toFixed(2)}/GB (Sentinel + Log Analytics), ≈ $${s.sentinelMonthlyCost.toFixed(2)}/month\n`;
+        formatted += `- Security data: ${s.securityGB.toFixed(2)} GB (${s.securityTables.map(t => t.name).join(', ') || 'none'})\n`;
+        formatted += `- Operational data: ${s.operationalGB.toFixed(2)} GB (${s.operationalTables.map(t => t.name).join(', ') || 'none'})\n`;
+        formatted += `- Free Sentinel data sources: ${s.freeSources.map(f => `${f.name} ${f.gb.toFixed(2)} GB`).join(', ') || 'none'}\n`;
+        formatted += `- Splitting operational data into a separate workspace saves $${s.splitMonthlySavings.toFixed(2)}/month - ${s.splitPaysOff ? 'RECOMMENDED' : 'not worth it'}\n\n`;
+    });
+    return formatted;
+}
+
+// Format dedicated cluster modelling for AI consumption
+function formatDedicatedClustersForAI(clusters) {
+    if (!clusters?.length) return '';
+    
+    let formatted = '\n# Dedicated Cluster Modelling (workspaces grouped by region)\n';
+    clusters.forEach(cluster => {
+        formatted += `## ${cluster.regionName}: ${cluster.workspaces.length} workspaces, combined ${cluster.avgDailyGB.toFixed(2)} GB/day\n`;
+        formatted += `Current cost $${cluster.currentMonthlyCost.toFixed(2)}/month, best standalone $${cluster.standaloneMonthlyCost.toFixed(2)}/month\n`;
+        formatted += cluster.qualifies
+            ? `Qualifies: ${cluster.clusterTier.gbPerDay} GB/day cluster commitment = $${cluster.clusterMonthlyCost.toFixed(2)}/month, saves $${cluster.monthlySavings.toFixed(2)}/month\n`
+            : `Does not qualify: a cluster would not beat standalone pricing (100 GB/day tier breaks even at ${cluster.breakEvenGBPerDay.toFixed(1)} GB/day)\n`;
+        formatted += '| Workspace | Monthly GB | Current Cost | Best Standalone Cost |\n| --- | --- | --- | --- |\n';
+        cluster.workspaces.forEach(ws => {
+            formatted += `| ${ws.name} | ${ws.monthlyGB.toFixed(2)} | $${ws.currentMonthlyCost.toFixed(2)} | $${ws.standaloneMonthlyCost.toFixed(2)}${ws.standaloneTier ? ` (${ws.standaloneTier} GB/day tier)` : ''} |\n`;
+        });
+        formatted += '\n';
+    });
+    return formatted;
+}
+
+// Format commitment tier calculator results for AI consumption
+function formatCommitmentTiersForAI(analysis) {
+    if (!analysis) return '';
+    
+    let formatted = `### Commitment Tier Calculator (${analysis.region}, ${analysis.days} days)\n`;
+    formatted += `Average ${analysis.avgDailyGB.toFixed(2)} GB/day, peak ${analysis.peakDailyGB.toFixed(2)} GB/day, pay-as-you-go $${analysis.paygMonthly.toFixed(2)}/month\n`;
+    formatted += '| Tier (GB/day) | Monthly Cost | Overage GB | Overage Cost | Unused GB | Wasted Commitment | vs Pay-As-You-Go | Break-even GB/day |\n';
+    formatted += '| --- | --- | --- | --- | --- | --- | --- | --- |\n';
+    analysis.tiers.forEach(t => {
+        formatted += `| ${t.gbPerDay} | $${t.monthlyCost.toFixed(2)} | ${t.overageGB.toFixed(1)} | $${t.overageCost.toFixed(2)} | ${t.unusedGB.toFixed(1)} | $${t.wastedCommitment.toFixed(2)} | ${t.monthlyDelta >= 0 ? '+' : '-'}$${Math.abs(t.monthlyDelta).toFixed(2)} | ${t.breakEvenGBPerDay.toFixed(1)} |\n`;
+    });
+    formatted += analysis.recommended
+        ? `Recommended tier: ${analysis.recommended.gbPerDay} GB/day (saves $${Math.abs(analysis.monthlyDelta).toFixed(2)}/month vs pay-as-you-go)\n\n`
+        : 'Recommended tier: none - pay-as-you-go is cheapest\n\n';
+    return formatted;
 }
 
 // Show results when no data is found
@@ -1038,7 +3497,7 @@ function showMinimalDataResults(workspaces, dataSummary) {
     const content = document.getElementById('recommendationsContent');
     
     const totalGB = dataSummary.totalIngestionGB.toFixed(2);
-    const monthlyCost = (dataSummary.totalIngestionGB * 2.76).toFixed(2); // Approx cost
+    const monthlyCost = dataSummary.estimatedMonthlyCost.toFixed(2); // Regional list price
     
     resourceInfo.innerHTML = `
         <strong>Workspaces:</strong> ${dataSummary.workspacesWithData}/${dataSummary.totalWorkspaces} with data | 
@@ -1071,21 +3530,20 @@ function showMinimalDataResults(workspaces, dataSummary) {
     `;
     
     for (const [rgName, rgData] of Object.entries(dataSummary.byResourceGroup)) {
-        const rgCost = (rgData.totalGB * 2.76).toFixed(2);
         const firstWs = rgData.workspaces[0];
         
         html += `<tr>
             <td rowspan="${rgData.workspaces.length}"><strong>${rgName}</strong></td>
             <td>${firstWs.name}</td>
             <td>${firstWs.gb.toFixed(3)} GB</td>
-            <td>$${(firstWs.gb * 2.76).toFixed(2)}</td>
+            <td>$${firstWs.cost.toFixed(2)}</td>
         </tr>`;
         
         rgData.workspaces.slice(1).forEach(ws => {
             html += `<tr>
                 <td>${ws.name}</td>
                 <td>${ws.gb.toFixed(3)} GB</td>
-                <td>$${(ws.gb * 2.76).toFixed(2)}</td>
+                <td>$${ws.cost.toFixed(2)}</td>
             </tr>`;
         });
     }
@@ -1153,7 +3611,7 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
         const totalGB = dataSummary.totalIngestionGB.toFixed(2);
         headerHtml = `
             <strong>Workspaces:</strong> ${dataSummary.workspacesWithData}/${dataSummary.totalWorkspaces} with data | 
-            <strong>Total Ingestion:</strong> ${totalGB} GB (30 days) |
+            <strong>Total Ingestion:</strong> ${totalGB} GB (30 days, ~$${dataSummary.estimatedMonthlyCost.toFixed(2)}) |
             <strong>Resource Groups:</strong> ${Object.keys(dataSummary.byResourceGroup).length}
         `;
     } else {
@@ -1190,7 +3648,7 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
     }
     
     const content = document.getElementById('recommendationsContent');
-    content.innerHTML = summaryHtml + formatMarkdown(recommendations);
+    content.innerHTML = summaryHtml + formatMarkdown(recommendations) + formatForecastCards(dataSummary?.forecasts);
     
     recommendationsSection.hidden = false;
     
@@ -1216,13 +3674,141 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
         
         displayChecklist(savedChecklist.items);
         
-        // Calculate and display savings
-        displaySavingsCounter();
+        // Calculate and display savings, checked against the computed figures
+        displaySavingsCounter(dataSummary?.savingsEstimates);
+        
+        // Chargeback view below the recommendations
+        currentChargeback = dataSummary?.chargeback || null;
+        renderChargeback();
     }, 100);
 }
 
-// Calculate and display total savings counter
-function displaySavingsCounter() {
+// Price each resource's billable ingestion at its workspace's rates and table plans
+function collectChargebackEntries(allQueryData) {
+    const entries = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.chargebackByResource;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tablePlans = getTablePlans(queryResults);
+        const col = name => data.columns.indexOf(name);
+        
+        data.rows.forEach(row => {
+            const table = row[col('TableName')];
+            const gb = parseFloat(row[col('BilledGB')]) || 0;
+            const plan = tablePlans[table] || 'Analytics';
+            const free = pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(table);
+            entries.push({
+                workspace: wsName,
+                resourceId: row[col('ResourceId')] || '',
+                subscriptionId: row[col('SubscriptionId')] || '',
+                table,
+                gb,
+                cost: free ? 0 : gb * (plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics)
+            });
+        });
+    }
+    
+    return entries;
+}
+
+// Workspaces whose chargeback rows were cut off at the query's row limit, with the volume left out
+function findTruncatedChargeback(allQueryData) {
+    return Object.entries(allQueryData)
+        .map(([wsName, queryResults]) => {
+            const data = queryResults.chargebackByResource;
+            if (!data?.rows?.length) return null;
+            const col = name => data.columns.indexOf(name);
+            const totalRows = parseInt(data.rows[0][col('TotalRows')]) || data.rows.length;
+            if (totalRows <= data.rows.length) return null;
+            const shownGB = data.rows.reduce((sum, row) => sum + (parseFloat(row[col('BilledGB')]) || 0), 0);
+            return {
+                workspace: wsName,
+                rows: data.rows.length,
+                totalRows,
+                missingGB: Math.max(0, (parseFloat(data.rows[0][col('TotalGB')]) || 0) - shownGB)
+            };
+        })
+        .filter(Boolean);
+}
+
+// Get resource groups and tags for the resources that emitted data
+async function fetchResourceMetadata(resourceIds) {
+    const response = await fetch('/api/resources/metadata', {
+        method: 'POST',
+        headers: apiHeaders(),
+        body: JSON.stringify({ resourceIds: [...new Set(resourceIds.filter(Boolean))] })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Resource metadata returned ${response.status}`);
+    }
+    
+    return response.json();
+}
+
+// Escape text read from Azure or written by the AI before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Render the chargeback view for the selected team tag
+function renderChargeback() {
+    const view = document.getElementById('chargebackView');
+    if (!currentChargeback?.entries?.length) {
+        view.hidden = true;
+        return;
+    }
+    
+    // Offer every tag key found, defaulting to a "team" tag
+    const select = document.getElementById('chargebackTagSelect');
+    const tagKeys = getChargebackTagKeys(currentChargeback.metadata);
+    if (select.options.length === 0 || select.dataset.keys !== tagKeys.join('|')) {
+        const preferred = tagKeys.find(k => k.toLowerCase() === CHARGEBACK_DEFAULT_TAG) || tagKeys[0] || CHARGEBACK_DEFAULT_TAG;
+        select.innerHTML = (tagKeys.length ? tagKeys : [CHARGEBACK_DEFAULT_TAG])
+            .map(k => `<option value="${escapeHtml(k)}"${k === preferred ? ' selected' : ''}>${escapeHtml(k)}</option>`).join('');
+        select.dataset.keys = tagKeys.join('|');
+    }
+    
+    const report = buildChargebackReport(currentChargeback.entries, currentChargeback.metadata, select.value);
+    const table = (headers, rows) => `<table class="ai-table"><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    const money = cost => `$${cost.toFixed(2)}`;
+    const truncated = (currentChargeback.truncated || []).map(t =>
+        `${escapeHtml(t.workspace)} (${t.rows} of ${t.totalRows} resource/table rows, ${t.missingGB.toFixed(2)} GB left out)`);
+    
+    document.getElementById('chargebackContent').innerHTML = `
+        <p><strong>Total:</strong> ${report.totalGB.toFixed(2)} GB, ${money(report.totalCost)} over 30 days</p>
+        ${truncated.length > 0 ? `<p class="checklist-subtitle">⚠️ Only the largest resources were returned for ${truncated.join(', ')} - totals per tag and resource group are understated by the volume left out</p>` : ''}
+        <h4>By ${escapeHtml(report.tagKey)} tag</h4>
+        ${table([report.tagKey, 'Resources', 'GB', 'Cost'], report.byTag.map(t => `<tr><td>${escapeHtml(t.name)}</td><td>${t.resources}</td><td>${t.gb.toFixed(2)}</td><td>${money(t.cost)}</td></tr>`))}
+        <h4>By resource group</h4>
+        ${table(['Resource group', 'Subscription', 'Resources', 'GB', 'Cost'], report.byResourceGroup.map(g => `<tr><td>${escapeHtml(g.resourceGroup || g.name)}</td><td>${escapeHtml(g.subscriptionId)}</td><td>${g.resources}</td><td>${g.gb.toFixed(2)}</td><td>${money(g.cost)}</td></tr>`))}
+        <h4>Top resources</h4>
+        ${table(['Resource', 'Type', 'Resource group', report.tagKey, 'GB', 'Cost'], report.byResource.slice(0, 25).map(r => `<tr><td title="${escapeHtml(r.resourceId)}">${escapeHtml(r.name)}</td><td>${escapeHtml(r.type)}</td><td>${escapeHtml(r.resourceGroup)}</td><td>${escapeHtml(r.team)}</td><td>${r.gb.toFixed(2)}</td><td>${money(r.cost)}</td></tr>`))}
+        ${report.byResource.length > 25 ? `<p class="checklist-subtitle">Showing 25 of ${report.byResource.length} resources - export the CSV for all of them</p>` : ''}
+    `;
+    view.hidden = false;
+}
+
+// Download the chargeback report as CSV
+function exportChargebackCsv() {
+    if (!currentChargeback?.entries?.length) return;
+    
+    const tagKey = document.getElementById('chargebackTagSelect').value || CHARGEBACK_DEFAULT_TAG;
+    const csv = chargebackToCsv(buildChargebackReport(currentChargeback.entries, currentChargeback.metadata, tagKey));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `azure-monitor-chargeback-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Calculate and display total savings counter.
+// With savingsEstimates, [IMPACT] figures that disagree with the computed savings are flagged and overridden.
+function displaySavingsCounter(savingsEstimates) {
     const cards = document.querySelectorAll('.rec-card-savings');
     if (cards.length === 0) {
         document.getElementById('savingsCounter').hidden = true;
@@ -1243,6 +3829,8 @@ function displaySavingsCounter() {
             if (!isNaN(amount)) {
                 totalSavings += amount;
                 savingsItems.push({
+                    card: card,
+                    type: classifySavingsCard(title),
                     title: title,
                     amount: amount,
                     description: impactText
@@ -1261,6 +3849,8 @@ function displaySavingsCounter() {
                 if (!isNaN(amount)) {
                     totalSavings += amount;
                     savingsItems.push({
+                        card: card,
+                        type: classifySavingsCard(title),
                         title: title,
                         amount: amount,
                         description: impactText
@@ -1270,6 +3860,24 @@ function displaySavingsCounter() {
         }
     });
     
+    // Replace figures the data doesn't support, spreading the computed amount across the cards of that type
+    const reconciled = reconcileSavings(savingsItems, savingsEstimates);
+    Object.entries(reconciled).forEach(([type, check]) => {
+        if (check.status !== 'mismatch') return;
+        
+        savingsItems.filter(item => item.type === type).forEach(item => {
+            const amount = check.reported > 0 ? check.expected * item.amount / check.reported : 0;
+            totalSavings += amount - item.amount;
+            item.amount = amount;
+            item.description += ` (AI reported a different figure)`;
+            
+            const impact = item.card.querySelector('.rec-card-impact');
+            if (impact && !impact.querySelector('.savings-flag')) {
+                impact.insertAdjacentHTML('beforeend', `<span class="savings-flag" title="Computed from the query results">⚠️ Data supports $${amount.toFixed(2)}/month</span>`);
+            }
+        });
+    });
+    
     if (totalSavings > 0) {
         // Animate counter
         animateSavingsCounter(totalSavings);
@@ -1337,6 +3945,7 @@ function formatMultiWorkspaceResults(allQueryData) {
         for (const [workspaceName, queryResults] of Object.entries(workspaces)) {
             formatted += `## Workspace: ${workspaceName}\n\n`;
             formatted += formatQueryResultsForAI(queryResults);
+            formatted += formatCommitmentTiersForAI(analyzeWorkspaceCommitmentTiers(workspaceName, queryResults));
             formatted += '\n---\n';
         }
     }
@@ -1346,6 +3955,9 @@ function formatMultiWorkspaceResults(allQueryData) {
 
 // Format markdown to HTML - card-based version
 function formatMarkdown(text) {
+    // Cards carry names read from Azure (resources, tags, tables, alert rules) - escape them before adding markup
+    text = escapeHtml(text);
+    
     // If no cards found, wrap entire response in an info card
     if (!text.includes('[CARD:')) {
         text = wrapInDefaultCards(text);
@@ -1442,20 +4054,29 @@ function wrapInDefaultCards(text) {
     return result || `[CARD:info]\n[TITLE]Analysis Results[/TITLE]\n${text}\n[/CARD]`;
 }
 
+// Cells of a markdown table row - empty cells are kept so later columns stay aligned
+function splitTableRow(row) {
+    return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+}
+
 // Format card body content
 function formatCardBody(text) {
     // Tables
     text = text.replace(/\|(.+)\|\n\|[-:\s|]+\|\n((?:\|.+\|\n?)+)/g, (match, header, body) => {
-        const headers = header.split('|').filter(h => h.trim()).map(h => `<th>${h.trim()}</th>`).join('');
+        const headers = splitTableRow(header).map(h => `<th>${h}</th>`).join('');
         const rows = body.trim().split('\n').map(row => {
-            const cells = row.split('|').filter(c => c.trim() !== '').map(c => `<td>${c.trim()}</td>`).join('');
+            const cells = splitTableRow(row).map(c => `<td>${c}</td>`).join('');
             return `<tr>${cells}</tr>`;
         }).join('');
         return `<table class="ai-table"><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>`;
     });
     
-    // Code blocks
-    text = text.replace(/```(\w*)\n([\s\S]*?)```/g, '<pre><code class="language-$1">$2</code></pre>');
+    // Code blocks - kept aside so line handling below leaves them whole
+    const codeBlocks = [];
+    text = text.replace(/```(\w*)\n([\s\S]*?)```/g, (match, lang, code) => {
+        codeBlocks.push(`<pre><code class="language-${lang}">${code}</code></pre>`);
+        return `\n%%CODE${codeBlocks.length - 1}%%\n`;
+    });
     
     // Inline code
     text = text.replace(/`([^`]+)`/g, '<code>$1</code>');
@@ -1473,6 +4094,8 @@ function formatCardBody(text) {
     text = lines.map(line => {
         line = line.trim();
         if (line.startsWith('<')) return line; // Already HTML
+        const code = line.match(/^%%CODE(\d+)%%$/);
+        if (code) return codeBlocks[code[1]];
         return `<p>${line}</p>`;
     }).join('');
     
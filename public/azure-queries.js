@@ -32,13 +32,57 @@ Usage
 | sort by BillableGB desc
 | take 15`,
 
+    // Perf sampling interval and volume per counter - each series' median seconds between samples (1 day)
+    perfCounterSampling: `
+Perf
+| where TimeGenerated > ago(1d)
+| where _IsBillable == true
+| summarize Samples = count(), Bytes = sum(_BilledSize), Span = max(TimeGenerated) - min(TimeGenerated) by Computer, ObjectName, CounterName, InstanceName
+| where Samples > 1
+| summarize IntervalSeconds = round(percentile(Span / 1s / (Samples - 1), 50), 0), Series = count(), Instances = dcount(InstanceName), AnyInstance = take_any(InstanceName),
+    MonthlyGB = round(sum(Bytes) * 30 / 1e9, 3) by ObjectName, CounterName
+| project ObjectName, CounterName, Instance = iff(Instances == 1, AnyInstance, '*'), Series, IntervalSeconds, MonthlyGB
+| top 50 by MonthlyGB desc`,
+
+    // Container log volume by cluster, namespace, pod and stream for both log schemas (7 days).
+    // Legacy ContainerLog rows get their namespace and pod from KubePodInventory.
+    containerLogBreakdown: `
+let since = ago(7d);
+let pods = KubePodInventory
+| where TimeGenerated > since
+| summarize by ContainerID, Namespace, PodName = Name;
+union isfuzzy=true
+    (ContainerLogV2
+    | where TimeGenerated > since and _IsBillable == true
+    | summarize GB = sum(_BilledSize) / 1e9 by ClusterId = tolower(_ResourceId), Namespace = PodNamespace, Pod = PodName, Stream = LogSource
+    | extend Schema = 'ContainerLogV2'),
+    (ContainerLog
+    | where TimeGenerated > since and _IsBillable == true
+    | summarize GB = sum(_BilledSize) / 1e9 by ContainerID, ClusterId = tolower(_ResourceId), Stream = LogEntrySource
+    | join kind=leftouter pods on ContainerID
+    | summarize GB = sum(GB) by ClusterId, Namespace, Pod = PodName, Stream
+    | extend Schema = 'ContainerLog')
+| project Schema, ClusterId, Namespace, Pod, Stream, GB = round(GB, 4)
+| top 500 by GB desc`,
+
+    // Container Insights inventory, event and metric tables (30 days)
+    containerInsightsTables: `
+Usage
+| where TimeGenerated > ago(30d)
+| where IsBillable == true
+| where DataType in ('KubePodInventory', 'KubeEvents', 'KubeNodeInventory', 'KubeServices', 'KubePVInventory', 'KubeMonAgentEvents', 'InsightsMetrics', 'ContainerInventory', 'ContainerNodeInventory')
+| summarize BillableGB = round(sum(Quantity) / 1000, 2) by DataType
+| sort by BillableGB desc`,
+
     // Tables with low query frequency (candidates for Basic Logs)
+    // ScannedGB splits each query's scanned data evenly across the tables and workspaces it targets
     lowQueryTables: `
 LAQueryLogs
 | where TimeGenerated > ago(30d)
 | extend Tables = todynamic(RequestTarget)
+| extend TableCount = max_of(array_length(Tables), 1), WorkspaceCount = max_of(StatsWorkspaceCount, 1)
 | mv-expand Tables
-| summarize QueryCount = count() by tostring(Tables)
+| summarize QueryCount = count(), ScannedGB = round(sum(StatsDataProcessedKB / TableCount / WorkspaceCount) / 1024 / 1024, 2) by tostring(Tables)
 | join kind=leftouter (
     Usage
     | where TimeGenerated > ago(30d)
@@ -46,9 +90,16 @@ LAQueryLogs
     | summarize IngestionGB = round(sum(Quantity) / 1000, 2) by DataType
 ) on $left.Tables == $right.DataType
 | where IngestionGB > 0.5
-| project Table = Tables, QueryCount, IngestionGB
+| project Table = Tables, QueryCount, ScannedGB, IngestionGB
 | sort by IngestionGB desc`,
 
+    // Heartbeat rate across all computers (expected ~60/hour each)
+    heartbeatFrequency: `
+Heartbeat
+| where TimeGenerated > ago(1d)
+| summarize HeartbeatsPerHour = count() / 24.0 by Computer
+| summarize AvgHeartbeatsPerHour = round(avg(HeartbeatsPerHour), 1), ComputerCount = count()`,
+
     // Heartbeat analysis (potential duplicates or excessive heartbeats)
     heartbeatAnalysis: `
 Heartbeat
@@ -81,13 +132,222 @@ Heartbeat
 | where AgentCount > 1
 | sort by AgentCount desc`,
 
-    // Application Insights sampling check
-    appInsightsSampling: `
-AppRequests
-| where TimeGenerated > ago(1d)
-| summarize 
-    TotalRequests = count(),
-    SampledRequests = countif(ItemCount > 1),
-    AvgItemCount = avg(ItemCount)
-| extend SamplingInUse = SampledRequests > 0`
+    // Application Insights volume and sampling per table, cloud role and component (7 days).
+    // AvgItemCount above 1 means the role samples - each stored item stands for that many.
+    appInsightsVolume: `
+union isfuzzy=true withsource=TableName AppRequests, AppDependencies, AppTraces, AppExceptions, AppPageViews, AppMetrics
+| where TimeGenerated > ago(7d)
+| where _IsBillable == true
+| summarize GB = sum(_BilledSize) / 1e9, Items = count(), AvgItemCount = avg(ItemCount) by TableName, AppRoleName, ResourceId = tolower(_ResourceId)
+| project TableName, AppRoleName, ResourceId, GB = round(GB, 4), Items, AvgItemCount = round(AvgItemCount, 2)
+| top 500 by GB desc`,
+
+    // AppTraces volume per cloud role and severity level (7 days)
+    appTracesBySeverity: `
+AppTraces
+| where TimeGenerated > ago(7d)
+| where _IsBillable == true
+| summarize GB = round(sum(_BilledSize) / 1e9, 4) by AppRoleName, SeverityLevel
+| top 200 by GB desc`,
+
+    // Volume of data sources Microsoft Sentinel ingests at no charge
+    sentinelFreeData: `
+Usage
+| where TimeGenerated > ago(30d)
+| where DataType in ("AzureActivity", "OfficeActivity", "SecurityAlert", "SecurityIncident")
+| summarize TotalGB = round(sum(Quantity) / 1000, 2), BillableGB = round(sumif(Quantity, IsBillable == true) / 1000, 2) by DataType
+| sort by TotalGB desc`,
+
+    // Billable ingestion by the Azure resource that sent it, per table (30 days) - for chargeback.
+    // Only the largest 2000 rows come back; TotalRows and TotalGB cover all of them so truncation shows.
+    chargebackByResource: `
+let volumes = materialize(find where TimeGenerated > ago(30d) project _ResourceId, _SubscriptionId, _BilledSize, _IsBillable
+| where _IsBillable == true
+| summarize BilledGB = sum(_BilledSize) / 1e9 by ResourceId = tolower(tostring(_ResourceId)), SubscriptionId = tostring(_SubscriptionId), TableName = source_);
+let totalRows = toscalar(volumes | count);
+let totalGB = toscalar(volumes | summarize sum(BilledGB));
+volumes
+| top 2000 by BilledGB desc
+| project ResourceId, SubscriptionId, TableName, BilledGB = round(BilledGB, 3), TotalRows = totalRows, TotalGB = round(totalGB, 3)`,
+
+    // Volume per machine and agent table, keyed by resource ID where the machine has one (30 days).
+    // Non-billable rows are kept so multi-homed agents show up through Heartbeat.
+    agentSourcesByTable: `
+union isfuzzy=true withsource=TableName Heartbeat, Perf, Event, Syslog, SecurityEvent, WindowsEvent, InsightsMetrics, VMConnection, VMBoundPort, VMProcess, ConfigurationData, ConfigurationChange
+| where TimeGenerated > ago(30d)
+| extend Source = iff(isnotempty(_ResourceId), tolower(_ResourceId), tolower(tostring(split(Computer, '.')[0])))
+| where isnotempty(Source)
+| summarize BilledGB = round(sumif(_BilledSize, _IsBillable == true) / 1e9, 4) by Source, TableName
+| top 3000 by BilledGB desc`,
+
+    // Agents reporting per machine from Heartbeat Category and Version (7 days), keyed like agentSourcesByTable
+    agentInventory: `
+Heartbeat
+| where TimeGenerated > ago(7d)
+| extend Source = iff(isnotempty(_ResourceId), tolower(_ResourceId), tolower(tostring(split(Computer, '.')[0])))
+| summarize arg_max(TimeGenerated, Computer, Version, OSType) by Source, Category
+| project Source, Computer, Category, Version, OSType, LastHeartbeat = TimeGenerated
+| sort by Source asc
+| take 1000`,
+
+    // SecurityEvent and Event volume by event ID, channel and level (7 days)
+    windowsEventBreakdown: `
+union isfuzzy=true
+    (SecurityEvent
+    | where TimeGenerated > ago(7d) and _IsBillable == true
+    | summarize GB = sum(_BilledSize) / 1e9, Events = count(), Computers = dcount(Computer) by EventID, Channel, Level = tostring(Level)
+    | extend TableName = 'SecurityEvent'),
+    (Event
+    | where TimeGenerated > ago(7d) and _IsBillable == true
+    | summarize GB = sum(_BilledSize) / 1e9, Events = count(), Computers = dcount(Computer) by EventID, Channel = EventLog, Level = EventLevelName
+    | extend TableName = 'Event')
+| project TableName, EventID, Channel, Level, GB = round(GB, 4), Events, Computers
+| top 300 by GB desc`,
+
+    // SecurityEvent and Event volume per computer with its largest event IDs (7 days)
+    windowsEventComputers: `
+union isfuzzy=true withsource=TableName SecurityEvent, Event
+| where TimeGenerated > ago(7d) and _IsBillable == true
+| summarize GB = sum(_BilledSize) / 1e9 by TableName, Computer, EventID
+| order by GB desc
+| summarize GB = round(sum(GB), 4), TopEventIDs = strcat_array(make_list(EventID, 3), ', ') by TableName, Computer
+| top 20 by GB desc`,
+
+    // Syslog volume by facility, severity and process (7 days)
+    syslogBreakdown: `
+Syslog
+| where TimeGenerated > ago(7d) and _IsBillable == true
+| summarize GB = round(sum(_BilledSize) / 1e9, 4) by Facility, SeverityLevel, ProcessName
+| top 500 by GB desc`,
+
+    // Syslog volume per computer with its largest processes (7 days)
+    syslogComputers: `
+Syslog
+| where TimeGenerated > ago(7d) and _IsBillable == true
+| summarize GB = sum(_BilledSize) / 1e9 by Computer, ProcessName
+| order by GB desc
+| summarize GB = round(sum(GB), 4), TopProcesses = strcat_array(make_list(ProcessName, 3), ', ') by Computer
+| top 20 by GB desc`,
+
+    // Billable tables no query read in the last 30 days, matching each query's RequestTarget and the
+    // names in its text, with the last read in 90 days (empty when none) and how far LAQueryLogs goes back
+    unusedTables: `
+let queryLogs = union isfuzzy=true
+    (datatable(TimeGenerated: datetime, QueryText: string, RequestTarget: string)[]),
+    (LAQueryLogs | where TimeGenerated > ago(90d) | project TimeGenerated, QueryText, RequestTarget);
+let queryLogsSince = toscalar(queryLogs | summarize min(TimeGenerated));
+let reads = queryLogs
+| mv-expand Name = extract_all(@"([A-Za-z_][A-Za-z0-9_]*)", strcat(QueryText, ' ', RequestTarget)) to typeof(string)
+| summarize LastRead = max(TimeGenerated) by Name;
+Usage
+| where TimeGenerated > ago(30d)
+| where IsBillable == true
+| summarize BillableGB = round(sum(Quantity) / 1000, 3) by DataType
+| join kind=leftanti (reads | where LastRead > ago(30d)) on $left.DataType == $right.Name
+| join kind=leftouter reads on $left.DataType == $right.Name
+| project DataType, BillableGB, LastRead, QueryLogsSince = queryLogsSince
+| sort by BillableGB desc`,
+
+    // Diagnostic settings volume per resource and category, from AzureDiagnostics and the
+    // resource-specific tables that keep the category in a Category column (30 days)
+    diagnosticCategoryVolume: `
+union isfuzzy=true withsource=TableName AzureDiagnostics, StorageBlobLogs, StorageFileLogs, StorageQueueLogs, StorageTableLogs, AKSControlPlane
+| where TimeGenerated > ago(30d)
+| where _IsBillable == true
+| summarize BilledGB = round(sum(_BilledSize) / 1e9, 3) by ResourceId = tolower(_ResourceId), Category, TableName
+| top 1000 by BilledGB desc`,
+
+    // Days the daily cap stopped data collection (30 days)
+    capHitEvents: `
+_LogOperation
+| where TimeGenerated > ago(30d)
+| where Category =~ "Ingestion" and Detail has "OverQuota"
+| summarize Events = count(), FirstHit = min(TimeGenerated) by Day = startofday(TimeGenerated)
+| sort by Day desc`,
+
+    // Daily ingestion spikes per table (30 days)
+    dailyAnomalies: `
+Usage
+| where TimeGenerated > ago(30d)
+| where IsBillable == true
+| make-series IngestedGB = sum(Quantity) / 1000 default = 0 on TimeGenerated from startofday(ago(30d)) to startofday(now()) step 1d by DataType
+| extend (Flags, Score, Baseline) = series_decompose_anomalies(IngestedGB, 2.5, -1, 'linefit')
+| mv-expand TimeGenerated to typeof(datetime), IngestedGB to typeof(double), Flags to typeof(int), Score to typeof(double), Baseline to typeof(double)
+| where Flags > 0 and IngestedGB > 1
+| extend ExcessGB = IngestedGB - max_of(Baseline, 0.0)
+| project DataType, TimeGenerated, IngestedGB = round(IngestedGB, 2), BaselineGB = round(max_of(Baseline, 0.0), 2), ExcessGB = round(ExcessGB, 2), Score = round(Score, 1)
+| sort by ExcessGB desc
+| take 20`,
+
+    // Hourly ingestion spikes per table (7 days)
+    hourlyAnomalies: `
+Usage
+| where TimeGenerated > ago(7d)
+| where IsBillable == true
+| make-series IngestedGB = sum(Quantity) / 1000 default = 0 on TimeGenerated from startofday(ago(7d)) to bin(now(), 1h) step 1h by DataType
+| extend (Flags, Score, Baseline) = series_decompose_anomalies(IngestedGB, 3, -1, 'linefit')
+| mv-expand TimeGenerated to typeof(datetime), IngestedGB to typeof(double), Flags to typeof(int), Score to typeof(double), Baseline to typeof(double)
+| where Flags > 0 and IngestedGB > 0.1
+| extend ExcessGB = IngestedGB - max_of(Baseline, 0.0)
+| project DataType, TimeGenerated, IngestedGB = round(IngestedGB, 2), BaselineGB = round(max_of(Baseline, 0.0), 2), ExcessGB = round(ExcessGB, 2), Score = round(Score, 1)
+| sort by ExcessGB desc
+| take 20`
 };
+
+// Drill into one ingestion spike: which computers and resources sent more than usual.
+// Compares the spike window with the average of the same-length window over the previous 7 days.
+// windowHours: 24 for daily spikes, 1 for hourly spikes
+function buildAnomalyDrillDownQuery(dataType, spikeStart, windowHours) {
+    // Table names come from Usage, but never interpolate anything that isn't a plain identifier
+    if (!/^[A-Za-z0-9_]+$/.test(dataType)) return null;
+    
+    return `
+let spikeStart = datetime(${new Date(spikeStart).toISOString()});
+let window = ${windowHours}h;
+let baselineStart = max_of(spikeStart - 7d, ago(30d));
+let baselineWindows = max_of((spikeStart - baselineStart) / window, 1.0);
+['${dataType}']
+| where TimeGenerated >= baselineStart and TimeGenerated < spikeStart + window
+| where _IsBillable == true
+| extend Computer = tostring(column_ifexists('Computer', '')), ResourceId = tostring(_ResourceId)
+| extend InSpike = TimeGenerated >= spikeStart
+| summarize SpikeGB = sumif(_BilledSize, InSpike) / 1e9, BaselineGB = sumif(_BilledSize, not(InSpike)) / 1e9 / baselineWindows by Computer, ResourceId
+| extend ExcessGB = SpikeGB - BaselineGB
+| where ExcessGB > 0
+| project Computer, ResourceId, SpikeGB = round(SpikeGB, 3), BaselineGB = round(BaselineGB, 3), ExcessGB = round(ExcessGB, 3)
+| top 5 by ExcessGB desc`;
+}
+
+// Estimate each column's share of a table's billed size from a random sample of the last day,
+// and count how many of the table's LAQueryLogs queries mention each column.
+// Standard columns (_ResourceId, TenantId, Type...) are not billed, so they are left out.
+function buildColumnSizeQuery(tableName, queryLogsEnabled) {
+    if (!/^[A-Za-z0-9_]+$/.test(tableName)) return null;
+    
+    const queryTexts = queryLogsEnabled
+        ? `LAQueryLogs
+| where TimeGenerated > ago(30d)
+| where QueryText has '${tableName}'
+| project QueryText = tolower(QueryText)
+| take 1000`
+        : 'datatable(QueryText: string) []';
+    
+    return `
+let queryTexts = materialize(${queryTexts});
+let tableQueries = toscalar(queryTexts | count);
+let columnBytes = materialize(['${tableName}']
+| where TimeGenerated > ago(1d)
+| sample 10000
+| project Row = pack_all(true)
+| mv-expand kind=array Row
+| extend Column = tostring(Row[0])
+| where not(Column startswith '_') and Column !in ('TenantId', 'Type')
+| summarize Bytes = sum(estimate_data_size(Row[1])) by Column);
+let totalBytes = toscalar(columnBytes | summarize sum(Bytes));
+columnBytes
+| extend Key = 1
+| join kind=leftouter (queryTexts | extend Key = 1) on Key
+| summarize QueryMentions = countif(indexof(QueryText, tolower(Column)) >= 0) by Column, Bytes
+| project Column, Share = round(Bytes * 1.0 / totalBytes, 4), QueryMentions, TableQueries = tableQueries
+| sort by Share desc`;
+}
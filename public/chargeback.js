@@ -0,0 +1,144 @@
+// Azure Monitor Chargeback
+// Splits ingestion cost by the Azure resource that emitted the data, then totals it
+// per team tag, resource group and resource using metadata from Azure Resource Graph
+
+const CHARGEBACK_DEFAULT_TAG = 'team';
+const CHARGEBACK_UNTAGGED = '(untagged)';
+const CHARGEBACK_NO_RESOURCE = '(no Azure resource)';
+// Resource IDs per Resource Graph query, keeping the query text well under the request limit
+const RESOURCE_GRAPH_BATCH_SIZE = 100;
+
+// Resource Graph query for the name, type, resource group and tags of a batch of resources,
+// with their resource group's tags as a fallback for team ownership
+function buildResourceMetadataQuery(resourceIds) {
+    const ids = resourceIds.map(id => `'${id.replace(/'/g, '')}'`).join(', ');
+    return `Resources
+| where id in~ (${ids})
+| project id = tolower(id), name, type, resourceGroup, subscriptionId, tags, rgKey = tolower(strcat(subscriptionId, '/', resourceGroup))
+| join kind=leftouter (
+    ResourceContainers
+    | where type =~ 'microsoft.resources/subscriptions/resourcegroups'
+    | project rgKey = tolower(strcat(subscriptionId, '/', name)), resourceGroupTags = tags
+) on rgKey
+| project id, name, type, resourceGroup, subscriptionId, tags, resourceGroupTags`;
+}
+
+// Split resource IDs into Resource Graph batches with the subscriptions each batch spans
+function batchResourceIds(resourceIds) {
+    const unique = [...new Set((resourceIds || []).filter(id => id && id.startsWith('/subscriptions/')).map(id => id.toLowerCase()))];
+    const batches = [];
+    for (let i = 0; i < unique.length; i += RESOURCE_GRAPH_BATCH_SIZE) {
+        const ids = unique.slice(i, i + RESOURCE_GRAPH_BATCH_SIZE);
+        batches.push({
+            ids,
+            subscriptions: [...new Set(ids.map(id => id.split('/')[2]))],
+            query: buildResourceMetadataQuery(ids)
+        });
+    }
+    return batches;
+}
+
+// Map lowercase resource ID -> metadata from Resource Graph rows (objectArray format)
+function indexResourceMetadata(rows) {
+    const metadata = {};
+    (rows || []).forEach(row => {
+        metadata[row.id.toLowerCase()] = {
+            name: row.name,
+            type: row.type,
+            resourceGroup: row.resourceGroup,
+            subscriptionId: row.subscriptionId,
+            tags: row.tags || {},
+            resourceGroupTags: row.resourceGroupTags || {}
+        };
+    });
+    return metadata;
+}
+
+// Case-insensitive tag lookup
+function getTagValue(tags, tagKey) {
+    const key = Object.keys(tags || {}).find(k => k.toLowerCase() === (tagKey || '').toLowerCase());
+    return key ? tags[key] : null;
+}
+
+// Every tag key on the resources or their resource groups, for choosing the team tag
+function getChargebackTagKeys(metadata) {
+    const keys = new Set();
+    Object.values(metadata || {}).forEach(m => {
+        Object.keys(m.tags).forEach(k => keys.add(k));
+        Object.keys(m.resourceGroupTags).forEach(k => keys.add(k));
+    });
+    return [...keys].sort((a, b) => a.localeCompare(b));
+}
+
+// Total cost per team tag, resource group and resource.
+// entries: [{ resourceId, subscriptionId, gb, cost }] - one per resource, table and workspace
+function buildChargebackReport(entries, metadata, tagKey = CHARGEBACK_DEFAULT_TAG) {
+    const resources = {};
+    (entries || []).forEach(entry => {
+        const id = (entry.resourceId || '').toLowerCase();
+        if (!resources[id]) {
+            const meta = (metadata || {})[id];
+            resources[id] = {
+                resourceId: id,
+                name: meta?.name || id.split('/').pop() || CHARGEBACK_NO_RESOURCE,
+                type: meta?.type || (id ? id.split('/providers/')[1]?.split('/').slice(0, 2).join('/') : '') || '',
+                resourceGroup: meta?.resourceGroup || id.match(/\/resourcegroups\/([^\/]+)/)?.[1] || '',
+                subscriptionId: meta?.subscriptionId || entry.subscriptionId || id.split('/')[2] || '',
+                team: getTagValue(meta?.tags, tagKey) || getTagValue(meta?.resourceGroupTags, tagKey) || CHARGEBACK_UNTAGGED,
+                gb: 0,
+                cost: 0
+            };
+        }
+        resources[id].gb += entry.gb || 0;
+        resources[id].cost += entry.cost || 0;
+    });
+
+    const byResource = Object.values(resources).sort((a, b) => b.cost - a.cost);
+    const total = (keyOf, extra) => {
+        const groups = {};
+        byResource.forEach(r => {
+            const key = keyOf(r);
+            if (!groups[key]) groups[key] = { name: key, ...extra(r), gb: 0, cost: 0, resources: 0 };
+            groups[key].gb += r.gb;
+            groups[key].cost += r.cost;
+            groups[key].resources++;
+        });
+        return Object.values(groups).sort((a, b) => b.cost - a.cost);
+    };
+
+    return {
+        tagKey,
+        totalGB: byResource.reduce((sum, r) => sum + r.gb, 0),
+        totalCost: byResource.reduce((sum, r) => sum + r.cost, 0),
+        byTag: total(r => r.team, () => ({})),
+        byResourceGroup: total(r => r.resourceGroup ? `${r.subscriptionId}/${r.resourceGroup}` : CHARGEBACK_NO_RESOURCE,
+            r => ({ resourceGroup: r.resourceGroup, subscriptionId: r.subscriptionId })),
+        byResource
+    };
+}
+
+// CSV with one row per team tag value, resource group and resource
+function chargebackToCsv(report) {
+    const escape = value => {
+        const text = String(value ?? '');
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [['Level', 'Name', 'ResourceGroup', 'SubscriptionId', `Tag:${report.tagKey}`, 'BilledGB', 'Cost'].join(',')];
+    report.byTag.forEach(t => lines.push(['Tag', t.name, '', '', t.name, t.gb.toFixed(3), t.cost.toFixed(2)].map(escape).join(',')));
+    report.byResourceGroup.forEach(g => lines.push(['ResourceGroup', g.resourceGroup || g.name, g.resourceGroup, g.subscriptionId, '', g.gb.toFixed(3), g.cost.toFixed(2)].map(escape).join(',')));
+    report.byResource.forEach(r => lines.push(['Resource', r.resourceId || r.name, r.resourceGroup, r.subscriptionId, r.team, r.gb.toFixed(3), r.cost.toFixed(2)].map(escape).join(',')));
+    lines.push(['Total', '', '', '', '', report.totalGB.toFixed(3), report.totalCost.toFixed(2)].join(','));
+    return lines.join('\n');
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CHARGEBACK_DEFAULT_TAG,
+        batchResourceIds,
+        indexResourceMetadata,
+        getChargebackTagKeys,
+        buildChargebackReport,
+        chargebackToCsv
+    };
+}
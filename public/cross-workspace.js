@@ -0,0 +1,85 @@
+// Azure Monitor Cross-Workspace Duplicates
+// Compares the computers and resources sending each table to the analyzed workspaces to find
+// multi-homed agents and sources collected twice, and picks the workspace that should keep each
+
+// Tables written by the Log Analytics and Azure Monitor agents, keyed by Computer
+const CROSS_WORKSPACE_AGENT_TABLES = ['Heartbeat', 'Perf', 'Event', 'Syslog', 'SecurityEvent', 'WindowsEvent', 'InsightsMetrics',
+    'VMConnection', 'VMBoundPort', 'VMProcess', 'ConfigurationData', 'ConfigurationChange'];
+// Tables a Microsoft Sentinel workspace needs for detections
+const CROSS_WORKSPACE_SECURITY_TABLES = ['SecurityEvent', 'WindowsEvent', 'Syslog', 'CommonSecurityLog', 'Event'];
+// Duplicates smaller than this per month are not priced individually
+const CROSS_WORKSPACE_MIN_GB = 0.1;
+
+// Display name for a source key - the resource name or computer name
+function getSourceName(source) {
+    return source.startsWith('/subscriptions/') ? source.split('/').pop() : source;
+}
+
+// Sources sending the same table to more than one workspace, with the workspace to keep each in.
+// workspaces: [{ name, sentinel, sources: [{ source, table, gb }] }] - source is a lowercase
+// resource ID, or a computer name for machines outside Azure
+function findDuplicateSources(workspaces) {
+    const byKey = {};
+    const sourceTotals = {};
+    const securityCopies = {};
+
+    (workspaces || []).forEach(ws => {
+        (ws.sources || []).forEach(s => {
+            const key = `${s.source}|${s.table}`;
+            const entry = byKey[key] || (byKey[key] = { source: s.source, table: s.table, workspaces: {} });
+            entry.workspaces[ws.name] = (entry.workspaces[ws.name] || 0) + (s.gb || 0);
+            const totals = sourceTotals[s.source] || (sourceTotals[s.source] = {});
+            totals[ws.name] = (totals[ws.name] || 0) + (s.gb || 0);
+            if (ws.sentinel && CROSS_WORKSPACE_SECURITY_TABLES.includes(s.table)) {
+                (securityCopies[s.source] || (securityCopies[s.source] = new Set())).add(ws.name);
+            }
+        });
+    });
+
+    // Each source keeps its data in one home workspace, so an agent can be removed from the others:
+    // the Sentinel workspace it sends security data to, otherwise the one receiving most of its data
+    const homeOf = source => {
+        if (securityCopies[source]?.size === 1) {
+            return { name: [...securityCopies[source]][0], reason: 'Sentinel workspace with its security data' };
+        }
+        const totals = sourceTotals[source];
+        return { name: Object.keys(totals).sort((a, b) => totals[b] - totals[a])[0], reason: 'receives most of this source\'s data' };
+    };
+
+    return Object.values(byKey)
+        .filter(d => Object.keys(d.workspaces).length > 1)
+        .map(d => {
+            const copies = Object.entries(d.workspaces).map(([name, gb]) => ({ name, gb })).sort((a, b) => b.gb - a.gb);
+            const home = homeOf(d.source);
+            const keep = d.workspaces[home.name] !== undefined ? home : { name: copies[0].name, reason: 'largest copy' };
+            return {
+                source: d.source,
+                name: getSourceName(d.source),
+                table: d.table,
+                copies,
+                keep: keep.name,
+                reason: keep.reason,
+                drop: copies.filter(c => c.name !== keep.name)
+            };
+        });
+}
+
+// Computers sending heartbeats to more than one workspace: { source: [workspace names] }
+function findMultiHomedSources(duplicates) {
+    const multiHomed = {};
+    (duplicates || [])
+        .filter(d => d.table === 'Heartbeat')
+        .forEach(d => {
+            multiHomed[d.source] = d.copies.map(c => c.name);
+        });
+    return multiHomed;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CROSS_WORKSPACE_AGENT_TABLES,
+        findDuplicateSources,
+        findMultiHomedSources
+    };
+}
@@ -0,0 +1,90 @@
+// Azure Monitor Costs Beyond Logs
+// Prices metric alert rules from the time series they monitor, and Azure Monitor workspaces
+// (managed Prometheus) from the samples they ingest and the samples their queries process
+
+// Azure Monitor workspace metrics read for ingestion and query volume. PerMinute metrics are rates.
+const MONITOR_WORKSPACE_INGEST_METRIC = 'EventsPerMinuteIngested';
+const MONITOR_WORKSPACE_TIME_SERIES_METRIC = 'ActiveTimeSeries';
+const MONITOR_WORKSPACE_QUERY_METRIC_PATTERN = /sample.*processed|processed.*sample/i;
+const MONITOR_WORKSPACE_METRIC_DAYS = 30;
+// Dimension values assumed when a metric alert splits on every value ('*' or Exclude), as for log search alerts
+const METRIC_ALERT_WILDCARD_DIMENSION_VALUES = 10;
+
+// Resources a metric alert scope covers: a resource, or every resource of the target type in a
+// resource group or subscription. resourceCounts: [{ subscriptionId, resourceGroup, type, count }]
+function countMetricAlertResources(scope, targetResourceType, resourceCounts) {
+    const parts = (scope || '').toLowerCase().split('/').filter(Boolean);
+    if (parts.length > 4) return 1;
+    const type = (targetResourceType || '').toLowerCase();
+    return (resourceCounts || [])
+        .filter(c => c.type === type && c.subscriptionId === parts[1] && (parts.length < 4 || c.resourceGroup === parts[3]))
+        .reduce((sum, c) => sum + c.count, 0);
+}
+
+// Cost of a metricAlerts resource: monitored resources x the time series of each signal.
+// pricePerTimeSeries: getPricing().metricAlertTimeSeries
+function estimateMetricAlertCost(rule, resourceCounts, pricePerTimeSeries) {
+    const props = rule.properties || {};
+    const enabled = props.enabled !== false;
+    const resources = (props.scopes || []).reduce((sum, scope) =>
+        sum + countMetricAlertResources(scope, props.targetResourceType, resourceCounts), 0);
+    let estimated = false;
+    const signals = props.criteria?.allOf || [];
+    const seriesPerResource = signals.reduce((sum, signal) => {
+        let series = 1;
+        (signal.dimensions || []).forEach(d => {
+            const values = d.values || [];
+            if (d.operator === 'Include' && values.length > 0 && !values.includes('*')) {
+                series *= values.length;
+            } else {
+                series *= METRIC_ALERT_WILDCARD_DIMENSION_VALUES;
+                estimated = true;
+            }
+        });
+        return sum + series;
+    }, 0);
+    const timeSeries = Math.max(1, resources) * Math.max(1, seriesPerResource);
+
+    return {
+        name: rule.name,
+        resourceType: props.targetResourceType || '',
+        enabled,
+        severity: props.severity,
+        resources: Math.max(1, resources),
+        signals: signals.length,
+        timeSeries,
+        estimated,
+        monthlyCost: enabled ? timeSeries * pricePerTimeSeries : 0
+    };
+}
+
+// Monthly samples from daily metric points - PerMinute rates are averaged over each day
+// points: [{ average, total }] at one-day grain
+function sumDailySamples(points, metricName) {
+    const rate = /PerMinute/.test(metricName);
+    const values = (points || []).map(p => rate ? (p.average || 0) * 1440 : (p.total || 0));
+    return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) * 30 / values.length : 0;
+}
+
+// Cost of an Azure Monitor workspace from its monthly samples ingested and processed by queries.
+// pricing: getPricing() for the workspace's region
+function estimatePrometheusCost(ingestedSamples, processedSamples, pricing) {
+    const ingestCost = (ingestedSamples / 1e7) * pricing.prometheusIngest;
+    const queryCost = processedSamples === null ? 0 : (processedSamples / 1e7) * pricing.prometheusQuery;
+    return { ingestCost, queryCost, monthlyCost: ingestCost + queryCost };
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MONITOR_WORKSPACE_INGEST_METRIC,
+        MONITOR_WORKSPACE_TIME_SERIES_METRIC,
+        MONITOR_WORKSPACE_QUERY_METRIC_PATTERN,
+        MONITOR_WORKSPACE_METRIC_DAYS,
+        METRIC_ALERT_WILDCARD_DIMENSION_VALUES,
+        countMetricAlertResources,
+        estimateMetricAlertCost,
+        sumDailySamples,
+        estimatePrometheusCost
+    };
+}
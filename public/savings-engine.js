@@ -0,0 +1,105 @@
+// Azure Monitor Savings Engine
+// Computes savings per recommendation type from the query results, so the figures
+// given to the AI and shown in the savings counter come from the data, not the model
+
+// Azure tables commonly moved to Basic Logs; custom (_CL) tables are always considered.
+// AzureDiagnostics cannot use Basic - its volume is covered by switching diagnostic settings to resource-specific tables
+const BASIC_LOGS_CANDIDATE_TABLES = ['ContainerLogV2', 'AppTraces', 'Syslog'];
+
+// Recommendation types, matched against card titles in this order
+const SAVINGS_TYPES = {
+    auxiliary: { label: 'Auxiliary Logs', pattern: /auxiliary/i },
+    basicLogs: { label: 'Basic Logs', pattern: /basic logs/i },
+    commitmentTier: { label: 'Commitment tier', pattern: /commitment tier/i },
+    retention: { label: 'Retention', pattern: /retention|archive|long-term/i },
+    heartbeat: { label: 'Heartbeat', pattern: /heartbeat/i }
+};
+
+// Reported figures within this share (or $1) of the computed figure are accepted
+const SAVINGS_TOLERANCE = 0.15;
+
+// Split plan-change candidates into Auxiliary and Basic Logs, net of the query charges they would incur.
+// tables: [{ name, gb, cost, basicCost, auxiliaryCost, queryCost, avgQueriesPerDay, blocked, alreadyOptimized, classicCustom }]
+function calculatePlanSavings(tables) {
+    const netBasic = t => t.cost - t.basicCost - (t.queryCost || 0);
+    const netAuxiliary = t => t.cost - t.auxiliaryCost - (t.queryCost || 0);
+
+    const candidates = (tables || []).filter(t =>
+        (BASIC_LOGS_CANDIDATE_TABLES.includes(t.name) || t.name.endsWith('_CL')) &&
+        !t.alreadyOptimized && !t.classicCustom && !t.blocked);
+
+    // Auxiliary is for custom tables queried less than once a day on average
+    const auxiliary = candidates.filter(t =>
+        t.name.endsWith('_CL') && (t.avgQueriesPerDay || 0) < 1 && netAuxiliary(t) > 0);
+    const basicLogs = candidates.filter(t => !auxiliary.includes(t) && netBasic(t) > 0);
+
+    return {
+        auxiliary,
+        basicLogs,
+        queryCostExceedsSavings: candidates.filter(t => !auxiliary.includes(t) && !basicLogs.includes(t)),
+        auxiliarySavings: auxiliary.reduce((sum, t) => sum + netAuxiliary(t), 0),
+        basicLogsSavings: basicLogs.reduce((sum, t) => sum + netBasic(t), 0)
+    };
+}
+
+// Heartbeat volume above the expected rate (60/hour per computer) is waste.
+// excessPerHour: heartbeats/hour of each computer flagged as excessive
+function calculateHeartbeatSavings(heartbeatMonthlyCost, excessPerHour, avgHeartbeatsPerHour, computerCount, expectedPerHour = 60) {
+    const totalPerHour = (avgHeartbeatsPerHour || 0) * (computerCount || 0);
+    if (!heartbeatMonthlyCost || totalPerHour <= 0) return 0;
+
+    const excess = (excessPerHour || []).reduce((sum, rate) => sum + Math.max(0, rate - expectedPerHour), 0);
+    return heartbeatMonthlyCost * Math.min(1, excess / totalPerHour);
+}
+
+// Find the recommendation type of a card from its title
+function classifySavingsCard(title) {
+    const match = Object.entries(SAVINGS_TYPES).find(([, type]) => type.pattern.test(title || ''));
+    return match ? match[0] : null;
+}
+
+// Compare reported savings with the computed figures.
+// reported: [{ type, amount }]; estimates: { type: { amount } }
+// Returns { type: { reported, expected, status: 'match' | 'mismatch' } } for every type with an estimate
+function reconcileSavings(reported, estimates) {
+    const result = {};
+    Object.entries(estimates || {}).forEach(([type, estimate]) => {
+        const amounts = (reported || []).filter(r => r.type === type);
+        if (amounts.length === 0) return;
+
+        const total = amounts.reduce((sum, r) => sum + r.amount, 0);
+        const difference = Math.abs(total - estimate.amount);
+        result[type] = {
+            reported: total,
+            expected: estimate.amount,
+            status: difference <= Math.max(1, estimate.amount * SAVINGS_TOLERANCE) ? 'match' : 'mismatch'
+        };
+    });
+    return result;
+}
+
+// Describe the computed savings for the AI prompt
+function formatSavingsEstimatesForPrompt(estimates) {
+    const lines = Object.entries(estimates || {})
+        .filter(([, estimate]) => estimate.amount > 0)
+        .map(([type, estimate]) => `- ${SAVINGS_TYPES[type].label}: $${estimate.amount.toFixed(2)}/month${estimate.detail ? ` (${estimate.detail})` : ''}`);
+
+    if (lines.length === 0) {
+        return 'No savings were computed from the data for Basic Logs, Auxiliary Logs, commitment tiers, retention or heartbeats. Do not invent savings figures for these.';
+    }
+    return `${lines.join('\n')}
+Use these EXACT figures in [IMPACT] for these recommendation types (split across cards if needed, but the cards of one type must add up to the figure). Figures that do not match will be flagged and replaced in the UI. Omit types not listed.`;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BASIC_LOGS_CANDIDATE_TABLES,
+        SAVINGS_TYPES,
+        calculatePlanSavings,
+        calculateHeartbeatSavings,
+        classifySavingsCard,
+        reconcileSavings,
+        formatSavingsEstimatesForPrompt
+    };
+}
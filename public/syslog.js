@@ -0,0 +1,119 @@
+// Azure Monitor Syslog Noise
+// Breaks Syslog volume down by facility, severity, process and computer, proposes the minimum
+// level to collect per facility as a DCR syslog data source, and filters noisy processes
+
+// Syslog SeverityLevel values, most severe first, with their DCR logLevels names
+const SYSLOG_SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+const SYSLOG_DCR_LEVELS = {
+    emerg: 'Emergency', alert: 'Alert', crit: 'Critical', err: 'Error',
+    warning: 'Warning', notice: 'Notice', info: 'Info', debug: 'Debug'
+};
+// Minimum level to collect: security facilities keep info for sign-in auditing
+const SYSLOG_SECURITY_FACILITIES = ['auth', 'authpriv'];
+const SYSLOG_SECURITY_MIN_LEVEL = 'info';
+const SYSLOG_DEFAULT_MIN_LEVEL = 'warning';
+// Facilities below this GB/month keep every level they send today
+const SYSLOG_MIN_FACILITY_GB = 0.5;
+// A process sending more than this share of the remaining volume is noisy; its messages below err are dropped,
+// except in the security facilities
+const SYSLOG_NOISY_PROCESS_SHARE = 0.1;
+const SYSLOG_NOISY_KEEP_LEVEL = 'err';
+// The breakdown covers 7 days; volumes are scaled to 30
+const SYSLOG_SAMPLE_DAYS = 7;
+
+// Position of a severity, 0 being the most severe; unknown values sort as debug
+function getSyslogSeverityRank(severity) {
+    const rank = SYSLOG_SEVERITIES.indexOf((severity || '').toLowerCase());
+    return rank === -1 ? SYSLOG_SEVERITIES.length - 1 : rank;
+}
+
+// Volume per facility with the proposed minimum level, and per process after that level is applied.
+// rows: [{ facility, severity, process, gb }] over SYSLOG_SAMPLE_DAYS days
+function summarizeSyslog(rows) {
+    const scale = 30 / SYSLOG_SAMPLE_DAYS;
+    const records = (rows || []).map(row => ({
+        facility: row.facility || 'unknown',
+        severity: (row.severity || '').toLowerCase(),
+        process: row.process || '(none)',
+        gb: (row.gb || 0) * scale
+    }));
+
+    const facilities = {};
+    records.forEach(r => {
+        const facility = facilities[r.facility] || (facilities[r.facility] = { name: r.facility, gb: 0, severities: {} });
+        facility.gb += r.gb;
+        facility.severities[r.severity] = (facility.severities[r.severity] || 0) + r.gb;
+    });
+    Object.values(facilities).forEach(f => {
+        const lowest = Math.max(...Object.keys(f.severities).map(getSyslogSeverityRank));
+        const proposed = f.gb < SYSLOG_MIN_FACILITY_GB
+            ? SYSLOG_SEVERITIES[lowest]
+            : SYSLOG_SECURITY_FACILITIES.includes(f.name) ? SYSLOG_SECURITY_MIN_LEVEL : SYSLOG_DEFAULT_MIN_LEVEL;
+        // Never propose collecting more than the facility sends today
+        f.minLevel = getSyslogSeverityRank(proposed) > lowest ? SYSLOG_SEVERITIES[lowest] : proposed;
+        f.droppedGB = Object.entries(f.severities)
+            .filter(([severity]) => getSyslogSeverityRank(severity) > getSyslogSeverityRank(f.minLevel))
+            .reduce((sum, [, gb]) => sum + gb, 0);
+    });
+
+    // What is left once each facility's minimum level applies
+    const kept = records.filter(r => getSyslogSeverityRank(r.severity) <= getSyslogSeverityRank(facilities[r.facility].minLevel));
+    const keptGB = kept.reduce((sum, r) => sum + r.gb, 0);
+    const processes = {};
+    kept.forEach(r => {
+        const p = processes[r.process] || (processes[r.process] = { name: r.process, gb: 0, facilities: new Set(), droppableGB: 0 });
+        p.gb += r.gb;
+        p.facilities.add(r.facility);
+        if (!SYSLOG_SECURITY_FACILITIES.includes(r.facility) && getSyslogSeverityRank(r.severity) > getSyslogSeverityRank(SYSLOG_NOISY_KEEP_LEVEL)) {
+            p.droppableGB += r.gb;
+        }
+    });
+
+    return {
+        totalGB: records.reduce((sum, r) => sum + r.gb, 0),
+        facilities: Object.values(facilities).sort((a, b) => b.gb - a.gb),
+        processes: Object.values(processes)
+            .map(p => ({
+                ...p,
+                facilities: [...p.facilities],
+                share: keptGB > 0 ? p.gb / keptGB : 0,
+                noisy: p.name !== '(none)' && keptGB > 0 && p.gb / keptGB > SYSLOG_NOISY_PROCESS_SHARE && p.droppableGB > 0
+            }))
+            .sort((a, b) => b.gb - a.gb)
+    };
+}
+
+// syslog data sources for an Azure Monitor Agent DCR - one per minimum level, listing its facilities
+function buildSyslogDataSources(facilities) {
+    const byLevel = {};
+    (facilities || []).forEach(f => {
+        (byLevel[f.minLevel] || (byLevel[f.minLevel] = [])).push(f.name);
+    });
+
+    return Object.entries(byLevel)
+        .sort((a, b) => getSyslogSeverityRank(a[0]) - getSyslogSeverityRank(b[0]))
+        .map(([minLevel, names]) => ({
+            name: `syslog${SYSLOG_DCR_LEVELS[minLevel]}`,
+            streams: ['Microsoft-Syslog'],
+            facilityNames: names.sort(),
+            logLevels: SYSLOG_SEVERITIES.slice(0, getSyslogSeverityRank(minLevel) + 1).map(s => SYSLOG_DCR_LEVELS[s]).reverse()
+        }));
+}
+
+// transformKql keeping only err and above from the noisy processes, outside the security facilities
+function buildSyslogProcessTransform(processNames) {
+    const names = processNames.map(name => `'${name.replace(/'/g, "\\'")}'`).join(', ');
+    const below = SYSLOG_SEVERITIES.slice(getSyslogSeverityRank(SYSLOG_NOISY_KEEP_LEVEL) + 1).map(s => `'${s}'`).join(', ');
+    const security = SYSLOG_SECURITY_FACILITIES.map(f => `'${f}'`).join(', ');
+    return `source | where not(ProcessName in (${names}) and SeverityLevel in (${below}) and Facility !in (${security}))`;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SYSLOG_SEVERITIES,
+        summarizeSyslog,
+        buildSyslogDataSources,
+        buildSyslogProcessTransform
+    };
+}
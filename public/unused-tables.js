@@ -0,0 +1,92 @@
+// Azure Monitor Unused Tables
+// Finds billable tables that no query in LAQueryLogs read in the last 30 or 90 days and no alert
+// rule or dashboard uses, and suggests stopping collection, a cheaper plan or shorter retention
+
+// Tables Azure Monitor features read without a logged query - they look unread but are not
+const UNUSED_TABLE_PLATFORM_TABLES = ['Heartbeat', 'Usage', 'Operation', 'LAQueryLogs'];
+// LAQueryLogs windows: a table unread for the longer one can stop being collected.
+// With less than the shorter one every table looks unread, so no table is reported
+const UNUSED_TABLE_WINDOWS = [30, 90];
+
+// Action for an unread table and its monthly saving.
+// table: { name, gb, unreadDays, plan, retentionInDays, totalRetentionInDays, classicCustom }
+// Sentinel workspaces keep their data for hunting and investigations, so collection is never stopped there
+function suggestUnusedTableAction(table, location, options = {}) {
+    const pricing = getPricing(location, options);
+    const plan = table.plan || 'Analytics';
+    const planRate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+    const retention = calculateRetentionCost(table.gb, table.retentionInDays, table.totalRetentionInDays, location, { ...options, plan });
+
+    if (table.unreadDays >= UNUSED_TABLE_WINDOWS[1] && !options.sentinel) {
+        return {
+            action: 'Stop collecting',
+            reason: 'remove it from its DCR, diagnostic setting or data connector',
+            savings: table.gb * planRate + retention.currentMonthlyCost
+        };
+    }
+    if (plan === 'Analytics' && !table.classicCustom && table.name.endsWith('_CL')) {
+        return {
+            action: 'Move to Auxiliary',
+            reason: 'custom table read rarely enough for per-query charges',
+            savings: table.gb * (pricing.analytics - pricing.auxiliary)
+        };
+    }
+    if (plan === 'Analytics' && BASIC_LOGS_CANDIDATE_TABLES.includes(table.name)) {
+        return {
+            action: 'Move to Basic',
+            reason: 'supports the Basic plan and is read rarely',
+            savings: table.gb * (pricing.analytics - pricing.basic)
+        };
+    }
+    if (retention.currentMonthlyCost - retention.recommendedMonthlyCost > 0) {
+        return {
+            action: `Cut interactive retention to ${retention.recommendedRetentionInDays} days`,
+            reason: `keeps ${retention.totalRetentionInDays} days in total as long-term retention`,
+            savings: retention.currentMonthlyCost - retention.recommendedMonthlyCost
+        };
+    }
+    return {
+        action: 'Review',
+        reason: options.sentinel ? 'confirm hunting queries or analytics rules still need it' : 'confirm it is still needed',
+        savings: 0
+    };
+}
+
+// Unread billable tables with their cost and suggested action, costliest first.
+// rows: [{ name, gb, lastRead }] - lastRead is null for tables not read in 90 days
+// inventory: { table: { plan, retentionInDays, totalRetentionInDays, tableSubType } }
+// usedTables: tables referenced by alert rules or dashboards
+// options.queryLogDays: days LAQueryLogs covers - a table is only "unread for 90 days" if the log goes back that far
+function findUnusedTables(rows, inventory, usedTables, location, options = {}) {
+    const pricing = getPricing(location, { sentinel: options.sentinel });
+    const used = new Set((usedTables || []).map(t => t.toLowerCase()));
+
+    return (rows || [])
+        .filter(row => !UNUSED_TABLE_PLATFORM_TABLES.includes(row.name) && !used.has(row.name.toLowerCase()))
+        .map(row => {
+            const info = inventory[row.name] || {};
+            const plan = info.plan || 'Analytics';
+            const table = {
+                name: row.name,
+                gb: row.gb,
+                lastRead: row.lastRead,
+                unreadDays: row.lastRead ? UNUSED_TABLE_WINDOWS[0] : Math.min(UNUSED_TABLE_WINDOWS[1], Math.floor(options.queryLogDays ?? UNUSED_TABLE_WINDOWS[1])),
+                plan,
+                retentionInDays: info.retentionInDays,
+                totalRetentionInDays: info.totalRetentionInDays,
+                classicCustom: info.tableSubType === 'Classic' && row.name.endsWith('_CL')
+            };
+            const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+            return { ...table, cost: row.gb * rate, ...suggestUnusedTableAction(table, location, { sentinel: options.sentinel }) };
+        })
+        .sort((a, b) => b.cost - a.cost);
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNUSED_TABLE_WINDOWS,
+        suggestUnusedTableAction,
+        findUnusedTables
+    };
+}
@@ -0,0 +1,117 @@
+// Azure Monitor Windows Event Noise
+// Breaks SecurityEvent and Event volume down by event ID, channel and level, identifies known
+// noisy events, and builds the Azure Monitor Agent XPath filters that stop collecting them
+
+// Event IDs in Microsoft Sentinel's "Common" Windows Security Events set
+const COMMON_SECURITY_EVENT_IDS = [1, 299, 300, 324, 340, 403, 404, 410, 411, 412, 413, 431, 500, 501, 1100, 1102, 1107, 1108,
+    4608, 4610, 4611, 4614, 4622, 4624, 4625, 4634, 4647, 4648, 4649, 4657, 4661, 4662, 4663, 4665, 4666, 4667, 4670, 4672,
+    4673, 4674, 4675, 4688, 4689, 4697, 4700, 4702, 4704, 4705, 4716, 4717, 4718, 4719, 4720, 4722, 4723, 4724, 4725, 4726,
+    4727, 4728, 4729, 4732, 4733, 4735, 4737, 4738, 4739, 4740, 4742, 4744, 4745, 4746, 4750, 4751, 4752, 4754, 4755, 4756,
+    4757, 4760, 4761, 4762, 4764, 4767, 4768, 4771, 4774, 4778, 4779, 4781, 4793, 4797, 4798, 4799, 4800, 4801, 4802, 4803,
+    4825, 4826, 4870, 4886, 4887, 4888, 4893, 4898, 4902, 4904, 4905, 4907, 4931, 4932, 4933, 4946, 4948, 4956, 4985, 5024,
+    5033, 5059, 5136, 5137, 5140, 5145, 5632, 6144, 6145, 6272, 6273, 6278, 6416, 6423, 6424, 8001, 8002, 8003, 8004, 8005,
+    8006, 8007, 8222, 26401, 30004];
+
+// Security event IDs known to be noisy. exclude: safe to stop collecting at the agent;
+// the others are used by detections and are better tuned at the audit policy
+const NOISY_EVENT_IDS = {
+    4656: { name: 'Handle to an object requested', exclude: true },
+    4658: { name: 'Handle to an object closed', exclude: true },
+    4663: { name: 'Object access attempt', exclude: false, advice: 'narrow the SACLs to the folders you need to audit' },
+    4688: { name: 'Process created', exclude: false, advice: 'used by many detections - keep, and audit command lines only where needed' },
+    4690: { name: 'Handle to an object duplicated', exclude: true },
+    4703: { name: 'Token right adjusted', exclude: true },
+    5145: { name: 'Network share object checked', exclude: false, advice: 'audit detailed file share only on sensitive shares' },
+    5152: { name: 'Packet blocked by the Filtering Platform', exclude: true },
+    5156: { name: 'Connection allowed by the Filtering Platform', exclude: true },
+    5157: { name: 'Connection blocked by the Filtering Platform', exclude: true },
+    5158: { name: 'Bind to a local port permitted', exclude: true }
+};
+// A known noisy event above this share of its table's volume is flagged
+const WINDOWS_EVENT_NOISY_SHARE = 0.02;
+// Event levels to keep in the application and system logs (Critical, Error, Warning)
+const WINDOWS_EVENT_KEEP_LEVELS = [1, 2, 3];
+// The breakdown covers 7 days; volumes are scaled to 30
+const WINDOWS_EVENT_SAMPLE_DAYS = 7;
+
+// Event volume per table, event ID, channel and level, with known noisy events flagged.
+// rows: [{ table, eventId, channel, level, gb, events, computers }] over WINDOWS_EVENT_SAMPLE_DAYS days
+function summarizeWindowsEvents(rows) {
+    const scale = 30 / WINDOWS_EVENT_SAMPLE_DAYS;
+    const tableGB = {};
+    (rows || []).forEach(row => {
+        tableGB[row.table] = (tableGB[row.table] || 0) + (row.gb || 0) * scale;
+    });
+
+    const events = (rows || []).map(row => {
+        const gb = (row.gb || 0) * scale;
+        const share = tableGB[row.table] > 0 ? gb / tableGB[row.table] : 0;
+        const known = row.table === 'SecurityEvent' ? NOISY_EVENT_IDS[row.eventId] : null;
+        return {
+            table: row.table,
+            eventId: row.eventId,
+            channel: row.channel || '',
+            level: row.level || '',
+            gb,
+            share,
+            eventsPerDay: (row.events || 0) / WINDOWS_EVENT_SAMPLE_DAYS,
+            computers: row.computers || 0,
+            noisy: known && share >= WINDOWS_EVENT_NOISY_SHARE ? known : null
+        };
+    }).sort((a, b) => b.gb - a.gb);
+
+    return { events, securityGB: tableGB.SecurityEvent || 0, eventGB: tableGB.Event || 0 };
+}
+
+// Monthly SecurityEvent GB outside the Common set - what moving from All Events to Common drops
+function estimateCommonSetReduction(events) {
+    return (events || [])
+        .filter(e => e.table === 'SecurityEvent' && !COMMON_SECURITY_EVENT_IDS.includes(e.eventId))
+        .reduce((sum, e) => sum + e.gb, 0);
+}
+
+// What a custom XPath DCR would stop collecting: noisy security events safe to exclude, and
+// Information and Verbose events in the other event logs
+function getXPathExclusions(events) {
+    const securityEvents = (events || []).filter(e => e.noisy?.exclude);
+    const levelEvents = (events || []).filter(e => e.table === 'Event' && ['Information', 'Verbose'].includes(e.level));
+    return {
+        securityEventIds: [...new Set(securityEvents.map(e => e.eventId))].sort((a, b) => a - b),
+        channels: [...new Set((events || []).filter(e => e.table === 'Event').map(e => e.channel))].filter(Boolean).sort(),
+        securityGB: securityEvents.reduce((sum, e) => sum + e.gb, 0),
+        eventGB: levelEvents.reduce((sum, e) => sum + e.gb, 0)
+    };
+}
+
+// windowsEventLogs data sources for an Azure Monitor Agent DCR implementing the exclusions
+function buildXPathDataSources(exclusions) {
+    const dataSources = [];
+    if (exclusions.securityEventIds.length > 0) {
+        dataSources.push({
+            name: 'securityEventsFiltered',
+            streams: ['Microsoft-SecurityEvent'],
+            xPathQueries: [`Security!*[System[(${exclusions.securityEventIds.map(id => `EventID!=${id}`).join(' and ')})]]`]
+        });
+    }
+    if (exclusions.channels.length > 0) {
+        const levels = WINDOWS_EVENT_KEEP_LEVELS.map(level => `Level=${level}`).join(' or ');
+        dataSources.push({
+            name: 'windowsEventsFiltered',
+            streams: ['Microsoft-Event'],
+            xPathQueries: exclusions.channels.map(channel => `${channel}!*[System[(${levels})]]`)
+        });
+    }
+    return dataSources;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COMMON_SECURITY_EVENT_IDS,
+        NOISY_EVENT_IDS,
+        summarizeWindowsEvents,
+        estimateCommonSetReduction,
+        getXPathExclusions,
+        buildXPathDataSources
+    };
+}
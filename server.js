@@ -10,6 +10,21 @@ const { AzureCliCredential, DeviceCodeCredential } = require('@azure/identity');
 const { SubscriptionClient } = require('@azure/arm-subscriptions');
 const { OperationalInsightsManagementClient } = require('@azure/arm-operationalinsights');
 const { LogsQueryClient } = require('@azure/monitor-query');
+const { formatPricingForPrompt } = require('./public/pricing-catalog');
+const { formatSavingsEstimatesForPrompt } = require('./public/savings-engine');
+const { batchResourceIds, indexResourceMetadata } = require('./public/chargeback');
+const {
+    DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT,
+    isDiagnosticResourceId,
+    batchDiagnosticSettingsScopes
+} = require('./public/diagnostic-settings');
+const {
+    MONITOR_WORKSPACE_INGEST_METRIC,
+    MONITOR_WORKSPACE_TIME_SERIES_METRIC,
+    MONITOR_WORKSPACE_QUERY_METRIC_PATTERN,
+    MONITOR_WORKSPACE_METRIC_DAYS,
+    sumDailySamples
+} = require('./public/monitor-costs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -199,6 +214,26 @@ app.get('/api/subscriptions', async (req, res) => {
     }
 });
 
+// Get the resource IDs of Sentinel-enabled workspaces in a subscription.
+// Sentinel onboarding installs the SecurityInsights solution on the workspace.
+async function getSentinelWorkspaceIds(credential, subscriptionId) {
+    const token = await credential.getToken('https://management.azure.com/.default');
+    const response = await fetch(
+        `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.OperationsManagement/solutions?api-version=2015-11-01-preview`,
+        { headers: { 'Authorization': `Bearer ${token.token}` } }
+    );
+
+    if (!response.ok) {
+        throw new Error(`Solutions API returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    return new Set((data.value || [])
+        .filter(solution => solution.name?.startsWith('SecurityInsights(') || solution.plan?.product === 'OMSGallery/SecurityInsights')
+        .map(solution => solution.properties?.workspaceResourceId?.toLowerCase())
+        .filter(Boolean));
+}
+
 // Get workspaces for a subscription
 app.get('/api/subscriptions/:subscriptionId/workspaces', async (req, res) => {
     try {
@@ -211,6 +246,14 @@ app.get('/api/subscriptions/:subscriptionId/workspaces', async (req, res) => {
         const opsClient = new OperationalInsightsManagementClient(creds.credential, subscriptionId);
         const workspaces = [];
 
+        // Sentinel changes the price of every GB in the workspace
+        let sentinelWorkspaceIds = new Set();
+        try {
+            sentinelWorkspaceIds = await getSentinelWorkspaceIds(creds.credential, subscriptionId);
+        } catch (sentinelError) {
+            console.warn('Could not detect Microsoft Sentinel:', sentinelError.message);
+        }
+
         for await (const ws of opsClient.workspaces.list()) {
             workspaces.push({
                 id: ws.customerId, // This is the Workspace ID used for queries
@@ -218,7 +261,10 @@ app.get('/api/subscriptions/:subscriptionId/workspaces', async (req, res) => {
                 resourceId: ws.id,
                 location: ws.location,
                 sku: ws.sku?.name,
-                retentionDays: ws.retentionInDays
+                retentionDays: ws.retentionInDays,
+                // -1 means no daily cap
+                dailyQuotaGb: ws.workspaceCapping?.dailyQuotaGb > 0 ? ws.workspaceCapping.dailyQuotaGb : null,
+                sentinelEnabled: sentinelWorkspaceIds.has(ws.id?.toLowerCase())
             });
         }
 
@@ -229,6 +275,317 @@ app.get('/api/subscriptions/:subscriptionId/workspaces', async (req, res) => {
     }
 });
 
+// Get every table's plan and retention for a workspace
+app.get('/api/subscriptions/:subscriptionId/resourceGroups/:resourceGroup/workspaces/:workspaceName/tables', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { subscriptionId, resourceGroup, workspaceName } = req.params;
+        const opsClient = new OperationalInsightsManagementClient(creds.credential, subscriptionId);
+        const tables = [];
+
+        for await (const table of opsClient.tables.listByWorkspace(resourceGroup, workspaceName)) {
+            tables.push({
+                name: table.name,
+                plan: table.plan || 'Analytics',
+                retentionInDays: table.retentionInDays,
+                totalRetentionInDays: table.totalRetentionInDays,
+                retentionInDaysAsDefault: table.retentionInDaysAsDefault,
+                tableSubType: table.schema?.tableSubType
+            });
+        }
+
+        res.json(tables);
+    } catch (error) {
+        console.error('Error fetching tables:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Look up resource groups and tags of the resources that emitted data, via Azure Resource Graph
+app.post('/api/resources/metadata', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { resourceIds } = req.body;
+        if (!Array.isArray(resourceIds)) {
+            return res.status(400).json({ error: 'resourceIds must be an array' });
+        }
+
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const rows = [];
+
+        for (const batch of batchResourceIds(resourceIds)) {
+            const response = await fetch('https://management.azure.com/providers/Microsoft.ResourceGraph/resources?api-version=2021-03-01', {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${token.token}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    subscriptions: batch.subscriptions,
+                    query: batch.query,
+                    options: { resultFormat: 'objectArray' }
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Resource Graph returned ${response.status}`);
+            }
+
+            const data = await response.json();
+            rows.push(...(data.data || []));
+        }
+
+        res.json(indexResourceMetadata(rows));
+    } catch (error) {
+        console.error('Error fetching resource metadata:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List the diagnostic settings of resources, including storage account services
+app.post('/api/resources/diagnostic-settings', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { resourceIds } = req.body;
+        if (!Array.isArray(resourceIds)) {
+            return res.status(400).json({ error: 'resourceIds must be an array' });
+        }
+        if (resourceIds.length > DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT) {
+            return res.status(400).json({ error: `resourceIds is limited to ${DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT} resources` });
+        }
+        // IDs are appended to the ARM URL, so only plain resource paths are accepted
+        if (!resourceIds.every(isDiagnosticResourceId)) {
+            return res.status(400).json({ error: 'resourceIds must be Azure resource IDs starting with /subscriptions/' });
+        }
+
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const settings = [];
+
+        for (const scopes of batchDiagnosticSettingsScopes(resourceIds)) {
+            const results = await Promise.all(scopes.map(async scope => {
+                const response = await fetch(`https://management.azure.com${scope}/providers/Microsoft.Insights/diagnosticSettings?api-version=2021-05-01-preview`, {
+                    headers: { 'Authorization': `Bearer ${token.token}` }
+                });
+
+                // Resources that were deleted or do not support diagnostic settings are skipped
+                if (!response.ok) return [];
+
+                const data = await response.json();
+                return data.value || [];
+            }));
+            results.forEach(value => settings.push(...value));
+        }
+
+        res.json(settings);
+    } catch (error) {
+        console.error('Error fetching diagnostic settings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get log search alert rules, for the tables their queries read
+app.get('/api/subscriptions/:subscriptionId/scheduled-query-rules', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { subscriptionId } = req.params;
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const response = await fetch(
+            `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Insights/scheduledQueryRules?api-version=2023-03-15-preview`,
+            { headers: { 'Authorization': `Bearer ${token.token}` } }
+        );
+
+        if (!response.ok) {
+            throw new Error(`ScheduledQueryRules API returned ${response.status}`);
+        }
+
+        res.json((await response.json()).value || []);
+    } catch (error) {
+        console.error('Error fetching scheduled query rules:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Get Azure dashboards, for the tables their Log Analytics tiles read
+app.get('/api/subscriptions/:subscriptionId/dashboards', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { subscriptionId } = req.params;
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const response = await fetch(
+            `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Portal/dashboards?api-version=2020-09-01-preview`,
+            { headers: { 'Authorization': `Bearer ${token.token}` } }
+        );
+
+        if (!response.ok) {
+            throw new Error(`Dashboards API returned ${response.status}`);
+        }
+
+        res.json((await response.json()).value || []);
+    } catch (error) {
+        console.error('Error fetching dashboards:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Resource count per type and resource group, for resolving resource group and subscription alert scopes
+async function getResourceTypeCounts(token, subscriptionId, types) {
+    if (types.length === 0) return [];
+
+    const response = await fetch('https://management.azure.com/providers/Microsoft.ResourceGraph/resources?api-version=2021-03-01', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            subscriptions: [subscriptionId],
+            query: `resources
+| where type in~ (${types.map(t => `'${t.replace(/'/g, '')}'`).join(', ')})
+| summarize Count = count() by subscriptionId = tolower(subscriptionId), resourceGroup = tolower(resourceGroup), type = tolower(type)`,
+            options: { resultFormat: 'objectArray' }
+        })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Resource Graph returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(row => ({
+        subscriptionId: row.subscriptionId,
+        resourceGroup: row.resourceGroup,
+        type: row.type,
+        count: row.Count
+    }));
+}
+
+// Get metric alert rules with resource counts for the types they target
+app.get('/api/subscriptions/:subscriptionId/metric-alerts', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { subscriptionId } = req.params;
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const response = await fetch(
+            `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Insights/metricAlerts?api-version=2018-03-01`,
+            { headers: { 'Authorization': `Bearer ${token.token}` } }
+        );
+
+        if (!response.ok) {
+            throw new Error(`MetricAlerts API returned ${response.status}`);
+        }
+
+        const rules = (await response.json()).value || [];
+
+        // Multi-resource rules scoped to a resource group or subscription cover every resource of their type
+        const types = [...new Set(rules.map(r => (r.properties?.targetResourceType || '').toLowerCase()).filter(Boolean))];
+        let resourceCounts = [];
+        try {
+            resourceCounts = await getResourceTypeCounts(token.token, subscriptionId.toLowerCase(), types);
+        } catch (countError) {
+            console.warn('Resource counts unavailable, multi-resource metric alerts count one resource:', countError.message);
+        }
+
+        res.json({ rules, resourceCounts });
+    } catch (error) {
+        console.error('Error fetching metric alerts:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Samples ingested and processed by queries over the last 30 days for an Azure Monitor workspace, from its platform metrics
+async function getMonitorWorkspaceUsage(token, accountId) {
+    const base = `https://management.azure.com${accountId}/providers/Microsoft.Insights`;
+    const headers = { 'Authorization': `Bearer ${token}` };
+
+    const definitionsResponse = await fetch(`${base}/metricDefinitions?api-version=2018-01-01`, { headers });
+    if (!definitionsResponse.ok) {
+        throw new Error(`Metric definitions returned ${definitionsResponse.status}`);
+    }
+    const names = ((await definitionsResponse.json()).value || []).map(d => d.name?.value).filter(Boolean);
+    const queryMetric = names.find(n => MONITOR_WORKSPACE_QUERY_METRIC_PATTERN.test(n)) || null;
+    const metricNames = [MONITOR_WORKSPACE_INGEST_METRIC, MONITOR_WORKSPACE_TIME_SERIES_METRIC, queryMetric].filter(n => n && names.includes(n));
+    if (metricNames.length === 0) return null;
+
+    const end = new Date();
+    const start = new Date(end.getTime() - MONITOR_WORKSPACE_METRIC_DAYS * 24 * 60 * 60 * 1000);
+    const response = await fetch(
+        `${base}/metrics?api-version=2018-01-01&metricnames=${metricNames.join(',')}&timespan=${start.toISOString()}/${end.toISOString()}&interval=P1D&aggregation=Average,Total,Maximum`,
+        { headers }
+    );
+    if (!response.ok) {
+        throw new Error(`Metrics returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const points = name => (data.value || []).find(m => m.name?.value === name)?.timeseries?.[0]?.data || [];
+    return {
+        ingestedSamples: sumDailySamples(points(MONITOR_WORKSPACE_INGEST_METRIC), MONITOR_WORKSPACE_INGEST_METRIC),
+        processedSamples: queryMetric ? sumDailySamples(points(queryMetric), queryMetric) : null,
+        activeTimeSeries: Math.max(0, ...points(MONITOR_WORKSPACE_TIME_SERIES_METRIC).map(p => p.maximum || 0))
+    };
+}
+
+// Get Azure Monitor workspaces (managed Prometheus) with their ingestion and query volume
+app.get('/api/subscriptions/:subscriptionId/monitor-workspaces', async (req, res) => {
+    try {
+        const creds = getCredentialForRequest(req);
+        if (!creds) {
+            return res.status(401).json({ error: 'Not authenticated. Please sign in.' });
+        }
+
+        const { subscriptionId } = req.params;
+        const token = await creds.credential.getToken('https://management.azure.com/.default');
+        const response = await fetch(
+            `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Monitor/accounts?api-version=2023-04-03`,
+            { headers: { 'Authorization': `Bearer ${token.token}` } }
+        );
+
+        if (!response.ok) {
+            throw new Error(`Azure Monitor workspaces API returned ${response.status}`);
+        }
+
+        const accounts = [];
+        for (const account of (await response.json()).value || []) {
+            let usage = null;
+            try {
+                usage = await getMonitorWorkspaceUsage(token.token, account.id);
+            } catch (metricsError) {
+                console.warn(`Metrics unavailable for Azure Monitor workspace ${account.name}:`, metricsError.message);
+            }
+            accounts.push({ id: account.id, name: account.name, location: account.location, usage });
+        }
+
+        res.json(accounts);
+    } catch (error) {
+        console.error('Error fetching Azure Monitor workspaces:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Run KQL queries against a workspace
 app.post('/api/query', async (req, res) => {
     try {
@@ -280,7 +637,7 @@ app.post('/api/query', async (req, res) => {
 // Get AI recommendations
 app.post('/api/recommendations', async (req, res) => {
     try {
-        const { workspaceName, workspaceConfig, analysisData, context } = req.body;
+        const { workspaceName, workspaceConfig, analysisData, savingsEstimates, context } = req.body;
 
         const config = AZURE_OPENAI_CONFIG.model1;
 
@@ -297,12 +654,12 @@ app.post('/api/recommendations', async (req, res) => {
             truncatedAnalysisData = analysisData.substring(0, 50000) + '\n\n... [Data truncated due to size]';
         }
         
-        const userPrompt = buildUserPrompt(workspaceName, workspaceConfig, truncatedAnalysisData, context);
+        const userPrompt = buildUserPrompt(workspaceName, workspaceConfig, truncatedAnalysisData, context, savingsEstimates);
         console.log(`Sending prompt with ${userPrompt.length} characters`);
 
         const requestBody = {
             messages: [
-                { role: "system", content: getSystemPrompt() },
+                { role: "system", content: getSystemPrompt(workspaceConfig) },
                 { role: "user", content: userPrompt }
             ],
             max_tokens: 4000,
@@ -377,15 +734,27 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Collect workspace locations from the request's workspace config
+function getWorkspaceLocations(workspaceConfig) {
+    if (!workspaceConfig || typeof workspaceConfig !== 'object') return [];
+    const configs = workspaceConfig.workspaces || [workspaceConfig];
+    return configs.map(cfg => cfg.location).filter(Boolean);
+}
+
 // System prompt for AI
-function getSystemPrompt() {
+function getSystemPrompt(workspaceConfig) {
     return `You are an Azure Monitor Cost Optimization expert. Analyze the data and provide actionable recommendations.
 
 KEY COST OPTIMIZATION AREAS TO CHECK:
-1. **Basic Logs Migration** - Tables like Perf, ContainerInventory, Syslog, ContainerLog can often move to Basic Logs (~$0.50/GB vs ~$2.76/GB for Analytics). ALWAYS calculate specific savings.
+1. **Basic Logs Migration** - Tables like Perf, ContainerInventory, Syslog, ContainerLog can often move to Basic Logs (see regional Basic vs Analytics prices below). Basic Logs charge per GB scanned, so price each table's ScannedGB from Low Query Tables at the regional query rate and only recommend conversion when ingestion savings exceed that query charge. ALWAYS show the NET monthly savings. AzureDiagnostics cannot use Basic Logs - leave its volume to the Diagnostic Settings cards, which switch settings to resource-specific tables first.
 2. **Excessive Heartbeat** - If heartbeats > 60/hour, recommend reducing frequency
-3. **Commitment Tiers** - Only mention if ingestion > 100 GB/month
-4. **Duplicate Data** - Only if actually detected
+3. **Commitment Tiers** - Use the Commitment Tier Calculator results for each workspace. Only recommend a tier when the calculator's recommended tier is cheaper than pay-as-you-go, and quote its monthly savings, overage and unused commitment as calculated
+4. **Dedicated Clusters** - If the Dedicated Cluster Modelling shows a qualifying region, recommend linking the listed workspaces to a cluster with the modelled commitment tier and quote the projected savings. Omit otherwise
+5. **Duplicate Data** - Only if actually detected
+6. **Table Plans & Retention** - Use the Table Inventory for each workspace. NEVER recommend Basic or Auxiliary Logs for a table whose Plan is already Basic or Auxiliary. Classic custom tables (TableSubType Classic) must be migrated to DCR-based before their plan can change. Flag tables with RetentionOverride and whether the override still makes sense
+7. **Retention** - Use the Retention Cost Calculator: recommend its interactive / total retention split per table with the monthly saving. Give every workspace with retention over 90 days its own card
+8. **Microsoft Sentinel** - For workspaces with sentinelEnabled, ALL billable data is charged at the combined Sentinel + Log Analytics rate from the Microsoft Sentinel section - use it for every figure in that workspace. AzureActivity, OfficeActivity, SecurityAlert and SecurityIncident are free there and retention is free for 90 days. State whether splitting operational data into a separate workspace pays off, using the modelled savings
+9. **Daily Cap** - Use the Daily Cap Advisor. Status missing: [CARD:warning] recommending the listed cap as a preventative budget measure with an alert at 90% of it. Status belowPeak: [CARD:warning] - the cap is below normal peaks (p95) and drops data; recommend raising it. Always state how many days the cap was hit. Warn that a cap in a Sentinel workspace also stops security data. Omit workspaces with status ok and no cap hits
 
 OUTPUT FORMAT - You MUST use this exact card structure:
 
@@ -413,14 +782,16 @@ Card types: savings (green, for cost savings), warning (orange, for issues), inf
 RULES:
 - Start with a summary card showing total ingestion and estimated cost
 - ALWAYS include Basic Logs recommendation if Perf, ContainerInventory, Syslog, or ContainerLog have significant volume
-- Calculate SPECIFIC dollar amounts using: Analytics = $2.76/GB, Basic = $0.50/GB
+- Calculate SPECIFIC dollar amounts using the list prices for each workspace's region:
+${formatPricingForPrompt(getWorkspaceLocations(workspaceConfig))}
+- When workspaces are in different regions, price each workspace at its own region's rates
 - If no issues found, use [CARD:success] to say configuration is optimal
 - NEVER output raw text without card wrappers
 - OMIT sections with no data or no actionable recommendation`;
 }
 
 // Build user prompt with analysis data
-function buildUserPrompt(workspaceName, workspaceConfig, analysisData, context) {
+function buildUserPrompt(workspaceName, workspaceConfig, analysisData, context, savingsEstimates) {
     let prompt = `# Azure Monitor Cost Analysis Request
 
 ## Environment Summary
@@ -432,6 +803,11 @@ ${typeof workspaceConfig === 'object' && workspaceConfig.workspaces
 ${analysisData || 'No analysis data available'}
 `;
 
+    // Savings computed from the data, kept out of analysisData so truncation never drops them
+    if (savingsEstimates) {
+        prompt += `\n## Computed Savings\n${formatSavingsEstimatesForPrompt(savingsEstimates)}\n`;
+    }
+
     if (context) {
         prompt += `\n## Customer Notes\n${context}\n`;
     }
@@ -440,7 +816,7 @@ ${analysisData || 'No analysis data available'}
 ## STRICT Instructions
 1. ONLY output sections where there is an actionable recommendation
 2. DO NOT mention sections with "no data detected" or "no issues found" - just omit them entirely
-3. If commitment tier doesn't make sense (ingestion < 100GB/month), don't mention it at all
+3. If the Commitment Tier Calculator shows no recommended tier for a workspace, don't mention commitment tiers for it at all
 4. If duplicates weren't found, don't have a "Duplicate Data" section at all
 5. If heartbeat is normal, don't mention heartbeat at all
 6. Focus ONLY on what the user can actually do to save money
@@ -0,0 +1,90 @@
+// Azure Monitor Alert Rule Costs
+// Prices each log search alert rule from its evaluation frequency and the time series it monitors,
+// and finds rules evaluated every minute that could run less often
+
+// Values assumed for a dimension split on every value ('*'), or a rule split by resource
+const ALERT_WILDCARD_DIMENSION_VALUES = 10;
+// Frequency to suggest for a 1-minute rule: severity 0 and 1 rules stay near real time
+const ALERT_SUGGESTED_MINUTES = { urgent: 5, other: 15 };
+const ALERT_URGENT_SEVERITIES = [0, 1];
+
+// Minutes in an ISO 8601 duration such as PT5M, PT1H or P1D
+function parseDurationMinutes(duration) {
+    const match = (duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+    if (!match) return null;
+    return (parseInt(match[1] || 0) * 1440) + (parseInt(match[2] || 0) * 60) + parseInt(match[3] || 0);
+}
+
+// Monthly price per time series for a frequency - the tier of the nearest supported frequency at or below it.
+// prices: [{ minutes, pricePerMonth }] from getPricing().logAlertTimeSeries
+function getLogAlertPrice(minutes, prices) {
+    const tiers = [...prices].sort((a, b) => b.minutes - a.minutes);
+    return (tiers.find(t => t.minutes <= minutes) || tiers[tiers.length - 1]).pricePerMonth;
+}
+
+// Time series a rule monitors: one per scope, multiplied by the values of each dimension it splits on
+function getAlertTimeSeries(props) {
+    let estimated = false;
+    const perScope = (props.criteria?.allOf || [{}]).reduce((sum, criterion) => {
+        let series = criterion.resourceIdColumn ? ALERT_WILDCARD_DIMENSION_VALUES : 1;
+        if (criterion.resourceIdColumn) estimated = true;
+        (criterion.dimensions || []).forEach(d => {
+            const values = d.values || [];
+            if (d.operator === 'Include' && values.length > 0 && !values.includes('*')) {
+                series *= values.length;
+            } else {
+                series *= ALERT_WILDCARD_DIMENSION_VALUES;
+                estimated = true;
+            }
+        });
+        return sum + series;
+    }, 0);
+
+    return { timeSeries: Math.max(1, (props.scopes || []).length) * Math.max(1, perScope), estimated };
+}
+
+// Cost of a scheduledQueryRules resource, with a slower frequency for rules evaluated every minute.
+// prices: [{ minutes, pricePerMonth }] for the rule's region
+function estimateAlertRuleCost(rule, prices) {
+    const props = rule.properties || {};
+    const frequencyMinutes = parseDurationMinutes(props.evaluationFrequency) || 5;
+    const windowMinutes = parseDurationMinutes(props.windowSize) || frequencyMinutes;
+    const enabled = props.enabled !== false;
+    const { timeSeries, estimated } = getAlertTimeSeries(props);
+    // Disabled rules are not billed
+    const monthlyCost = enabled ? getLogAlertPrice(frequencyMinutes, prices) * timeSeries : 0;
+
+    // A rule cannot run less often than its window covers
+    let suggestedMinutes = null;
+    if (enabled && frequencyMinutes === 1) {
+        const target = ALERT_URGENT_SEVERITIES.includes(props.severity) ? ALERT_SUGGESTED_MINUTES.urgent : ALERT_SUGGESTED_MINUTES.other;
+        const allowed = prices.map(p => p.minutes).filter(m => m <= Math.min(target, windowMinutes));
+        const best = Math.max(...allowed);
+        if (best > frequencyMinutes) suggestedMinutes = best;
+    }
+    const suggestedCost = suggestedMinutes ? getLogAlertPrice(suggestedMinutes, prices) * timeSeries : monthlyCost;
+
+    return {
+        name: rule.name,
+        displayName: props.displayName || rule.name,
+        enabled,
+        severity: props.severity,
+        frequencyMinutes,
+        windowMinutes,
+        timeSeries,
+        estimated,
+        monthlyCost,
+        suggestedMinutes,
+        savings: monthlyCost - suggestedCost
+    };
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseDurationMinutes,
+        getLogAlertPrice,
+        getAlertTimeSeries,
+        estimateAlertRuleCost
+    };
+}
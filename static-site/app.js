@@ -86,6 +86,65 @@ const analysisQueries = {
         | order by AvgSamplesPerHour desc
         | take 10
     `,
+    // Perf sampling interval and volume per counter - each series' median seconds between samples
+    perfCounterSampling: `
+        Perf
+        | where TimeGenerated > ago(1d)
+        | where _IsBillable == true
+        | summarize Samples = count(), Bytes = sum(_BilledSize), Span = max(TimeGenerated) - min(TimeGenerated) by Computer, ObjectName, CounterName, InstanceName
+        | where Samples > 1
+        | summarize IntervalSeconds = percentile(Span / 1s / (Samples - 1), 50), Series = count(), Instances = dcount(InstanceName), AnyInstance = take_any(InstanceName),
+                    MonthlyGB = sum(Bytes) * 30 / 1e9 by ObjectName, CounterName
+        | project ObjectName, CounterName, Instance = iff(Instances == 1, AnyInstance, '*'), Series, IntervalSeconds, MonthlyGB
+        | top 50 by MonthlyGB desc
+    `,
+    // Container log volume by cluster, namespace, pod and stream for both log schemas (7 days).
+    // Legacy ContainerLog rows get their namespace and pod from KubePodInventory.
+    containerLogBreakdown: `
+        let since = ago(7d);
+        let pods = KubePodInventory
+        | where TimeGenerated > since
+        | summarize by ContainerID, Namespace, PodName = Name;
+        union isfuzzy=true
+            (ContainerLogV2
+            | where TimeGenerated > since and _IsBillable == true
+            | summarize GB = sum(_BilledSize) / 1e9 by ClusterId = tolower(_ResourceId), Namespace = PodNamespace, Pod = PodName, Stream = LogSource
+            | extend Schema = 'ContainerLogV2'),
+            (ContainerLog
+            | where TimeGenerated > since and _IsBillable == true
+            | summarize GB = sum(_BilledSize) / 1e9 by ContainerID, ClusterId = tolower(_ResourceId), Stream = LogEntrySource
+            | join kind=leftouter pods on ContainerID
+            | summarize GB = sum(GB) by ClusterId, Namespace, Pod = PodName, Stream
+            | extend Schema = 'ContainerLog')
+        | project Schema, ClusterId, Namespace, Pod, Stream, GB
+        | top 500 by GB desc
+    `,
+    // Container Insights inventory, event and metric tables (30 days)
+    containerInsightsTables: `
+        Usage
+        | where TimeGenerated > ago(30d)
+        | where IsBillable == true
+        | where DataType in ('KubePodInventory', 'KubeEvents', 'KubeNodeInventory', 'KubeServices', 'KubePVInventory', 'KubeMonAgentEvents', 'InsightsMetrics', 'ContainerInventory', 'ContainerNodeInventory')
+        | summarize BillableGB = sum(Quantity) / 1000 by DataType
+        | sort by BillableGB desc
+    `,
+    // Application Insights volume and sampling per table, cloud role and component (7 days).
+    // AvgItemCount above 1 means the role samples - each stored item stands for that many.
+    appInsightsVolume: `
+        union isfuzzy=true withsource=TableName AppRequests, AppDependencies, AppTraces, AppExceptions, AppPageViews, AppMetrics
+        | where TimeGenerated > ago(7d)
+        | where _IsBillable == true
+        | summarize GB = sum(_BilledSize) / 1e9, Items = count(), AvgItemCount = avg(ItemCount) by TableName, AppRoleName, ResourceId = tolower(_ResourceId)
+        | top 500 by GB desc
+    `,
+    // AppTraces volume per cloud role and severity level (7 days)
+    appTracesBySeverity: `
+        AppTraces
+        | where TimeGenerated > ago(7d)
+        | where _IsBillable == true
+        | summarize GB = sum(_BilledSize) / 1e9 by AppRoleName, SeverityLevel
+        | top 200 by GB desc
+    `,
     // Check for Basic Logs candidates - comprehensive list from https://learn.microsoft.com/azure/azure-monitor/logs/basic-logs-azure-tables
     basicLogsCandidates: `
         let BasicLogsTables = dynamic([
@@ -175,17 +234,20 @@ const analysisQueries = {
         | summarize TotalGB = sum(Quantity) / 1000 by DataType
         | top 10 by TotalGB desc
     `,
-    // Check query frequency per table from LAQueryLogs to identify frequently queried tables
-    // Tables queried frequently should NOT be converted to Basic Logs
+    // Check query frequency and scanned volume per table from LAQueryLogs
+    // Basic and Auxiliary tables charge per GB scanned, so scan volume decides whether conversion pays off.
+    // A query's scanned data is split evenly across the tables and workspaces it targets.
     tableQueryFrequency: `
         LAQueryLogs
         | where TimeGenerated > ago(30d)
         | extend TablesQueried = todynamic(RequestTarget)
+        | extend TableCount = max_of(array_length(TablesQueried), 1), WorkspaceCount = max_of(StatsWorkspaceCount, 1)
         | mv-expand TablesQueried
         | extend TableName = tostring(TablesQueried)
         | where isnotempty(TableName)
-        | summarize QueryCount = count(), DistinctUsers = dcount(AADEmail), AvgQueriesPerDay = count() / 30.0 by TableName
-        | where QueryCount > 10
+        | summarize QueryCount = count(), DistinctUsers = dcount(AADEmail), AvgQueriesPerDay = count() / 30.0,
+                    ScannedGB = sum(StatsDataProcessedKB / TableCount / WorkspaceCount) / 1024 / 1024 by TableName
+        | where QueryCount > 10 or ScannedGB > 1
         | order by QueryCount desc
         | take 50
     `,
@@ -194,9 +256,214 @@ const analysisQueries = {
         LAQueryLogs
         | where TimeGenerated > ago(7d)
         | summarize RecordCount = count(), IsEnabled = true
+    `,
+    // Volume of data sources Microsoft Sentinel ingests at no charge
+    sentinelFreeData: `
+        Usage
+        | where TimeGenerated > ago(30d)
+        | where DataType in ('AzureActivity', 'OfficeActivity', 'SecurityAlert', 'SecurityIncident')
+        | summarize TotalGB = sum(Quantity) / 1000, BillableGB = sumif(Quantity, IsBillable == true) / 1000 by DataType
+        | order by TotalGB desc
+    `,
+    // Billable ingestion by the Azure resource that sent it, per table (30 days) - for chargeback.
+    // Only the largest 2000 rows come back; TotalRows and TotalGB cover all of them so truncation shows.
+    chargebackByResource: `
+        let volumes = materialize(find where TimeGenerated > ago(30d) project _ResourceId, _SubscriptionId, _BilledSize, _IsBillable
+        | where _IsBillable == true
+        | summarize BilledGB = sum(_BilledSize) / 1e9 by ResourceId = tolower(tostring(_ResourceId)), SubscriptionId = tostring(_SubscriptionId), TableName = source_);
+        let totalRows = toscalar(volumes | count);
+        let totalGB = toscalar(volumes | summarize sum(BilledGB));
+        volumes
+        | top 2000 by BilledGB desc
+        | extend TotalRows = totalRows, TotalGB = totalGB
+    `,
+    // Volume per machine and agent table, keyed by resource ID where the machine has one (30 days).
+    // Non-billable rows are kept so multi-homed agents show up through Heartbeat.
+    agentSourcesByTable: `
+        union isfuzzy=true withsource=TableName Heartbeat, Perf, Event, Syslog, SecurityEvent, WindowsEvent, InsightsMetrics, VMConnection, VMBoundPort, VMProcess, ConfigurationData, ConfigurationChange
+        | where TimeGenerated > ago(30d)
+        | extend Source = iff(isnotempty(_ResourceId), tolower(_ResourceId), tolower(tostring(split(Computer, '.')[0])))
+        | where isnotempty(Source)
+        | summarize BilledGB = sumif(_BilledSize, _IsBillable == true) / 1e9 by Source, TableName
+        | top 3000 by BilledGB desc
+    `,
+    // Agents reporting per machine from Heartbeat Category and Version (7 days), keyed like agentSourcesByTable
+    agentInventory: `
+        Heartbeat
+        | where TimeGenerated > ago(7d)
+        | extend Source = iff(isnotempty(_ResourceId), tolower(_ResourceId), tolower(tostring(split(Computer, '.')[0])))
+        | summarize arg_max(TimeGenerated, Computer, Version, OSType) by Source, Category
+        | project Source, Computer, Category, Version, OSType, LastHeartbeat = TimeGenerated
+        | sort by Source asc
+        | take 1000
+    `,
+    // SecurityEvent and Event volume by event ID, channel and level (7 days)
+    windowsEventBreakdown: `
+        union isfuzzy=true
+            (SecurityEvent
+            | where TimeGenerated > ago(7d) and _IsBillable == true
+            | summarize GB = sum(_BilledSize) / 1e9, Events = count(), Computers = dcount(Computer) by EventID, Channel, Level = tostring(Level)
+            | extend TableName = 'SecurityEvent'),
+            (Event
+            | where TimeGenerated > ago(7d) and _IsBillable == true
+            | summarize GB = sum(_BilledSize) / 1e9, Events = count(), Computers = dcount(Computer) by EventID, Channel = EventLog, Level = EventLevelName
+            | extend TableName = 'Event')
+        | project TableName, EventID, Channel, Level, GB, Events, Computers
+        | top 300 by GB desc
+    `,
+    // SecurityEvent and Event volume per computer with its largest event IDs (7 days)
+    windowsEventComputers: `
+        union isfuzzy=true withsource=TableName SecurityEvent, Event
+        | where TimeGenerated > ago(7d) and _IsBillable == true
+        | summarize GB = sum(_BilledSize) / 1e9 by TableName, Computer, EventID
+        | order by GB desc
+        | summarize GB = sum(GB), TopEventIDs = strcat_array(make_list(EventID, 3), ', ') by TableName, Computer
+        | top 20 by GB desc
+    `,
+
+    // Syslog volume by facility, severity and process (7 days)
+    syslogBreakdown: `
+        Syslog
+        | where TimeGenerated > ago(7d) and _IsBillable == true
+        | summarize GB = sum(_BilledSize) / 1e9 by Facility, SeverityLevel, ProcessName
+        | top 500 by GB desc
+    `,
+
+    // Syslog volume per computer with its largest processes (7 days)
+    syslogComputers: `
+        Syslog
+        | where TimeGenerated > ago(7d) and _IsBillable == true
+        | summarize GB = sum(_BilledSize) / 1e9 by Computer, ProcessName
+        | order by GB desc
+        | summarize GB = sum(GB), TopProcesses = strcat_array(make_list(ProcessName, 3), ', ') by Computer
+        | top 20 by GB desc
+    `,
+
+    // Billable tables no query read in the last 30 days, matching each query's RequestTarget and the
+    // names in its text, with the last read in 90 days (empty when none) and how far LAQueryLogs goes back
+    unusedTables: `
+        let queryLogs = union isfuzzy=true
+            (datatable(TimeGenerated: datetime, QueryText: string, RequestTarget: string)[]),
+            (LAQueryLogs | where TimeGenerated > ago(90d) | project TimeGenerated, QueryText, RequestTarget);
+        let queryLogsSince = toscalar(queryLogs | summarize min(TimeGenerated));
+        let reads = queryLogs
+        | mv-expand Name = extract_all(@"([A-Za-z_][A-Za-z0-9_]*)", strcat(QueryText, ' ', RequestTarget)) to typeof(string)
+        | summarize LastRead = max(TimeGenerated) by Name;
+        Usage
+        | where TimeGenerated > ago(30d)
+        | where IsBillable == true
+        | summarize BillableGB = sum(Quantity) / 1000 by DataType
+        | join kind=leftanti (reads | where LastRead > ago(30d)) on $left.DataType == $right.Name
+        | join kind=leftouter reads on $left.DataType == $right.Name
+        | project DataType, BillableGB, LastRead, QueryLogsSince = queryLogsSince
+        | sort by BillableGB desc
+    `,
+    // Diagnostic settings volume per resource and category, from AzureDiagnostics and the
+    // resource-specific tables that keep the category in a Category column (30 days)
+    diagnosticCategoryVolume: `
+        union isfuzzy=true withsource=TableName AzureDiagnostics, StorageBlobLogs, StorageFileLogs, StorageQueueLogs, StorageTableLogs, AKSControlPlane
+        | where TimeGenerated > ago(30d)
+        | where _IsBillable == true
+        | summarize BilledGB = sum(_BilledSize) / 1e9 by ResourceId = tolower(_ResourceId), Category, TableName
+        | top 1000 by BilledGB desc
+    `,
+    // Days the daily cap stopped data collection (30 days)
+    capHitEvents: `
+        _LogOperation
+        | where TimeGenerated > ago(30d)
+        | where Category =~ 'Ingestion' and Detail has 'OverQuota'
+        | summarize Events = count(), FirstHit = min(TimeGenerated) by Day = startofday(TimeGenerated)
+        | order by Day desc
+    `,
+    // Daily ingestion spikes per table (30 days)
+    dailyAnomalies: `
+        Usage
+        | where TimeGenerated > ago(30d)
+        | where IsBillable == true
+        | make-series IngestedGB = sum(Quantity) / 1000 default = 0 on TimeGenerated from startofday(ago(30d)) to startofday(now()) step 1d by DataType
+        | extend (Flags, Score, Baseline) = series_decompose_anomalies(IngestedGB, 2.5, -1, 'linefit')
+        | mv-expand TimeGenerated to typeof(datetime), IngestedGB to typeof(double), Flags to typeof(int), Score to typeof(double), Baseline to typeof(double)
+        | where Flags > 0 and IngestedGB > 1
+        | extend BaselineGB = max_of(Baseline, 0.0)
+        | project DataType, TimeGenerated, IngestedGB, BaselineGB, ExcessGB = IngestedGB - BaselineGB, Score
+        | order by ExcessGB desc
+        | take 20
+    `,
+    // Hourly ingestion spikes per table (7 days)
+    hourlyAnomalies: `
+        Usage
+        | where TimeGenerated > ago(7d)
+        | where IsBillable == true
+        | make-series IngestedGB = sum(Quantity) / 1000 default = 0 on TimeGenerated from startofday(ago(7d)) to bin(now(), 1h) step 1h by DataType
+        | extend (Flags, Score, Baseline) = series_decompose_anomalies(IngestedGB, 3, -1, 'linefit')
+        | mv-expand TimeGenerated to typeof(datetime), IngestedGB to typeof(double), Flags to typeof(int), Score to typeof(double), Baseline to typeof(double)
+        | where Flags > 0 and IngestedGB > 0.1
+        | extend BaselineGB = max_of(Baseline, 0.0)
+        | project DataType, TimeGenerated, IngestedGB, BaselineGB, ExcessGB = IngestedGB - BaselineGB, Score
+        | order by ExcessGB desc
+        | take 20
     `
 };
 
+// Drill into one ingestion spike: which computers and resources sent more than usual.
+// Compares the spike window with the average of the same-length window over the previous 7 days.
+// windowHours: 24 for daily spikes, 1 for hourly spikes
+function buildAnomalyDrillDownQuery(dataType, spikeStart, windowHours) {
+    // Table names come from Usage, but never interpolate anything that isn't a plain identifier
+    if (!/^[A-Za-z0-9_]+$/.test(dataType)) return null;
+    
+    return `
+        let spikeStart = datetime(${new Date(spikeStart).toISOString()});
+        let window = ${windowHours}h;
+        let baselineStart = max_of(spikeStart - 7d, ago(30d));
+        let baselineWindows = max_of((spikeStart - baselineStart) / window, 1.0);
+        ['${dataType}']
+        | where TimeGenerated >= baselineStart and TimeGenerated < spikeStart + window
+        | where _IsBillable == true
+        | extend Computer = tostring(column_ifexists('Computer', '')), ResourceId = tostring(_ResourceId)
+        | extend InSpike = TimeGenerated >= spikeStart
+        | summarize SpikeGB = sumif(_BilledSize, InSpike) / 1e9, BaselineGB = sumif(_BilledSize, not(InSpike)) / 1e9 / baselineWindows by Computer, ResourceId
+        | extend ExcessGB = SpikeGB - BaselineGB
+        | where ExcessGB > 0
+        | top 5 by ExcessGB desc
+    `;
+}
+
+// Estimate each column's share of a table's billed size from a random sample of the last day,
+// and count how many of the table's LAQueryLogs queries mention each column.
+// Standard columns (_ResourceId, TenantId, Type...) are not billed, so they are left out.
+function buildColumnSizeQuery(tableName, queryLogsEnabled) {
+    if (!/^[A-Za-z0-9_]+$/.test(tableName)) return null;
+    
+    const queryTexts = queryLogsEnabled
+        ? `LAQueryLogs
+            | where TimeGenerated > ago(30d)
+            | where QueryText has '${tableName}'
+            | project QueryText = tolower(QueryText)
+            | take 1000`
+        : 'datatable(QueryText: string) []';
+    
+    return `
+        let queryTexts = materialize(${queryTexts});
+        let tableQueries = toscalar(queryTexts | count);
+        let columnBytes = materialize(['${tableName}']
+            | where TimeGenerated > ago(1d)
+            | sample 10000
+            | project Row = pack_all(true)
+            | mv-expand kind=array Row
+            | extend Column = tostring(Row[0])
+            | where not(Column startswith '_') and Column !in ('TenantId', 'Type')
+            | summarize Bytes = sum(estimate_data_size(Row[1])) by Column);
+        let totalBytes = toscalar(columnBytes | summarize sum(Bytes));
+        columnBytes
+        | extend Key = 1
+        | join kind=leftouter (queryTexts | extend Key = 1) on Key
+        | summarize QueryMentions = countif(indexof(QueryText, tolower(Column)) >= 0) by Column, Bytes
+        | project Column, Share = round(Bytes * 1.0 / totalBytes, 4), QueryMentions, TableQueries = tableQueries
+        | sort by Share desc
+    `;
+}
+
 // DOM Elements
 const authRequiredSection = document.getElementById('authRequiredSection');
 const inputSection = document.getElementById('inputSection');
@@ -389,19 +656,39 @@ IMPORTANT: When analyzing MULTIPLE workspaces, ALWAYS specify which workspace ea
 
 ALWAYS analyze and report on ALL of these areas in order:
 
-## 1. COMMITMENT TIER ANALYSIS (REQUIRED) - Per workspace or combined
-- If daily ingestion >= 100 GB/day: RECOMMEND commitment tier (saves ~17-30%)
-- If 50-99 GB/day: Monitor and plan for commitment tier
-- If < 50 GB/day: Pay-as-you-go is optimal
-- Calculate exact savings: (daily_gb * 30 * $2.76) vs commitment tier price
+## 1. COMMITMENT TIER ANALYSIS (REQUIRED) - Per workspace
+- Use the "Commitment Tier Calculator" table for each workspace - it models every tier against the actual daily ingestion, including overage and unused commitment
+- If the calculator shows a recommended tier: RECOMMEND it and quote its monthly savings vs pay-as-you-go
+- If there is no recommended tier: Pay-as-you-go is optimal - report the break-even volume for the 100 GB/day tier
+- Commitment tiers apply per workspace (or per dedicated cluster) - do NOT combine ingestion across workspaces
+- If the "Dedicated Cluster Modelling" section shows a qualifying region, RECOMMEND linking those workspaces to a dedicated cluster and quote the projected savings
+
+## LIST PRICES BY REGION (use these for EVERY dollar figure)
+${formatPricingForPrompt(dataSummary.locations)}
+Price each workspace at the rates for its own region.
+
+## MICROSOFT SENTINEL
+- ALL billable data in a Sentinel-enabled workspace is billed at the combined Sentinel + Log Analytics rate shown for that workspace - use that rate for every savings figure in it
+- AzureActivity, OfficeActivity, SecurityAlert and SecurityIncident are free in Sentinel workspaces - never count them as a cost or recommend reducing them for cost
+- Interactive retention is free for 90 days in Sentinel workspaces
+- Use the "Microsoft Sentinel Workspaces" section to say whether splitting operational data into a separate workspace pays off
+
+## RETENTION
+- Use the "Retention Cost Calculator" for retention advice - quote its recommended interactive / total retention per table and the monthly saving
+- Give every workspace with retention over 90 days its own card
 
 ## 2. BASIC LOGS CANDIDATES (REQUIRED) - CHECK ALERTS, DASHBOARDS, AND QUERY FREQUENCY FIRST!
 ⚠️ CRITICAL: Basic Logs have major limitations:
 - Cannot be used in dashboards, workbooks, or alert rules
 - Limited KQL operators supported
-- Query cost of ~$0.006/GB scanned
+- Query cost per GB scanned (see regional prices above)
 - Only 8-day interactive retention
 
+**BEFORE ANYTHING, CHECK "Table Plans & Retention":**
+- If a table is already on the Basic or Auxiliary plan → it is already optimized, NEVER recommend converting it
+- Classic custom tables (TableSubType Classic) must be migrated to DCR-based before their plan can change
+- Call out tables with a per-table retention override and whether the override still makes sense
+
 **FIRST, CHECK "Tables Used in Alert Rules":**
 - If a table is listed in "Tables Used in Alert Rules" → NEVER recommend Basic Logs
 - Converting these tables would BREAK existing alerts
@@ -413,9 +700,9 @@ ALWAYS analyze and report on ALL of these areas in order:
 - Dashboard tiles would fail to load data
 
 **THEN, CHECK the "Table Query Frequency" data:**
-- If a table is queried MORE than 5 times/day on average → DO NOT recommend Basic Logs
+- Basic and Auxiliary tables charge per GB scanned - price the table's "GB scanned" at the regional query rate
+- Only recommend Basic Logs when ingestion savings EXCEED the projected query charge, and show the NET monthly figure
 - If a table has multiple distinct users querying it → likely used in other dashboards/workbooks, DO NOT recommend
-- Only recommend Basic Logs for tables that are RARELY queried (debugging/auditing purposes)
 
 **If LAQueryLogs is NOT enabled:**
 - We CANNOT determine query frequency - recommend enabling it first
@@ -425,7 +712,8 @@ ALWAYS analyze and report on ALL of these areas in order:
 
 Common high-volume candidates (if NOT in alerts and NOT frequently queried):
 - Container/Kubernetes: ContainerLogV2, ContainerLog, AKSAudit, AKSAuditAdmin, AKSControlPlane
-- Application: AppTraces, Syslog, AzureDiagnostics
+- Application: AppTraces, Syslog
+- NOT AzureDiagnostics - it cannot use Basic Logs; its volume belongs to the Diagnostic Settings cards, which switch settings to resource-specific tables first
 - Storage: StorageBlobLogs, StorageFileLogs, StorageQueueLogs, StorageTableLogs  
 - Firewall: AZFWNetworkRule, AZFWApplicationRule, AZFWFlowTrace, AZFWDnsQuery
 - Security (non-alerting): SecurityEvent, CommonSecurityLog (for verbose logs)
@@ -433,7 +721,7 @@ Common high-volume candidates (if NOT in alerts and NOT frequently queried):
 - Sign-in: SigninLogs, AADNonInteractiveUserSignInLogs
 - Full list: https://aka.ms/basiclogs-tables
 
-If a Basic Logs candidate is frequently queried, WARN the user instead of recommending conversion.
+If a Basic Logs candidate's projected query charges exceed its ingestion savings, WARN the user instead of recommending conversion.
 
 ## 3. AUXILIARY LOGS CANDIDATES (REQUIRED) - FOR CUSTOM TABLES ONLY
 ⚠️ Auxiliary Logs are even CHEAPER than Basic Logs but with MORE limitations:
@@ -454,16 +742,35 @@ If a Basic Logs candidate is frequently queried, WARN the user instead of recomm
 
 **Cost comparison:**
 - Analytics: Standard ingestion cost + query cost included
-- Basic: ~50% cheaper ingestion + $0.006/GB query cost
-- Auxiliary: ~85% cheaper ingestion + $0.006/GB query cost (cheapest option)
+- Basic: cheaper ingestion + per-GB query cost (see regional prices above)
+- Auxiliary: cheapest ingestion + per-GB query cost (see regional prices above)
 
 Docs: https://learn.microsoft.com/azure/azure-monitor/logs/logs-table-plans
 
 ## 4. DATA COLLECTION OPTIMIZATION (REQUIRED) - Specify which workspace
 - Heartbeat frequency: If Heartbeat table exists, check if computers send >60 heartbeats/hour (default is 1/min = 60/hour). Recommend reducing to 5-min intervals if appropriate.
-- Performance counters: Check Perf table - recommend reducing collection frequency from 10s to 60s for non-critical counters
-- Container Insights: If ContainerLog* tables exist, recommend filtering stdout/stderr, excluding namespaces
-- Duplicate collection: Flag if same data appears from multiple sources
+- Performance counters: Sampling savings are computed per counter in "Performance Counter Sampling" and shown as separate cards - refer to them instead of estimating
+- Container Insights: Namespace exclusions and the ContainerLogV2 migration are computed in "Container Insights" and shown as separate cards - refer to them instead of estimating
+- Application Insights: Per-role sampling percentages and trace severities are computed in "Application Insights Sampling" and shown as separate cards - refer to them instead of estimating
+- Diagnostic settings: Enabled categories, AzureDiagnostics vs resource-specific mode and categories to disable are computed in "Diagnostic Settings" and shown as separate cards - refer to them instead of estimating
+- Windows events: SecurityEvent and Event volume by event ID, the All Events to Common comparison and XPath filters are computed in "Windows Event Noise" and shown as separate cards - refer to them instead of estimating
+- Syslog: volume by facility, severity and process, the minimum level per facility and the noisy-process transformation are computed in "Syslog Noise" and shown as separate cards - refer to them instead of estimating
+- Agents: Machines still on the Log Analytics agent (MMA/OMS) or SCOM are listed in "Azure Monitor Agent Migration" and shown as separate cards - refer to them instead of estimating
+- Duplicate collection: Sources sent to more than one analyzed workspace and multi-homed agents are computed in "Duplicate Data Across Workspaces" and shown as a separate card - refer to it; within a workspace, flag computers reporting through more than one agent
+
+## DAILY CAP - Per workspace, from the "Daily Cap Advisor" table
+- Status missing: [CARD:warning] recommending the listed cap as a preventative budget measure, with an alert at 90% of it
+- Status belowPeak: [CARD:warning] - the cap is below normal peaks (p95) and is dropping data; recommend raising it to the listed cap
+- Days cap hit > 0: state how many days in the last 30 the cap stopped data collection
+- In Sentinel workspaces, warn that a cap stops security data collection too
+- Status ok with no cap hits: omit
+
+## ALERT RULES - from "Alert Rule Cost"
+- Per-rule costs, 1-minute rules to slow down and disabled rules are shown as a separate "Alert Cost" card - refer to it instead of estimating alert costs
+- Metric alert and managed Prometheus costs are shown in the "Azure Monitor Beyond Logs" card - refer to it instead of estimating them
+
+## UNUSED TABLES - from "Unused Tables"
+- Billable tables with no reads in LAQueryLogs over 30/90 days, not used by alerts or dashboards, are listed with their cost and suggested action in separate cards - refer to them instead of repeating the list
 
 ## 5. RETENTION OPTIMIZATION (REQUIRED)
 - Recommend 30-day interactive retention for high-volume tables
@@ -533,7 +840,7 @@ IMPORTANT RULES:
     for (const [rgName, rgData] of Object.entries(dataSummary.byResourceGroup)) {
         workspaceBreakdown += `\n### Resource Group: ${rgName}\n`;
         rgData.workspaces.forEach(ws => {
-            workspaceBreakdown += `- **${ws.name}**: ${ws.gb.toFixed(2)} GB (~$${(ws.gb * 2.76).toFixed(2)}/month)\n`;
+            workspaceBreakdown += `- **${ws.name}** (${ws.location || 'unknown region'}): ${ws.gb.toFixed(2)} GB (~$${ws.cost.toFixed(2)}/month)\n`;
         });
     }
 
@@ -542,7 +849,7 @@ IMPORTANT RULES:
 ## Data Summary
 - Total 30-day ingestion: ${dataSummary.totalIngestionGB.toFixed(2)} GB
 - Daily average: ${(dataSummary.totalIngestionGB / 30).toFixed(2)} GB/day  
-- Estimated monthly cost: $${(dataSummary.totalIngestionGB * 2.76).toFixed(2)} (at Pay-As-You-Go $2.76/GB)
+- Estimated monthly cost: $${dataSummary.estimatedMonthlyCost.toFixed(2)} (Pay-As-You-Go at each workspace's regional Analytics price)
 - Workspaces analyzed: ${dataSummary.workspacesWithData}/${dataSummary.totalWorkspaces}
 
 ## Workspaces Breakdown by Resource Group
@@ -619,6 +926,12 @@ IMPORTANT: When providing recommendations, ALWAYS specify which workspace the re
 function formatQueryDataForAI(allQueryData, dataSummary) {
     let formatted = '';
     
+    // Savings computed from the data - the AI must quote these
+    if (dataSummary.savingsEstimates) {
+        formatted += '### Computed Savings (deterministic - use these exact figures)\n';
+        formatted += formatSavingsEstimatesForPrompt(dataSummary.savingsEstimates) + '\n\n';
+    }
+    
     // Top tables summary
     if (dataSummary.topTables.length > 0) {
         formatted += '### Top Data Tables (30-day volume)\n';
@@ -630,13 +943,203 @@ function formatQueryDataForAI(allQueryData, dataSummary) {
         formatted += '\n';
     }
     
+    // Retention cost calculator
+    const retentionWithCost = (dataSummary.retention || []).filter(r => r.currentMonthlyCost > 0.01);
+    if (retentionWithCost.length > 0) {
+        formatted += '### Retention Cost Calculator (interactive vs long-term)\n';
+        retentionWithCost.forEach(r => {
+            formatted += `**${r.workspace}** - workspace retention ${r.retentionDays} days (${r.freeDays} included), retention ≈ $${r.currentMonthlyCost.toFixed(2)}/month, recommended split saves $${r.monthlySavings.toFixed(2)}/month\n`;
+            formatted += formatRetentionTable(r.tables.slice(0, 10)) + '\n';
+        });
+    }
+    
+    // Ingestion forecast
+    if (dataSummary.forecasts?.length > 0) {
+        formatted += '### Ingestion Forecast (shown to the user as a chart - mention crossings, do not repeat the table)\n';
+        dataSummary.forecasts.forEach(f => {
+            formatted += formatForecastForPrompt(f.workspace, f.forecast, f);
+        });
+    }
+    
+    // Daily cap advisor
+    if (dataSummary.dailyCaps?.length > 0) {
+        formatted += '### Daily Cap Advisor (from percentiles of daily ingestion)\n';
+        formatted += '| Workspace | Current cap | p50 GB/day | p95 GB/day | Peak GB/day | Days cap hit | Status | Recommended cap | Alert at |\n|---|---|---|---|---|---|---|---|---|\n';
+        dataSummary.dailyCaps.forEach(c => {
+            formatted += `| ${c.workspace} | ${c.currentCapGB ? `${c.currentCapGB} GB` : 'none'} | ${c.p50GB.toFixed(2)} | ${c.p95GB.toFixed(2)} | ${c.peakGB.toFixed(2)} | ${c.capHitDays} | ${c.status} | ${c.recommendedCapGB} GB | ${c.alertThresholdGB.toFixed(1)} GB |\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Ingestion anomalies
+    if (dataSummary.anomalies?.length > 0) {
+        formatted += '### Ingestion Anomalies (shown to the user as separate warning cards - do not create anomaly cards)\n';
+        dataSummary.anomalies.forEach(a => {
+            formatted += `- ${a.workspace}: ${a.spikes.length} spike(s) in ${[...new Set(a.spikes.map(s => s.dataType))].join(', ')}, +${a.excessGB.toFixed(1)} GB above baseline\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Droppable columns
+    if (dataSummary.columnSizes?.length > 0) {
+        formatted += '### Droppable Columns (shown to the user as separate cards - do not create column cards)\n';
+        dataSummary.columnSizes.forEach(c => {
+            formatted += `- ${c.workspace}: ${c.tables.flatMap(t => t.droppable.map(d => `${t.table}.${d.column}`)).join(', ')} - ${c.gb.toFixed(1)} GB, $${c.cost.toFixed(2)}/month\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // DCR transformations
+    if (dataSummary.transforms?.length > 0) {
+        formatted += '### DCR Transformations (shown to the user as separate cards with the DCR JSON - do not create transformation cards)\n';
+        dataSummary.transforms.forEach(t => {
+            formatted += `- ${t.workspace}: ${t.tables.map(table => `${table.table} (${table.description.toLowerCase()})`).join(', ')} - ${t.gb.toFixed(1)} GB, $${t.cost.toFixed(2)}/month\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Performance counter sampling
+    if (dataSummary.perfSampling?.length > 0) {
+        formatted += '### Performance Counter Sampling (shown to the user as separate cards with the DCR block - do not create Perf sampling cards)\n';
+        dataSummary.perfSampling.forEach(p => {
+            formatted += `- ${p.workspace}: ${p.counters.filter(c => c.intervalSeconds < PERF_PROPOSED_INTERVAL).length} counter(s) sampled faster than ${PERF_PROPOSED_INTERVAL}s - ${p.savingsGB.toFixed(1)} GB, $${p.savings.toFixed(2)}/month saved at ${PERF_PROPOSED_INTERVAL}s\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Container Insights
+    if (dataSummary.containerInsights?.length > 0) {
+        formatted += '### Container Insights (shown to the user as separate cards with the ConfigMap and migration plan - do not create container cards)\n';
+        dataSummary.containerInsights.forEach(ci => {
+            formatted += `- ${ci.workspace}: ${ci.clusters.length} cluster(s), namespace exclusions save ${ci.exclusionGB.toFixed(1)} GB ($${ci.exclusionSavings.toFixed(2)}/month)${ci.legacyClusters.length ? `, ${ci.legacyClusters.length} cluster(s) on legacy ContainerLog - migrating saves $${ci.migrationSavings.toFixed(2)}/month` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Application Insights sampling
+    if (dataSummary.appInsights?.length > 0) {
+        formatted += '### Application Insights Sampling (shown to the user as separate cards with SDK snippets - do not create sampling cards)\n';
+        dataSummary.appInsights.forEach(ai => {
+            formatted += `- ${ai.workspace}: ${ai.roles.length} cloud role(s), ${ai.monthlyGB.toFixed(1)} GB/month${ai.recommended.length ? ` - sampling ${ai.recommended.map(r => `${r.role} at ${r.recommendation.percentage}%`).join(', ')} saves ${ai.savingsGB.toFixed(1)} GB ($${ai.savings.toFixed(2)}/month)` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Diagnostic settings
+    if (dataSummary.diagnosticSettings?.length > 0) {
+        formatted += '### Diagnostic Settings (shown to the user as separate cards - do not create diagnostic settings cards)\n';
+        dataSummary.diagnosticSettings.forEach(d => {
+            formatted += `- ${d.workspace}: ${d.settings.length} setting(s)${d.disable.length ? `, disabling ${d.disable.map(c => `${c.resource} ${c.name}`).join(', ')} saves ${d.disableGB.toFixed(1)} GB ($${d.disableSavings.toFixed(2)}/month)` : ''}${d.legacy.length ? `, ${d.legacy.length} in AzureDiagnostics mode (${d.legacyGB.toFixed(1)} GB)` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Cross-workspace duplicates
+    if (dataSummary.crossWorkspace) {
+        formatted += '### Duplicate Data Across Workspaces (shown to the user as a separate card - do not create cross-workspace duplicate cards)\n';
+        formatted += `- ${dataSummary.crossWorkspace.duplicates.length} source/table pair(s) sent to more than one workspace - ${dataSummary.crossWorkspace.gb.toFixed(1)} GB, $${dataSummary.crossWorkspace.cost.toFixed(2)}/month paid twice\n`;
+        formatted += `- ${dataSummary.crossWorkspace.multiHomed.length} multi-homed agent(s)\n\n`;
+    }
+    
+    // Azure Monitor Agent migration
+    if (dataSummary.agentMigration?.length > 0) {
+        formatted += '### Azure Monitor Agent Migration (shown to the user as separate cards with the migration plan - do not create agent migration cards)\n';
+        dataSummary.agentMigration.forEach(m => {
+            formatted += `- ${m.workspace}: ${m.legacyMachines.length} machine(s) on legacy agents (${m.bothCount} also running AMA), ${m.legacyGB.toFixed(1)} GB/month from legacy data sources${m.savings > 0 ? `, DCR filters would save $${m.savings.toFixed(2)}/month` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Windows event noise
+    if (dataSummary.windowsEvents?.length > 0) {
+        formatted += '### Windows Event Noise (shown to the user as separate cards with the XPath DCR block - do not create SecurityEvent or Event filtering cards)\n';
+        dataSummary.windowsEvents.forEach(w => {
+            formatted += `- ${w.workspace}: SecurityEvent ${w.securityGB.toFixed(1)} GB, Event ${w.eventGB.toFixed(1)} GB/month${w.noisy.length ? `, noisy event IDs ${[...new Set(w.noisy.map(e => e.eventId))].join(', ')}` : ''}, XPath filters save ${w.xPathGB.toFixed(1)} GB ($${w.xPathSavings.toFixed(2)}/month)${w.commonGB > 0 ? `, All Events to Common saves ${w.commonGB.toFixed(1)} GB ($${w.commonSavings.toFixed(2)}/month)` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Syslog noise
+    if (dataSummary.syslog?.length > 0) {
+        formatted += '### Syslog Noise (shown to the user as separate cards with the syslog DCR block and transformation - do not create Syslog filtering cards)\n';
+        dataSummary.syslog.forEach(s => {
+            formatted += `- ${s.workspace}: Syslog ${s.totalGB.toFixed(1)} GB/month, minimum levels per facility save ${s.levelGB.toFixed(1)} GB ($${s.levelSavings.toFixed(2)}/month)${s.noisy.length ? `, noisy processes ${s.noisy.map(p => p.name).join(', ')} save ${s.processGB.toFixed(1)} GB ($${s.processSavings.toFixed(2)}/month)` : ''}\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Log search alert rule costs
+    if (dataSummary.alertCosts) {
+        const a = dataSummary.alertCosts;
+        formatted += '### Alert Rule Cost (shown to the user as a separate card with per-rule costs - do not create alert frequency cards)\n';
+        formatted += `- ${a.rules.length} enabled log search alert rule(s) cost $${a.totalCost.toFixed(2)}/month; ${a.frequent.length} evaluated every minute could save $${a.savings.toFixed(2)}/month at 5 or 15 minutes; ${a.disabled.length} disabled\n\n`;
+    }
+    
+    // Azure Monitor costs beyond logs
+    if (dataSummary.beyondLogs) {
+        const b = dataSummary.beyondLogs;
+        formatted += '### Azure Monitor Beyond Logs (shown to the user as a separate card - do not create metric alert or Prometheus cost cards)\n';
+        formatted += `- Metric alert rules: ${b.metricAlerts.length} enabled, $${b.metricAlertCost.toFixed(2)}/month (${b.metricAlerts.filter(a => a.resources > 1).length} multi-resource)\n`;
+        formatted += `- Managed Prometheus: ${b.monitorWorkspaces.length} Azure Monitor workspace(s), $${b.prometheusCost.toFixed(2)}/month\n\n`;
+    }
+    
+    // Tables nobody reads
+    if (dataSummary.unusedTables?.length > 0) {
+        formatted += '### Unused Tables (shown to the user as separate cards with the suggested action per table - do not create unused table cards)\n';
+        dataSummary.unusedTables.forEach(u => {
+            if (u.needsQueryLogs) {
+                formatted += `- ${u.workspace}: LAQueryLogs covers ${u.queryLogDays} day(s) - not enough to tell which tables are unread\n`;
+                return;
+            }
+            formatted += `- ${u.workspace}: ${u.tables.length} table(s) unread for 30 days (${u.unread90} for ${Math.min(u.queryLogDays, 90)}), $${u.totalCost.toFixed(2)}/month: ${u.tables.slice(0, 10).map(t => `${t.name} (${t.action})`).join(', ')}; suggestions save $${u.savings.toFixed(2)}/month\n`;
+        });
+        formatted += '\n';
+    }
+    
+    // Microsoft Sentinel workspaces
+    if (dataSummary.sentinelWorkspaces?.length > 0) {
+        formatted += '### Microsoft Sentinel Workspaces\n';
+        dataSummary.sentinelWorkspaces.forEach(s => {
+            formatted += `**${s.workspace}** - billed at $${s.sentinelRatePerGB.toFixed(2)}/GB (Sentinel + Log Analytics), ≈ $${s.sentinelMonthlyCost.toFixed(2)}/month\n`;
+            formatted += `- Security data: ${s.securityGB.toFixed(2)} GB (${s.securityTables.map(t => t.name).join(', ') || 'none'})\n`;
+            formatted += `- Operational data: ${s.operationalGB.toFixed(2)} GB (${s.operationalTables.map(t => t.name).join(', ') || 'none'})\n`;
+            formatted += `- Free Sentinel data sources: ${s.freeSources.map(f => `${f.name} ${f.gb.toFixed(2)} GB`).join(', ') || 'none'}\n`;
+            formatted += `- Splitting operational data into a separate workspace saves $${s.splitMonthlySavings.toFixed(2)}/month - ${s.splitPaysOff ? 'RECOMMENDED' : 'not worth it'}\n\n`;
+        });
+    }
+    
+    // Dedicated cluster modelling
+    if (dataSummary.dedicatedClusters?.length > 0) {
+        formatted += '### Dedicated Cluster Modelling (workspaces grouped by region)\n';
+        dataSummary.dedicatedClusters.forEach(cluster => {
+            formatted += `**${cluster.regionName}** - ${cluster.workspaces.length} workspaces, combined ${cluster.avgDailyGB.toFixed(2)} GB/day, best standalone $${cluster.standaloneMonthlyCost.toFixed(2)}/month\n`;
+            formatted += cluster.qualifies
+                ? `- Qualifies: ${cluster.clusterTier.gbPerDay} GB/day cluster commitment ≈ $${cluster.clusterMonthlyCost.toFixed(2)}/month, saves $${cluster.monthlySavings.toFixed(2)}/month\n`
+                : `- Does not qualify: a cluster would not beat standalone pricing (100 GB/day tier breaks even at ${cluster.breakEvenGBPerDay.toFixed(1)} GB/day)\n`;
+            formatted += formatDedicatedClusterTable(cluster) + '\n';
+        });
+    }
+    
     // Per-workspace details
     for (const [wsName, queryResults] of Object.entries(allQueryData)) {
         const ws = currentWorkspaces.find(w => w.name === wsName);
         formatted += `### Workspace: ${wsName}\n`;
         formatted += `- Resource Group: ${ws?.resourceGroup || 'Unknown'}\n`;
+        formatted += `- Location: ${ws?.location || 'Unknown'} (Analytics $${getPricing(ws?.location, { sentinel: ws?.sentinelEnabled }).analytics.toFixed(2)}/GB${ws?.sentinelEnabled ? ' combined Sentinel + Log Analytics' : ''})\n`;
+        formatted += `- Microsoft Sentinel: ${ws?.sentinelEnabled ? 'Enabled' : 'Not enabled'}\n`;
         formatted += `- SKU: ${ws?.sku || 'Unknown'}\n`;
-        formatted += `- Retention: ${ws?.retentionDays || 30} days\n\n`;
+        formatted += `- Retention: ${ws?.retentionDays || 30} days\n`;
+        formatted += `- Daily cap: ${ws?.dailyQuotaGb ? `${ws.dailyQuotaGb} GB` : 'none'}\n\n`;
+        
+        // Commitment tier calculator
+        const tierAnalysis = (dataSummary.commitmentTiers || []).find(a => a.workspace === wsName);
+        if (tierAnalysis) {
+            formatted += `**Commitment Tier Calculator (${tierAnalysis.days} days, avg ${tierAnalysis.avgDailyGB.toFixed(2)} GB/day, peak ${tierAnalysis.peakDailyGB.toFixed(2)} GB/day):**\n`;
+            formatted += formatCommitmentTierTable(tierAnalysis);
+            formatted += tierAnalysis.recommended
+                ? `- Recommended tier: ${tierAnalysis.recommended.gbPerDay} GB/day (saves $${Math.abs(tierAnalysis.monthlyDelta).toFixed(2)}/month, break-even ${tierAnalysis.breakEvenGBPerDay.toFixed(1)} GB/day)\n\n`
+                : `- Recommended tier: none - pay-as-you-go is cheapest (100 GB/day tier breaks even at ${tierAnalysis.breakEvenGBPerDay.toFixed(1)} GB/day)\n\n`;
+        }
         
         // Data volume
         if (queryResults.dataVolumeByTable?.rows?.length > 0) {
@@ -684,14 +1187,28 @@ function formatQueryDataForAI(allQueryData, dataSummary) {
             formatted += '\n';
         }
         
+        // Table plans and retention from the Tables API
+        const tablePlans = getTableInventoryMap(queryResults);
+        const tableInventoryRows = queryResults.tableInventory?.rows || [];
+        if (tableInventoryRows.length > 0) {
+            formatted += `**Table Plans & Retention (Tables API):**\n`;
+            tableInventoryRows.forEach(row => {
+                const [name, plan, retention, totalRetention, subType, override] = row;
+                formatted += `- ${name}: ${plan} plan, ${retention}d interactive / ${totalRetention}d total, ${subType}${override ? ' ⚠️ per-table retention override' : ''}\n`;
+            });
+            formatted += '\n';
+        }
+        
         // Basic Logs candidates
         if (queryResults.basicLogsCandidates?.rows?.length > 0) {
             formatted += `**Basic Logs Candidates Found:**\n`;
             const typeIdx = queryResults.basicLogsCandidates.columns?.indexOf('DataType') ?? 0;
             const gbIdx = queryResults.basicLogsCandidates.columns?.indexOf('BillableGB') ?? 1;
-            queryResults.basicLogsCandidates.rows.forEach(row => {
-                formatted += `- ${row[typeIdx]}: ${parseFloat(row[gbIdx]).toFixed(2)} GB (could save ~50%)\n`;
-            });
+            queryResults.basicLogsCandidates.rows
+                .filter(row => (tablePlans[row[typeIdx]]?.plan || 'Analytics') === 'Analytics')
+                .forEach(row => {
+                    formatted += `- ${row[typeIdx]}: ${parseFloat(row[gbIdx]).toFixed(2)} GB (could save ~50%)\n`;
+                });
             formatted += '\n';
         }
         
@@ -706,9 +1223,10 @@ function formatQueryDataForAI(allQueryData, dataSummary) {
             const tableNameIdx = queryResults.tableQueryFrequency.columns?.indexOf('TableName') ?? 0;
             const queryCountIdx = queryResults.tableQueryFrequency.columns?.indexOf('QueryCount') ?? 1;
             const avgPerDayIdx = queryResults.tableQueryFrequency.columns?.indexOf('AvgQueriesPerDay') ?? 3;
+            const scannedIdx = queryResults.tableQueryFrequency.columns?.indexOf('ScannedGB') ?? 4;
             queryResults.tableQueryFrequency.rows.slice(0, 15).forEach(row => {
                 const avgPerDay = parseFloat(row[avgPerDayIdx]).toFixed(1);
-                formatted += `- ${row[tableNameIdx]}: ${row[queryCountIdx]} queries (~${avgPerDay}/day)\n`;
+                formatted += `- ${row[tableNameIdx]}: ${row[queryCountIdx]} queries (~${avgPerDay}/day), ${(parseFloat(row[scannedIdx]) || 0).toFixed(1)} GB scanned\n`;
             });
             formatted += '\n';
         } else if (!laQueryLogsEnabled) {
@@ -724,7 +1242,7 @@ function formatQueryDataForAI(allQueryData, dataSummary) {
         formatted += '\n### Frequently Queried Tables Summary\n';
         formatted += '⚠️ These tables are actively queried and may not be suitable for Basic Logs:\n\n';
         dataSummary.frequentlyQueriedTables.slice(0, 10).forEach(t => {
-            formatted += `- **${t.tableName}**: ${t.queryCount} queries (avg ${t.avgQueriesPerDay.toFixed(1)}/day)\n`;
+            formatted += `- **${t.tableName}**: ${t.queryCount} queries (avg ${t.avgQueriesPerDay.toFixed(1)}/day), ${(t.scannedGB || 0).toFixed(1)} GB scanned ≈ $${(t.queryCost || 0).toFixed(2)}/month if on Basic/Auxiliary\n`;
         });
         formatted += '\n';
     }
@@ -864,7 +1382,9 @@ async function loadWorkspaces(subscriptionId) {
             location: ws.location,
             resourceGroup: extractResourceGroup(ws.id),
             sku: ws.properties.sku?.name || 'Unknown',
-            retentionDays: ws.properties.retentionInDays || 30
+            retentionDays: ws.properties.retentionInDays || 30,
+            // -1 means no daily cap
+            dailyQuotaGb: ws.properties.workspaceCapping?.dailyQuotaGb > 0 ? ws.properties.workspaceCapping.dailyQuotaGb : null
         }));
         
         if (currentWorkspaces.length === 0) {
@@ -1127,6 +1647,17 @@ async function runAnalysis() {
         
         updateProgress('progressQueries', 'complete', `Analyzed ${Object.keys(allQueryData).length} workspace(s)`);
         
+        // Step 1.5: Detect Microsoft Sentinel - changes the ingestion price of the whole workspace
+        try {
+            const sentinelWorkspaces = await detectSentinelWorkspaces(selectedWorkspaces);
+            if (sentinelWorkspaces.length > 0) {
+                updateProgress('progressQueries', 'complete', 
+                    `Analyzed ${Object.keys(allQueryData).length} workspace(s), ${sentinelWorkspaces.length} with Microsoft Sentinel`);
+            }
+        } catch (e) {
+            console.warn('Could not detect Microsoft Sentinel:', e);
+        }
+        
         // Step 2: Fetch Azure Advisor recommendations
         updateProgress('progressAdvisor', 'running', 'Fetching Azure Advisor recommendations...');
         let advisorRecommendations = [];
@@ -1140,7 +1671,7 @@ async function runAnalysis() {
         
         // Step 2.5: Fetch scheduled query rules (alerts) and dashboards to detect table usage
         updateProgress('progressAdvisor', 'running', 'Detecting tables used in alerts & dashboards...');
-        let alertTablesInfo = { tablesInAlerts: [], alertDetails: [] };
+        let alertTablesInfo = { tablesInAlerts: [], alertDetails: [], alertRules: [] };
         let dashboardTablesInfo = { tablesInDashboards: [], dashboardDetails: [] };
         try {
             // Fetch alerts and dashboards in parallel
@@ -1169,8 +1700,32 @@ async function runAnalysis() {
         dataSummary.advisorRecommendations = advisorRecommendations;
         dataSummary.tablesInAlerts = alertTablesInfo.tablesInAlerts;
         dataSummary.alertDetails = alertTablesInfo.alertDetails;
+        dataSummary.alertCosts = summarizeAlertCosts(alertTablesInfo.alertRules);
+        dataSummary.unusedTables = analyzeUnusedTables(allQueryData, [...alertTablesInfo.tablesInAlerts, ...dashboardTablesInfo.tablesInDashboards]);
+        
+        // Metric alerts and Azure Monitor workspaces, billed outside Log Analytics
+        try {
+            const [metricAlerts, monitorWorkspaces] = await Promise.all([
+                fetchMetricAlerts(selectedWorkspaces),
+                fetchMonitorWorkspaces(selectedWorkspaces)
+            ]);
+            dataSummary.beyondLogs = summarizeBeyondLogs(metricAlerts, monitorWorkspaces, dataSummary.alertCosts);
+        } catch (e) {
+            console.warn('Could not fetch metric alerts/Azure Monitor workspaces:', e);
+        }
         dataSummary.tablesInDashboards = dashboardTablesInfo.tablesInDashboards;
         dataSummary.dashboardDetails = dashboardTablesInfo.dashboardDetails;
+        dataSummary.savingsEstimates = calculateSavingsEstimates(allQueryData, dataSummary);
+        
+        // Chargeback: cost per emitting resource, joined to resource groups and tags
+        const chargebackEntries = collectChargebackEntries(allQueryData);
+        let resourceMetadata = {};
+        try {
+            resourceMetadata = await fetchResourceMetadata(chargebackEntries.map(e => e.resourceId));
+        } catch (e) {
+            console.warn('Resource metadata unavailable, chargeback will not include tags:', e);
+        }
+        dataSummary.chargeback = { entries: chargebackEntries, metadata: resourceMetadata, truncated: findTruncatedChargeback(allQueryData) };
         
         console.log('Data summary:', dataSummary);
         
@@ -1213,9 +1768,9 @@ async function runAnalysis() {
         
         updateProgress('progressAI', 'complete', 'Recommendations generated');
         
-        // Show recommendations
+        // Show recommendations followed by the cards computed from the data
         progressSection.hidden = true;
-        showRecommendations(recommendations, selectedWorkspaces, dataSummary);
+        showRecommendations(recommendations + formatComputedCards(dataSummary), selectedWorkspaces, dataSummary);
         
     } catch (error) {
         console.error('Analysis error:', error);
@@ -1342,14 +1897,59 @@ function formatAdvisorRecommendations(advisorRecs) {
     return output;
 }
 
+// ============ MICROSOFT SENTINEL DETECTION ============
+// Sentinel onboarding installs the SecurityInsights solution on the workspace.
+// Marks each workspace with sentinelEnabled so pricing can switch to combined Sentinel rates.
+async function detectSentinelWorkspaces(workspaces) {
+    const sentinelWorkspaceIds = new Set();
+    
+    // Get unique subscription IDs from workspaces
+    const subscriptionIds = [...new Set(workspaces.map(ws => {
+        const match = ws.resourceId.match(/\/subscriptions\/([^\/]+)/);
+        return match ? match[1] : null;
+    }).filter(Boolean))];
+    
+    for (const subscriptionId of subscriptionIds) {
+        try {
+            const response = await fetch(
+                `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.OperationsManagement/solutions?api-version=2015-11-01-preview`,
+                {
+                    headers: { 'Authorization': `Bearer ${accessToken}` }
+                }
+            );
+            
+            if (!response.ok) {
+                console.warn(`Solutions API returned ${response.status}`);
+                continue;
+            }
+            
+            const data = await response.json();
+            (data.value || [])
+                .filter(solution => solution.name?.startsWith('SecurityInsights(') || solution.plan?.product === 'OMSGallery/SecurityInsights')
+                .forEach(solution => {
+                    const wsId = solution.properties?.workspaceResourceId;
+                    if (wsId) sentinelWorkspaceIds.add(wsId.toLowerCase());
+                });
+        } catch (error) {
+            console.error(`Error fetching solutions:`, error);
+        }
+    }
+    
+    workspaces.forEach(ws => {
+        ws.sentinelEnabled = sentinelWorkspaceIds.has(ws.resourceId.toLowerCase());
+    });
+    
+    console.log(`Sentinel Detection: ${sentinelWorkspaceIds.size} Sentinel-enabled workspace(s)`);
+    return workspaces.filter(ws => ws.sentinelEnabled);
+}
+
 // ============ SCHEDULED QUERY RULES (ALERTS) DETECTION ============
-// Fetches alert rules to identify tables that are used in alerts (cannot use Basic Logs)
+// Fetches alert rules to identify tables that are used in alerts (cannot use Basic Logs),
+// and prices each rule for the alert cost card
 async function fetchScheduledQueryRules(workspaces) {
     const tablesInAlerts = new Set();
     const alertDetails = [];
-    
-    // Get workspace resource IDs for matching
-    const workspaceResourceIds = workspaces.map(ws => ws.resourceId.toLowerCase());
+    const alertRules = [];
     
     // Get unique subscription IDs from workspaces
     const subscriptionIds = [...new Set(workspaces.map(ws => {
@@ -1380,12 +1980,18 @@ async function fetchScheduledQueryRules(workspaces) {
                 
                 // Check if this alert targets one of our workspaces
                 const scopes = props.scopes || [];
-                const targetWorkspace = scopes.some(scope => 
-                    workspaceResourceIds.some(wsId => scope.toLowerCase().includes(wsId) || wsId.includes(scope.toLowerCase()))
-                );
+                const targetWorkspace = workspaces.find(ws => scopes.some(scope => {
+                    const wsId = ws.resourceId.toLowerCase();
+                    return scope.toLowerCase().includes(wsId) || wsId.includes(scope.toLowerCase());
+                }));
                 
                 if (!targetWorkspace) continue;
                 
+                alertRules.push({
+                    workspace: targetWorkspace.name,
+                    ...estimateAlertRuleCost(rule, getPricing(rule.location || targetWorkspace.location).logAlertTimeSeries)
+                });
+                
                 // Extract the query and find table names
                 const query = props.criteria?.allOf?.[0]?.query || '';
                 const tables = extractTablesFromQuery(query);
@@ -1407,7 +2013,7 @@ async function fetchScheduledQueryRules(workspaces) {
     }
     
     console.log(`Alert Detection: Found ${tablesInAlerts.size} tables used in ${alertDetails.length} alert rules`);
-    return { tablesInAlerts: Array.from(tablesInAlerts), alertDetails };
+    return { tablesInAlerts: Array.from(tablesInAlerts), alertDetails, alertRules };
 }
 
 // ============ DASHBOARD DETECTION ============
@@ -1579,11 +2185,103 @@ function extractTablesFromQuery(query) {
     return Array.from(tables);
 }
 
+// ============ TABLE INVENTORY ============
+// Reads every table's plan and retention from the Tables API
+async function fetchTableInventory(workspace) {
+    const response = await fetch(
+        `https://management.azure.com${workspace.resourceId}/tables?api-version=2022-10-01`,
+        {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        }
+    );
+    
+    if (!response.ok) {
+        throw new Error(`Tables API returned ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return (data.value || []).map(table => ({
+        name: table.name,
+        plan: table.properties?.plan || 'Analytics',
+        retentionInDays: table.properties?.retentionInDays,
+        totalRetentionInDays: table.properties?.totalRetentionInDays,
+        retentionInDaysAsDefault: table.properties?.retentionInDaysAsDefault,
+        tableSubType: table.properties?.schema?.tableSubType
+    }));
+}
+
+// Keep the tables worth reporting - anything ingesting, not on Analytics, or with its own retention -
+// in the same { columns, rows } shape as query results
+function buildTableInventory(tables, workspace, queryResults) {
+    const volumeData = queryResults.dataVolumeByTable;
+    const typeIdx = volumeData?.columns?.indexOf('DataType') ?? 0;
+    const ingesting = new Set((volumeData?.rows || []).map(row => row[typeIdx]));
+    const workspaceRetention = workspace.retentionDays || 30;
+    
+    const rows = tables
+        .map(t => {
+            // Older API versions omit retentionInDaysAsDefault, so fall back to comparing with the workspace
+            const override = t.retentionInDaysAsDefault === false ||
+                (t.retentionInDaysAsDefault === undefined && t.retentionInDays !== undefined && t.retentionInDays !== workspaceRetention);
+            return [t.name, t.plan, t.retentionInDays ?? workspaceRetention, t.totalRetentionInDays ?? t.retentionInDays ?? workspaceRetention, t.tableSubType || 'Unknown', override];
+        })
+        .filter(row => ingesting.has(row[0]) || row[1] !== 'Analytics' || row[5]);
+    
+    return {
+        columns: ['TableName', 'Plan', 'RetentionInDays', 'TotalRetentionInDays', 'TableSubType', 'RetentionOverride'],
+        rows
+    };
+}
+
 // Query a workspace using Azure Resource Manager API (works with management token)
 async function queryWorkspace(workspace) {
+    const results = await runWorkspaceQueries(workspace, analysisQueries);
+    
+    // Table plans and retention from the Tables API
+    try {
+        const tables = await fetchTableInventory(workspace);
+        results.tableInventory = buildTableInventory(tables, workspace, results);
+    } catch (error) {
+        console.warn(`Table inventory for ${workspace.name} unavailable:`, error);
+        results.tableInventory = { error: error.message, rows: [], columns: [] };
+    }
+    
+    // Computers and resources behind the largest ingestion spikes
+    try {
+        results.anomalyDrillDown = await fetchAnomalyDrillDown(workspace, results);
+    } catch (error) {
+        console.warn(`Anomaly drill-down for ${workspace.name} unavailable:`, error);
+    }
+    
+    // Share of billed size per column for the largest tables
+    try {
+        results.columnSizes = await fetchColumnSizes(workspace, results);
+    } catch (error) {
+        console.warn(`Column size analysis for ${workspace.name} unavailable:`, error);
+    }
+    
+    // Volume each noisy table's transformation filter would drop
+    try {
+        results.transformEstimates = await fetchTransformEstimates(workspace, results);
+    } catch (error) {
+        console.warn(`Transformation estimates for ${workspace.name} unavailable:`, error);
+    }
+    
+    // Diagnostic settings of the resources sending to the workspace
+    try {
+        results.diagnosticSettings = await fetchDiagnosticSettings(workspace, results);
+    } catch (error) {
+        console.warn(`Diagnostic settings for ${workspace.name} unavailable:`, error);
+    }
+    
+    return results;
+}
+
+// Run a set of named KQL queries against a workspace
+async function runWorkspaceQueries(workspace, queries) {
     const results = {};
     
-    for (const [queryName, query] of Object.entries(analysisQueries)) {
+    for (const [queryName, query] of Object.entries(queries)) {
         try {
             // Use ARM endpoint which accepts management.azure.com token
             const response = await fetch(
@@ -1632,32 +2330,2135 @@ async function queryWorkspace(workspace) {
     return results;
 }
 
-// Summarize query data
-function summarizeQueryData(allQueryData) {
-    const summary = {
-        totalWorkspaces: Object.keys(allQueryData).length,
-        workspacesWithData: 0,
-        workspacesEmpty: 0,
-        totalIngestionGB: 0,
-        byResourceGroup: {},
-        topTables: [],
-        frequentlyQueriedTables: [], // Track frequently queried tables
-        laQueryLogsEnabled: false // Track if LAQueryLogs is enabled
-    };
+// Map table name -> { plan, retentionInDays, totalRetentionInDays, tableSubType, retentionOverride }
+function getTableInventoryMap(queryResults) {
+    const inventory = queryResults?.tableInventory;
+    const map = {};
+    if (!inventory?.rows?.length) return map;
+    
+    const idx = name => inventory.columns.indexOf(name);
+    inventory.rows.forEach(row => {
+        map[row[idx('TableName')]] = {
+            plan: row[idx('Plan')],
+            retentionInDays: row[idx('RetentionInDays')],
+            totalRetentionInDays: row[idx('TotalRetentionInDays')],
+            tableSubType: row[idx('TableSubType')],
+            retentionOverride: row[idx('RetentionOverride')]
+        };
+    });
+    return map;
+}
+
+// ============ COMMITMENT TIER CALCULATOR ============
+// Extract complete days from the dailyIngestionTrend query results
+function getDailyIngestionSeries(queryResults) {
+    const trend = queryResults?.dailyIngestionTrend;
+    if (!trend?.rows?.length) return [];
+    
+    const timeIdx = trend.columns?.indexOf('TimeGenerated') ?? 0;
+    const gbIdx = trend.columns?.indexOf('DailyGB') ?? 1;
+    const series = trend.rows
+        .map(row => ({ date: new Date(row[timeIdx]), gb: parseFloat(row[gbIdx]) || 0 }))
+        .filter(point => !isNaN(point.date))
+        .sort((a, b) => a.date - b.date);
+    
+    // ago(30d) binned by day yields a partial first bin, and today is still in progress
+    const today = new Date().toISOString().slice(0, 10);
+    const complete = series.length > 30 ? series.slice(1) : series;
+    return complete.filter(point => point.date.toISOString().slice(0, 10) !== today);
+}
+
+// Run the commitment tier calculator for each workspace's daily ingestion
+function analyzeCommitmentTiers(allQueryData) {
+    const results = [];
     
-    const tableData = {};
-    const tableQueryData = {}; // Aggregate query frequency across workspaces
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const series = getDailyIngestionSeries(queryResults);
+        const analysis = calculateCommitmentTiers(series.map(point => point.gb), ws?.location, { sentinel: ws?.sentinelEnabled });
+        if (analysis) {
+            results.push({ workspace: wsName, location: ws?.location, sku: ws?.sku, ...analysis });
+        }
+    }
+    
+    return results.sort((a, b) => a.monthlyDelta - b.monthlyDelta);
+}
+
+// Build the per-tier comparison table for one workspace
+function formatCommitmentTierTable(analysis) {
+    // Show tiers up to the first one that covers the peak day
+    const firstCovering = analysis.tiers.findIndex(t => t.gbPerDay >= analysis.peakDailyGB);
+    const tiers = analysis.tiers.slice(0, firstCovering === -1 ? analysis.tiers.length : firstCovering + 1);
+    
+    let table = `| Tier | Monthly Cost | Overage | Unused Commitment | vs Pay-As-You-Go |\n`;
+    table += `|------|--------------|---------|-------------------|------------------|\n`;
+    table += `| Pay-As-You-Go | $${analysis.paygMonthly.toFixed(2)} | - | - | - |\n`;
+    tiers.forEach(t => {
+        const marker = analysis.recommended && analysis.recommended.gbPerDay === t.gbPerDay ? ' ✅' : '';
+        const delta = t.monthlyDelta < 0 ? `-$${Math.abs(t.monthlyDelta).toFixed(2)}` : `+$${t.monthlyDelta.toFixed(2)}`;
+        table += `| ${t.gbPerDay} GB/day${marker} | $${t.monthlyCost.toFixed(2)} | ${t.overageGB.toFixed(0)} GB on ${t.daysOver} day(s) ($${t.overageCost.toFixed(2)}) | ${t.unusedGB.toFixed(0)} GB on ${t.daysUnder} day(s) ($${t.wastedCommitment.toFixed(2)}) | ${delta} |\n`;
+    });
+    return table;
+}
+
+// Model dedicated clusters from the per-workspace totals, grouped by region
+function analyzeDedicatedClusters(allQueryData, summary) {
+    const workspaces = Object.values(summary.byResourceGroup)
+        .flatMap(rg => rg.workspaces)
+        .map(ws => ({
+            name: ws.name,
+            location: ws.location,
+            sentinel: ws.sentinel,
+            monthlyGB: ws.gb,
+            currentMonthlyCost: ws.cost,
+            dailySeries: getDailyIngestionSeries(allQueryData[ws.name])
+        }));
+    return calculateDedicatedClusters(workspaces);
+}
+
+// Build the workspace table for a dedicated cluster result
+function formatDedicatedClusterTable(cluster) {
+    let table = `| Workspace | Monthly GB | Current Cost | Best Standalone Cost |\n`;
+    table += `|-----------|------------|--------------|----------------------|\n`;
+    cluster.workspaces.forEach(ws => {
+        const standalone = ws.standaloneTier ? `$${ws.standaloneMonthlyCost.toFixed(2)} (${ws.standaloneTier} GB/day tier)` : `$${ws.standaloneMonthlyCost.toFixed(2)}`;
+        table += `| ${ws.name} | ${ws.monthlyGB.toFixed(2)} | $${ws.currentMonthlyCost.toFixed(2)} | ${standalone} |\n`;
+    });
+    return table;
+}
+
+// ============ RETENTION COST CALCULATOR ============
+// Price each table's interactive vs long-term retention and the recommended split
+function analyzeRetention(allQueryData) {
+    const results = [];
     
     for (const [wsName, queryResults] of Object.entries(allQueryData)) {
         const ws = currentWorkspaces.find(w => w.name === wsName);
-        const rg = ws?.resourceGroup || 'Unknown';
+        const volumeData = queryResults.dataVolumeByTable;
+        if (!volumeData?.rows?.length) continue;
         
-        if (!summary.byResourceGroup[rg]) {
-            summary.byResourceGroup[rg] = { workspaces: [], totalGB: 0, hasData: false };
+        const gbIdx = volumeData.columns?.indexOf('BillableGB') ?? 1;
+        const typeIdx = volumeData.columns?.indexOf('DataType') ?? 0;
+        const tablePlans = getTableInventoryMap(queryResults);
+        const workspaceRetention = ws?.retentionDays || 30;
+        
+        const tables = volumeData.rows.map(row => {
+            const name = row[typeIdx];
+            const table = tablePlans[name] || {};
+            const retention = calculateRetentionCost(
+                parseFloat(row[gbIdx]) || 0,
+                table.retentionInDays ?? workspaceRetention,
+                table.totalRetentionInDays ?? table.retentionInDays ?? workspaceRetention,
+                ws?.location,
+                { sentinel: ws?.sentinelEnabled, plan: table.plan || 'Analytics' }
+            );
+            return { name, monthlyGB: parseFloat(row[gbIdx]) || 0, ...retention };
+        }).filter(t => t.currentMonthlyCost > 0.01)
+            .sort((a, b) => b.monthlySavings - a.monthlySavings);
+        
+        results.push({
+            workspace: wsName,
+            retentionDays: workspaceRetention,
+            freeDays: getPricing(ws?.location, { sentinel: ws?.sentinelEnabled }).freeRetentionDays,
+            tables,
+            currentMonthlyCost: tables.reduce((sum, t) => sum + t.currentMonthlyCost, 0),
+            recommendedMonthlyCost: tables.reduce((sum, t) => sum + t.recommendedMonthlyCost, 0),
+            monthlySavings: tables.reduce((sum, t) => sum + t.monthlySavings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Build the per-table retention table for a workspace
+function formatRetentionTable(tables) {
+    let table = `| Table | Monthly GB | Current (interactive / total) | Current Cost | Recommended (interactive / total) | New Cost | Savings |\n`;
+    table += `|-------|------------|-------------------------------|--------------|-----------------------------------|----------|---------|\n`;
+    tables.forEach(t => {
+        table += `| ${t.name} | ${t.monthlyGB.toFixed(2)} | ${t.retentionInDays} / ${t.totalRetentionInDays} days | $${t.currentMonthlyCost.toFixed(2)} | ${t.recommendedRetentionInDays} / ${t.recommendedTotalRetentionInDays} days | $${t.recommendedMonthlyCost.toFixed(2)} | $${t.monthlySavings.toFixed(2)} |\n`;
+    });
+    return table;
+}
+
+// ============ INGESTION FORECAST ============
+// Forecast each workspace's daily ingestion and find when it crosses a commitment tier or its daily cap
+function analyzeForecasts(allQueryData, summary) {
+    const results = [];
+    const workspaceTotals = Object.values(summary.byResourceGroup).flatMap(rg => rg.workspaces);
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const forecast = forecastIngestion(getDailyIngestionSeries(queryResults));
+        if (!forecast) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const totals = workspaceTotals.find(w => w.name === wsName);
+        const dailyCapGB = ws?.dailyQuotaGb || null;
+        
+        results.push({
+            workspace: wsName,
+            forecast,
+            // Current blended rate, so plans and free tables are priced as they are today
+            ratePerGB: totals?.gb > 0 ? totals.cost / totals.gb : pricing.analytics,
+            tierCrossings: findTierCrossings(forecast, pricing.commitmentTiers),
+            dailyCapGB,
+            capCrossing: dailyCapGB ? findForecastCrossing(forecast, dailyCapGB) : null
+        });
+    }
+    
+    return results;
+}
+
+// Render forecast cards as flat elements, like formatMarkdown's regular cards
+function formatForecastCards(forecasts) {
+    const day = date => date ? date.toISOString().slice(0, 10) : 'n/a';
+    
+    return (forecasts || []).map(f => {
+        const growth = `${f.forecast.monthlyGrowthPct >= 0 ? '+' : ''}${f.forecast.monthlyGrowthPct.toFixed(1)}%/month`;
+        const thresholds = f.tierCrossings.map(c => ({ gb: c.gbPerDay, label: `${c.gbPerDay} GB/day tier` }));
+        if (f.dailyCapGB) thresholds.push({ gb: f.dailyCapGB, label: `Daily cap ${f.dailyCapGB} GB` });
+        
+        let html = `<hr class="rec-divider">`;
+        html += `<h4 class="rec-title">📈 Ingestion Forecast - ${f.workspace} <span class="rec-badge rec-badge-info">${growth}</span></h4>`;
+        html += `<div class="forecast-chart-container">${renderForecastChart(f.forecast, thresholds)}</div>`;
+        html += `<table class="ai-table"><thead><tr><th>Horizon</th><th>Forecast</th><th>95% range</th><th>Est. cost</th></tr></thead><tbody>`;
+        f.forecast.horizons.forEach(h => {
+            html += `<tr><td>Next ${h.days} days</td><td>${h.totalGB.toFixed(0)} GB</td><td>${h.lowerGB.toFixed(0)}-${h.upperGB.toFixed(0)} GB</td>`;
+            html += `<td>$${(h.lowerGB * f.ratePerGB).toFixed(0)}-$${(h.upperGB * f.ratePerGB).toFixed(0)}</td></tr>`;
+        });
+        html += `</tbody></table>`;
+        html += `<p class="rec-body">Trend: ${f.forecast.currentDailyGB.toFixed(1)} GB/day today, ${f.forecast.horizons[f.forecast.horizons.length - 1].endDailyGB.toFixed(1)} GB/day in ${f.forecast.horizons[f.forecast.horizons.length - 1].days} days. Costs use today's rate of $${f.ratePerGB.toFixed(2)}/GB.</p>`;
+        f.tierCrossings.forEach(c => {
+            html += `<p class="rec-body">• Crosses the <strong>${c.gbPerDay} GB/day</strong> commitment tier around <strong>${day(c.date)}</strong> (as early as ${day(c.earliestDate)})</p>`;
+        });
+        if (f.capCrossing) {
+            html += `<p class="rec-body">• ${f.capCrossing.date ? `Reaches its <strong>${f.dailyCapGB} GB</strong> daily cap around <strong>${day(f.capCrossing.date)}</strong> (as early as ${day(f.capCrossing.earliestDate)})` : `Could reach its <strong>${f.dailyCapGB} GB</strong> daily cap as early as ${day(f.capCrossing.earliestDate)}`} - data above the cap is dropped</p>`;
+        }
+        return html;
+    }).join('');
+}
+
+// ============ DAILY CAP ADVISOR ============
+// Compare each workspace's daily cap with its daily ingestion and the days the cap was hit
+function analyzeDailyCaps(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const series = getDailyIngestionSeries(queryResults);
+        if (series.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const capHits = queryResults.capHitEvents?.rows || [];
+        const advice = calculateDailyCap(series.map(point => point.gb), ws?.dailyQuotaGb, ws?.location, {
+            sentinel: ws?.sentinelEnabled,
+            capHitDays: capHits.length
+        });
+        results.push({ workspace: wsName, sentinel: !!ws?.sentinelEnabled, ...advice });
+    }
+    
+    return results;
+}
+
+// ============ INGESTION ANOMALIES ============
+// Spikes to drill into per workspace - each one is a query against the spiking table
+const ANOMALY_DRILLDOWN_LIMIT = 5;
+
+// Daily and hourly spikes from the anomaly queries, largest excess first
+function getAnomalySpikes(queryResults) {
+    const spikes = [];
+    [['dailyAnomalies', 'day'], ['hourlyAnomalies', 'hour']].forEach(([queryName, granularity]) => {
+        const data = queryResults?.[queryName];
+        (data?.rows || []).forEach(row => {
+            spikes.push({
+                dataType: row[data.columns.indexOf('DataType')],
+                granularity,
+                time: new Date(row[data.columns.indexOf('TimeGenerated')]),
+                ingestedGB: parseFloat(row[data.columns.indexOf('IngestedGB')]) || 0,
+                baselineGB: parseFloat(row[data.columns.indexOf('BaselineGB')]) || 0,
+                excessGB: parseFloat(row[data.columns.indexOf('ExcessGB')]) || 0,
+                score: parseFloat(row[data.columns.indexOf('Score')]) || 0
+            });
+        });
+    });
+    return spikes.filter(spike => !isNaN(spike.time)).sort((a, b) => b.excessGB - a.excessGB);
+}
+
+// Run a drill-down query for each of the largest spikes, in the same { columns, rows } shape as query results
+async function fetchAnomalyDrillDown(workspace, queryResults) {
+    const spikes = getAnomalySpikes(queryResults).slice(0, ANOMALY_DRILLDOWN_LIMIT);
+    const queries = {};
+    spikes.forEach((spike, i) => {
+        const query = buildAnomalyDrillDownQuery(spike.dataType, spike.time, spike.granularity === 'hour' ? 1 : 24);
+        if (query) queries[`spike${i}`] = query;
+    });
+    if (Object.keys(queries).length === 0) return null;
+    
+    const results = await runWorkspaceQueries(workspace, queries);
+    const rows = [];
+    spikes.forEach((spike, i) => {
+        const data = results[`spike${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([spike.dataType, spike.granularity, spike.time.toISOString(), ...data.columns.map((_, c) => row[c])]);
+        });
+    });
+    
+    return {
+        columns: ['DataType', 'Granularity', 'TimeGenerated', ...(Object.values(results).find(r => r.columns?.length)?.columns || [])],
+        rows
+    };
+}
+
+// Match each spike with its drill-down contributors and price the excess
+function analyzeAnomalies(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const spikes = getAnomalySpikes(queryResults);
+        if (spikes.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const drillDown = queryResults.anomalyDrillDown;
+        const col = name => drillDown.columns.indexOf(name);
+        
+        spikes.forEach(spike => {
+            spike.contributors = (drillDown?.rows || [])
+                .filter(row => row[col('DataType')] === spike.dataType &&
+                    row[col('Granularity')] === spike.granularity &&
+                    new Date(row[col('TimeGenerated')]).getTime() === spike.time.getTime())
+                .map(row => ({
+                    computer: row[col('Computer')],
+                    resourceId: row[col('ResourceId')],
+                    excessGB: parseFloat(row[col('ExcessGB')]) || 0
+                }));
+        });
+        
+        // Hourly spikes inside a spiking day are already counted by the daily spike
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const dailySpikes = spikes.filter(s => s.granularity === 'day');
+        results.push({
+            workspace: wsName,
+            spikes,
+            excessGB: dailySpikes.reduce((sum, s) => sum + s.excessGB, 0),
+            excessCost: dailySpikes.reduce((sum, s) => {
+                const plan = getTableInventoryMap(queryResults)[s.dataType]?.plan;
+                return sum + s.excessGB * (plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics);
+            }, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Name a spike contributor by computer, or by the resource name at the end of its resource ID
+function formatAnomalyContributor(contributor) {
+    const name = contributor.computer || contributor.resourceId?.split('/').pop() || 'unknown source';
+    return `${name} (+${contributor.excessGB.toFixed(2)} GB)`;
+}
+
+// Warning card per workspace listing its spikes and top contributors
+function formatAnomalyCards(anomalies) {
+    return (anomalies || []).map(a => {
+        const rows = a.spikes.slice(0, 10).map(spike => {
+            const when = spike.granularity === 'day'
+                ? spike.time.toISOString().slice(0, 10)
+                : `${spike.time.toISOString().slice(0, 13).replace('T', ' ')}:00 UTC`;
+            const contributors = spike.contributors?.length > 0
+                ? spike.contributors.slice(0, 3).map(formatAnomalyContributor).join(', ')
+                : 'not drilled down';
+            return `| ${when} | ${spike.dataType} | ${spike.ingestedGB.toFixed(2)} GB | ${spike.baselineGB.toFixed(2)} GB | +${spike.excessGB.toFixed(2)} GB | ${contributors} |`;
+        });
+        
+        return `
+[CARD:warning]
+[TITLE]📈 Ingestion Anomalies - ${a.workspace}[/TITLE]
+[IMPACT]${a.spikes.length} spike${a.spikes.length === 1 ? '' : 's'}${a.excessGB > 0 ? `, +${a.excessGB.toFixed(1)} GB above baseline (~$${a.excessCost.toFixed(2)})` : ''}[/IMPACT]
+
+Ingestion rose above its expected level (series_decompose_anomalies over daily and hourly Usage per table):
+
+| When | Table | Ingested | Expected | Excess | Top contributors |
+|------|-------|----------|----------|--------|------------------|
+${rows.join('\n')}
+
+[ACTION]Check the top contributors for new diagnostic settings, verbose logging or added agents around those times; filter the noise with a DCR transformation if spikes recur[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/analyze-usage[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// Cards computed from the data rather than written by the AI, shown after its recommendations
+function formatComputedCards(dataSummary) {
+    return formatAnomalyCards(dataSummary.anomalies) +
+        formatColumnSizeCards(dataSummary.columnSizes) +
+        formatTransformCards(dataSummary.transforms) +
+        formatPerfSamplingCards(dataSummary.perfSampling) +
+        formatContainerInsightsCards(dataSummary.containerInsights) +
+        formatAppInsightsCards(dataSummary.appInsights) +
+        formatDiagnosticSettingsCards(dataSummary.diagnosticSettings) +
+        formatCrossWorkspaceCards(dataSummary.crossWorkspace) +
+        formatAgentMigrationCards(dataSummary.agentMigration) +
+        formatWindowsEventCards(dataSummary.windowsEvents) +
+        formatSyslogCards(dataSummary.syslog) +
+        formatAlertCostCards(dataSummary.alertCosts) +
+        formatBeyondLogsCards(dataSummary.beyondLogs) +
+        formatUnusedTableCards(dataSummary.unusedTables);
+}
+
+// ============ COLUMN SIZE ANALYSIS ============
+// Largest tables per workspace to sample column sizes for - each one is a query
+const COLUMN_ANALYSIS_TABLE_LIMIT = 5;
+// Droppable columns carry at least this share of their table and appear in at most this many queries
+const COLUMN_DROP_MIN_SHARE = 0.05;
+const COLUMN_DROP_MAX_MENTIONS = 1;
+// Columns a transformation must keep
+const REQUIRED_COLUMNS = ['TimeGenerated'];
+
+// Largest billable tables from dataVolumeByTable, as [{ name, gb }]
+function getLargestTables(queryResults) {
+    const data = queryResults?.dataVolumeByTable;
+    return (data?.rows || [])
+        .map(row => ({ name: row[data.columns.indexOf('DataType')], gb: parseFloat(row[data.columns.indexOf('BillableGB')]) || 0 }))
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// Whether LAQueryLogs could be read, so column usage can be checked against query text
+function isQueryLogsEnabled(queryResults) {
+    const status = queryResults?.laQueryLogsStatus;
+    return !!status?.rows?.length && !status.basicLogsTable;
+}
+
+// Sample column sizes of the largest tables, in the same { columns, rows } shape as query results
+async function fetchColumnSizes(workspace, queryResults) {
+    const tables = getLargestTables(queryResults).slice(0, COLUMN_ANALYSIS_TABLE_LIMIT);
+    const queryLogsEnabled = isQueryLogsEnabled(queryResults);
+    const queries = {};
+    tables.forEach((table, i) => {
+        const query = buildColumnSizeQuery(table.name, queryLogsEnabled);
+        if (query) queries[`table${i}`] = query;
+    });
+    if (Object.keys(queries).length === 0) return null;
+    
+    const results = await runWorkspaceQueries(workspace, queries);
+    const rows = [];
+    tables.forEach((table, i) => {
+        const data = results[`table${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([table.name, ...data.columns.map((_, c) => row[c])]);
+        });
+    });
+    
+    return {
+        columns: ['DataType', ...(Object.values(results).find(r => r.columns?.length)?.columns || [])],
+        rows,
+        queryLogsEnabled
+    };
+}
+
+// Heavy columns that are rarely queried, priced at their share of the table's 30-day ingestion
+function analyzeColumnSizes(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.columnSizes;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const col = name => data.columns.indexOf(name);
+        
+        const tables = getLargestTables(queryResults)
+            .filter(table => !(pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(table.name)))
+            .map(table => {
+                const plan = getTableInventoryMap(queryResults)[table.name]?.plan;
+                const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+                const rows = data.rows.filter(row => row[col('DataType')] === table.name);
+                const columns = rows.map(row => ({
+                    column: row[col('Column')],
+                    share: parseFloat(row[col('Share')]) || 0,
+                    mentions: parseInt(row[col('QueryMentions')]) || 0
+                }));
+                const droppable = columns
+                    .filter(c => !REQUIRED_COLUMNS.includes(c.column) && c.share >= COLUMN_DROP_MIN_SHARE &&
+                        (!data.queryLogsEnabled || c.mentions <= COLUMN_DROP_MAX_MENTIONS))
+                    .map(c => ({ ...c, gb: table.gb * c.share, cost: table.gb * c.share * rate }));
+                return {
+                    table: table.name,
+                    gb: table.gb,
+                    queries: rows.length ? parseInt(rows[0][col('TableQueries')]) || 0 : 0,
+                    columns,
+                    droppable
+                };
+            })
+            .filter(table => table.droppable.length > 0);
+        if (tables.length === 0) continue;
+        
+        const droppable = tables.flatMap(t => t.droppable);
+        results.push({
+            workspace: wsName,
+            queryLogsEnabled: !!data.queryLogsEnabled,
+            tables,
+            gb: droppable.reduce((sum, c) => sum + c.gb, 0),
+            cost: droppable.reduce((sum, c) => sum + c.cost, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace listing droppable columns. Without LAQueryLogs the columns
+// cannot be checked against queries, so the card is informational.
+function formatColumnSizeCards(columnSizes) {
+    return (columnSizes || []).map(c => {
+        const rows = c.tables.flatMap(t => t.droppable.map(d =>
+            `| ${t.table} | ${d.column} | ${(d.share * 100).toFixed(1)}% | ${c.queryLogsEnabled ? `${d.mentions} of ${t.queries}` : 'unknown'} | ${d.gb.toFixed(2)} GB | $${d.cost.toFixed(2)} |`));
+        const projectAway = c.tables.map(t => `- **${t.table}**: \`source | project-away ${t.droppable.map(d => d.column).join(', ')}\``).join('\n');
+        
+        return `
+[CARD:${c.queryLogsEnabled ? 'savings' : 'info'}]
+[TITLE]✂️ Drop Heavy, Rarely-Queried Columns - ${c.workspace}[/TITLE]
+[IMPACT]${c.queryLogsEnabled ? 'Save' : 'Up to'} ~$${c.cost.toFixed(2)}/month (${c.gb.toFixed(1)} GB)[/IMPACT]
+
+These columns carry a large share of their table's billed size (sampled with estimate_data_size over the last day)${c.queryLogsEnabled
+    ? ` and are mentioned in at most ${COLUMN_DROP_MAX_MENTIONS} of the table's queries in LAQueryLogs over 30 days`
+    : ', but LAQueryLogs is not enabled, so check nobody queries them before dropping'}:
+
+| Table | Column | Share of size | Queries mentioning it | GB/month | Cost/month |
+|-------|--------|---------------|-----------------------|----------|------------|
+${rows.join('\n')}
+
+Ingestion-time transformations:
+${projectAway}
+
+[ACTION]Add the project-away transformations to the table's data collection rule (or the workspace transformation DCR) and confirm the columns are not used by alerts, workbooks or dashboards[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/data-collection-transformations[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ DCR TRANSFORMATIONS ============
+// Run each noisy table's transformation filter over its last 7 days, in the same { columns, rows } shape as query results
+async function fetchTransformEstimates(workspace, queryResults) {
+    const tables = getTransformCandidates(getLargestTables(queryResults));
+    const queries = {};
+    tables.forEach((table, i) => {
+        queries[`table${i}`] = buildTransformEstimateQuery(table.name);
+    });
+    if (tables.length === 0) return null;
+    
+    const results = await runWorkspaceQueries(workspace, queries);
+    const rows = [];
+    tables.forEach((table, i) => {
+        const data = results[`table${i}`];
+        (data?.rows || []).forEach(row => {
+            rows.push([table.name, row[data.columns.indexOf('TotalGB')], row[data.columns.indexOf('DroppedGB')]]);
+        });
+    });
+    
+    return { columns: ['DataType', 'TotalGB', 'DroppedGB'], rows };
+}
+
+// Price what each transformation drops and build the DCRs that deploy them
+function analyzeTransforms(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.transformEstimates;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const col = name => data.columns.indexOf(name);
+        
+        const tables = data.rows
+            .map(row => {
+                const table = row[col('DataType')];
+                const plan = getTableInventoryMap(queryResults)[table]?.plan;
+                const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+                const totalGB = parseFloat(row[col('TotalGB')]) || 0;
+                const droppedGB = parseFloat(row[col('DroppedGB')]) || 0;
+                return {
+                    table,
+                    description: DCR_TRANSFORM_RULES[table].description,
+                    transformKql: buildTransformKql(table),
+                    totalGB,
+                    droppedGB,
+                    ...estimateTransformSavings(totalGB, droppedGB, rate)
+                };
+            })
+            .filter(t => t.droppedGB > 0);
+        if (tables.length === 0) continue;
+        
+        const workspace = { name: wsName, resourceId: ws?.resourceId, location: ws?.location };
+        results.push({
+            workspace: wsName,
+            tables,
+            dcr: buildWorkspaceTransformDcr(workspace, tables.map(t => t.table)),
+            agentDataFlows: tables.map(t => buildAgentDataFlow(t.table)).filter(Boolean),
+            gb: tables.reduce((sum, t) => sum + t.monthlyGB, 0),
+            cost: tables.reduce((sum, t) => sum + t.monthlyCost, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace with each table's transformKql, the DCRs to deploy them and the GB they drop
+function formatTransformCards(transforms) {
+    return (transforms || []).map(t => {
+        const rows = t.tables.map(table =>
+            `| ${table.table} | ${table.description} | ${table.droppedGB.toFixed(2)} of ${table.totalGB.toFixed(2)} GB (${(table.share * 100).toFixed(0)}%) | ${table.monthlyGB.toFixed(1)} GB | $${table.monthlyCost.toFixed(2)} |`);
+        const kql = t.tables.map(table => `- **${table.table}**: \`${table.transformKql}\``).join('\n');
+        const agentFlows = t.agentDataFlows.length > 0
+            ? `\nFor data collected by the Azure Monitor Agent, add these to the agent DCR's dataFlows instead:\n\`\`\`json\n${JSON.stringify(t.agentDataFlows, null, 2)}\n\`\`\`\n`
+            : '';
+        const processing = t.tables.some(table => table.share > 0.5)
+            ? '\nFilters that drop more than 50% of a table\'s data incur a data processing charge on the dropped data above 50%.\n'
+            : '';
+        
+        return `
+[CARD:savings]
+[TITLE]🔧 DCR Transformations - ${t.workspace}[/TITLE]
+[IMPACT]Save ~$${t.cost.toFixed(2)}/month (${t.gb.toFixed(1)} GB)[/IMPACT]
+
+Each filter was run as a \`where\` over the last ${TRANSFORM_SAMPLE_DAYS} days of its table:
+
+| Table | Filter | Dropped (${TRANSFORM_SAMPLE_DAYS} days) | GB/month | Cost/month |
+|-------|--------|--------------------|----------|------------|
+${rows.join('\n')}
+
+Transformations:
+${kql}
+
+Workspace transformation DCR, for data from diagnostic settings, the legacy agent or Application Insights:
+\`\`\`json
+${JSON.stringify(t.dcr, null, 2)}
+\`\`\`
+${agentFlows}${processing}
+[ACTION]Deploy the DCR as an ARM resource and set it as the workspace's default transformation DCR (or add the dataFlows to the agent DCR), after checking no alert or workbook relies on the dropped rows[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/data-collection-transformations-workspace[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ PERFORMANCE COUNTER SAMPLING ============
+// Per-counter sampling interval and volume, projected at slower rates, with the DCR data source to apply it
+function analyzePerfSampling(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.perfCounterSampling;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const plan = getTableInventoryMap(queryResults).Perf?.plan;
+        const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        const col = name => data.columns.indexOf(name);
+        
+        const counters = data.rows.map(row => {
+            const counter = {
+                object: row[col('ObjectName')],
+                counter: row[col('CounterName')],
+                instance: row[col('Instance')],
+                series: parseInt(row[col('Series')]) || 0,
+                intervalSeconds: Math.round(parseFloat(row[col('IntervalSeconds')]) || 0),
+                monthlyGB: parseFloat(row[col('MonthlyGB')]) || 0
+            };
+            return { ...counter, projections: projectPerfSampling(counter) };
+        });
+        
+        // Counters sampled faster than the proposed interval move to it
+        const faster = counters.filter(c => c.intervalSeconds > 0 && c.intervalSeconds < PERF_PROPOSED_INTERVAL);
+        if (faster.length === 0) continue;
+        
+        const savingsGB = faster.reduce((sum, c) => sum + c.monthlyGB - c.projections[PERF_PROPOSED_INTERVAL], 0);
+        results.push({
+            workspace: wsName,
+            counters,
+            dataSource: buildPerfCounterDataSource(faster),
+            monthlyGB: counters.reduce((sum, c) => sum + c.monthlyGB, 0),
+            savingsGB,
+            savings: savingsGB * rate
+        });
+    }
+    
+    return results;
+}
+
+// Savings card per workspace with per-counter projections and the proposed performanceCounters block
+function formatPerfSamplingCards(perfSampling) {
+    return (perfSampling || []).map(p => {
+        const rows = p.counters.slice(0, 15).map(c =>
+            `| ${c.object}\\${c.counter}${c.instance && c.instance !== '*' ? ` (${c.instance})` : ''} | ${c.intervalSeconds}s | ${c.monthlyGB.toFixed(2)} | ${PERF_SAMPLING_INTERVALS.map(seconds => c.projections[seconds].toFixed(2)).join(' | ')} |`);
+        
+        return `
+[CARD:savings]
+[TITLE]📉 Performance Counter Sampling - ${p.workspace}[/TITLE]
+[IMPACT]Save ~$${p.savings.toFixed(2)}/month at ${PERF_PROPOSED_INTERVAL}s (${p.savingsGB.toFixed(1)} GB)[/IMPACT]
+
+Perf ingests ${p.monthlyGB.toFixed(1)} GB/month. Volume scales with the number of samples, so each counter is projected at slower sampling intervals (GB/month, from the median interval between samples over the last day):
+
+| Counter | Current interval | GB/month | ${PERF_SAMPLING_INTERVALS.map(seconds => `At ${seconds}s`).join(' | ')} |
+|---------|------------------|----------|${PERF_SAMPLING_INTERVALS.map(() => '------').join('|')}|
+${rows.join('\n')}
+
+Proposed performanceCounters data source for the Azure Monitor Agent DCR, for the counters sampled faster than ${PERF_PROPOSED_INTERVAL}s:
+\`\`\`json
+${JSON.stringify({ performanceCounters: p.dataSource }, null, 2)}
+\`\`\`
+
+[ACTION]Replace the matching counters in the DCR's performanceCounters data source with this block; keep a faster interval only for counters that alerts depend on[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-performance[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ CONTAINER INSIGHTS ============
+// Container log volume by cluster, namespace, pod and stream, legacy-schema clusters and
+// inventory table volumes, priced with the namespace exclusions and ContainerLogV2 migration
+function analyzeContainerInsights(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.containerLogBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = tables[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const clusters = summarizeContainerLogs(data.rows.map(row => ({
+            schema: row[col('Schema')],
+            clusterId: row[col('ClusterId')],
+            namespace: row[col('Namespace')],
+            pod: row[col('Pod')],
+            stream: row[col('Stream')],
+            gb: parseFloat(row[col('GB')]) || 0
+        }))).map(cluster => {
+            const exclusions = getNamespaceExclusions(cluster);
+            const logRate = cluster.legacyGB > 0 ? planRate('ContainerLog') : planRate('ContainerLogV2');
+            // Legacy volume left after the exclusions moves to ContainerLogV2 on the Basic plan
+            const remainingLegacyGB = cluster.legacyGB * (cluster.gb > 0 ? 1 - exclusions.gb / cluster.gb : 1);
+            return {
+                ...cluster,
+                exclusions,
+                exclusionSavings: exclusions.gb * logRate,
+                migrationSavings: remainingLegacyGB * Math.max(0, planRate('ContainerLog') - pricing.basic),
+                configMap: buildAgentConfigMap(exclusions, { containerLogV2: true })
+            };
+        });
+        
+        const inventory = queryResults.containerInsightsTables;
+        const inventoryTables = (inventory?.rows || []).map(row => {
+            const name = row[inventory.columns.indexOf('DataType')];
+            const gb = parseFloat(row[inventory.columns.indexOf('BillableGB')]) || 0;
+            return { name, gb, cost: gb * planRate(name) };
+        });
+        
+        results.push({
+            workspace: wsName,
+            clusters,
+            inventoryTables,
+            exclusionGB: clusters.reduce((sum, c) => sum + c.exclusions.gb, 0),
+            exclusionSavings: clusters.reduce((sum, c) => sum + c.exclusionSavings, 0),
+            legacyClusters: clusters.filter(c => c.legacyGB > 0),
+            migrationSavings: clusters.reduce((sum, c) => sum + c.migrationSavings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Cards per workspace: log noise by namespace with the agent ConfigMap, and the ContainerLogV2 migration plan
+function formatContainerInsightsCards(containerInsights) {
+    return (containerInsights || []).map(ci => {
+        const nsRows = ci.clusters.flatMap(c => c.namespaces.slice(0, 8).map(ns => {
+            const excluded = c.exclusions.stdout.includes(ns.name)
+                ? (c.exclusions.stderr.includes(ns.name) ? 'stdout + stderr' : 'stdout')
+                : '-';
+            return `| ${c.name} | ${ns.name} | ${ns.stdoutGB.toFixed(2)} | ${ns.stderrGB.toFixed(2)} | ${(ns.share * 100).toFixed(0)}% | ${excluded} |`;
+        }));
+        const podRows = ci.clusters.flatMap(c => c.pods.slice(0, 5).map(pod =>
+            `| ${c.name} | ${pod.namespace} | ${pod.name} | ${pod.gb.toFixed(2)} |`));
+        const inventory = ci.inventoryTables.length > 0
+            ? `\nInventory, event and metric tables: ${ci.inventoryTables.map(t => `${t.name} ${t.gb.toFixed(1)} GB ($${t.cost.toFixed(2)})`).join(', ')}. If you use Managed Prometheus and Grafana, the "Logs and Events" cost preset stops InsightsMetrics and Perf collection.\n`
+            : '';
+        const configMaps = ci.clusters.filter(c => c.exclusions.gb > 0).slice(0, 3).map(c =>
+            `**${c.name}** (saves ${c.exclusions.gb.toFixed(1)} GB, ~$${c.exclusionSavings.toFixed(2)}/month):\n\`\`\`yaml\n${c.configMap}\n\`\`\``).join('\n');
+        
+        let cards = `
+[CARD:${ci.exclusionSavings > 0 ? 'savings' : 'info'}]
+[TITLE]☸️ Container Log Noise - ${ci.workspace}[/TITLE]
+[IMPACT]${ci.exclusionSavings > 0 ? `Save ~$${ci.exclusionSavings.toFixed(2)}/month (${ci.exclusionGB.toFixed(1)} GB)` : `${ci.clusters.length} cluster${ci.clusters.length === 1 ? '' : 's'} analyzed`}[/IMPACT]
+
+Container log GB/month by namespace and stream (last 7 days, scaled to 30). System namespaces are excluded from both streams; an application namespace sending over ${(CONTAINER_NOISY_NAMESPACE_SHARE * 100).toFixed(0)}% of a cluster's volume keeps stderr only:
+
+| Cluster | Namespace | stdout | stderr | Share | Exclude |
+|---------|-----------|--------|--------|-------|---------|
+${nsRows.join('\n')}
+
+Top pods (GB/month):
+
+| Cluster | Namespace | Pod | GB |
+|---------|-----------|-----|----|
+${podRows.join('\n')}
+${inventory}${configMaps ? `\ncontainer-azm-ms-agentconfig ConfigMap per cluster (apply with kubectl apply -f):\n${configMaps}\n` : ''}
+[ACTION]Remove any namespace whose logs you still need from the exclusions, then apply the ConfigMap to each cluster - the agent picks it up without a restart[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/containers/container-insights-data-collection-configmap[/DOCS]
+[/CARD]
+`;
+        
+        if (ci.legacyClusters.length > 0) {
+            const legacyRows = ci.legacyClusters.map(c =>
+                `| ${c.name} | ${c.legacyGB.toFixed(1)} | ${c.v2GB.toFixed(1)} | $${c.migrationSavings.toFixed(2)} |`);
+            cards += `
+[CARD:savings]
+[TITLE]☸️ Migrate to ContainerLogV2 - ${ci.workspace}[/TITLE]
+[IMPACT]Save ~$${ci.migrationSavings.toFixed(2)}/month[/IMPACT]
+
+${ci.legacyClusters.length} cluster${ci.legacyClusters.length === 1 ? ' still sends' : 's still send'} logs in the legacy ContainerLog schema, which cannot use the Basic plan:
+
+| Cluster | ContainerLog GB/month | ContainerLogV2 GB/month | Savings on Basic |
+|---------|-----------------------|-------------------------|------------------|
+${legacyRows.join('\n')}
+
+Migration plan:
+1. Switch the schema - set containerlog_schema_version = "v2" in the ConfigMap above, or enable ContainerLogV2 in the cluster's Container Insights data collection rule
+2. Update queries, alerts and workbooks from ContainerLog (LogEntry, LogEntrySource, ContainerID) to ContainerLogV2 (LogMessage, LogSource, PodName, PodNamespace)
+3. Set ContainerLogV2 to the Basic plan if it is not used by alert rules (savings above assume Basic, before query charges)
+4. Leave ContainerLog in place until its retention expires
+
+[ACTION]Migrate each listed cluster to ContainerLogV2 and move the table to Basic Logs[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/containers/container-insights-logs-schema[/DOCS]
+[/CARD]
+`;
+        }
+        
+        return cards;
+    }).join('');
+}
+
+// ============ APPLICATION INSIGHTS ============
+
+// Application Insights volume by cloud role with each role's current sampling, traces by severity,
+// and a recommended sampling percentage per role priced from its sampled tables
+function analyzeAppInsights(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.appInsightsVolume;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = tables[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const roles = summarizeAppRoles(data.rows.map(row => ({
+            table: row[col('TableName')],
+            role: row[col('AppRoleName')],
+            resourceId: row[col('ResourceId')],
+            gb: parseFloat(row[col('GB')]) || 0,
+            items: parseInt(row[col('Items')]) || 0,
+            avgItemCount: parseFloat(row[col('AvgItemCount')]) || 1
+        }))).map(role => {
+            const recommendation = getSamplingRecommendation(role);
+            // Sampling keeps the same share of every sampled table, so the reduction is priced per table
+            const keptShare = recommendation && role.sampledGB > 0 ? recommendation.projectedGB / role.sampledGB : 1;
+            const savings = APP_SAMPLED_TABLES.reduce((sum, table) => sum + (role.tables[table] || 0) * (1 - keptShare) * planRate(table), 0);
+            return { ...role, recommendation, savings };
+        });
+        
+        const traces = queryResults.appTracesBySeverity;
+        const traceSeverity = summarizeTraceSeverity((traces?.rows || []).map(row => ({
+            role: row[traces.columns.indexOf('AppRoleName')],
+            severityLevel: parseInt(row[traces.columns.indexOf('SeverityLevel')]),
+            gb: parseFloat(row[traces.columns.indexOf('GB')]) || 0
+        })));
+        
+        const recommended = roles.filter(r => r.recommendation);
+        results.push({
+            workspace: wsName,
+            roles,
+            traceSeverity,
+            recommended,
+            monthlyGB: roles.reduce((sum, r) => sum + r.gb, 0),
+            savingsGB: recommended.reduce((sum, r) => sum + r.recommendation.reductionGB, 0),
+            savings: recommended.reduce((sum, r) => sum + r.savings, 0),
+            snippets: recommended.length > 0 ? buildSamplingSnippets(recommended[0].role, recommended[0].recommendation.percentage) : null
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with telemetry by role and table, trace severities, per-role sampling and SDK snippets
+function formatAppInsightsCards(appInsights) {
+    const tableLabels = { AppRequests: 'Requests', AppDependencies: 'Dependencies', AppTraces: 'Traces', AppExceptions: 'Exceptions', AppPageViews: 'Page views', AppMetrics: 'Metrics' };
+    
+    return (appInsights || []).map(ai => {
+        const roleRows = ai.roles.slice(0, 15).map(r =>
+            `| ${r.role} | ${r.component} | ${APP_INSIGHTS_TABLES.map(table => (r.tables[table] || 0).toFixed(2)).join(' | ')} | ${r.samplingPercentage.toFixed(0)}% |`);
+        const severityRows = ai.traceSeverity.slice(0, 10).map(t =>
+            `| ${t.role} | ${APP_TRACE_SEVERITIES.map(level => t.levels[level].toFixed(2)).join(' | ')} |`);
+        const recommendationRows = ai.recommended.map(r =>
+            `| ${r.role} | ${r.samplingPercentage.toFixed(0)}% | ${r.recommendation.percentage}% | ${r.sampledGB.toFixed(1)} | ${r.recommendation.projectedGB.toFixed(1)} | $${r.savings.toFixed(2)} |`);
+        const top = ai.recommended[0];
+        
+        return `
+[CARD:${ai.savings > 0 ? 'savings' : 'info'}]
+[TITLE]📱 Application Insights Sampling - ${ai.workspace}[/TITLE]
+[IMPACT]${ai.savings > 0 ? `Save ~$${ai.savings.toFixed(2)}/month (${ai.savingsGB.toFixed(1)} GB)` : `${ai.roles.length} cloud role${ai.roles.length === 1 ? '' : 's'} analyzed`}[/IMPACT]
+
+Application Insights ingests ${ai.monthlyGB.toFixed(1)} GB/month. GB/month by cloud role and table (last 7 days, scaled to 30), with the sampling each role already applies (from ItemCount):
+
+| Role | Component | ${APP_INSIGHTS_TABLES.map(table => tableLabels[table]).join(' | ')} | Sampling |
+|------|-----------|${APP_INSIGHTS_TABLES.map(() => '------').join('|')}|----------|
+${roleRows.join('\n')}
+${severityRows.length > 0 ? `
+AppTraces GB/month by severity - Verbose and Information traces can also be filtered by the SDK log level or a DCR transformation:
+
+| Role | ${APP_TRACE_SEVERITIES.join(' | ')} |
+|------|${APP_TRACE_SEVERITIES.map(() => '------').join('|')}|
+${severityRows.join('\n')}
+` : ''}${recommendationRows.length > 0 ? `
+Recommended fixed-rate sampling per role, projected over requests, dependencies, traces and page views:
+
+| Role | Current | Recommended | Sampled GB/month | Projected GB/month | Savings |
+|------|---------|-------------|------------------|--------------------|---------|
+${recommendationRows.join('\n')}
+
+SDK configuration for **${top.role}** at ${top.recommendation.percentage}% - use each role's percentage from the table above:
+
+.NET:
+\`\`\`csharp
+${ai.snippets.dotnet}
+\`\`\`
+
+Java (applicationinsights.json):
+\`\`\`json
+${ai.snippets.java}
+\`\`\`
+
+Node.js:
+\`\`\`javascript
+${ai.snippets.node}
+\`\`\`
+` : ''}
+[ACTION]${recommendationRows.length > 0 ? 'Apply the sampling percentage to each listed role and confirm dashboards and alerts use ItemCount-aware aggregations (sum(ItemCount) rather than count())' : 'No role is large enough to need more sampling - review the trace severities for verbose logging'}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/app/sampling-classic-api[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ DIAGNOSTIC SETTINGS ============
+
+// Diagnostic settings targeting the workspace, read from the largest resources sending to it
+// in the selected subscription
+async function fetchDiagnosticSettings(workspace, queryResults) {
+    const data = queryResults.chargebackByResource;
+    const entries = (data?.rows || []).map(row => ({
+        resourceId: row[data.columns.indexOf('ResourceId')],
+        gb: parseFloat(row[data.columns.indexOf('BilledGB')]) || 0
+    }));
+    const subscriptionIds = [...new Set(currentWorkspaces.map(w => w.resourceId?.split('/')[2]).filter(Boolean))];
+    const resourceIds = getDiagnosticResourceCandidates(entries, subscriptionIds);
+    if (resourceIds.length === 0) return null;
+    
+    const settings = [];
+    for (const scope of resourceIds.flatMap(getDiagnosticSettingsScopes)) {
+        const response = await fetch(`https://management.azure.com${scope}/providers/Microsoft.Insights/diagnosticSettings?api-version=2021-05-01-preview`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        });
+        
+        // Resources that were deleted or do not support diagnostic settings are skipped
+        if (!response.ok) continue;
+        
+        const data = await response.json();
+        settings.push(...(data.value || []));
+    }
+    
+    return flattenDiagnosticSettings(settings, workspace.resourceId);
+}
+
+// Enabled categories and mode of each diagnostic setting sending to the workspace, priced per category,
+// with the verbose categories to disable and the AzureDiagnostics-mode settings to switch
+function analyzeDiagnosticSettings(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.diagnosticSettings;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = tables[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        const volumes = queryResults.diagnosticCategoryVolume;
+        const byResource = queryResults.chargebackByResource;
+        
+        const settings = buildDiagnosticInventory(
+            data.rows.map(row => ({
+                resourceId: row[col('ResourceId')],
+                setting: row[col('SettingName')],
+                mode: row[col('Mode')],
+                category: row[col('Category')],
+                kind: row[col('Kind')],
+                enabled: row[col('Enabled')] === true || row[col('Enabled')] === 'true'
+            })),
+            (volumes?.rows || []).map(row => ({
+                resourceId: row[volumes.columns.indexOf('ResourceId')],
+                category: row[volumes.columns.indexOf('Category')],
+                table: row[volumes.columns.indexOf('TableName')],
+                gb: parseFloat(row[volumes.columns.indexOf('BilledGB')]) || 0
+            })),
+            (byResource?.rows || []).map(row => ({
+                resourceId: row[byResource.columns.indexOf('ResourceId')],
+                table: row[byResource.columns.indexOf('TableName')],
+                gb: parseFloat(row[byResource.columns.indexOf('BilledGB')]) || 0
+            }))
+        ).map(s => ({
+            ...s,
+            categories: s.categories.map(c => ({ ...c, cost: c.gb * planRate(c.table || (s.mode === 'AzureDiagnostics' ? 'AzureDiagnostics' : '')) }))
+        }));
+        
+        const disable = settings.flatMap(s => s.categories
+            .filter(c => c.verbose && c.gb > 0)
+            .map(c => ({ resource: s.name, setting: s.setting, ...c })));
+        // Only log categories change destination - metrics always land in AzureMetrics
+        const legacy = settings
+            .filter(s => s.mode === 'AzureDiagnostics' && s.categories.some(c => c.kind !== 'Metric'))
+            .map(s => {
+                const logs = s.categories.filter(c => c.kind !== 'Metric');
+                return {
+                    ...s,
+                    legacyGB: logs.reduce((sum, c) => sum + c.gb, 0),
+                    keptGB: logs.filter(c => !c.verbose).reduce((sum, c) => sum + c.gb, 0),
+                    command: buildResourceSpecificCommand(s, ws?.resourceId || '', logs.filter(c => !c.verbose))
+                };
+            });
+        const legacyGB = legacy.reduce((sum, s) => sum + s.legacyGB, 0);
+        
+        results.push({
+            workspace: wsName,
+            settings,
+            disable,
+            legacy,
+            disableGB: disable.reduce((sum, c) => sum + c.gb, 0),
+            disableSavings: disable.reduce((sum, c) => sum + c.cost, 0),
+            legacyGB,
+            // Basic pricing applies to what is left once the verbose categories are off
+            basicSavings: legacy.reduce((sum, s) => sum + s.keptGB, 0) * Math.max(0, planRate('AzureDiagnostics') - pricing.basic)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the settings inventory, categories to disable and settings to switch to resource-specific mode
+function formatDiagnosticSettingsCards(diagnosticSettings) {
+    return (diagnosticSettings || []).map(d => {
+        const categoryList = s => {
+            const shown = s.categories.slice(0, 6).map(c => `${c.name}${c.kind === 'CategoryGroup' ? ' (group)' : ''} ${c.gb.toFixed(1)}`);
+            return (shown.join(', ') || 'none') + (s.categories.length > 6 ? `, +${s.categories.length - 6} more` : '');
+        };
+        const settingRows = d.settings.slice(0, 20).map(s =>
+            `| ${s.name} | ${s.type.split('/').pop()} | ${s.setting} | ${s.mode} | ${categoryList(s)} |`);
+        const disableRows = d.disable.map(c =>
+            `| ${c.resource} | ${c.name} | ${c.gb.toFixed(1)} | $${c.cost.toFixed(2)} | ${c.verbose} |`);
+        const legacyRows = d.legacy.slice(0, 10).map(s =>
+            `| ${s.name} | ${s.setting} | ${s.legacyGB.toFixed(1)} |`);
+        const groups = d.settings.filter(s => s.categories.some(c => c.kind === 'CategoryGroup' && c.name === 'allLogs'));
+        const type = d.disableSavings > 0 ? 'savings' : d.legacy.length > 0 ? 'warning' : 'info';
+        const impact = d.disableSavings > 0
+            ? `Save ~$${d.disableSavings.toFixed(2)}/month (${d.disableGB.toFixed(1)} GB)`
+            : d.legacy.length > 0
+                ? `${d.legacy.length} setting${d.legacy.length === 1 ? '' : 's'} in AzureDiagnostics mode`
+                : `${d.settings.length} diagnostic setting${d.settings.length === 1 ? '' : 's'} reviewed`;
+        
+        return `
+[CARD:${type}]
+[TITLE]🩺 Diagnostic Settings - ${d.workspace}[/TITLE]
+[IMPACT]${impact}[/IMPACT]
+
+${d.settings.length} diagnostic setting${d.settings.length === 1 ? ' sends' : 's send'} to this workspace from the largest resources in the subscription. Enabled categories with their GB/month (last 30 days):
+
+| Resource | Type | Setting | Mode | Enabled categories (GB) |
+|----------|------|---------|------|-------------------------|
+${settingRows.join('\n')}
+${groups.length > 0 ? `\n${groups.length} setting${groups.length === 1 ? ' uses' : 's use'} the allLogs category group, which also enables categories added later (${groups.map(s => s.name).join(', ')}).\n` : ''}${disableRows.length > 0 ? `
+Categories to disable:
+
+| Resource | Category | GB/month | Cost/month | Why |
+|----------|----------|----------|------------|-----|
+${disableRows.join('\n')}
+` : ''}${legacyRows.length > 0 ? `
+Settings still sending logs to AzureDiagnostics - resource-specific tables have their own schema, are faster to query and are a prerequisite for the Basic plan (moving the volume left after disabling verbose categories to Basic would save up to ~$${d.basicSavings.toFixed(2)}/month):
+
+| Resource | Setting | AzureDiagnostics GB/month |
+|----------|---------|---------------------------|
+${legacyRows.join('\n')}
+
+Recreate **${d.legacy[0].setting}** on ${d.legacy[0].name} in resource-specific mode, without the categories to disable:
+\`\`\`bash
+${d.legacy[0].command}
+\`\`\`
+` : ''}
+[ACTION]${d.disable.length > 0 ? 'Turn off the listed categories in each diagnostic setting. ' : ''}${d.legacy.length > 0 ? 'Switch AzureDiagnostics-mode settings to resource-specific tables where the resource type supports it, then update queries that read AzureDiagnostics' : 'Review the enabled categories against what your alerts and workbooks use'}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/essentials/resource-logs#send-to-log-analytics-workspace[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ CROSS-WORKSPACE DUPLICATES ============
+
+// Sources sending the same table to several analyzed workspaces, priced at the rate of each
+// workspace the copy should be dropped from, and agents multi-homed to more than one workspace
+function analyzeCrossWorkspaceDuplicates(allQueryData) {
+    if (Object.keys(allQueryData).length < 2) return null;
+    
+    const rates = {};
+    const workspaces = Object.entries(allQueryData).map(([wsName, queryResults]) => {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planOf = table => tables[table]?.plan;
+        rates[wsName] = table => {
+            const plan = planOf(table);
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        
+        // Machines from the agent tables, everything else by the resource that sent it
+        const agents = queryResults.agentSourcesByTable;
+        const resources = queryResults.chargebackByResource;
+        const sources = [
+            ...(agents?.rows || []).map(row => ({
+                source: row[agents.columns.indexOf('Source')],
+                table: row[agents.columns.indexOf('TableName')],
+                gb: parseFloat(row[agents.columns.indexOf('BilledGB')]) || 0
+            })),
+            ...(resources?.rows || [])
+                .filter(row => row[resources.columns.indexOf('ResourceId')] && !CROSS_WORKSPACE_AGENT_TABLES.includes(row[resources.columns.indexOf('TableName')]))
+                .map(row => ({
+                    source: row[resources.columns.indexOf('ResourceId')],
+                    table: row[resources.columns.indexOf('TableName')],
+                    gb: parseFloat(row[resources.columns.indexOf('BilledGB')]) || 0
+                }))
+        ];
+        return { name: wsName, sentinel: !!ws?.sentinelEnabled, sources };
+    });
+    
+    const overlaps = findDuplicateSources(workspaces);
+    const duplicates = overlaps
+        .map(d => ({
+            ...d,
+            gb: d.drop.reduce((sum, c) => sum + c.gb, 0),
+            cost: d.drop.reduce((sum, c) => sum + c.gb * rates[c.name](d.table), 0)
+        }))
+        .filter(d => d.gb >= CROSS_WORKSPACE_MIN_GB)
+        .sort((a, b) => b.cost - a.cost);
+    const multiHomed = Object.entries(findMultiHomedSources(overlaps))
+        .map(([source, names]) => ({ name: getSourceName(source), workspaces: names }));
+    if (duplicates.length === 0 && multiHomed.length === 0) return null;
+    
+    return {
+        workspaceCount: workspaces.length,
+        duplicates,
+        multiHomed,
+        gb: duplicates.reduce((sum, d) => sum + d.gb, 0),
+        cost: duplicates.reduce((sum, d) => sum + d.cost, 0)
+    };
+}
+
+// One card for all analyzed workspaces with the sources paid for twice and the multi-homed agents
+function formatCrossWorkspaceCards(crossWorkspace) {
+    if (!crossWorkspace) return '';
+    
+    const cw = crossWorkspace;
+    const rows = cw.duplicates.slice(0, 25).map(d =>
+        `| ${d.name} | ${d.table} | ${d.copies.map(c => `${c.name} ${c.gb.toFixed(2)}`).join(', ')} | ${d.keep} (${d.reason}) | ${d.gb.toFixed(2)} | $${d.cost.toFixed(2)} |`);
+    const sources = new Set(cw.duplicates.map(d => d.name)).size;
+    const agents = cw.multiHomed.slice(0, 15).map(m => `${m.name} (${m.workspaces.join(', ')})`).join(', ');
+    
+    return `
+[CARD:${cw.cost > 0 ? 'savings' : 'warning'}]
+[TITLE]🔁 Duplicate Data Across Workspaces[/TITLE]
+[IMPACT]${cw.cost > 0 ? `Save ~$${cw.cost.toFixed(2)}/month (${cw.gb.toFixed(1)} GB)` : `${cw.multiHomed.length} multi-homed agent${cw.multiHomed.length === 1 ? '' : 's'}`}[/IMPACT]
+${rows.length > 0 ? `
+Across the ${cw.workspaceCount} analyzed workspaces, ${sources} source${sources === 1 ? ' sends' : 's send'} the same table to more than one workspace, so the data is paid for twice. GB/month per workspace, the workspace that should keep it, and what the extra copies cost (last 30 days):
+
+| Source | Table | GB per workspace | Keep in | Paid twice (GB) | Cost/month |
+|--------|-------|------------------|---------|-----------------|------------|
+${rows.join('\n')}
+` : ''}${cw.multiHomed.length > 0 ? `
+${cw.multiHomed.length} machine${cw.multiHomed.length === 1 ? ' reports' : 's report'} heartbeats to more than one workspace (multi-homed agents): ${agents}${cw.multiHomed.length > 15 ? `, and ${cw.multiHomed.length - 15} more` : ''}.
+` : ''}
+[ACTION]For each source, remove the extra workspace from the agent, data collection rule or diagnostic setting sending the copy, keeping the data in the named workspace; use cross-workspace queries where another team needs it[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/workspace-design[/DOCS]
+[/CARD]
+`;
+}
+
+// ============ AGENT MIGRATION ============
+
+// Machines still on legacy agents with the data they send, and what the DCR filters for those
+// tables would drop once the machines collect through the Azure Monitor Agent
+function analyzeAgentMigration(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.agentInventory;
+        if (!data?.rows?.length) continue;
+        
+        const col = name => data.columns.indexOf(name);
+        const machines = summarizeAgentInventory(data.rows.map(row => ({
+            source: row[col('Source')],
+            computer: row[col('Computer')],
+            category: row[col('Category')],
+            version: row[col('Version')],
+            osType: row[col('OSType')],
+            lastHeartbeat: row[col('LastHeartbeat')]
+        })));
+        const legacy = machines.filter(m => m.legacy);
+        if (legacy.length === 0) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const inventory = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = inventory[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        
+        // Agent table volume per machine
+        const volumes = {};
+        const sources = queryResults.agentSourcesByTable;
+        (sources?.rows || []).forEach(row => {
+            const table = row[sources.columns.indexOf('TableName')];
+            if (!AGENT_DATA_TABLES.includes(table)) return;
+            const source = row[sources.columns.indexOf('Source')];
+            (volumes[source] || (volumes[source] = {}))[table] = parseFloat(row[sources.columns.indexOf('BilledGB')]) || 0;
+        });
+        
+        // Share of each table the DCR transformation filter drops, from its 7-day estimate
+        const estimates = queryResults.transformEstimates;
+        const dropShare = {};
+        (estimates?.rows || []).forEach(row => {
+            const total = parseFloat(row[estimates.columns.indexOf('TotalGB')]) || 0;
+            const dropped = parseFloat(row[estimates.columns.indexOf('DroppedGB')]) || 0;
+            dropShare[row[estimates.columns.indexOf('DataType')]] = total > 0 ? dropped / total : 0;
+        });
+        
+        const legacyMachines = legacy
+            .map(m => ({ ...m, gb: Object.values(volumes[m.source] || {}).reduce((sum, gb) => sum + gb, 0) }))
+            .sort((a, b) => b.gb - a.gb);
+        
+        // Data from machines with only a legacy agent is what the legacy data sources collect
+        const tableGB = {};
+        legacyMachines.filter(m => !m.both).forEach(m => {
+            Object.entries(volumes[m.source] || {}).forEach(([table, gb]) => {
+                tableGB[table] = (tableGB[table] || 0) + gb;
+            });
+        });
+        const tables = Object.entries(tableGB)
+            .map(([table, gb]) => {
+                const savingsGB = gb * (dropShare[table] || 0);
+                return { table, gb, filter: dropShare[table] ? DCR_TRANSFORM_RULES[table]?.description : null, savingsGB, savings: savingsGB * planRate(table) };
+            })
+            .sort((a, b) => b.gb - a.gb);
+        
+        results.push({
+            workspace: wsName,
+            counts: countAgentTypes(machines),
+            machineCount: machines.length,
+            legacyMachines,
+            bothCount: legacyMachines.filter(m => m.both).length,
+            tables,
+            legacyGB: tables.reduce((sum, t) => sum + t.gb, 0),
+            savingsGB: tables.reduce((sum, t) => sum + t.savingsGB, 0),
+            savings: tables.reduce((sum, t) => sum + t.savings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Migration plan card per workspace with the machines to migrate and their legacy data sources
+function formatAgentMigrationCards(agentMigration) {
+    return (agentMigration || []).map(m => {
+        const counts = Object.entries(m.counts).map(([type, count]) => `${type} ${count}`).join(', ');
+        const machineRows = m.legacyMachines.slice(0, 20).map(machine =>
+            `| ${machine.computer} | ${machine.osType || '-'} | ${machine.agents.map(a => `${a.type}${a.version ? ` ${a.version}` : ''}`).join(', ')} | ${machine.gb.toFixed(2)} | ${machine.status} |`);
+        const tableRows = m.tables.slice(0, 10).map(t =>
+            `| ${t.table} | ${t.gb.toFixed(1)} | ${t.filter || '-'} | ${t.savingsGB > 0 ? `${t.savingsGB.toFixed(1)} GB, $${t.savings.toFixed(2)}` : '-'} |`);
+        
+        return `
+[CARD:warning]
+[TITLE]🔄 Migrate to Azure Monitor Agent - ${m.workspace}[/TITLE]
+[IMPACT]${m.legacyMachines.length} machine${m.legacyMachines.length === 1 ? '' : 's'} on legacy agents${m.savings > 0 ? ` - DCR filtering saves ~$${m.savings.toFixed(2)}/month` : ''}[/IMPACT]
+
+The Log Analytics agent (MMA on Windows, OMS on Linux) was retired on 31 August 2024. Agents reporting in the last 7 days: ${counts} across ${m.machineCount} machine${m.machineCount === 1 ? '' : 's'}.${m.bothCount > 0 ? ` ${m.bothCount} machine${m.bothCount === 1 ? ' runs both a legacy agent and the Azure Monitor Agent, so its' : 's run both a legacy agent and the Azure Monitor Agent, so their'} data may be collected twice.` : ''}
+
+Machines to migrate (agent data in GB/month, last 30 days):
+
+| Machine | OS | Agents | GB/month | Status |
+|---------|----|--------|----------|--------|
+${machineRows.join('\n')}
+${tableRows.length > 0 ? `
+Ingestion from the legacy data sources (machines with only a legacy agent), and what a DCR filter would drop - these savings are part of the DCR Transformations estimate:
+
+| Table | GB/month | DCR filter | Savings |
+|-------|----------|------------|---------|
+${tableRows.join('\n')}
+` : ''}
+Migration plan:
+1. Create data collection rules for the workspace's legacy data sources (Windows events with XPath queries, Syslog facilities and levels, performance counters), applying the filters above
+2. Install the Azure Monitor Agent on the listed machines (Azure Policy or the VM extension; Azure Arc for machines outside Azure) and associate the DCRs
+3. Confirm the data arrives through the Azure Monitor Agent, then uninstall the legacy agent - machines marked "Remove legacy agent" are at this step
+4. Remove the legacy agent data sources from the workspace so no data is collected twice
+
+[ACTION]Migrate the listed machines to the Azure Monitor Agent with filtering DCRs, then remove the legacy agents[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/azure-monitor-agent-migration[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ WINDOWS EVENT NOISE ============
+
+// SecurityEvent and Event volume by event ID with the noisy events, the All Events to Common
+// comparison and the XPath DCR that filters at the agent
+function analyzeWindowsEvents(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.windowsEventBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = tables[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const { events, securityGB, eventGB } = summarizeWindowsEvents(data.rows.map(row => ({
+            table: row[col('TableName')],
+            eventId: parseInt(row[col('EventID')]),
+            channel: row[col('Channel')],
+            level: row[col('Level')],
+            gb: parseFloat(row[col('GB')]) || 0,
+            events: parseInt(row[col('Events')]) || 0,
+            computers: parseInt(row[col('Computers')]) || 0
+        })));
+        
+        const computers = queryResults.windowsEventComputers;
+        const exclusions = getXPathExclusions(events);
+        const commonGB = estimateCommonSetReduction(events);
+        
+        results.push({
+            workspace: wsName,
+            events,
+            noisy: events.filter(e => e.noisy),
+            computers: (computers?.rows || []).map(row => ({
+                name: row[computers.columns.indexOf('Computer')],
+                table: row[computers.columns.indexOf('TableName')],
+                gb: (parseFloat(row[computers.columns.indexOf('GB')]) || 0) * 30 / WINDOWS_EVENT_SAMPLE_DAYS,
+                topEventIds: row[computers.columns.indexOf('TopEventIDs')]
+            })),
+            securityGB,
+            eventGB,
+            commonGB,
+            commonSavings: commonGB * planRate('SecurityEvent'),
+            exclusions,
+            xPathGB: exclusions.securityGB + exclusions.eventGB,
+            xPathSavings: exclusions.securityGB * planRate('SecurityEvent') + exclusions.eventGB * planRate('Event'),
+            dataSources: buildXPathDataSources(exclusions)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the largest event IDs and computers, the event set comparison and the XPath DCR block
+function formatWindowsEventCards(windowsEvents) {
+    return (windowsEvents || []).map(w => {
+        const eventRows = w.events.slice(0, 15).map(e =>
+            `| ${e.table} | ${e.eventId} | ${e.channel} | ${e.level} | ${e.gb.toFixed(2)} | ${Math.round(e.eventsPerDay).toLocaleString()} | ${e.computers} | ${e.noisy ? `Noisy: ${e.noisy.name}${e.noisy.advice ? ` - ${e.noisy.advice}` : ''}` : ''} |`);
+        const computerRows = w.computers.slice(0, 10).map(c =>
+            `| ${c.name} | ${c.table} | ${c.gb.toFixed(2)} | ${c.topEventIds} |`);
+        const hasFilter = w.dataSources.length > 0 && w.xPathGB > 0;
+        
+        return `
+[CARD:${hasFilter ? 'savings' : 'info'}]
+[TITLE]🪟 Windows Event Noise - ${w.workspace}[/TITLE]
+[IMPACT]${hasFilter ? `Save ~$${w.xPathSavings.toFixed(2)}/month (${w.xPathGB.toFixed(1)} GB)` : `${(w.securityGB + w.eventGB).toFixed(1)} GB/month of Windows events`}[/IMPACT]
+
+SecurityEvent ingests ${w.securityGB.toFixed(1)} GB/month and Event ${w.eventGB.toFixed(1)} GB/month (last 7 days, scaled to 30). Largest event IDs:
+
+| Table | Event ID | Channel | Level | GB/month | Events/day | Computers | Note |
+|-------|----------|---------|-------|----------|------------|-----------|------|
+${eventRows.join('\n')}
+${computerRows.length > 0 ? `
+Top computers:
+
+| Computer | Table | GB/month | Largest event IDs |
+|----------|-------|----------|-------------------|
+${computerRows.join('\n')}
+` : ''}${w.commonGB > 0 ? `
+${w.securityGB > 0 ? `${((w.commonGB / w.securityGB) * 100).toFixed(0)}% of SecurityEvent` : 'Part of SecurityEvent'} is outside the "Common" event set, so collection looks like "All Events". Switching the Windows Security Events data connector or DCR to Common would drop ${w.commonGB.toFixed(1)} GB/month (~$${w.commonSavings.toFixed(2)}/month) while keeping the events most detections use.
+` : ''}${hasFilter ? `
+Custom XPath filters for the Azure Monitor Agent DCR, dropping ${w.exclusions.securityGB.toFixed(1)} GB of noisy security events and ${w.exclusions.eventGB.toFixed(1)} GB of Information and Verbose events:
+\`\`\`json
+${JSON.stringify({ windowsEventLogs: w.dataSources }, null, 2)}
+\`\`\`
+Filtering at the agent replaces the SecurityEvent and Event transformations - apply one or the other.
+` : ''}
+[ACTION]${hasFilter ? 'Replace the windowsEventLogs data sources in the DCR with these XPath queries' : 'Review the largest event IDs against your detections'}${w.commonGB > 0 ? ', or switch the security event set from All Events to Common' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-windows-events[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ SYSLOG NOISE ============
+
+// Syslog volume by facility, severity and process with the minimum level per facility as a
+// DCR syslog data source and a transformation for the noisy processes
+function analyzeSyslog(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.syslogBreakdown;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const planRate = table => {
+            const plan = tables[table]?.plan;
+            return plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+        };
+        const col = name => data.columns.indexOf(name);
+        
+        const { totalGB, facilities, processes } = summarizeSyslog(data.rows.map(row => ({
+            facility: row[col('Facility')],
+            severity: row[col('SeverityLevel')],
+            process: row[col('ProcessName')],
+            gb: parseFloat(row[col('GB')]) || 0
+        })));
+        
+        const computers = queryResults.syslogComputers;
+        const noisy = processes.filter(p => p.noisy);
+        const levelGB = facilities.reduce((sum, f) => sum + f.droppedGB, 0);
+        const processGB = noisy.reduce((sum, p) => sum + p.droppableGB, 0);
+        const rate = planRate('Syslog');
+        
+        results.push({
+            workspace: wsName,
+            totalGB,
+            facilities,
+            processes,
+            noisy,
+            computers: (computers?.rows || []).map(row => ({
+                name: row[computers.columns.indexOf('Computer')],
+                gb: (parseFloat(row[computers.columns.indexOf('GB')]) || 0) * 30 / SYSLOG_SAMPLE_DAYS,
+                topProcesses: row[computers.columns.indexOf('TopProcesses')]
+            })),
+            levelGB,
+            levelSavings: levelGB * rate,
+            processGB,
+            processSavings: processGB * rate,
+            dataSources: buildSyslogDataSources(facilities),
+            transformKql: noisy.length > 0 ? buildSyslogProcessTransform(noisy.map(p => p.name)) : null
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace with the facility and process breakdown, the syslog DCR block and the process transformation
+function formatSyslogCards(syslog) {
+    return (syslog || []).map(s => {
+        const severityList = f => Object.entries(f.severities)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 4)
+            .map(([severity, gb]) => `${severity || 'unknown'} ${gb.toFixed(2)}`)
+            .join(', ');
+        const facilityRows = s.facilities.slice(0, 15).map(f =>
+            `| ${f.name} | ${f.gb.toFixed(2)} | ${severityList(f)} | ${f.minLevel} | ${f.droppedGB.toFixed(2)} |`);
+        const processRows = s.processes.slice(0, 10).map(p =>
+            `| ${p.name} | ${p.facilities.join(', ')} | ${p.gb.toFixed(2)} | ${(p.share * 100).toFixed(0)}% | ${p.noisy ? `Noisy: drop ${p.droppableGB.toFixed(2)} GB below err` : ''} |`);
+        const computerRows = s.computers.slice(0, 10).map(c =>
+            `| ${c.name} | ${c.gb.toFixed(2)} | ${c.topProcesses} |`);
+        const savingsGB = s.levelGB + s.processGB;
+        const hasSavings = savingsGB > 0;
+        
+        return `
+[CARD:${hasSavings ? 'savings' : 'info'}]
+[TITLE]🐧 Syslog Noise - ${s.workspace}[/TITLE]
+[IMPACT]${hasSavings ? `Save ~$${(s.levelSavings + s.processSavings).toFixed(2)}/month (${savingsGB.toFixed(1)} GB)` : `${s.totalGB.toFixed(1)} GB/month of Syslog`}[/IMPACT]
+
+Syslog ingests ${s.totalGB.toFixed(1)} GB/month (last 7 days, scaled to 30). Volume by facility (GB/month) with the proposed minimum level to collect:
+
+| Facility | GB/month | Largest severities | Minimum level | Dropped GB |
+|----------|----------|--------------------|---------------|------------|
+${facilityRows.join('\n')}
+
+Largest processes once the minimum levels apply:
+
+| Process | Facilities | GB/month | Share | Note |
+|---------|------------|----------|-------|------|
+${processRows.join('\n')}
+${computerRows.length > 0 ? `
+Top computers:
+
+| Computer | GB/month | Largest processes |
+|----------|----------|-------------------|
+${computerRows.join('\n')}
+` : ''}${s.levelGB > 0 ? `
+Collecting only these levels drops ${s.levelGB.toFixed(1)} GB/month (~$${s.levelSavings.toFixed(2)}/month). auth and authpriv keep info for sign-in auditing; facilities under ${SYSLOG_MIN_FACILITY_GB} GB/month keep the levels they send today:
+\`\`\`json
+${JSON.stringify({ syslog: s.dataSources }, null, 2)}
+\`\`\`
+` : ''}${s.transformKql ? `
+${s.noisy.length} process(es) send more than ${(SYSLOG_NOISY_PROCESS_SHARE * 100).toFixed(0)}% of the remaining volume. This transformation keeps only their err and above, dropping ${s.processGB.toFixed(1)} GB/month (~$${s.processSavings.toFixed(2)}/month):
+\`\`\`kql
+${s.transformKql}
+\`\`\`
+` : ''}${hasSavings ? `
+Filtering levels at the agent replaces the Syslog severity transformation - apply one or the other.
+` : ''}
+[ACTION]${s.levelGB > 0 ? 'Replace the syslog data sources in the DCR with these facilities and levels' : 'Review the largest facilities and processes'}${s.transformKql ? ', and add the transformKql to the Microsoft-Syslog data flow' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/agents/data-collection-syslog[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ ALERT RULE COSTS ============
+
+// Log search alert rules targeting the analyzed workspaces, priced, with the 1-minute rules to slow down
+// and the disabled rules. rules: from fetchScheduledQueryRules
+function summarizeAlertCosts(rules) {
+    if (!rules?.length) return null;
+    
+    const enabled = rules.filter(r => r.enabled);
+    return {
+        rules: enabled.sort((a, b) => b.monthlyCost - a.monthlyCost),
+        frequent: enabled.filter(r => r.suggestedMinutes).sort((a, b) => b.savings - a.savings),
+        disabled: rules.filter(r => !r.enabled),
+        totalCost: enabled.reduce((sum, r) => sum + r.monthlyCost, 0),
+        savings: enabled.reduce((sum, r) => sum + r.savings, 0),
+        estimated: enabled.some(r => r.estimated)
+    };
+}
+
+// Single card with each rule's cost, the frequency changes with their savings and the disabled rules
+function formatAlertCostCards(alertCosts) {
+    if (!alertCosts) return '';
+    
+    const frequency = minutes => minutes >= 60 ? `${minutes / 60} h` : `${minutes} min`;
+    const ruleRows = alertCosts.rules.slice(0, 15).map(r =>
+        `| ${r.displayName} | ${r.workspace} | ${r.severity ?? ''} | ${frequency(r.frequencyMinutes)} | ${r.timeSeries}${r.estimated ? ' (est.)' : ''} | $${r.monthlyCost.toFixed(2)} | ${r.suggestedMinutes ? `${frequency(r.suggestedMinutes)}: save $${r.savings.toFixed(2)}` : ''} |`);
+    const disabledRows = alertCosts.disabled.slice(0, 15).map(r => `- ${r.displayName} (${r.workspace})`);
+    const hasSavings = alertCosts.savings > 0;
+    
+    return `
+[CARD:${hasSavings ? 'savings' : 'info'}]
+[TITLE]🔔 Alert Cost[/TITLE]
+[IMPACT]${hasSavings ? `Save ~$${alertCosts.savings.toFixed(2)}/month (${alertCosts.frequent.length} rule(s) evaluated every minute)` : `$${alertCosts.totalCost.toFixed(2)}/month across ${alertCosts.rules.length} alert rule(s)`}[/IMPACT]
+
+${alertCosts.rules.length} enabled log search alert rule(s) cost about $${alertCosts.totalCost.toFixed(2)}/month. Each monitored time series (one per scope and dimension value) is billed at the rule's evaluation frequency:
+
+| Rule | Workspace | Severity | Frequency | Time series | Monthly cost | Suggested |
+|------|-----------|----------|-----------|-------------|--------------|-----------|
+${ruleRows.join('\n')}
+${alertCosts.estimated ? `
+(est.) rules split on every dimension value or by resource - ${ALERT_WILDCARD_DIMENSION_VALUES} values are assumed per split.
+` : ''}${hasSavings ? `
+Rules evaluated every minute cost 6x the 15-minute rate per time series. Severity 0 and 1 rules are suggested at 5 minutes and the others at 15, within each rule's window size.
+` : ''}${disabledRows.length > 0 ? `
+Disabled rules (not billed - delete the ones no longer needed):
+${disabledRows.join('\n')}
+` : ''}
+[ACTION]${hasSavings ? 'Evaluate the listed rules less often, at the suggested interval' : 'Review the most expensive rules and their dimensions'}${alertCosts.disabled.length > 0 ? ', and remove disabled rules you no longer need' : ''}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/best-practices-cost[/DOCS]
+[/CARD]
+`;
+}
+
+// ============ AZURE MONITOR BEYOND LOGS ============
+
+// Subscriptions of the analyzed workspaces, with the region of the first workspace in each for pricing
+function getWorkspaceSubscriptions(workspaces) {
+    const subscriptions = {};
+    workspaces.forEach(ws => {
+        const subscriptionId = ws.resourceId.match(/\/subscriptions\/([^\/]+)/)?.[1];
+        if (subscriptionId && !subscriptions[subscriptionId]) subscriptions[subscriptionId] = ws.location;
+    });
+    return subscriptions;
+}
+
+// Resource count per type and resource group, for resolving resource group and subscription alert scopes
+async function fetchResourceTypeCounts(subscriptionId, types) {
+    if (types.length === 0) return [];
+    
+    const response = await fetch('https://management.azure.com/providers/Microsoft.ResourceGraph/resources?api-version=2021-03-01', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            subscriptions: [subscriptionId],
+            query: `resources
+| where type in~ (${types.map(t => `'${t}'`).join(', ')})
+| summarize Count = count() by subscriptionId = tolower(subscriptionId), resourceGroup = tolower(resourceGroup), type = tolower(type)`,
+            options: { resultFormat: 'objectArray' }
+        })
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Resource Graph returned ${response.status}`);
+    }
+    
+    const data = await response.json();
+    return (data.data || []).map(row => ({
+        subscriptionId: row.subscriptionId,
+        resourceGroup: row.resourceGroup,
+        type: row.type,
+        count: row.Count
+    }));
+}
+
+// Metric alert rules in the analyzed workspaces' subscriptions, priced per monitored time series
+async function fetchMetricAlerts(workspaces) {
+    const alerts = [];
+    
+    for (const [subscriptionId, location] of Object.entries(getWorkspaceSubscriptions(workspaces))) {
+        try {
+            const response = await fetch(
+                `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Insights/metricAlerts?api-version=2018-03-01`,
+                {
+                    headers: { 'Authorization': `Bearer ${accessToken}` }
+                }
+            );
+            
+            if (!response.ok) {
+                console.warn(`MetricAlerts API returned ${response.status}`);
+                continue;
+            }
+            
+            const data = await response.json();
+            const rules = data.value || [];
+            if (rules.length === 0) continue;
+            
+            // Multi-resource rules scoped to a resource group or subscription cover every resource of their type
+            const types = [...new Set(rules.map(r => (r.properties?.targetResourceType || '').toLowerCase()).filter(Boolean))];
+            let resourceCounts = [];
+            try {
+                resourceCounts = await fetchResourceTypeCounts(subscriptionId.toLowerCase(), types);
+            } catch (e) {
+                console.warn('Resource counts unavailable, multi-resource metric alerts count one resource:', e);
+            }
+            
+            const pricing = getPricing(location);
+            rules.forEach(rule => {
+                alerts.push(estimateMetricAlertCost(rule, resourceCounts, pricing.metricAlertTimeSeries));
+            });
+        } catch (error) {
+            console.error(`Error fetching metric alerts:`, error);
+        }
+    }
+    
+    console.log(`Metric Alerts: Found ${alerts.length} metric alert rules`);
+    return alerts;
+}
+
+// Samples ingested and processed by queries over the last 30 days for an Azure Monitor workspace, from its platform metrics
+async function fetchMonitorWorkspaceMetrics(accountId) {
+    const base = `https://management.azure.com${accountId}/providers/Microsoft.Insights`;
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    
+    const definitionsResponse = await fetch(`${base}/metricDefinitions?api-version=2018-01-01`, { headers });
+    if (!definitionsResponse.ok) {
+        throw new Error(`Metric definitions returned ${definitionsResponse.status}`);
+    }
+    const names = ((await definitionsResponse.json()).value || []).map(d => d.name?.value).filter(Boolean);
+    const queryMetric = names.find(n => MONITOR_WORKSPACE_QUERY_METRIC_PATTERN.test(n)) || null;
+    const metricNames = [MONITOR_WORKSPACE_INGEST_METRIC, MONITOR_WORKSPACE_TIME_SERIES_METRIC, queryMetric].filter(n => n && names.includes(n));
+    if (metricNames.length === 0) return null;
+    
+    const end = new Date();
+    const start = new Date(end.getTime() - MONITOR_WORKSPACE_METRIC_DAYS * 24 * 60 * 60 * 1000);
+    const response = await fetch(
+        `${base}/metrics?api-version=2018-01-01&metricnames=${metricNames.join(',')}&timespan=${start.toISOString()}/${end.toISOString()}&interval=P1D&aggregation=Average,Total,Maximum`,
+        { headers }
+    );
+    if (!response.ok) {
+        throw new Error(`Metrics returned ${response.status}`);
+    }
+    
+    const data = await response.json();
+    const points = name => (data.value || []).find(m => m.name?.value === name)?.timeseries?.[0]?.data || [];
+    return {
+        ingestedSamples: sumDailySamples(points(MONITOR_WORKSPACE_INGEST_METRIC), MONITOR_WORKSPACE_INGEST_METRIC),
+        processedSamples: queryMetric ? sumDailySamples(points(queryMetric), queryMetric) : null,
+        activeTimeSeries: Math.max(0, ...points(MONITOR_WORKSPACE_TIME_SERIES_METRIC).map(p => p.maximum || 0))
+    };
+}
+
+// Azure Monitor workspaces (managed Prometheus) in the analyzed workspaces' subscriptions with their usage and cost
+async function fetchMonitorWorkspaces(workspaces) {
+    const accounts = [];
+    
+    for (const subscriptionId of Object.keys(getWorkspaceSubscriptions(workspaces))) {
+        try {
+            const response = await fetch(
+                `https://management.azure.com/subscriptions/${subscriptionId}/providers/Microsoft.Monitor/accounts?api-version=2023-04-03`,
+                {
+                    headers: { 'Authorization': `Bearer ${accessToken}` }
+                }
+            );
+            
+            if (!response.ok) {
+                console.warn(`Azure Monitor workspaces API returned ${response.status}`);
+                continue;
+            }
+            
+            const data = await response.json();
+            for (const account of data.value || []) {
+                let usage = null;
+                try {
+                    usage = await fetchMonitorWorkspaceMetrics(account.id);
+                } catch (e) {
+                    console.warn(`Metrics unavailable for Azure Monitor workspace ${account.name}:`, e);
+                }
+                const ingestedSamples = usage?.ingestedSamples || 0;
+                const processedSamples = usage ? usage.processedSamples : null;
+                accounts.push({
+                    name: account.name,
+                    location: account.location,
+                    resourceGroup: extractResourceGroup(account.id),
+                    hasMetrics: !!usage,
+                    activeTimeSeries: usage?.activeTimeSeries || 0,
+                    ingestedSamples,
+                    processedSamples,
+                    ...estimatePrometheusCost(ingestedSamples, processedSamples, getPricing(account.location))
+                });
+            }
+        } catch (error) {
+            console.error(`Error fetching Azure Monitor workspaces:`, error);
+        }
+    }
+    
+    console.log(`Azure Monitor Workspaces: Found ${accounts.length} accounts`);
+    return accounts;
+}
+
+// Costs billed outside Log Analytics: metric alerts, Azure Monitor workspaces and the log search alerts priced earlier.
+// alertCosts: null when no log search alert rules were priced
+function summarizeBeyondLogs(metricAlerts, monitorWorkspaces, alertCosts) {
+    if (!metricAlerts?.length && !monitorWorkspaces?.length) return null;
+    
+    const enabledAlerts = (metricAlerts || []).filter(a => a.enabled);
+    const metricAlertCost = enabledAlerts.reduce((sum, a) => sum + a.monthlyCost, 0);
+    const prometheusCost = (monitorWorkspaces || []).reduce((sum, w) => sum + w.monthlyCost, 0);
+    const logAlertCost = alertCosts ? alertCosts.totalCost : null;
+    return {
+        metricAlerts: enabledAlerts.sort((a, b) => b.monthlyCost - a.monthlyCost),
+        disabledMetricAlerts: (metricAlerts || []).filter(a => !a.enabled),
+        monitorWorkspaces: (monitorWorkspaces || []).sort((a, b) => b.monthlyCost - a.monthlyCost),
+        metricAlertCost,
+        prometheusCost,
+        logAlertCost,
+        totalCost: metricAlertCost + prometheusCost + (logAlertCost || 0)
+    };
+}
+
+// Single card with metric alert and Azure Monitor workspace costs next to the log search alert total
+function formatBeyondLogsCards(beyondLogs) {
+    if (!beyondLogs) return '';
+    
+    const samples = count => count >= 1e9 ? `${(count / 1e9).toFixed(2)}B` : `${(count / 1e6).toFixed(1)}M`;
+    const alertRows = beyondLogs.metricAlerts.slice(0, 15).map(a =>
+        `| ${a.name} | ${a.resourceType} | ${a.resources} | ${a.signals} | ${a.timeSeries}${a.estimated ? ' (est.)' : ''} | $${a.monthlyCost.toFixed(2)} |`);
+    const workspaceRows = beyondLogs.monitorWorkspaces.map(w => w.hasMetrics
+        ? `| ${w.name} | ${w.location} | ${w.activeTimeSeries.toLocaleString()} | ${samples(w.ingestedSamples)} | ${w.processedSamples === null ? 'n/a' : samples(w.processedSamples)} | $${w.ingestCost.toFixed(2)} | ${w.processedSamples === null ? 'n/a' : `$${w.queryCost.toFixed(2)}`} |`
+        : `| ${w.name} | ${w.location} | n/a | n/a | n/a | n/a | n/a |`);
+    const multiResource = beyondLogs.metricAlerts.filter(a => a.resources > 1);
+    
+    return `
+[CARD:info]
+[TITLE]📡 Azure Monitor Beyond Logs[/TITLE]
+[IMPACT]$${beyondLogs.totalCost.toFixed(2)}/month outside Log Analytics ingestion[/IMPACT]
+
+| Service | Monthly cost |
+|---------|--------------|
+| Metric alert rules (${beyondLogs.metricAlerts.length}) | $${beyondLogs.metricAlertCost.toFixed(2)} |
+| Managed Prometheus (${beyondLogs.monitorWorkspaces.length} Azure Monitor workspace(s)) | $${beyondLogs.prometheusCost.toFixed(2)} |${beyondLogs.logAlertCost !== null ? `
+| Log search alert rules - see Alert Cost | $${beyondLogs.logAlertCost.toFixed(2)} |` : ''}
+${alertRows.length > 0 ? `
+Metric alert rules are billed per monitored time series - each resource in scope times each signal and dimension value:
+
+| Rule | Resource type | Resources | Signals | Time series | Monthly cost |
+|------|---------------|-----------|---------|-------------|--------------|
+${alertRows.join('\n')}
+${multiResource.length > 0 ? `
+${multiResource.length} multi-resource rule(s) grow with every resource added to their scope. Where they monitor many resources, a log search alert rule over the same data can cost less.
+` : ''}` : ''}${beyondLogs.disabledMetricAlerts.length > 0 ? `
+Disabled metric alert rules (not billed): ${beyondLogs.disabledMetricAlerts.map(a => a.name).join(', ')}
+` : ''}${workspaceRows.length > 0 ? `
+Azure Monitor workspaces - samples ingested and processed by queries over the last 30 days:
+
+| Workspace | Region | Active time series | Samples ingested | Samples queried | Ingestion cost | Query cost |
+|-----------|--------|--------------------|------------------|-----------------|----------------|------------|
+${workspaceRows.join('\n')}
+
+Send Prometheus metrics only to the Azure Monitor workspace - also collecting them into Log Analytics (InsightsMetrics) pays for the same data twice.
+` : ''}
+[ACTION]Review multi-resource metric alerts with many time series, and drop unused Prometheus scrape targets and metrics to reduce ingested samples[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/cost-usage[/DOCS]
+[/CARD]
+`;
+}
+
+// ============ UNUSED TABLES ============
+
+// Billable tables no query read in the last 30 or 90 days, skipping tables used by alert rules and
+// dashboards, with the suggested action and saving for each. usedTables: null when they were not checked
+function analyzeUnusedTables(allQueryData, usedTables) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.unusedTables;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const inventory = getTableInventoryMap(queryResults);
+        const col = name => data.columns.indexOf(name);
+        const queryLogsSince = data.rows[0][col('QueryLogsSince')];
+        const queryLogDays = queryLogsSince ? (Date.now() - new Date(queryLogsSince).getTime()) / (24 * 60 * 60 * 1000) : 0;
+        
+        // Without a full window of query logs every table looks unread, so ask for query auditing instead
+        if (queryLogDays < UNUSED_TABLE_WINDOWS[0]) {
+            results.push({ workspace: wsName, queryLogDays: Math.floor(queryLogDays), needsQueryLogs: true, tables: [] });
+            continue;
+        }
+        
+        const tables = findUnusedTables(data.rows.map(row => ({
+            name: row[col('DataType')],
+            gb: parseFloat(row[col('BillableGB')]) || 0,
+            lastRead: row[col('LastRead')] || null
+        })), inventory, usedTables, ws?.location, { sentinel: ws?.sentinelEnabled, queryLogDays });
+        if (tables.length === 0) continue;
+        
+        results.push({
+            workspace: wsName,
+            sentinel: !!ws?.sentinelEnabled,
+            tables,
+            queryLogDays: Math.floor(queryLogDays),
+            usageChecked: !!usedTables,
+            unread90: tables.filter(t => !t.lastRead).length,
+            totalCost: tables.reduce((sum, t) => sum + t.cost, 0),
+            savings: tables.reduce((sum, t) => sum + t.savings, 0)
+        });
+    }
+    
+    return results;
+}
+
+// Card per workspace listing every unread table with its cost and suggested action
+function formatUnusedTableCards(unusedTables) {
+    return (unusedTables || []).map(u => {
+        if (u.needsQueryLogs) {
+            return `
+[CARD:info]
+[TITLE]🗑️ Unused Tables - ${u.workspace}[/TITLE]
+[IMPACT]Enable LAQueryLogs first[/IMPACT]
+
+${u.queryLogDays > 0 ? `LAQueryLogs only covers the last ${u.queryLogDays} day(s)` : 'LAQueryLogs has no queries for this workspace'}, so every table would look unread and none are reported. Turn on query auditing and run the analysis again once it covers ${UNUSED_TABLE_WINDOWS[0]} days.
+
+[ACTION]Add a diagnostic setting on the workspace that sends the Audit category (LAQueryLogs) to it[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/query-audit[/DOCS]
+[/CARD]
+`;
+        }
+        
+        const tableRows = u.tables.slice(0, 25).map(t =>
+            `| ${t.name} | ${t.gb.toFixed(2)} | $${t.cost.toFixed(2)} | ${t.plan} | ${t.lastRead ? new Date(t.lastRead).toISOString().slice(0, 10) : `none in ${t.unreadDays} days`} | ${t.action} - ${t.reason} | ${t.savings > 0 ? `$${t.savings.toFixed(2)}` : ''} |`);
+        const coverage = Math.min(u.queryLogDays, UNUSED_TABLE_WINDOWS[1]);
+        
+        return `
+[CARD:warning]
+[TITLE]🗑️ Unused Tables - ${u.workspace}[/TITLE]
+[IMPACT]$${u.totalCost.toFixed(2)}/month on ${u.tables.length} table(s) nobody reads[/IMPACT]
+
+${u.tables.length} billable table(s) had no reads in LAQueryLogs in the last ${UNUSED_TABLE_WINDOWS[0]} days, ${u.unread90} of them none in the last ${coverage} days${u.usageChecked ? ', and no alert rule or dashboard uses them' : ''}:
+
+| Table | GB/month | Monthly cost | Plan | Last read | Suggestion | Saving |
+|-------|----------|--------------|------|-----------|------------|--------|
+${tableRows.join('\n')}
+${u.tables.length > 25 ? `
+...and ${u.tables.length - 25} smaller table(s).
+` : ''}
+Acting on every suggestion saves about $${u.savings.toFixed(2)}/month. Plan and retention suggestions overlap the Basic Logs and retention recommendations - count them once.
+${u.queryLogDays < UNUSED_TABLE_WINDOWS[1] ? `
+LAQueryLogs only covers the last ${u.queryLogDays} days (its retention or when query auditing was turned on), so no table is suggested for removal on the ${UNUSED_TABLE_WINDOWS[1]}-day rule.
+` : ''}${u.usageChecked ? '' : `
+Alert rules and dashboards were not checked - confirm none use a table before changing it.
+`}${u.sentinel ? `
+This is a Microsoft Sentinel workspace: analytics rules and hunting may read tables without a logged query, so collection is never suggested to stop.
+` : ''}
+Queries that do not name a table - such as \`search *\` or \`union *\` - are not matched.
+
+[ACTION]Stop collecting tables nobody needs, and move the rest to a cheaper plan or shorter interactive retention[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/query-audit[/DOCS]
+[/CARD]
+`;
+    }).join('');
+}
+
+// ============ CHARGEBACK ============
+let currentChargeback = null; // { entries, metadata, truncated } for re-rendering by another tag
+
+// Price each resource's billable ingestion at its workspace's rates and table plans
+function collectChargebackEntries(allQueryData) {
+    const entries = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const data = queryResults.chargebackByResource;
+        if (!data?.rows?.length) continue;
+        
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        const tables = getTableInventoryMap(queryResults);
+        const col = name => data.columns.indexOf(name);
+        
+        data.rows.forEach(row => {
+            const table = row[col('TableName')];
+            const gb = parseFloat(row[col('BilledGB')]) || 0;
+            const plan = tables[table]?.plan;
+            const free = pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(table);
+            entries.push({
+                workspace: wsName,
+                resourceId: row[col('ResourceId')] || '',
+                subscriptionId: row[col('SubscriptionId')] || '',
+                table,
+                gb,
+                cost: free ? 0 : gb * (plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics)
+            });
+        });
+    }
+    
+    return entries;
+}
+
+// Workspaces whose chargeback rows were cut off at the query's row limit, with the volume left out
+function findTruncatedChargeback(allQueryData) {
+    return Object.entries(allQueryData)
+        .map(([wsName, queryResults]) => {
+            const data = queryResults.chargebackByResource;
+            if (!data?.rows?.length) return null;
+            const col = name => data.columns.indexOf(name);
+            const totalRows = parseInt(data.rows[0][col('TotalRows')]) || data.rows.length;
+            if (totalRows <= data.rows.length) return null;
+            const shownGB = data.rows.reduce((sum, row) => sum + (parseFloat(row[col('BilledGB')]) || 0), 0);
+            return {
+                workspace: wsName,
+                rows: data.rows.length,
+                totalRows,
+                missingGB: Math.max(0, (parseFloat(data.rows[0][col('TotalGB')]) || 0) - shownGB)
+            };
+        })
+        .filter(Boolean);
+}
+
+// Get resource groups and tags for the resources that emitted data from Azure Resource Graph
+async function fetchResourceMetadata(resourceIds) {
+    const rows = [];
+    
+    for (const batch of batchResourceIds(resourceIds)) {
+        const response = await fetch('https://management.azure.com/providers/Microsoft.ResourceGraph/resources?api-version=2021-03-01', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                subscriptions: batch.subscriptions,
+                query: batch.query,
+                options: { resultFormat: 'objectArray' }
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Resource Graph returned ${response.status}`);
+        }
+        
+        const data = await response.json();
+        rows.push(...(data.data || []));
+    }
+    
+    return indexResourceMetadata(rows);
+}
+
+// Escape text read from Azure or written by the AI before it goes into innerHTML
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Render the chargeback view for the selected team tag
+function renderChargeback() {
+    const view = document.getElementById('chargebackView');
+    if (!currentChargeback?.entries?.length) {
+        view.hidden = true;
+        return;
+    }
+    
+    // Offer every tag key found, defaulting to a "team" tag
+    const select = document.getElementById('chargebackTagSelect');
+    const tagKeys = getChargebackTagKeys(currentChargeback.metadata);
+    if (select.options.length === 0 || select.dataset.keys !== tagKeys.join('|')) {
+        const preferred = tagKeys.find(k => k.toLowerCase() === CHARGEBACK_DEFAULT_TAG) || tagKeys[0] || CHARGEBACK_DEFAULT_TAG;
+        select.innerHTML = (tagKeys.length ? tagKeys : [CHARGEBACK_DEFAULT_TAG])
+            .map(k => `<option value="${escapeHtml(k)}"${k === preferred ? ' selected' : ''}>${escapeHtml(k)}</option>`).join('');
+        select.dataset.keys = tagKeys.join('|');
+    }
+    
+    const report = buildChargebackReport(currentChargeback.entries, currentChargeback.metadata, select.value);
+    const table = (headers, rows) => `<table class="ai-table"><thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+    const money = cost => `$${cost.toFixed(2)}`;
+    const truncated = (currentChargeback.truncated || []).map(t =>
+        `${escapeHtml(t.workspace)} (${t.rows} of ${t.totalRows} resource/table rows, ${t.missingGB.toFixed(2)} GB left out)`);
+    
+    document.getElementById('chargebackContent').innerHTML = `
+        <p><strong>Total:</strong> ${report.totalGB.toFixed(2)} GB, ${money(report.totalCost)} over 30 days</p>
+        ${truncated.length > 0 ? `<p class="checklist-subtitle">⚠️ Only the largest resources were returned for ${truncated.join(', ')} - totals per tag and resource group are understated by the volume left out</p>` : ''}
+        <h4>By ${escapeHtml(report.tagKey)} tag</h4>
+        ${table([report.tagKey, 'Resources', 'GB', 'Cost'], report.byTag.map(t => `<tr><td>${escapeHtml(t.name)}</td><td>${t.resources}</td><td>${t.gb.toFixed(2)}</td><td>${money(t.cost)}</td></tr>`))}
+        <h4>By resource group</h4>
+        ${table(['Resource group', 'Subscription', 'Resources', 'GB', 'Cost'], report.byResourceGroup.map(g => `<tr><td>${escapeHtml(g.resourceGroup || g.name)}</td><td>${escapeHtml(g.subscriptionId)}</td><td>${g.resources}</td><td>${g.gb.toFixed(2)}</td><td>${money(g.cost)}</td></tr>`))}
+        <h4>Top resources</h4>
+        ${table(['Resource', 'Type', 'Resource group', report.tagKey, 'GB', 'Cost'], report.byResource.slice(0, 25).map(r => `<tr><td title="${escapeHtml(r.resourceId)}">${escapeHtml(r.name)}</td><td>${escapeHtml(r.type)}</td><td>${escapeHtml(r.resourceGroup)}</td><td>${escapeHtml(r.team)}</td><td>${r.gb.toFixed(2)}</td><td>${money(r.cost)}</td></tr>`))}
+        ${report.byResource.length > 25 ? `<p class="checklist-subtitle">Showing 25 of ${report.byResource.length} resources - export the CSV for all of them</p>` : ''}
+    `;
+    view.hidden = false;
+}
+
+// Download the chargeback report as CSV
+function exportChargebackCsv() {
+    if (!currentChargeback?.entries?.length) return;
+    
+    const tagKey = document.getElementById('chargebackTagSelect').value || CHARGEBACK_DEFAULT_TAG;
+    const csv = chargebackToCsv(buildChargebackReport(currentChargeback.entries, currentChargeback.metadata, tagKey));
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    link.download = `azure-monitor-chargeback-${new Date().toISOString().slice(0, 10)}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ============ MICROSOFT SENTINEL ANALYSIS ============
+// Price each Sentinel-enabled workspace at combined rates and model splitting out operational data
+function analyzeSentinelWorkspaces(allQueryData) {
+    const results = [];
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        if (!ws?.sentinelEnabled) continue;
+        
+        const volumeData = queryResults.dataVolumeByTable;
+        const gbIdx = volumeData?.columns?.indexOf('BillableGB') ?? 1;
+        const typeIdx = volumeData?.columns?.indexOf('DataType') ?? 0;
+        const tables = (volumeData?.rows || []).map(row => ({ name: row[typeIdx], gb: parseFloat(row[gbIdx]) || 0 }));
+        
+        // Free data sources are usually reported as non-billable, so read them from their own query
+        const freeData = queryResults.sentinelFreeData;
+        const freeIdx = freeData?.columns?.indexOf('TotalGB') ?? 1;
+        const freeTypeIdx = freeData?.columns?.indexOf('DataType') ?? 0;
+        const freeSources = (freeData?.rows || []).map(row => ({ name: row[freeTypeIdx], gb: parseFloat(row[freeIdx]) || 0 }));
+        
+        results.push({
+            workspace: wsName,
+            location: ws.location,
+            freeSources,
+            ...calculateSentinelSplit(tables, ws.location)
+        });
+    }
+    
+    return results;
+}
+
+// Run one analyzer on its own - if it throws, log it, record it in summary.failedAnalyses
+// and return its empty result so only that analyzer's cards are left out
+function runAnalyzer(summary, name, analyze, empty = []) {
+    try {
+        return analyze();
+    } catch (error) {
+        console.warn(`${name} analysis failed, its cards are left out:`, error);
+        summary.failedAnalyses.push(name);
+        return empty;
+    }
+}
+
+// Summarize query data
+function summarizeQueryData(allQueryData) {
+    const summary = {
+        totalWorkspaces: Object.keys(allQueryData).length,
+        workspacesWithData: 0,
+        workspacesEmpty: 0,
+        totalIngestionGB: 0,
+        estimatedMonthlyCost: 0, // Pay-as-you-go cost at each workspace's regional price
+        locations: [],
+        byResourceGroup: {},
+        topTables: [],
+        tables: [],
+        frequentlyQueriedTables: [], // Track frequently queried tables
+        retentionOverrides: [], // Tables whose retention differs from the workspace default
+        tableInventoryAvailable: false, // Whether the Tables API returned plans
+        laQueryLogsEnabled: false, // Track if LAQueryLogs is enabled
+        failedAnalyses: [] // Analyzers that threw - their cards are left out
+    };
+    
+    const tableData = {};
+    const tableQueryData = {}; // Aggregate query frequency across workspaces
+    
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const rg = ws?.resourceGroup || 'Unknown';
+        const pricing = getPricing(ws?.location, { sentinel: ws?.sentinelEnabled });
+        
+        if (!summary.byResourceGroup[rg]) {
+            summary.byResourceGroup[rg] = { workspaces: [], totalGB: 0, totalCost: 0, hasData: false };
         }
         
         const volumeData = queryResults.dataVolumeByTable;
         let wsGB = 0;
+        let wsCost = 0;
+        
+        const tablePlans = getTableInventoryMap(queryResults);
         
         if (volumeData && volumeData.rows && volumeData.rows.length > 0) {
             const gbIndex = volumeData.columns?.indexOf('BillableGB') ?? 1;
@@ -1666,13 +4467,46 @@ function summarizeQueryData(allQueryData) {
             volumeData.rows.forEach(row => {
                 const gb = parseFloat(row[gbIndex]) || 0;
                 const tableName = row[typeIndex] || 'Unknown';
+                const plan = tablePlans[tableName]?.plan || 'Analytics';
+                // Sentinel ingests its free data sources at no charge
+                const isFree = pricing.sentinel && AZURE_MONITOR_PRICING.sentinelFreeTables.includes(tableName);
+                
+                // Price each table on the plan it is already on, so savings only count Analytics volume
+                const rate = plan === 'Basic' ? pricing.basic : plan === 'Auxiliary' ? pricing.auxiliary : pricing.analytics;
+                const cost = isFree ? 0 : gb * rate;
                 wsGB += gb;
+                wsCost += cost;
                 
-                if (!tableData[tableName]) tableData[tableName] = 0;
-                tableData[tableName] += gb;
+                // Price each table at its own workspace's regional rates
+                if (!tableData[tableName]) {
+                    tableData[tableName] = { gb: 0, cost: 0, basicCost: 0, auxiliaryCost: 0, analyticsGB: 0, plans: [], classicCustom: false };
+                }
+                tableData[tableName].gb += gb;
+                tableData[tableName].cost += cost;
+                tableData[tableName].basicCost += plan === 'Analytics' ? gb * pricing.basic : cost;
+                tableData[tableName].auxiliaryCost += plan === 'Analytics' ? gb * pricing.auxiliary : cost;
+                if (plan === 'Analytics') tableData[tableName].analyticsGB += gb;
+                if (!tableData[tableName].plans.includes(plan)) tableData[tableName].plans.push(plan);
+                // Classic (MMA-era) custom tables must be migrated to DCR-based before changing plan
+                if (tablePlans[tableName]?.tableSubType === 'Classic' && tableName.endsWith('_CL')) {
+                    tableData[tableName].classicCustom = true;
+                }
             });
         }
         
+        // Tables keeping their own retention instead of the workspace default
+        Object.entries(tablePlans)
+            .filter(([, t]) => t.retentionOverride)
+            .forEach(([tableName, t]) => summary.retentionOverrides.push({
+                workspace: wsName,
+                table: tableName,
+                plan: t.plan,
+                retentionInDays: t.retentionInDays,
+                totalRetentionInDays: t.totalRetentionInDays,
+                workspaceRetentionDays: ws?.retentionDays || 30
+            }));
+        if (queryResults.tableInventory?.rows) summary.tableInventoryAvailable = true;
+        
         // Check if LAQueryLogs is enabled for this workspace
         const laQueryLogsStatus = queryResults.laQueryLogsStatus;
         if (laQueryLogsStatus && laQueryLogsStatus.basicLogsTable) {
@@ -1693,24 +4527,30 @@ function summarizeQueryData(allQueryData) {
             const queryCountIdx = queryFreqData.columns?.indexOf('QueryCount') ?? 1;
             const usersIdx = queryFreqData.columns?.indexOf('DistinctUsers') ?? 2;
             const avgPerDayIdx = queryFreqData.columns?.indexOf('AvgQueriesPerDay') ?? 3;
+            const scannedIdx = queryFreqData.columns?.indexOf('ScannedGB') ?? 4;
             
             queryFreqData.rows.forEach(row => {
                 const tableName = row[tableNameIdx];
                 const queryCount = parseFloat(row[queryCountIdx]) || 0;
                 const distinctUsers = parseFloat(row[usersIdx]) || 0;
                 const avgQueriesPerDay = parseFloat(row[avgPerDayIdx]) || 0;
+                const scannedGB = parseFloat(row[scannedIdx]) || 0;
                 
                 if (!tableQueryData[tableName]) {
-                    tableQueryData[tableName] = { queryCount: 0, distinctUsers: 0, avgQueriesPerDay: 0 };
+                    tableQueryData[tableName] = { queryCount: 0, distinctUsers: 0, avgQueriesPerDay: 0, scannedGB: 0, queryCost: 0 };
                 }
                 tableQueryData[tableName].queryCount += queryCount;
                 tableQueryData[tableName].distinctUsers = Math.max(tableQueryData[tableName].distinctUsers, distinctUsers);
                 tableQueryData[tableName].avgQueriesPerDay += avgQueriesPerDay;
+                // What these queries would cost once the table is on Basic or Auxiliary
+                tableQueryData[tableName].scannedGB += scannedGB;
+                tableQueryData[tableName].queryCost += scannedGB * pricing.search;
             });
         }
         
-        summary.byResourceGroup[rg].workspaces.push({ name: wsName, gb: wsGB });
+        summary.byResourceGroup[rg].workspaces.push({ name: wsName, gb: wsGB, cost: wsCost, location: ws?.location, sentinel: !!ws?.sentinelEnabled });
         summary.byResourceGroup[rg].totalGB += wsGB;
+        summary.byResourceGroup[rg].totalCost += wsCost;
         
         if (wsGB > 0) {
             summary.workspacesWithData++;
@@ -1720,13 +4560,81 @@ function summarizeQueryData(allQueryData) {
         }
         
         summary.totalIngestionGB += wsGB;
+        summary.estimatedMonthlyCost += wsCost;
+        if (ws?.location && !summary.locations.includes(ws.location)) {
+            summary.locations.push(ws.location);
+        }
     }
     
-    // Top tables
-    summary.topTables = Object.entries(tableData)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 10)
-        .map(([name, gb]) => ({ name, gb }));
+    // Every table by volume, for plan savings, and the largest ones for the summary
+    summary.tables = Object.entries(tableData)
+        .sort((a, b) => b[1].gb - a[1].gb)
+        .map(([name, data]) => {
+            // Net savings after the per-GB query charge Basic and Auxiliary tables would incur
+            const queries = tableQueryData[name] || { scannedGB: 0, queryCost: 0, avgQueriesPerDay: 0 };
+            return {
+                name,
+                ...data,
+                alreadyOptimized: data.analyticsGB === 0,
+                avgQueriesPerDay: queries.avgQueriesPerDay,
+                scannedGB: queries.scannedGB,
+                queryCost: queries.queryCost,
+                netBasicSavings: data.cost - data.basicCost - queries.queryCost,
+                netAuxiliarySavings: data.cost - data.auxiliaryCost - queries.queryCost
+            };
+        });
+    summary.topTables = summary.tables.slice(0, 10);
+    
+    // Commitment tier calculator per workspace
+    summary.commitmentTiers = runAnalyzer(summary, 'commitmentTiers', () => analyzeCommitmentTiers(allQueryData));
+    
+    // Dedicated cluster modelling for workspaces sharing a region
+    summary.dedicatedClusters = runAnalyzer(summary, 'dedicatedClusters', () => analyzeDedicatedClusters(allQueryData, summary));
+    
+    // Sentinel pricing, free data sources and split-workspace modelling
+    summary.sentinelWorkspaces = runAnalyzer(summary, 'sentinelWorkspaces', () => analyzeSentinelWorkspaces(allQueryData));
+    
+    // Interactive vs long-term retention cost per table
+    summary.retention = runAnalyzer(summary, 'retention', () => analyzeRetention(allQueryData));
+    
+    // 30/90/180-day ingestion forecast with tier and daily cap crossings
+    summary.forecasts = runAnalyzer(summary, 'forecasts', () => analyzeForecasts(allQueryData, summary));
+    
+    // Daily and hourly ingestion spikes with their top contributors
+    summary.anomalies = runAnalyzer(summary, 'anomalies', () => analyzeAnomalies(allQueryData));
+    
+    // Daily cap vs percentiles of daily ingestion, and days the cap was hit
+    summary.dailyCaps = runAnalyzer(summary, 'dailyCaps', () => analyzeDailyCaps(allQueryData));
+    
+    // Heavy, rarely-queried columns a transformation could drop
+    summary.columnSizes = runAnalyzer(summary, 'columnSizes', () => analyzeColumnSizes(allQueryData));
+    
+    // Ingestion-time filters for noisy tables and the volume they drop
+    summary.transforms = runAnalyzer(summary, 'transforms', () => analyzeTransforms(allQueryData));
+    
+    // Perf volume per counter at slower sampling intervals
+    summary.perfSampling = runAnalyzer(summary, 'perfSampling', () => analyzePerfSampling(allQueryData));
+    
+    // Container log noise by namespace and the ContainerLogV2 migration
+    summary.containerInsights = runAnalyzer(summary, 'containerInsights', () => analyzeContainerInsights(allQueryData));
+    
+    // Application Insights volume per cloud role and recommended sampling
+    summary.appInsights = runAnalyzer(summary, 'appInsights', () => analyzeAppInsights(allQueryData));
+    
+    // Diagnostic settings categories, modes and volumes
+    summary.diagnosticSettings = runAnalyzer(summary, 'diagnosticSettings', () => analyzeDiagnosticSettings(allQueryData));
+    
+    // The same sources sent to more than one analyzed workspace
+    summary.crossWorkspace = runAnalyzer(summary, 'crossWorkspace', () => analyzeCrossWorkspaceDuplicates(allQueryData), null);
+    
+    // Machines still on legacy agents and their data sources
+    summary.agentMigration = runAnalyzer(summary, 'agentMigration', () => analyzeAgentMigration(allQueryData));
+    
+    // SecurityEvent and Event noise by event ID with XPath filters
+    summary.windowsEvents = runAnalyzer(summary, 'windowsEvents', () => analyzeWindowsEvents(allQueryData));
+    
+    // Syslog noise by facility, severity and process with DCR filters
+    summary.syslog = runAnalyzer(summary, 'syslog', () => analyzeSyslog(allQueryData));
     
     // Frequently queried tables
     summary.frequentlyQueriedTables = Object.entries(tableQueryData)
@@ -1734,20 +4642,92 @@ function summarizeQueryData(allQueryData) {
             tableName,
             queryCount: data.queryCount,
             distinctUsers: data.distinctUsers,
-            avgQueriesPerDay: data.avgQueriesPerDay
+            avgQueriesPerDay: data.avgQueriesPerDay,
+            scannedGB: data.scannedGB,
+            queryCost: data.queryCost
         }))
         .sort((a, b) => b.queryCount - a.queryCount);
     
     return summary;
 }
 
+// Check whether a table appears in a list of table names (alerts, dashboards)
+function isTableInList(tableName, tables) {
+    const name = tableName.toLowerCase();
+    return (tables || []).some(t => {
+        const listed = t.toLowerCase();
+        return listed === name || listed.includes(name) || name.includes(listed);
+    });
+}
+
+// ============ DETERMINISTIC SAVINGS ENGINE ============
+// Savings per recommendation type computed from the data. Used to brief the AI and to check its [IMPACT] figures.
+// Call after alert and dashboard tables are on the summary - they block plan changes.
+function calculateSavingsEstimates(allQueryData, dataSummary) {
+    const planTables = dataSummary.tables.map(t => ({
+        ...t,
+        blocked: isTableInList(t.name, dataSummary.tablesInAlerts) || isTableInList(t.name, dataSummary.tablesInDashboards)
+    }));
+    const plan = calculatePlanSavings(planTables);
+    
+    const tiers = (dataSummary.commitmentTiers || []).filter(a => a.recommended);
+    const retention = (dataSummary.retention || []).filter(r => r.monthlySavings > 0.01);
+    
+    // Heartbeats above 60/hour per computer
+    const heartbeats = [];
+    for (const [wsName, queryResults] of Object.entries(allQueryData)) {
+        const ws = currentWorkspaces.find(w => w.name === wsName);
+        const freq = queryResults.heartbeatFrequency;
+        const excessive = queryResults.excessiveHeartbeats;
+        const volume = queryResults.dataVolumeByTable;
+        if (!freq?.rows?.length || !excessive?.rows?.length || !volume?.rows?.length) continue;
+        
+        const heartbeatRow = volume.rows.find(row => row[volume.columns.indexOf('DataType')] === 'Heartbeat');
+        const heartbeatGB = heartbeatRow ? parseFloat(heartbeatRow[volume.columns.indexOf('BillableGB')]) || 0 : 0;
+        const heartbeatCost = heartbeatGB * getPricing(ws?.location, { sentinel: ws?.sentinelEnabled }).analytics;
+        const amount = calculateHeartbeatSavings(
+            heartbeatCost,
+            excessive.rows.map(row => parseFloat(row[excessive.columns.indexOf('HeartbeatsPerHour')]) || 0),
+            parseFloat(freq.rows[0][freq.columns.indexOf('AvgHeartbeatsPerHour')]) || 0,
+            parseFloat(freq.rows[0][freq.columns.indexOf('ComputerCount')]) || 0
+        );
+        if (amount > 0) heartbeats.push({ workspace: wsName, computers: excessive.rows.length, amount });
+    }
+    
+    return {
+        basicLogs: { amount: plan.basicLogsSavings, detail: plan.basicLogs.map(t => t.name).join(', ') },
+        auxiliary: { amount: plan.auxiliarySavings, detail: plan.auxiliary.map(t => t.name).join(', ') },
+        commitmentTier: {
+            amount: tiers.reduce((sum, a) => sum + Math.abs(a.monthlyDelta), 0),
+            detail: tiers.map(a => `${a.workspace}: ${a.recommended.gbPerDay} GB/day`).join(', ')
+        },
+        retention: {
+            amount: retention.reduce((sum, r) => sum + r.monthlySavings, 0),
+            detail: retention.map(r => r.workspace).join(', ')
+        },
+        heartbeat: {
+            amount: heartbeats.reduce((sum, h) => sum + h.amount, 0),
+            detail: heartbeats.map(h => `${h.workspace}: ${h.computers} computer(s)`).join(', ')
+        }
+    };
+}
+
 // Generate recommendations based on data analysis
 function generateRecommendations(allQueryData, dataSummary) {
     let recommendations = '';
     
     const totalGB = dataSummary.totalIngestionGB;
     const dailyGB = totalGB / 30;
-    const monthlyCost = totalGB * 2.76;
+    const monthlyCost = dataSummary.estimatedMonthlyCost;
+    const regionalRates = dataSummary.locations
+        .map(loc => getPricing(loc))
+        .map(p => `${p.regionName} $${p.analytics.toFixed(2)}/GB${p.estimated ? ' (est.)' : ''}`)
+        .join(', ') || `$${getPricing().analytics.toFixed(2)}/GB`;
+    
+    // Price combined figures at the region of the largest workspace
+    const allWorkspaceEntries = Object.values(dataSummary.byResourceGroup).flatMap(rg => rg.workspaces);
+    const largestWorkspace = allWorkspaceEntries.sort((a, b) => b.gb - a.gb)[0];
+    const primaryPricing = getPricing(largestWorkspace?.location);
     
     // Executive Summary
     recommendations += `[CARD:info]
@@ -1756,7 +4736,7 @@ function generateRecommendations(allQueryData, dataSummary) {
 
 **Total 30-Day Ingestion:** ${totalGB.toFixed(2)} GB
 **Average Daily Ingestion:** ${dailyGB.toFixed(2)} GB/day
-**Estimated Monthly Cost:** $${monthlyCost.toFixed(2)} (at $2.76/GB Pay-As-You-Go)
+**Estimated Monthly Cost:** $${monthlyCost.toFixed(2)} (Pay-As-You-Go: ${regionalRates})
 **Workspaces Analyzed:** ${dataSummary.workspacesWithData}/${dataSummary.totalWorkspaces} with data
 [/CARD]
 
@@ -1767,7 +4747,7 @@ function generateRecommendations(allQueryData, dataSummary) {
         let tableRows = '';
         dataSummary.topTables.forEach(t => {
             const pct = ((t.gb / totalGB) * 100).toFixed(1);
-            tableRows += `| ${t.name} | ${t.gb.toFixed(2)} GB | ${pct}% | $${(t.gb * 2.76).toFixed(2)} |\n`;
+            tableRows += `| ${t.name} | ${t.gb.toFixed(2)} GB | ${pct}% | $${t.cost.toFixed(2)} |\n`;
         });
         
         recommendations += `[CARD:info]
@@ -1781,83 +4761,155 @@ ${tableRows}
 `;
     }
     
-    // Commitment Tier Recommendation
-    if (dailyGB >= 100) {
-        const tier100Savings = ((dailyGB * 30 * 2.76) - (dailyGB * 30 * 2.30)) / (dailyGB * 30 * 2.76) * 100;
-        recommendations += `[CARD:savings]
-[TITLE]💰 Commitment Tier Opportunity[/TITLE]
-[IMPACT]Save ~${tier100Savings.toFixed(0)}%[/IMPACT]
+    // Commitment Tier Recommendation - modelled per workspace from daily ingestion
+    (dataSummary.commitmentTiers || []).forEach(analysis => {
+        const rec = analysis.recommended;
+        if (rec) {
+            const savings = Math.abs(rec.monthlyDelta);
+            const pct = (savings / analysis.paygMonthly) * 100;
+            recommendations += `[CARD:savings]
+[TITLE]💰 Commitment Tier Opportunity - ${analysis.workspace}[/TITLE]
+[IMPACT]Save ~$${savings.toFixed(2)}/month (${pct.toFixed(0)}%)[/IMPACT]
 
-Your daily ingestion of **${dailyGB.toFixed(2)} GB** qualifies for commitment tier pricing!
+**${analysis.workspace}** (${analysis.region}) averaged **${analysis.avgDailyGB.toFixed(2)} GB/day** over ${analysis.days} days (peak ${analysis.peakDailyGB.toFixed(2)} GB/day).
+**Recommended tier:** ${rec.gbPerDay} GB/day at $${rec.pricePerDay.toFixed(2)}/day
+**Break-even volume:** ${rec.breakEvenGBPerDay.toFixed(1)} GB/day - below this, pay-as-you-go is cheaper
+**Current tier:** ${analysis.sku || 'Unknown'}
 
-**Current Pay-As-You-Go:** $${(dailyGB * 30 * 2.76).toFixed(2)}/month
-**100 GB/day Commitment:** $${(dailyGB * 30 * 2.30).toFixed(2)}/month
-**Potential Savings:** $${((dailyGB * 30 * 2.76) - (dailyGB * 30 * 2.30)).toFixed(2)}/month
+${formatCommitmentTierTable(analysis)}
+Days above the commitment are billed as overage at the tier's discounted rate; days below it still pay the full commitment.
 
-[ACTION]Navigate to Log Analytics workspace > Usage and estimated costs > Pricing Tier[/ACTION]
+[ACTION]In ${analysis.workspace}, go to Usage and estimated costs > Pricing Tier and select the ${rec.gbPerDay} GB/day commitment tier (commitment tiers have a 31-day commitment period)[/ACTION]
 [DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/cost-logs#commitment-tiers[/DOCS]
 [/CARD]
 
 `;
-    } else if (dailyGB >= 50) {
-        recommendations += `[CARD:info]
-[TITLE]📈 Approaching Commitment Tier[/TITLE]
+        } else if (analysis.avgDailyGB >= analysis.breakEvenGBPerDay * 0.7) {
+            const firstTier = analysis.tiers[0];
+            recommendations += `[CARD:info]
+[TITLE]📈 Approaching Commitment Tier - ${analysis.workspace}[/TITLE]
+
+**${analysis.workspace}** averages **${analysis.avgDailyGB.toFixed(2)} GB/day**. The ${firstTier.gbPerDay} GB/day tier breaks even at **${firstTier.breakEvenGBPerDay.toFixed(1)} GB/day** in ${analysis.region}.
+
+${formatCommitmentTierTable(analysis)}
+[ACTION]Monitor ingestion growth in ${analysis.workspace} and switch to the ${firstTier.gbPerDay} GB/day tier once daily ingestion stays above ${firstTier.breakEvenGBPerDay.toFixed(0)} GB/day[/ACTION]
+[/CARD]
 
-Your daily ingestion of **${dailyGB.toFixed(2)} GB** is approaching the 100 GB/day threshold for commitment tier savings.
+`;
+        }
+    });
+    
+    // Per-table retention overrides from the Tables API
+    if (dataSummary.retentionOverrides?.length > 0) {
+        let overrideRows = '';
+        dataSummary.retentionOverrides.forEach(o => {
+            overrideRows += `| ${o.workspace} | ${o.table} | ${o.plan} | ${o.retentionInDays} days | ${o.totalRetentionInDays} days | ${o.workspaceRetentionDays} days |\n`;
+        });
+        
+        recommendations += `[CARD:info]
+[TITLE]🗂️ Per-Table Retention Overrides[/TITLE]
 
-At 100 GB/day, you could save ~17% with the commitment tier.
+These tables keep their own retention instead of the workspace default. Check each one is still intended - overrides are easy to forget and a long interactive retention on a busy table adds retention charges.
 
-[ACTION]Monitor ingestion growth and consider commitment tier when reaching 100 GB/day[/ACTION]
+| Workspace | Table | Plan | Interactive | Total | Workspace Default |
+|-----------|-------|------|-------------|-------|-------------------|
+${overrideRows}
+[ACTION]Review each override in Settings > Tables > Manage table; reset tables that no longer need special retention to the workspace default[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/data-retention-configure[/DOCS]
 [/CARD]
 
 `;
     }
     
+    // Microsoft Sentinel - combined pricing, free sources and split-workspace advice
+    (dataSummary.sentinelWorkspaces || []).forEach(s => {
+        const freeList = s.freeSources.length > 0
+            ? s.freeSources.map(f => `${f.name} (${f.gb.toFixed(2)} GB)`).join(', ')
+            : 'none ingested';
+        const topOperational = s.operationalTables.slice(0, 5).map(t => `${t.name} (${t.gb.toFixed(2)} GB)`).join(', ');
+        
+        if (s.splitPaysOff) {
+            recommendations += `[CARD:savings]
+[TITLE]🛡️ Split Operational Data Out of Sentinel - ${s.workspace}[/TITLE]
+[IMPACT]Save ~$${s.splitMonthlySavings.toFixed(2)}/month[/IMPACT]
+
+**${s.workspace}** has Microsoft Sentinel enabled, so all of its billable data is charged at **$${s.sentinelRatePerGB.toFixed(2)}/GB** (Sentinel + Log Analytics), ≈ $${s.sentinelMonthlyCost.toFixed(2)}/month.
+**Operational data:** ${s.operationalGB.toFixed(2)} GB (${(s.operationalShare * 100).toFixed(0)}% of billable) - ${topOperational}
+**Security data:** ${s.securityGB.toFixed(2)} GB
+**Free Sentinel data sources:** ${freeList}
+
+Sending the operational tables to a separate workspace without Sentinel removes the Sentinel charge on that data while keeping it queryable across workspaces.
+
+[ACTION]Create a separate Log Analytics workspace without Sentinel and point VM Insights, Container Insights and Application Insights data collection for ${s.workspace} at it[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/sentinel/billing-reduce-costs[/DOCS]
+[/CARD]
+
+`;
+        } else {
+            recommendations += `[CARD:info]
+[TITLE]🛡️ Microsoft Sentinel Pricing - ${s.workspace}[/TITLE]
+
+**${s.workspace}** has Microsoft Sentinel enabled, so its billable data is charged at **$${s.sentinelRatePerGB.toFixed(2)}/GB** (Sentinel + Log Analytics), ≈ $${s.sentinelMonthlyCost.toFixed(2)}/month. Interactive retention is free for 90 days.
+**Free Sentinel data sources:** ${freeList}
+**Operational data:** ${s.operationalGB.toFixed(2)} GB - splitting it into a separate workspace would only save ~$${s.splitMonthlySavings.toFixed(2)}/month, which doesn't justify another workspace.
+
+[ACTION]Keep operational and security data together in ${s.workspace}; revisit if VM, container or application telemetry grows[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/sentinel/billing[/DOCS]
+[/CARD]
+
+`;
+        }
+    });
+    
+    // Dedicated Cluster Recommendation - pool same-region workspaces under one commitment
+    (dataSummary.dedicatedClusters || []).filter(cluster => cluster.qualifies).forEach(cluster => {
+        const pct = (cluster.monthlySavings / cluster.standaloneMonthlyCost) * 100;
+        recommendations += `[CARD:savings]
+[TITLE]🏢 Dedicated Cluster Opportunity - ${cluster.regionName}[/TITLE]
+[IMPACT]Save ~$${cluster.monthlySavings.toFixed(2)}/month (${pct.toFixed(0)}%)[/IMPACT]
+
+**${cluster.workspaces.length} workspaces** in ${cluster.regionName} ingest a combined **${cluster.avgDailyGB.toFixed(2)} GB/day** (peak ${cluster.peakDailyGB.toFixed(2)} GB/day). Linked to a dedicated cluster, they share one commitment tier.
+**Cluster commitment:** ${cluster.clusterTier.gbPerDay} GB/day at $${cluster.clusterTier.pricePerDay.toFixed(2)}/day ≈ $${cluster.clusterMonthlyCost.toFixed(2)}/month
+**Best standalone cost today:** $${cluster.standaloneMonthlyCost.toFixed(2)}/month
+
+${formatDedicatedClusterTable(cluster)}
+[ACTION]Create a Log Analytics dedicated cluster in ${cluster.regionName} with the ${cluster.clusterTier.gbPerDay} GB/day commitment tier, then link these workspaces: ${cluster.workspaces.map(ws => ws.name).join(', ')}[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/logs-dedicated-clusters[/DOCS]
+[/CARD]
+
+`;
+    });
+    
     // Basic Logs Recommendation - only recommend for tables NOT frequently queried or used in alerts
-    const debugTables = ['ContainerLogV2', 'AppTraces', 'AzureDiagnostics', 'Syslog'];
-    const debugTableData = dataSummary.topTables.filter(t => debugTables.includes(t.name));
+    // Tables already on Basic or Auxiliary in every workspace have nothing left to save
+    const debugTableData = dataSummary.tables.filter(t =>
+        (BASIC_LOGS_CANDIDATE_TABLES.includes(t.name) || t.name.endsWith('_CL')) && !t.alreadyOptimized && !t.classicCustom);
     const laQueryLogsEnabled = dataSummary.laQueryLogsEnabled;
-    const tablesInAlerts = (dataSummary.tablesInAlerts || []).map(t => t.toLowerCase());
     const alertDetails = dataSummary.alertDetails || [];
+    const dashboardDetails = dataSummary.dashboardDetails || [];
     
     // Filter out tables that are frequently queried (not suitable for Basic Logs)
     const frequentlyQueriedTables = dataSummary.frequentlyQueriedTables || [];
     
-    // Check if table is used in alerts
-    const isTableInAlerts = (tableName) => {
-        return tablesInAlerts.some(alertTable => 
-            alertTable.toLowerCase() === tableName.toLowerCase() ||
-            alertTable.toLowerCase().includes(tableName.toLowerCase()) ||
-            tableName.toLowerCase().includes(alertTable.toLowerCase())
-        );
-    };
-    
-    // Check if table is used in dashboards
-    const tablesInDashboards = (dataSummary.tablesInDashboards || []).map(t => t.toLowerCase());
-    const dashboardDetails = dataSummary.dashboardDetails || [];
-    
-    const isTableInDashboards = (tableName) => {
-        return tablesInDashboards.some(dashTable => 
-            dashTable.toLowerCase() === tableName.toLowerCase() ||
-            dashTable.toLowerCase().includes(tableName.toLowerCase()) ||
-            tableName.toLowerCase().includes(dashTable.toLowerCase())
-        );
-    };
+    // Check if table is used in alerts or dashboards
+    const isTableInAlerts = (tableName) => isTableInList(tableName, dataSummary.tablesInAlerts);
+    const isTableInDashboards = (tableName) => isTableInList(tableName, dataSummary.tablesInDashboards);
     
-    // Tables safe for Basic Logs: not frequently queried AND not used in alerts AND not used in dashboards
+    // Tables safe for Basic Logs: ingestion savings exceed the projected query charge AND not used in alerts AND not used in dashboards
     const safeForBasicLogs = debugTableData.filter(t => {
-        const queryInfo = frequentlyQueriedTables.find(q => q.tableName.toLowerCase() === t.name.toLowerCase());
-        const frequentlyQueried = queryInfo && queryInfo.avgQueriesPerDay >= 5;
+        const queryCostTooHigh = t.netBasicSavings <= 0;
         const usedInAlerts = isTableInAlerts(t.name);
         const usedInDashboards = isTableInDashboards(t.name);
-        return !frequentlyQueried && !usedInAlerts && !usedInDashboards;
+        return !queryCostTooHigh && !usedInAlerts && !usedInDashboards;
     });
     
-    // Tables NOT safe due to frequent queries
-    const notSafeForBasicLogs = debugTableData.filter(t => {
-        const queryInfo = frequentlyQueriedTables.find(q => q.tableName.toLowerCase() === t.name.toLowerCase());
-        return queryInfo && queryInfo.avgQueriesPerDay >= 5;
-    });
+    // Tables NOT safe because scanning them would cost more than conversion saves
+    const notSafeForBasicLogs = debugTableData.filter(t => t.netBasicSavings <= 0);
+    
+    // Per-table line showing ingestion savings, projected query charge and the net figure
+    const formatNetSavingsLine = (t, ingestionSavings, netSavings) =>
+        `- **${t.name}**: ${t.gb.toFixed(2)} GB - saves $${ingestionSavings.toFixed(2)} ingestion, ` +
+        `~$${t.queryCost.toFixed(2)} query charges (${t.scannedGB.toFixed(1)} GB scanned/month) → **net ${netSavings < 0 ? '-' : ''}$${Math.abs(netSavings).toFixed(2)}/month**`;
     
     // Tables NOT safe due to alert usage
     const tablesUsedInAlerts = debugTableData.filter(t => isTableInAlerts(t.name));
@@ -1920,11 +4972,10 @@ ${tablesUsedInDashboards.map(t => {
     }
     
     // Show warning if LAQueryLogs is configured as Basic Logs (can't query it)
-    if (summary.laQueryLogsBasicLogs && debugTableData.length > 0) {
+    if (dataSummary.laQueryLogsBasicLogs && debugTableData.length > 0) {
         const tablesNotBlocked = debugTableData.filter(t => !isTableInAlerts(t.name) && !isTableInDashboards(t.name));
         if (tablesNotBlocked.length > 0) {
-            const totalDebugGB = tablesNotBlocked.reduce((sum, t) => sum + t.gb, 0);
-            const potentialSavings = totalDebugGB * 2.76 * 0.5;
+            const potentialSavings = tablesNotBlocked.reduce((sum, t) => sum + t.cost - t.basicCost, 0);
             
             recommendations += `[CARD:warning]
 [TITLE]⚠️ LAQueryLogs is Configured as Basic Logs[/TITLE]
@@ -1955,8 +5006,7 @@ or accept that these tables may be safe for Basic Logs based on dashboard/alert
     else if (!laQueryLogsEnabled && debugTableData.length > 0) {
         const tablesNotBlocked = debugTableData.filter(t => !isTableInAlerts(t.name) && !isTableInDashboards(t.name));
         if (tablesNotBlocked.length > 0) {
-            const totalDebugGB = tablesNotBlocked.reduce((sum, t) => sum + t.gb, 0);
-            const potentialSavings = totalDebugGB * 2.76 * 0.5;
+            const potentialSavings = tablesNotBlocked.reduce((sum, t) => sum + t.cost - t.basicCost, 0);
             
             recommendations += `[CARD:warning]
 [TITLE]⚠️ Enable LAQueryLogs for Accurate Basic Logs Analysis[/TITLE]
@@ -1986,34 +5036,27 @@ After enabling, re-run this analysis in 7+ days for accurate recommendations.
 `;
         }
     } else if (safeForBasicLogs.length > 0) {
-        const debugGB = safeForBasicLogs.reduce((sum, t) => sum + t.gb, 0);
-        const savings = debugGB * 2.76 * 0.5; // Basic logs are ~50% cheaper
-        
-        // Split into custom tables (eligible for Auxiliary) and Azure tables (Basic only)
-        const customTables = safeForBasicLogs.filter(t => t.name.endsWith('_CL'));
-        const azureTables = safeForBasicLogs.filter(t => !t.name.endsWith('_CL'));
-        
-        // Check for very rarely queried custom tables (candidates for Auxiliary)
-        const auxiliaryCandidates = customTables.filter(t => {
-            const queryInfo = frequentlyQueriedTables.find(q => q.tableName.toLowerCase() === t.name.toLowerCase());
-            // Auxiliary is for tables queried less than 1 time per day on average
-            return !queryInfo || queryInfo.avgQueriesPerDay < 1;
-        });
-        
-        const basicOnlyCustomTables = customTables.filter(t => !auxiliaryCandidates.includes(t));
+        // Split into Auxiliary (rarely queried custom tables) and Basic Logs, net of query charges
+        const { auxiliary: auxiliaryCandidates, basicLogs: basicCandidates } = calculatePlanSavings(safeForBasicLogs);
         
         // Recommend Auxiliary Logs for eligible custom tables
         if (auxiliaryCandidates.length > 0) {
             const auxGB = auxiliaryCandidates.reduce((sum, t) => sum + t.gb, 0);
-            const auxSavings = auxGB * 2.76 * 0.85; // Auxiliary is ~85% cheaper
+            const auxAnalyticsCost = auxiliaryCandidates.reduce((sum, t) => sum + t.cost, 0);
+            const auxBasicCost = auxiliaryCandidates.reduce((sum, t) => sum + t.basicCost, 0);
+            const auxAuxiliaryCost = auxiliaryCandidates.reduce((sum, t) => sum + t.auxiliaryCost, 0);
+            const auxQueryCost = auxiliaryCandidates.reduce((sum, t) => sum + t.queryCost, 0);
+            const auxSavings = auxAnalyticsCost - auxAuxiliaryCost - auxQueryCost;
+            const auxPct = auxAnalyticsCost > 0 ? (auxSavings / auxAnalyticsCost) * 100 : 0;
+            const basicPct = auxAnalyticsCost > 0 ? ((auxAnalyticsCost - auxBasicCost) / auxAnalyticsCost) * 100 : 0;
             
             recommendations += `[CARD:savings]
 [TITLE]💰 Auxiliary Logs Opportunity - Maximum Savings[/TITLE]
-[IMPACT]Save ~$${auxSavings.toFixed(2)}/month (85% reduction)[/IMPACT]
+[IMPACT]Save ~$${auxSavings.toFixed(2)}/month net (${auxPct.toFixed(0)}% reduction)[/IMPACT]
 
 These **custom tables** are candidates for **Auxiliary Logs** (cheapest option):
 
-${auxiliaryCandidates.map(t => `- **${t.name}**: ${t.gb.toFixed(2)} GB`).join('\n')}
+${auxiliaryCandidates.map(t => formatNetSavingsLine(t, t.cost - t.auxiliaryCost, t.netAuxiliarySavings)).join('\n')}
 
 **Why Auxiliary Logs?**
 - Custom tables (_CL) support Auxiliary plan
@@ -2026,12 +5069,12 @@ ${auxiliaryCandidates.map(t => `- **${t.name}**: ${t.gb.toFixed(2)} GB`).join('\
 - Slower queries - not for real-time analysis
 - No restore capability
 - No data export
-- Query cost of ~$0.006/GB when you do query
+- Query cost of ~$${primaryPricing.search.toFixed(3)}/GB scanned when you do query
 
 **Cost comparison for ${auxGB.toFixed(2)} GB:**
-- Analytics: ~$${(auxGB * 2.76).toFixed(2)}/month
-- Basic: ~$${(auxGB * 2.76 * 0.5).toFixed(2)}/month (50% savings)
-- Auxiliary: ~$${(auxGB * 2.76 * 0.15).toFixed(2)}/month (85% savings) ✅
+- Analytics: ~$${auxAnalyticsCost.toFixed(2)}/month
+- Basic: ~$${auxBasicCost.toFixed(2)}/month (${basicPct.toFixed(0)}% savings)
+- Auxiliary: ~$${auxAuxiliaryCost.toFixed(2)}/month + ~$${auxQueryCost.toFixed(2)} query charges (${auxPct.toFixed(0)}% net savings) ✅
 
 [ACTION]Configure Auxiliary Logs plan for these custom tables in Log Analytics workspace[/ACTION]
 [DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/logs-table-plans[/DOCS]
@@ -2041,29 +5084,28 @@ ${auxiliaryCandidates.map(t => `- **${t.name}**: ${t.gb.toFixed(2)} GB`).join('\
         }
         
         // Recommend Basic Logs for remaining tables (Azure tables + more frequently queried custom tables)
-        const basicCandidates = [...azureTables, ...basicOnlyCustomTables];
         if (basicCandidates.length > 0) {
-            const basicGB = basicCandidates.reduce((sum, t) => sum + t.gb, 0);
-            const basicSavings = basicGB * 2.76 * 0.5;
+            const basicSavings = basicCandidates.reduce((sum, t) => sum + t.netBasicSavings, 0);
+            const basicQueryCost = basicCandidates.reduce((sum, t) => sum + t.queryCost, 0);
             
             recommendations += `[CARD:savings]
 [TITLE]💡 Basic Logs Opportunity[/TITLE]
-[IMPACT]Save ~$${basicSavings.toFixed(2)}/month[/IMPACT]
+[IMPACT]Save ~$${basicSavings.toFixed(2)}/month net[/IMPACT]
 
-These tables are candidates for Basic Logs (lower cost, limited query):
+These tables are candidates for Basic Logs (lower cost, limited query). Savings are net of the ~$${basicQueryCost.toFixed(2)}/month query charges their current query volume would incur:
 
-${basicCandidates.map(t => `- **${t.name}**: ${t.gb.toFixed(2)} GB`).join('\n')}
+${basicCandidates.map(t => formatNetSavingsLine(t, t.cost - t.basicCost, t.netBasicSavings)).join('\n')}
 
 **Important:** Basic Logs have limitations:
 - Cannot be used in dashboards, workbooks, or alert rules
 - Limited KQL query operators
-- Query cost of ~$0.006/GB scanned
+- Query cost of ~$${primaryPricing.search.toFixed(3)}/GB scanned
 - 8-day interactive retention only
 
 ✅ These tables are **safe to convert**:
 - Not used in any detected alert rules
 - Not used in any detected Azure Dashboards
-- Infrequently queried (based on LAQueryLogs)
+- Ingestion savings exceed projected query charges (based on LAQueryLogs scan volume)
 
 [ACTION]Configure Basic Logs for debug/verbose tables in Log Analytics workspace settings[/ACTION]
 [DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/basic-logs-configure[/DOCS]
@@ -2079,18 +5121,17 @@ ${basicCandidates.map(t => `- **${t.name}**: ${t.gb.toFixed(2)} GB`).join('\n')}
         recommendations += `[CARD:warning]
 [TITLE]⚠️ Frequently Queried Tables - Not Recommended for Basic Logs[/TITLE]
 
-These tables are eligible for Basic Logs but are **frequently queried**:
+These tables are eligible for Basic Logs but are scanned so often that **query charges would exceed the ingestion savings**:
 
 ${notSafeOnlyDueToQueries.map(t => {
     const queryInfo = frequentlyQueriedTables.find(q => q.tableName.toLowerCase() === t.name.toLowerCase());
     const avgQueries = queryInfo ? queryInfo.avgQueriesPerDay.toFixed(1) : 'N/A';
-    return `- **${t.name}**: ${t.gb.toFixed(2)} GB (~${avgQueries} queries/day)`;
+    return `${formatNetSavingsLine(t, t.cost - t.basicCost, t.netBasicSavings)} (~${avgQueries} queries/day)`;
 }).join('\n')}
 
 Basic Logs are **not recommended** because:
-- These tables are actively used (dashboards, alerts, or ad-hoc queries)
-- Query costs would likely exceed ingestion savings
-- Dashboards and alerts cannot use Basic Logs tables
+- Basic Logs charge per GB scanned, and these tables are scanned heavily
+- The net figure above is negative - converting would increase cost
 
 [ACTION]Review who is querying these tables and why before considering Basic Logs[/ACTION]
 [/CARD]
@@ -2098,25 +5139,95 @@ Basic Logs are **not recommended** because:
 `;
     }
     
-    // Retention Recommendation
-    recommendations += `[CARD:info]
-[TITLE]🗄️ Data Retention Settings[/TITLE]
+    // Daily Cap Recommendations - missing caps, caps below normal peaks and cap hits
+    (dataSummary.dailyCaps || []).filter(c => c.status !== 'ok' || c.capHitDays > 0).forEach(c => {
+        const title = c.status === 'missing' ? 'No Daily Cap' : c.status === 'belowPeak' ? 'Daily Cap Below Normal Peaks' : 'Daily Cap Hit';
+        const capLine = c.currentCapGB
+            ? `The current cap is **${c.currentCapGB} GB/day**; daily ingestion is ${c.p50GB.toFixed(2)} GB typically (p50), ${c.p95GB.toFixed(2)} GB at normal peaks (p95) and ${c.peakGB.toFixed(2)} GB at most.`
+            : `No daily cap is set. Daily ingestion is ${c.p50GB.toFixed(2)} GB typically (p50), ${c.p95GB.toFixed(2)} GB at normal peaks (p95) and ${c.peakGB.toFixed(2)} GB at most.`;
+        
+        recommendations += `[CARD:warning]
+[TITLE]🧢 ${title} - ${c.workspace}[/TITLE]
+[IMPACT]${c.capHitDays > 0 ? `Cap hit on ${c.capHitDays} day${c.capHitDays === 1 ? '' : 's'} in 30` : `Recommended cap: ${c.recommendedCapGB} GB/day`}[/IMPACT]
+
+${capLine}
+${c.status === 'belowPeak' ? '- The cap is below normal peaks, so data collection stops on ordinary busy days - data loss risk\n' : ''}${c.capHitDays > 0 ? `- Data collection stopped on ${c.capHitDays} day${c.capHitDays === 1 ? '' : 's'} in the last 30 days (_LogOperation OverQuota events)\n` : ''}- A ${c.recommendedCapGB} GB/day cap sits above normal peaks and bounds ingestion at ~$${c.monthlyCostCeiling.toFixed(0)}/month
+${c.sentinel ? '- This workspace has Microsoft Sentinel: the cap stops security data collection too, so keep it well above peaks\n' : ''}
+[ACTION]Set the daily cap on ${c.workspace} to ${c.recommendedCapGB} GB and create an alert at ${c.alertThresholdGB.toFixed(1)} GB (90%) so the cap is never hit silently[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/daily-cap[/DOCS]
+[/CARD]
 
-**Current retention:** Check each workspace's retention settings
+`;
+    });
+    
+    // Excessive Heartbeat Recommendation
+    const heartbeatSavings = dataSummary.savingsEstimates?.heartbeat;
+    if (heartbeatSavings?.amount > 0.01) {
+        recommendations += `[CARD:savings]
+[TITLE]💓 Reduce Excessive Heartbeats[/TITLE]
+[IMPACT]Save ~$${heartbeatSavings.amount.toFixed(2)}/month[/IMPACT]
 
-**Recommendations:**
-- Set interactive retention to 30-90 days for most tables
-- Use archive tier for data needed beyond 90 days (90% cheaper)
-- Security data may need longer retention for compliance
+Some computers send more than the expected 60 heartbeats/hour: ${heartbeatSavings.detail}.
+This usually means more than one agent (or a duplicated agent configuration) reports for the same machine.
 
-[ACTION]Review retention settings in each workspace under Tables > Manage table[/ACTION]
-[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/data-retention-archive[/DOCS]
+[ACTION]Remove duplicate agents or data collection rule associations on the listed computers so each reports one heartbeat per minute[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/cost-logs[/DOCS]
 [/CARD]
 
 `;
+    }
     
-    // DCR Filtering Recommendation
-    recommendations += `[CARD:info]
+    // Retention Recommendation - workspaces retaining more than 90 days get their own card
+    const retention = dataSummary.retention || [];
+    retention.filter(r => r.retentionDays > 90).forEach(r => {
+        const savingTables = r.tables.filter(t => t.monthlySavings > 0.01);
+        recommendations += `[CARD:${r.monthlySavings > 0.01 ? 'savings' : 'info'}]
+[TITLE]🗄️ Long Retention - ${r.workspace}[/TITLE]
+${r.monthlySavings > 0.01 ? `[IMPACT]Save ~$${r.monthlySavings.toFixed(2)}/month[/IMPACT]\n` : ''}
+**${r.workspace}** keeps data interactive for **${r.retentionDays} days**; the first ${r.freeDays} days are included. Retention currently costs ≈ **$${r.currentMonthlyCost.toFixed(2)}/month**.
+
+${formatRetentionTable(savingTables.length > 0 ? savingTables : r.tables.slice(0, 10))}
+Long-term retention keeps the data for the same total period at a fraction of the price; query it with search jobs or restore when needed.
+
+[ACTION]In ${r.workspace}, go to Settings > Tables > Manage table for each table listed and set Interactive retention to ${r.freeDays} days while keeping Total retention unchanged[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/data-retention-configure[/DOCS]
+[/CARD]
+
+`;
+    });
+    
+    // Per-table overrides in the remaining workspaces
+    const overrideSavings = retention
+        .filter(r => r.retentionDays <= 90)
+        .flatMap(r => r.tables.filter(t => t.monthlySavings > 0.01).map(t => ({ ...t, name: `${t.name} (${r.workspace})` })));
+    if (overrideSavings.length > 0) {
+        const totalSavings = overrideSavings.reduce((sum, t) => sum + t.monthlySavings, 0);
+        recommendations += `[CARD:savings]
+[TITLE]🗄️ Move Table Retention to Long-Term Storage[/TITLE]
+[IMPACT]Save ~$${totalSavings.toFixed(2)}/month[/IMPACT]
+
+These tables keep interactive retention beyond the included period. Moving the extra days to long-term retention keeps the same total retention at archive prices.
+
+${formatRetentionTable(overrideSavings)}
+[ACTION]For each table listed, go to Settings > Tables > Manage table and apply the recommended interactive / total retention[/ACTION]
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/data-retention-configure[/DOCS]
+[/CARD]
+
+`;
+    } else if (!retention.some(r => r.retentionDays > 90)) {
+        recommendations += `[CARD:success]
+[TITLE]🗄️ Data Retention Settings[/TITLE]
+
+All tables keep interactive retention within the included period (31 days, or 90 days with Microsoft Sentinel). Use long-term retention for any data you need to keep longer.
+
+[DOCS]https://learn.microsoft.com/azure/azure-monitor/logs/data-retention-configure[/DOCS]
+[/CARD]
+
+`;
+    }
+    
+    // DCR Filtering Recommendation - concrete transformations are shown as separate cards when found
+    if (!dataSummary.transforms?.length) recommendations += `[CARD:info]
 [TITLE]🔧 Data Collection Optimization[/TITLE]
 
 **Filter data at the source using Data Collection Rules (DCRs):**
@@ -2273,7 +5384,7 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
     const resourceInfo = document.getElementById('resourceInfo');
     
     const totalGB = dataSummary.totalIngestionGB.toFixed(2);
-    const monthlyCost = (dataSummary.totalIngestionGB * 2.76).toFixed(2);
+    const monthlyCost = dataSummary.estimatedMonthlyCost.toFixed(2);
     
     // Build detailed workspace summary by RG
     let wsDetails = '<div class="workspace-summary">';
@@ -2283,7 +5394,7 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
         wsDetails += `<div style="font-weight: 600; color: #5e5e5e;">📁 ${rgName}</div>`;
         wsDetails += `<div style="margin-left: 20px;">`;
         rgData.workspaces.forEach(ws => {
-            const wsCost = (ws.gb * 2.76).toFixed(2);
+            const wsCost = ws.cost.toFixed(2);
             wsDetails += `<div class="ws-detail" style="display: flex; justify-content: space-between; padding: 2px 0;">`;
             wsDetails += `<span>• ${ws.name}</span>`;
             wsDetails += `<span style="color: #666;">${ws.gb.toFixed(2)} GB (~$${wsCost})</span>`;
@@ -2300,7 +5411,7 @@ function showRecommendations(recommendations, workspaces, dataSummary) {
     `;
     
     const content = document.getElementById('recommendationsContent');
-    const formattedHTML = formatMarkdown(recommendations);
+    const formattedHTML = formatMarkdown(recommendations) + formatForecastCards(dataSummary.forecasts);
     content.innerHTML = formattedHTML;
     
     // Store original HTML and populate filter
@@ -2377,7 +5488,7 @@ function showMinimalDataResults(workspaces, dataSummary) {
     const content = document.getElementById('recommendationsContent');
     
     const totalGB = dataSummary.totalIngestionGB.toFixed(2);
-    const monthlyCost = (dataSummary.totalIngestionGB * 2.76).toFixed(2);
+    const monthlyCost = dataSummary.estimatedMonthlyCost.toFixed(2);
     
     resourceInfo.innerHTML = `
         <strong>Workspaces:</strong> ${dataSummary.workspacesWithData}/${dataSummary.totalWorkspaces} with data | 
@@ -2431,6 +5542,9 @@ function formatMarkdown(text) {
     // Fix inline numbered lists (e.g., "1. foo 2. bar 3. baz" -> separate lines)
     text = text.replace(/(\d+)\.\s+([^0-9]+?)(?=\s+\d+\.\s|$)/g, '\n$1. $2\n');
     
+    // Cards carry names read from Azure (resources, tags, tables, alert rules) - escape them before adding markup
+    text = escapeHtml(text);
+    
     // Process recommendation sections - output flat HTML elements only (no wrapper divs)
     text = text.replace(/\[CARD:(warning|savings|info|success)\]([\s\S]*?)\[\/CARD\]/g, (match, type, content) => {
         const icons = {
@@ -2501,6 +5615,23 @@ function formatMarkdown(text) {
             html += `<h4 class="rec-title">${icons[type]} ${title || 'Recommendation'}${impact ? ` <span class="${badgeClasses[type]}">${impact}</span>` : ''}</h4>`;
             // Add body content if present
             if (body) {
+                // Keep code blocks whole - each becomes a single <pre> element
+                const codeBlocks = [];
+                body = body.replace(/```(\w*)\n([\s\S]*?)```/g, (m, lang, code) => {
+                    codeBlocks.push(`<pre><code class="language-${lang}">${code}</code></pre>`);
+                    return `\n%%CODE${codeBlocks.length - 1}%%\n`;
+                });
+                
+                // Render markdown tables first so each table stays a single element
+                body = body.replace(/\|(.+)\|\n\|[-:\s|]+\|\n((?:\|.+\|\n?)+)/g, (m, header, rows) => {
+                    const headers = splitTableRow(header).map(h => `<th>${h}</th>`).join('');
+                    const bodyRows = rows.trim().split('\n').map(row => {
+                        const cells = splitTableRow(row).map(c => `<td>${c}</td>`).join('');
+                        return `<tr>${cells}</tr>`;
+                    }).join('');
+                    return `<table class="ai-table"><thead><tr>${headers}</tr></thead><tbody>${bodyRows}</tbody></table>\n`;
+                });
+                
                 // Convert body to simple paragraphs - process markdown-style formatting
                 let bodyHtml = body
                     .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
@@ -2509,7 +5640,11 @@ function formatMarkdown(text) {
                     .replace(/^- (.+)$/gm, '• $1')
                     .split('\n')
                     .filter(line => line.trim())
-                    .map(line => `<p class="rec-body">${line.trim()}</p>`)
+                    .map(line => {
+                        const code = line.trim().match(/^%%CODE(\d+)%%$/);
+                        if (code) return codeBlocks[code[1]];
+                        return line.trim().startsWith('<table') ? line.trim() : `<p class="rec-body">${line.trim()}</p>`;
+                    })
                     .join('');
                 html += bodyHtml;
             }
@@ -2541,13 +5676,18 @@ function formatMarkdown(text) {
     return text;
 }
 
+// Cells of a markdown table row - empty cells are kept so later columns stay aligned
+function splitTableRow(row) {
+    return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(c => c.trim());
+}
+
 // Format card body content
 function formatCardBody(text) {
     // Tables
     text = text.replace(/\|(.+)\|\n\|[-:\s|]+\|\n((?:\|.+\|\n?)+)/g, (match, header, body) => {
-        const headers = header.split('|').filter(h => h.trim()).map(h => `<th>${h.trim()}</th>`).join('');
+        const headers = splitTableRow(header).map(h => `<th>${h}</th>`).join('');
         const rows = body.trim().split('\n').map(row => {
-            const cells = row.split('|').filter(c => c.trim() !== '').map(c => `<td>${c.trim()}</td>`).join('');
+            const cells = splitTableRow(row).map(c => `<td>${c}</td>`).join('');
             return `<tr>${cells}</tr>`;
         }).join('');
         return `<table class="ai-table"><thead><tr>${headers}</tr></thead><tbody>${rows}</tbody></table>`;
@@ -2879,7 +6019,8 @@ function resetChecklist() {
 }
 
 // ============ SAVINGS COUNTER ============
-function displaySavingsCounter() {
+// With savingsEstimates, badge figures that disagree with the computed savings are flagged and overridden
+function displaySavingsCounter(savingsEstimates) {
     const content = document.getElementById('recommendationsContent');
     const counter = document.getElementById('savingsCounter');
     const breakdown = document.getElementById('savingsBreakdown');
@@ -2890,10 +6031,12 @@ function displaySavingsCounter() {
     // This avoids double-counting from body text that might repeat the same numbers
     let total = 0;
     const countedAmounts = new Set();
+    const savingsItems = [];
     
     const badges = content.querySelectorAll('.rec-badge-savings');
     badges.forEach(badge => {
         const text = badge.textContent;
+        let badgeAmount = 0;
         // Look for dollar amounts like $XX.XX, ~$XX, Save $XX, etc.
         const amountMatches = text.match(/\$([\d,]+(?:\.\d{2})?)/g) || [];
         amountMatches.forEach(match => {
@@ -2903,6 +6046,25 @@ function displaySavingsCounter() {
             if (amount > 0 && amount < 10000 && !countedAmounts.has(amountKey)) {
                 countedAmounts.add(amountKey);
                 total += amount;
+                badgeAmount += amount;
+            }
+        });
+        if (badgeAmount > 0) {
+            const title = badge.closest('.rec-title')?.textContent.replace(text, '') || '';
+            savingsItems.push({ badge, type: classifySavingsCard(title), amount: badgeAmount });
+        }
+    });
+    
+    // Replace figures the data doesn't support, spreading the computed amount across the badges of that type
+    const reconciled = reconcileSavings(savingsItems, savingsEstimates);
+    Object.entries(reconciled).forEach(([type, check]) => {
+        if (check.status !== 'mismatch') return;
+        
+        savingsItems.filter(item => item.type === type).forEach(item => {
+            const amount = check.reported > 0 ? check.expected * item.amount / check.reported : 0;
+            total += amount - item.amount;
+            if (!item.badge.parentElement.querySelector('.savings-flag')) {
+                item.badge.insertAdjacentHTML('afterend', `<span class="savings-flag" title="Computed from the query results">⚠️ Data supports $${amount.toFixed(2)}/month</span>`);
             }
         });
     });
@@ -2956,7 +6118,9 @@ showRecommendations = function(recs, ws, data) {
         const items = generateChecklistFromRecommendations();
         saveChecklistToStorage({ id: currentChecklistId, items, createdAt: Date.now() });
         displayChecklist(items);
-        displaySavingsCounter();
+        displaySavingsCounter(data?.savingsEstimates);
+        currentChargeback = data?.chargeback || null;
+        renderChargeback();
     }, 100);
 };
 
@@ -2973,6 +6137,8 @@ window.saveAISettings = saveAISettings;
 window.copyRecommendations = copyRecommendations;
 window.copyRecommendationsAsMarkdown = copyRecommendationsAsMarkdown;
 window.resetChecklist = resetChecklist;
+window.renderChargeback = renderChargeback;
+window.exportChargebackCsv = exportChargebackCsv;
 window.newAnalysis = newAnalysis;
 window.runAnalysis = runAnalysis;
 window.filterWorkspaces = filterWorkspaces;
\ No newline at end of file
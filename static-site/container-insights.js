@@ -0,0 +1,108 @@
+// Azure Monitor Container Insights
+// Breaks container log volume down by cluster, namespace, pod and stream, finds clusters
+// still on the legacy ContainerLog schema, and builds the agent ConfigMap that trims them
+
+// Namespaces run by Kubernetes and its add-ons - their logs are rarely needed
+const CONTAINER_SYSTEM_NAMESPACES = ['kube-system', 'kube-public', 'kube-node-lease', 'gatekeeper-system', 'azure-arc', 'calico-system', 'tigera-operator'];
+// An application namespace sending more than this share of a cluster's log volume is noisy
+const CONTAINER_NOISY_NAMESPACE_SHARE = 0.5;
+// Inventory, event and metric tables Container Insights writes besides logs
+const CONTAINER_INVENTORY_TABLES = ['KubePodInventory', 'KubeEvents', 'KubeNodeInventory', 'KubeServices', 'KubePVInventory', 'KubeMonAgentEvents', 'InsightsMetrics', 'ContainerInventory', 'ContainerNodeInventory'];
+// The log breakdown covers 7 days; volumes are scaled to 30
+const CONTAINER_SAMPLE_DAYS = 7;
+
+// Cluster name from its resource ID
+function getClusterName(clusterId) {
+    return (clusterId || '').split('/').pop() || 'unknown cluster';
+}
+
+// Group container log volume by cluster, with namespaces and pods largest first.
+// rows: [{ schema, clusterId, namespace, pod, stream, gb }] over CONTAINER_SAMPLE_DAYS days
+function summarizeContainerLogs(rows) {
+    const scale = 30 / CONTAINER_SAMPLE_DAYS;
+    const clusters = {};
+
+    (rows || []).forEach(row => {
+        const gb = (row.gb || 0) * scale;
+        const id = (row.clusterId || '').toLowerCase();
+        if (!clusters[id]) {
+            clusters[id] = { clusterId: id, name: getClusterName(id), gb: 0, legacyGB: 0, v2GB: 0, namespaces: {}, pods: {} };
+        }
+        const cluster = clusters[id];
+        cluster.gb += gb;
+        if (row.schema === 'ContainerLog') cluster.legacyGB += gb;
+        else cluster.v2GB += gb;
+
+        const nsName = row.namespace || '(unknown)';
+        const ns = cluster.namespaces[nsName] || (cluster.namespaces[nsName] = { name: nsName, gb: 0, stdoutGB: 0, stderrGB: 0 });
+        ns.gb += gb;
+        if (row.stream === 'stderr') ns.stderrGB += gb;
+        else ns.stdoutGB += gb;
+
+        const podKey = `${nsName}/${row.pod || '(unknown)'}`;
+        const pod = cluster.pods[podKey] || (cluster.pods[podKey] = { namespace: nsName, name: row.pod || '(unknown)', gb: 0 });
+        pod.gb += gb;
+    });
+
+    return Object.values(clusters)
+        .map(cluster => ({
+            ...cluster,
+            namespaces: Object.values(cluster.namespaces)
+                .map(ns => {
+                    const system = CONTAINER_SYSTEM_NAMESPACES.includes(ns.name);
+                    const share = cluster.gb > 0 ? ns.gb / cluster.gb : 0;
+                    return { ...ns, share, system, noisy: !system && share > CONTAINER_NOISY_NAMESPACE_SHARE };
+                })
+                .sort((a, b) => b.gb - a.gb),
+            pods: Object.values(cluster.pods).sort((a, b) => b.gb - a.gb).slice(0, 10)
+        }))
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// Namespaces to stop collecting per stream, and the monthly GB that drops.
+// System namespaces lose both streams; noisy application namespaces keep stderr for errors.
+function getNamespaceExclusions(cluster) {
+    const stdout = cluster.namespaces.filter(ns => ns.system || ns.noisy);
+    const stderr = cluster.namespaces.filter(ns => ns.system);
+    return {
+        stdout: stdout.map(ns => ns.name),
+        stderr: stderr.map(ns => ns.name),
+        gb: stdout.reduce((sum, ns) => sum + ns.stdoutGB, 0) + stderr.reduce((sum, ns) => sum + ns.stderrGB, 0)
+    };
+}
+
+// container-azm-ms-agentconfig ConfigMap excluding namespaces per stream, optionally switching to ContainerLogV2
+function buildAgentConfigMap(exclusions, { containerLogV2 = true } = {}) {
+    const list = names => `[${names.map(name => `"${name}"`).join(', ')}]`;
+    return `kind: ConfigMap
+apiVersion: v1
+metadata:
+  name: container-azm-ms-agentconfig
+  namespace: kube-system
+data:
+  schema-version: v1
+  config-version: ver1
+  log-data-collection-settings: |-
+    [log_collection_settings]
+       [log_collection_settings.stdout]
+          enabled = true
+          exclude_namespaces = ${list(exclusions.stdout)}
+       [log_collection_settings.stderr]
+          enabled = true
+          exclude_namespaces = ${list(exclusions.stderr)}
+       [log_collection_settings.env_var]
+          enabled = false${containerLogV2 ? `
+       [log_collection_settings.schema]
+          containerlog_schema_version = "v2"` : ''}`;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CONTAINER_SYSTEM_NAMESPACES,
+        CONTAINER_INVENTORY_TABLES,
+        summarizeContainerLogs,
+        getNamespaceExclusions,
+        buildAgentConfigMap
+    };
+}
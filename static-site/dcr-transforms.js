@@ -0,0 +1,150 @@
+// Azure Monitor DCR Transformations
+// Ready-to-deploy ingestion-time filters for noisy tables. Each filter is also run as a
+// `where` over the last 7 days of the table, so the volume it drops comes from the data.
+// Also projects Perf volume at slower sampling rates and builds the DCR data source for it.
+
+// filter: the rows to keep, as a KQL predicate. agentStream: the AMA stream the table is
+// collected through, for tables whose data usually arrives via an agent DCR.
+const DCR_TRANSFORM_RULES = {
+    Syslog: {
+        description: 'Drop debug, info and notice messages',
+        filter: "SeverityLevel !in ('debug', 'info', 'notice')",
+        agentStream: 'Microsoft-Syslog'
+    },
+    SecurityEvent: {
+        description: 'Drop Windows Filtering Platform connection, handle and share access events (5156, 5157, 5158, 4658, 4690, 5145)',
+        filter: 'EventID !in (5156, 5157, 5158, 4658, 4690, 5145)',
+        agentStream: 'Microsoft-SecurityEvent'
+    },
+    Event: {
+        description: 'Drop informational Windows events',
+        filter: "EventLevelName != 'Information'",
+        agentStream: 'Microsoft-Event'
+    },
+    AppTraces: {
+        description: 'Drop Verbose and Information traces',
+        filter: 'SeverityLevel >= 2',
+        agentStream: null
+    }
+};
+
+// Tables ingesting less than this per month are not worth a transformation
+const TRANSFORM_MIN_MONTHLY_GB = 1;
+// The estimate covers 7 days; savings are scaled to 30
+const TRANSFORM_SAMPLE_DAYS = 7;
+
+// Tables with a transformation rule, largest first. tables: [{ name, gb }] with 30-day billable volume
+function getTransformCandidates(tables) {
+    return (tables || [])
+        .filter(t => DCR_TRANSFORM_RULES[t.name] && t.gb >= TRANSFORM_MIN_MONTHLY_GB)
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// The transformKql for a table
+function buildTransformKql(tableName) {
+    return `source | where ${DCR_TRANSFORM_RULES[tableName].filter}`;
+}
+
+// Billable GB over the last 7 days, and how much of it the table's filter would drop
+function buildTransformEstimateQuery(tableName) {
+    const rule = DCR_TRANSFORM_RULES[tableName];
+    if (!rule) return null;
+
+    return `
+['${tableName}']
+| where TimeGenerated > ago(${TRANSFORM_SAMPLE_DAYS}d)
+| where _IsBillable == true
+| summarize TotalGB = sum(_BilledSize) / 1e9, DroppedGB = sumif(_BilledSize, not(${rule.filter})) / 1e9
+| project TotalGB = round(TotalGB, 3), DroppedGB = round(DroppedGB, 3)`;
+}
+
+// Monthly GB and cost dropped by a filter, from its 7-day estimate
+function estimateTransformSavings(totalGB, droppedGB, ratePerGB) {
+    const monthlyGB = (droppedGB || 0) * 30 / TRANSFORM_SAMPLE_DAYS;
+    return {
+        share: totalGB > 0 ? droppedGB / totalGB : 0,
+        monthlyGB,
+        monthlyCost: monthlyGB * ratePerGB
+    };
+}
+
+// Workspace transformation DCR (ARM resource) for the given tables. It applies to data that
+// does not arrive through another DCR - diagnostic settings, the legacy agent, Application Insights.
+// workspace: { name, resourceId, location }
+function buildWorkspaceTransformDcr(workspace, tableNames) {
+    return {
+        type: 'Microsoft.Insights/dataCollectionRules',
+        apiVersion: '2022-06-01',
+        name: `dcr-${workspace.name}-transformations`,
+        location: workspace.location,
+        kind: 'WorkspaceTransforms',
+        properties: {
+            destinations: {
+                logAnalytics: [{ workspaceResourceId: workspace.resourceId, name: 'workspace' }]
+            },
+            dataFlows: tableNames.map(table => ({
+                streams: [`Microsoft-Table-${table}`],
+                destinations: ['workspace'],
+                transformKql: buildTransformKql(table)
+            }))
+        }
+    };
+}
+
+// dataFlows entry for an Azure Monitor Agent DCR, or null for tables not collected by the agent
+function buildAgentDataFlow(tableName) {
+    const rule = DCR_TRANSFORM_RULES[tableName];
+    if (!rule?.agentStream) return null;
+
+    return {
+        streams: [rule.agentStream],
+        destinations: ['workspace'],
+        transformKql: buildTransformKql(tableName),
+        outputStream: rule.agentStream
+    };
+}
+
+// Sampling intervals to project Perf volume at, and the one proposed for the DCR
+const PERF_SAMPLING_INTERVALS = [30, 60, 300];
+const PERF_PROPOSED_INTERVAL = 60;
+
+// Monthly GB of a counter at each sampling interval. Volume scales with the number of samples,
+// so slowing from 10s to 60s keeps a sixth; intervals at or below the current one change nothing.
+// counter: { intervalSeconds, monthlyGB }
+function projectPerfSampling(counter, intervals = PERF_SAMPLING_INTERVALS) {
+    const projections = {};
+    intervals.forEach(seconds => {
+        projections[seconds] = counter.intervalSeconds > 0 && seconds > counter.intervalSeconds
+            ? counter.monthlyGB * counter.intervalSeconds / seconds
+            : counter.monthlyGB;
+    });
+    return projections;
+}
+
+// performanceCounters data source for an Azure Monitor Agent DCR.
+// counters: [{ object, counter, instance }] - instance '*' collects every instance, and
+// counters without instances (common on Linux) have no instance part
+function buildPerfCounterDataSource(counters, intervalSeconds = PERF_PROPOSED_INTERVAL) {
+    return [{
+        name: `perfCounterDataSource${intervalSeconds}`,
+        streams: ['Microsoft-Perf'],
+        samplingFrequencyInSeconds: intervalSeconds,
+        counterSpecifiers: counters.map(c => `\\${c.object}${c.instance ? `(${c.instance})` : ''}\\${c.counter}`)
+    }];
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DCR_TRANSFORM_RULES,
+        getTransformCandidates,
+        buildTransformKql,
+        buildTransformEstimateQuery,
+        estimateTransformSavings,
+        buildWorkspaceTransformDcr,
+        buildAgentDataFlow,
+        PERF_SAMPLING_INTERVALS,
+        projectPerfSampling,
+        buildPerfCounterDataSource
+    };
+}
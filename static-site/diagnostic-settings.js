@@ -0,0 +1,206 @@
+// Azure Monitor Diagnostic Settings
+// Inventories the diagnostic settings of resources sending to a workspace - enabled categories,
+// AzureDiagnostics vs resource-specific mode and each category's ingestion - to find what to turn off
+
+// Resources per workspace whose diagnostic settings are read, largest senders first
+const DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT = 50;
+// Diagnostic settings scopes listed at once
+const DIAGNOSTIC_SETTINGS_BATCH_SIZE = 10;
+// Resource types whose data comes from agents or SDKs rather than diagnostic settings
+const DIAGNOSTIC_AGENT_RESOURCE_TYPES = [
+    'microsoft.compute/virtualmachines',
+    'microsoft.compute/virtualmachinescalesets',
+    'microsoft.hybridcompute/machines',
+    'microsoft.insights/components'
+];
+// Storage diagnostic settings sit on each service, not on the account
+const STORAGE_SERVICES = ['blobServices', 'fileServices', 'queueServices', 'tableServices'];
+// High-volume categories that are rarely needed all the time, and what to do instead
+const DIAGNOSTIC_VERBOSE_CATEGORIES = {
+    'kube-audit': 'Logs every API call including get and list - kube-audit-admin keeps only changes',
+    'AZFWFlowTrace': 'Logs every connection - enable only while troubleshooting',
+    'AZFWFatFlow': 'Top flows are only needed while troubleshooting',
+    'AzureFirewallNetworkRule': 'Legacy category - the AZFW* resource-specific categories replace it',
+    'StorageRead': 'Read operations dominate storage logs - keep StorageWrite and StorageDelete for auditing',
+    'AllMetrics': 'Platform metrics are kept free for 93 days in Azure Monitor Metrics'
+};
+// Resource-specific tables whose category is not a column in the table
+const DIAGNOSTIC_TABLE_CATEGORIES = {
+    AKSAudit: 'kube-audit',
+    AKSAuditAdmin: 'kube-audit-admin',
+    AzureMetrics: 'AllMetrics'
+};
+
+// Lowercase resource ID with any storage service suffix removed, so settings and data match
+function getDiagnosticResourceKey(resourceId) {
+    return (resourceId || '').toLowerCase().replace(/\/(blob|file|queue|table)services\/default$/, '');
+}
+
+// Resource type (provider/type) from a resource ID
+function getResourceType(resourceId) {
+    const parts = (resourceId || '').toLowerCase().split('/providers/')[1]?.split('/') || [];
+    return parts.length >= 2 ? `${parts[0]}/${parts[1]}` : '';
+}
+
+// Resources to read diagnostic settings for: largest senders in the given subscriptions, skipping agent-based types.
+// entries: [{ resourceId, gb }] - one per resource and table
+function getDiagnosticResourceCandidates(entries, subscriptionIds) {
+    const subscriptions = new Set((subscriptionIds || []).map(id => id.toLowerCase()));
+    const totals = {};
+    (entries || []).forEach(entry => {
+        const id = (entry.resourceId || '').toLowerCase();
+        if (!id.startsWith('/subscriptions/') || !subscriptions.has(id.split('/')[2])) return;
+        if (DIAGNOSTIC_AGENT_RESOURCE_TYPES.includes(getResourceType(id))) return;
+        totals[id] = (totals[id] || 0) + (entry.gb || 0);
+    });
+
+    return Object.entries(totals)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT)
+        .map(([id]) => id);
+}
+
+// ARM scopes to list diagnostic settings on for a resource
+function getDiagnosticSettingsScopes(resourceId) {
+    if (getResourceType(resourceId) === 'microsoft.storage/storageaccounts') {
+        return [resourceId, ...STORAGE_SERVICES.map(service => `${resourceId}/${service}/default`)];
+    }
+    return [resourceId];
+}
+
+// Whether a resource ID is a plain ARM resource path - no query string, fragment or '..' segment
+function isDiagnosticResourceId(resourceId) {
+    return typeof resourceId === 'string' &&
+        /^\/subscriptions\/[\w\-.()\/]+$/i.test(resourceId) &&
+        !resourceId.includes('..');
+}
+
+// Scopes of the given resources in groups of DIAGNOSTIC_SETTINGS_BATCH_SIZE, listed in parallel within a group
+function batchDiagnosticSettingsScopes(resourceIds) {
+    const scopes = [...new Set(resourceIds || [])].flatMap(getDiagnosticSettingsScopes);
+    const batches = [];
+    for (let i = 0; i < scopes.length; i += DIAGNOSTIC_SETTINGS_BATCH_SIZE) {
+        batches.push(scopes.slice(i, i + DIAGNOSTIC_SETTINGS_BATCH_SIZE));
+    }
+    return batches;
+}
+
+// One row per category of each diagnostic setting that sends to the workspace, in query result shape.
+// settings: diagnosticSettings resources from ARM
+function flattenDiagnosticSettings(settings, workspaceResourceId) {
+    const workspaceId = (workspaceResourceId || '').toLowerCase();
+    const rows = [];
+
+    (settings || [])
+        .filter(s => (s.properties?.workspaceId || '').toLowerCase() === workspaceId)
+        .forEach(s => {
+            const scope = s.id.split(/\/providers\/microsoft\.insights\/diagnosticsettings\//i)[0];
+            const mode = s.properties.logAnalyticsDestinationType === 'Dedicated' ? 'Resource-specific' : 'AzureDiagnostics';
+            (s.properties.logs || []).forEach(log => {
+                rows.push([scope.toLowerCase(), s.name, mode, log.category || log.categoryGroup, log.category ? 'Log' : 'CategoryGroup', !!log.enabled]);
+            });
+            (s.properties.metrics || []).forEach(metric => {
+                rows.push([scope.toLowerCase(), s.name, mode, metric.category, 'Metric', !!metric.enabled]);
+            });
+        });
+
+    return { columns: ['ResourceId', 'SettingName', 'Mode', 'Category', 'Kind', 'Enabled'], rows };
+}
+
+// Group setting rows by resource and setting, with each enabled category's monthly GB.
+// settingRows: [{ resourceId, setting, mode, category, kind, enabled }]
+// categoryVolumes: [{ resourceId, category, table, gb }] - from tables with a Category column
+// tableVolumes: [{ resourceId, table, gb }] - every table the resource sends to
+function buildDiagnosticInventory(settingRows, categoryVolumes, tableVolumes) {
+    const byCategory = {};
+    (categoryVolumes || []).forEach(v => {
+        const key = `${getDiagnosticResourceKey(v.resourceId)}|${(v.category || '').toLowerCase()}`;
+        if (!byCategory[key]) byCategory[key] = { gb: 0, table: v.table };
+        byCategory[key].gb += v.gb || 0;
+    });
+    const tablesByResource = {};
+    (tableVolumes || []).forEach(v => {
+        const key = getDiagnosticResourceKey(v.resourceId);
+        const tables = tablesByResource[key] || (tablesByResource[key] = {});
+        tables[v.table] = (tables[v.table] || 0) + (v.gb || 0);
+    });
+
+    // A category's volume comes from its Category column, or from the table named after it
+    const categoryVolume = (resourceKey, category) => {
+        const fromColumn = byCategory[`${resourceKey}|${category.toLowerCase()}`];
+        if (fromColumn) return fromColumn;
+        const tables = tablesByResource[resourceKey] || {};
+        const table = Object.keys(tables).find(t => t === category || DIAGNOSTIC_TABLE_CATEGORIES[t] === category);
+        return table ? { gb: tables[table], table } : { gb: 0, table: null };
+    };
+
+    // A category group covers every category seen for the resource
+    const groupVolume = resourceKey => ({
+        gb: Object.entries(byCategory)
+            .filter(([key]) => key.startsWith(`${resourceKey}|`))
+            .reduce((sum, [, v]) => sum + v.gb, 0),
+        table: null
+    });
+
+    const settings = {};
+    (settingRows || []).forEach(row => {
+        const resourceKey = getDiagnosticResourceKey(row.resourceId);
+        const key = `${row.resourceId}|${row.setting}`;
+        if (!settings[key]) {
+            settings[key] = {
+                resourceId: row.resourceId,
+                name: row.resourceId.endsWith('/default') ? row.resourceId.split('/').slice(-3, -1).join('/') : row.resourceId.split('/').pop(),
+                type: getResourceType(row.resourceId),
+                setting: row.setting,
+                mode: row.mode,
+                categories: [],
+                gb: 0,
+                tables: tablesByResource[resourceKey] || {}
+            };
+        }
+        if (!row.enabled) return;
+
+        const volume = row.kind === 'CategoryGroup' ? groupVolume(resourceKey) : categoryVolume(resourceKey, row.category);
+        settings[key].categories.push({
+            name: row.category,
+            kind: row.kind,
+            gb: volume.gb,
+            table: volume.table,
+            verbose: DIAGNOSTIC_VERBOSE_CATEGORIES[row.category] || null
+        });
+        settings[key].gb += volume.gb;
+    });
+
+    return Object.values(settings)
+        .map(s => ({ ...s, categories: s.categories.sort((a, b) => b.gb - a.gb) }))
+        .sort((a, b) => b.gb - a.gb);
+}
+
+// Azure CLI command recreating a setting in resource-specific mode with the given log categories.
+// categories: [{ name, kind }] - kind 'CategoryGroup' for groups such as allLogs
+function buildResourceSpecificCommand(setting, workspaceResourceId, categories) {
+    const logs = JSON.stringify(categories.map(c => c.kind === 'CategoryGroup'
+        ? { categoryGroup: c.name, enabled: true }
+        : { category: c.name, enabled: true }));
+    return `az monitor diagnostic-settings create \\
+  --name "${setting.setting}" \\
+  --resource "${setting.resourceId}" \\
+  --workspace "${workspaceResourceId}" \\
+  --export-to-resource-specific true \\
+  --logs '${logs}'`;
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DIAGNOSTIC_SETTINGS_RESOURCE_LIMIT,
+        DIAGNOSTIC_VERBOSE_CATEGORIES,
+        getDiagnosticResourceCandidates,
+        getDiagnosticSettingsScopes,
+        isDiagnosticResourceId,
+        batchDiagnosticSettingsScopes,
+        flattenDiagnosticSettings,
+        buildDiagnosticInventory,
+        buildResourceSpecificCommand
+    };
+}
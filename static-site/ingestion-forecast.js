@@ -0,0 +1,199 @@
+// Azure Monitor Ingestion Forecast
+// Fits a linear trend plus weekly seasonality to daily ingestion and projects it forward,
+// with a 95% prediction band, so budget planning and tier/cap decisions can look ahead
+
+const FORECAST_HORIZONS = [30, 90, 180];
+const FORECAST_MIN_DAYS = 14;
+const FORECAST_Z = 1.96; // 95% prediction band
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least-squares line through (x, y)
+function fitLine(xs, ys) {
+    const n = xs.length;
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let sxx = 0;
+    let sxy = 0;
+    xs.forEach((x, i) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (ys[i] - meanY);
+    });
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    return { intercept: meanY - slope * meanX, slope, meanX, sxx };
+}
+
+// Forecast daily ingestion.
+// series: [{ date, gb }] of complete days, oldest first. Returns null with fewer than FORECAST_MIN_DAYS points.
+function forecastIngestion(series, horizonDays = FORECAST_HORIZONS[FORECAST_HORIZONS.length - 1]) {
+    const points = (series || []).filter(p => p && !isNaN(new Date(p.date)));
+    if (points.length < FORECAST_MIN_DAYS) return null;
+
+    const start = new Date(points[0].date).getTime();
+    const xs = points.map(p => Math.round((new Date(p.date).getTime() - start) / DAY_MS));
+    const ys = points.map(p => p.gb || 0);
+    const weekdays = points.map(p => new Date(p.date).getUTCDay());
+
+    // Alternate trend and weekday fits; two passes are enough for 30-90 days of data
+    let weekly = [0, 0, 0, 0, 0, 0, 0];
+    let line = fitLine(xs, ys);
+    for (let pass = 0; pass < 2; pass++) {
+        const sums = [0, 0, 0, 0, 0, 0, 0];
+        const counts = [0, 0, 0, 0, 0, 0, 0];
+        xs.forEach((x, i) => {
+            sums[weekdays[i]] += ys[i] - (line.intercept + line.slope * x);
+            counts[weekdays[i]]++;
+        });
+        const raw = sums.map((sum, d) => counts[d] ? sum / counts[d] : 0);
+        const observed = raw.filter((_, d) => counts[d]);
+        const mean = observed.reduce((a, b) => a + b, 0) / observed.length;
+        weekly = raw.map((value, d) => counts[d] ? value - mean : 0);
+        line = fitLine(xs, ys.map((y, i) => y - weekly[weekdays[i]]));
+    }
+
+    // Residual spread, less the degrees of freedom used by the trend and weekday effects
+    const n = xs.length;
+    const residuals = xs.map((x, i) => ys[i] - (line.intercept + line.slope * x + weekly[weekdays[i]]));
+    const dof = Math.max(1, n - 8);
+    const residualStd = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / dof);
+
+    // Uncertainty of the fitted trend at x, as a share of the residual spread
+    const trendError = x => Math.sqrt(1 / n + (line.sxx > 0 ? (x - line.meanX) ** 2 / line.sxx : 0));
+
+    const lastX = xs[n - 1];
+    const forecast = [];
+    for (let h = 1; h <= horizonDays; h++) {
+        const x = lastX + h;
+        const date = new Date(start + x * DAY_MS);
+        const trend = Math.max(0, line.intercept + line.slope * x);
+        const gb = Math.max(0, trend + weekly[date.getUTCDay()]);
+        const margin = FORECAST_Z * residualStd * Math.sqrt(1 + trendError(x) ** 2);
+        forecast.push({ date, trend, gb, lower: Math.max(0, gb - margin), upper: gb + margin, trendError: trendError(x) });
+    }
+
+    // Daily noise averages out over a horizon, trend error does not
+    const horizons = FORECAST_HORIZONS.filter(days => days <= horizonDays).map(days => {
+        const window = forecast.slice(0, days);
+        const totalGB = window.reduce((sum, p) => sum + p.gb, 0);
+        const trendMargin = window.reduce((sum, p) => sum + p.trendError, 0) * residualStd;
+        const margin = FORECAST_Z * Math.sqrt(days * residualStd ** 2 + trendMargin ** 2);
+        return {
+            days,
+            totalGB,
+            lowerGB: Math.max(0, totalGB - margin),
+            upperGB: totalGB + margin,
+            endDailyGB: window[window.length - 1].trend
+        };
+    });
+
+    const currentDailyGB = Math.max(0, line.intercept + line.slope * lastX);
+    return {
+        history: points.map((p, i) => ({ date: new Date(p.date), gb: ys[i] })),
+        slopePerDay: line.slope,
+        currentDailyGB,
+        monthlyGrowthPct: currentDailyGB > 0 ? line.slope * 30 / currentDailyGB * 100 : 0,
+        weekly,
+        residualStd,
+        forecast,
+        horizons
+    };
+}
+
+// First forecast day at or above a daily threshold.
+// Commitment tiers are judged on the trend (weekday swings average out); daily caps on the seasonal peak.
+// Returns { date, daysAhead, earliestDate } or null if not crossed within the forecast.
+function findForecastCrossing(result, thresholdGB, { useTrend = false } = {}) {
+    if (!result || !(thresholdGB > 0)) return null;
+
+    const value = p => useTrend ? p.trend : p.gb;
+    const expected = result.forecast.findIndex(p => value(p) >= thresholdGB);
+    const earliest = result.forecast.findIndex(p => p.upper >= thresholdGB);
+    if (expected < 0 && earliest < 0) return null;
+
+    return {
+        date: expected >= 0 ? result.forecast[expected].date : null,
+        daysAhead: expected >= 0 ? expected + 1 : null,
+        earliestDate: earliest >= 0 ? result.forecast[earliest].date : null
+    };
+}
+
+// Commitment tiers the trend crosses within the forecast, above today's level.
+// tiers: [{ gbPerDay }]
+function findTierCrossings(result, tiers) {
+    if (!result) return [];
+    return (tiers || [])
+        .filter(tier => tier.gbPerDay > result.currentDailyGB)
+        .map(tier => ({ gbPerDay: tier.gbPerDay, ...findForecastCrossing(result, tier.gbPerDay, { useTrend: true }) }))
+        .filter(crossing => crossing.date);
+}
+
+// SVG chart of history, forecast and its confidence band, with optional dashed threshold lines.
+// thresholds: [{ gb, label }]
+function renderForecastChart(result, thresholds = [], width = 640, height = 220) {
+    if (!result) return '';
+
+    const pad = { top: 12, right: 12, bottom: 24, left: 48 };
+    const all = [...result.history.map(p => p.date), ...result.forecast.map(p => p.date)];
+    const minT = all[0].getTime();
+    const maxT = all[all.length - 1].getTime();
+    const maxY = Math.max(
+        ...result.history.map(p => p.gb),
+        ...result.forecast.map(p => p.upper),
+        ...thresholds.map(t => t.gb)
+    ) * 1.05 || 1;
+
+    const x = date => pad.left + (date.getTime() - minT) / (maxT - minT || 1) * (width - pad.left - pad.right);
+    const y = gb => height - pad.bottom - gb / maxY * (height - pad.top - pad.bottom);
+    const path = pts => pts.map((p, i) => `${i ? 'L' : 'M'}${x(p.date).toFixed(1)},${y(p.gb).toFixed(1)}`).join(' ');
+
+    const band = result.forecast.map(p => `${x(p.date).toFixed(1)},${y(p.upper).toFixed(1)}`)
+        .concat(result.forecast.slice().reverse().map(p => `${x(p.date).toFixed(1)},${y(p.lower).toFixed(1)}`))
+        .join(' ');
+    const lastHistory = result.history[result.history.length - 1];
+
+    let svg = `<svg class="forecast-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Ingestion forecast with 95% confidence band">`;
+    svg += `<polygon class="forecast-band" points="${band}"/>`;
+    svg += `<path class="forecast-history" d="${path(result.history)}"/>`;
+    svg += `<path class="forecast-line" d="${path([lastHistory, ...result.forecast])}"/>`;
+    thresholds.filter(t => t.gb <= maxY).forEach(t => {
+        svg += `<line class="forecast-threshold" x1="${pad.left}" x2="${width - pad.right}" y1="${y(t.gb).toFixed(1)}" y2="${y(t.gb).toFixed(1)}"/>`;
+        svg += `<text class="forecast-label" x="${width - pad.right}" y="${(y(t.gb) - 4).toFixed(1)}" text-anchor="end">${t.label}</text>`;
+    });
+    svg += `<text class="forecast-label" x="${pad.left - 6}" y="${y(maxY / 1.05).toFixed(1)}" text-anchor="end">${(maxY / 1.05).toFixed(0)} GB</text>`;
+    svg += `<text class="forecast-label" x="${pad.left - 6}" y="${y(0).toFixed(1)}" text-anchor="end">0</text>`;
+    svg += `<text class="forecast-label" x="${x(lastHistory.date).toFixed(1)}" y="${height - 6}" text-anchor="middle">today</text>`;
+    svg += `</svg>`;
+    return svg;
+}
+
+// Describe a workspace forecast for the AI prompt
+function formatForecastForPrompt(workspace, result, { tierCrossings = [], capCrossing = null, dailyCapGB = null } = {}) {
+    if (!result) return '';
+    const day = date => date ? date.toISOString().slice(0, 10) : 'n/a';
+
+    let text = `**Ingestion Forecast - ${workspace}** (linear trend + weekly seasonality, 95% band)\n`;
+    text += `- Current trend: ${result.currentDailyGB.toFixed(1)} GB/day, ${result.monthlyGrowthPct >= 0 ? '+' : ''}${result.monthlyGrowthPct.toFixed(1)}% per month\n`;
+    result.horizons.forEach(h => {
+        text += `- Next ${h.days} days: ${h.totalGB.toFixed(0)} GB (${h.lowerGB.toFixed(0)}-${h.upperGB.toFixed(0)} GB), ending at ${h.endDailyGB.toFixed(1)} GB/day\n`;
+    });
+    tierCrossings.forEach(c => {
+        text += `- Crosses the ${c.gbPerDay} GB/day commitment tier around ${day(c.date)} (as early as ${day(c.earliestDate)})\n`;
+    });
+    if (dailyCapGB && capCrossing) {
+        text += capCrossing.date
+            ? `- Reaches its ${dailyCapGB} GB daily cap around ${day(capCrossing.date)} (as early as ${day(capCrossing.earliestDate)})\n`
+            : `- Could reach its ${dailyCapGB} GB daily cap as early as ${day(capCrossing.earliestDate)}\n`;
+    }
+    return text + '\n';
+}
+
+// Export for use in Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FORECAST_HORIZONS,
+        forecastIngestion,
+        findForecastCrossing,
+        findTierCrossings,
+        renderForecastChart,
+        formatForecastForPrompt
+    };
+}
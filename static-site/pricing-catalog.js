@@ -0,0 +1,431 @@
+// Azure Monitor Pricing Catalog
+// Region-aware list prices for Log Analytics meters
+// Based on: https://azure.microsoft.com/en-us/pricing/details/monitor/
+// Prices are USD list prices - refresh from https://prices.azure.com/api/retail/prices when they change
+
+const AZURE_MONITOR_PRICING = {
+    currency: 'USD',
+    defaultRegion: 'eastus',
+
+    // Reference meters (East US). Every other region is priced as a multiplier on these.
+    baseMeters: {
+        analyticsPerGB: 2.30,        // Analytics Logs ingestion, pay-as-you-go
+        basicPerGB: 0.50,            // Basic Logs ingestion
+        auxiliaryPerGB: 0.05,        // Auxiliary Logs ingestion
+        searchPerGB: 0.005,          // Basic/Auxiliary query, per GB scanned
+        retentionPerGBMonth: 0.10,   // Interactive retention beyond the included days
+        archivePerGBMonth: 0.02,     // Long-term (archive) retention
+        restorePerGBDay: 0.10,       // Restoring archived data for interactive queries
+        searchJobPerGB: 0.005,       // Search jobs over long-term retention, per GB scanned
+        sentinelPerGB: 2.46,         // Microsoft Sentinel analysis on Analytics Logs, added to the ingestion price
+        sentinelBasicPerGB: 0.50,    // Microsoft Sentinel analysis on Basic Logs, added to the ingestion price
+        metricAlertPerTimeSeries: 0.10,  // Metric alert rules, per monitored time series per month
+        prometheusIngestPer10M: 0.16,    // Managed Prometheus, per 10 million samples ingested
+        prometheusQueryPer10M: 0.001     // Managed Prometheus, per 10 million samples processed by queries
+    },
+
+    // Included interactive retention before retention charges apply
+    freeRetentionDays: 31,
+    sentinelFreeRetentionDays: 90,
+
+    // Commitment tiers - fixed price per day at East US rates
+    commitmentTiers: [
+        { gbPerDay: 100, pricePerDay: 196 },
+        { gbPerDay: 200, pricePerDay: 368 },
+        { gbPerDay: 300, pricePerDay: 540 },
+        { gbPerDay: 400, pricePerDay: 704 },
+        { gbPerDay: 500, pricePerDay: 865 },
+        { gbPerDay: 1000, pricePerDay: 1700 },
+        { gbPerDay: 2000, pricePerDay: 3320 },
+        { gbPerDay: 5000, pricePerDay: 8050 }
+    ],
+
+    // Microsoft Sentinel commitment tiers - added to the Log Analytics tier of the same size
+    sentinelCommitmentTiers: [
+        { gbPerDay: 100, pricePerDay: 100 },
+        { gbPerDay: 200, pricePerDay: 190 },
+        { gbPerDay: 300, pricePerDay: 280 },
+        { gbPerDay: 400, pricePerDay: 365 },
+        { gbPerDay: 500, pricePerDay: 445 },
+        { gbPerDay: 1000, pricePerDay: 860 },
+        { gbPerDay: 2000, pricePerDay: 1680 },
+        { gbPerDay: 5000, pricePerDay: 4100 }
+    ],
+
+    // Log search alert rules - monthly price per monitored time series by evaluation frequency, at East US rates
+    logAlertTimeSeriesPrices: [
+        { minutes: 1, pricePerMonth: 3.00 },
+        { minutes: 5, pricePerMonth: 1.50 },
+        { minutes: 10, pricePerMonth: 1.00 },
+        { minutes: 15, pricePerMonth: 0.50 }
+    ],
+
+    // Tables Microsoft Sentinel ingests at no charge
+    sentinelFreeTables: ['AzureActivity', 'OfficeActivity', 'SecurityAlert', 'SecurityIncident'],
+
+    // Operational tables that gain nothing from Sentinel analysis (VM, Container and Application Insights)
+    operationalTablePattern: /^(Perf|InsightsMetrics|Heartbeat|VM[A-Z]|Container|Kube|App[A-Z]|AzureMetrics)/,
+
+    // Regional price multipliers relative to East US. Each approximates the region's Analytics Logs
+    // pay-as-you-go list price over East US's and is applied to every meter, although Basic, Auxiliary,
+    // retention, search and commitment tier prices do not scale by the same ratio - so prices outside
+    // East US are estimates, labeled as such in the prompt and the UI
+    regions: {
+        eastus: { name: 'East US', multiplier: 1.00 },
+        eastus2: { name: 'East US 2', multiplier: 1.00 },
+        centralus: { name: 'Central US', multiplier: 1.00 },
+        northcentralus: { name: 'North Central US', multiplier: 1.00 },
+        southcentralus: { name: 'South Central US', multiplier: 1.00 },
+        westcentralus: { name: 'West Central US', multiplier: 1.00 },
+        westus: { name: 'West US', multiplier: 1.08 },
+        westus2: { name: 'West US 2', multiplier: 1.00 },
+        westus3: { name: 'West US 3', multiplier: 1.00 },
+        canadacentral: { name: 'Canada Central', multiplier: 1.10 },
+        canadaeast: { name: 'Canada East', multiplier: 1.10 },
+        brazilsouth: { name: 'Brazil South', multiplier: 1.45 },
+        northeurope: { name: 'North Europe', multiplier: 1.10 },
+        westeurope: { name: 'West Europe', multiplier: 1.20 },
+        uksouth: { name: 'UK South', multiplier: 1.17 },
+        ukwest: { name: 'UK West', multiplier: 1.17 },
+        francecentral: { name: 'France Central', multiplier: 1.20 },
+        germanywestcentral: { name: 'Germany West Central', multiplier: 1.20 },
+        swedencentral: { name: 'Sweden Central', multiplier: 1.12 },
+        norwayeast: { name: 'Norway East', multiplier: 1.25 },
+        switzerlandnorth: { name: 'Switzerland North', multiplier: 1.30 },
+        italynorth: { name: 'Italy North', multiplier: 1.20 },
+        polandcentral: { name: 'Poland Central', multiplier: 1.20 },
+        australiaeast: { name: 'Australia East', multiplier: 1.30 },
+        australiasoutheast: { name: 'Australia Southeast', multiplier: 1.30 },
+        southeastasia: { name: 'Southeast Asia', multiplier: 1.15 },
+        eastasia: { name: 'East Asia', multiplier: 1.20 },
+        japaneast: { name: 'Japan East', multiplier: 1.25 },
+        japanwest: { name: 'Japan West', multiplier: 1.25 },
+        koreacentral: { name: 'Korea Central', multiplier: 1.20 },
+        centralindia: { name: 'Central India', multiplier: 1.10 },
+        southindia: { name: 'South India', multiplier: 1.10 },
+        uaenorth: { name: 'UAE North', multiplier: 1.25 },
+        southafricanorth: { name: 'South Africa North', multiplier: 1.30 },
+        israelcentral: { name: 'Israel Central', multiplier: 1.25 }
+    }
+};
+
+// Normalize an ARM location or display name ("West Europe") to its region key ("westeurope")
+function normalizeRegion(location) {
+    return (location || '').toString().toLowerCase().replace(/[\s_-]/g, '');
+}
+
+// Get every meter for a region. Unknown regions fall back to East US prices.
+// Pass { sentinel: true } for a Sentinel-enabled workspace: ingestion and commitment tiers
+// become combined Sentinel + Log Analytics rates and included retention rises to 90 days.
+function getPricing(location, options = {}) {
+    const key = normalizeRegion(location);
+    const known = !!AZURE_MONITOR_PRICING.regions[key];
+    const regionKey = known ? key : AZURE_MONITOR_PRICING.defaultRegion;
+    const region = AZURE_MONITOR_PRICING.regions[regionKey];
+    const m = region.multiplier;
+    const base = AZURE_MONITOR_PRICING.baseMeters;
+    const round = (value, digits) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+    const sentinel = !!options.sentinel;
+    const sentinelTierPrice = gbPerDay => sentinel
+        ? AZURE_MONITOR_PRICING.sentinelCommitmentTiers.find(t => t.gbPerDay === gbPerDay).pricePerDay
+        : 0;
+
+    return {
+        region: regionKey,
+        regionName: region.name,
+        isFallback: !known,
+        // Only East US meters are list prices; other regions are scaled by the multiplier
+        estimated: regionKey !== AZURE_MONITOR_PRICING.defaultRegion,
+        multiplier: m,
+        currency: AZURE_MONITOR_PRICING.currency,
+        sentinel,
+        analytics: round((base.analyticsPerGB + (sentinel ? base.sentinelPerGB : 0)) * m, 2),
+        basic: round((base.basicPerGB + (sentinel ? base.sentinelBasicPerGB : 0)) * m, 2),
+        sentinelAddOn: round(base.sentinelPerGB * m, 2),
+        auxiliary: round(base.auxiliaryPerGB * m, 3),
+        search: round(base.searchPerGB * m, 4),
+        retention: round(base.retentionPerGBMonth * m, 3),
+        archive: round(base.archivePerGBMonth * m, 3),
+        restore: round(base.restorePerGBDay * m, 3),
+        searchJob: round(base.searchJobPerGB * m, 4),
+        freeRetentionDays: sentinel ? AZURE_MONITOR_PRICING.sentinelFreeRetentionDays : AZURE_MONITOR_PRICING.freeRetentionDays,
+        sentinelFreeRetentionDays: AZURE_MONITOR_PRICING.sentinelFreeRetentionDays,
+        metricAlertTimeSeries: round(base.metricAlertPerTimeSeries * m, 3),
+        prometheusIngest: round(base.prometheusIngestPer10M * m, 4),
+        prometheusQuery: round(base.prometheusQueryPer10M * m, 5),
+        logAlertTimeSeries: AZURE_MONITOR_PRICING.logAlertTimeSeriesPrices.map(p => ({
+            minutes: p.minutes,
+            pricePerMonth: round(p.pricePerMonth * m, 2)
+        })),
+        commitmentTiers: AZURE_MONITOR_PRICING.commitmentTiers.map(tier => {
+            const pricePerDay = (tier.pricePerDay + sentinelTierPrice(tier.gbPerDay)) * m;
+            return {
+                gbPerDay: tier.gbPerDay,
+                pricePerDay: round(pricePerDay, 2),
+                effectivePerGB: round(pricePerDay / tier.gbPerDay, 3)
+            };
+        })
+    };
+}
+
+// Describe the rates for a set of workspace locations, for use in AI prompts
+function formatPricingForPrompt(locations) {
+    const regions = [...new Set((locations || []).map(normalizeRegion).filter(Boolean))];
+    if (regions.length === 0) regions.push(AZURE_MONITOR_PRICING.defaultRegion);
+
+    return regions.map(region => {
+        const p = getPricing(region);
+        const tiers = p.commitmentTiers
+            .map(t => `${t.gbPerDay} GB/day = $${t.pricePerDay.toFixed(2)}/day ($${t.effectivePerGB.toFixed(2)}/GB)`)
+            .join('; ');
+        return `- ${p.regionName}${p.isFallback ? ` (no regional price for "${region}", using ${p.regionName})` : ''}` +
+            `${p.estimated ? ` (estimated: East US list prices x ${p.multiplier.toFixed(2)})` : ''}: ` +
+            `Analytics = $${p.analytics.toFixed(2)}/GB, Basic = $${p.basic.toFixed(2)}/GB, Auxiliary = $${p.auxiliary.toFixed(3)}/GB, ` +
+            `Basic/Auxiliary query = $${p.search.toFixed(4)}/GB scanned, Interactive retention = $${p.retention.toFixed(3)}/GB/month beyond ${p.freeRetentionDays} days, ` +
+            `Long-term retention = $${p.archive.toFixed(3)}/GB/month. Commitment tiers: ${tiers}. ` +
+            `Sentinel-enabled workspaces add $${p.sentinelAddOn.toFixed(2)}/GB on Analytics ingestion (see per-workspace Sentinel rates)`;
+    }).join('\n') + (regions.some(region => getPricing(region).estimated)
+        ? '\nRates marked estimated are East US list prices scaled by one regional factor - call costs in those regions estimates'
+        : '');
+}
+
+// Model every commitment tier against a series of daily billable GB values.
+// Days above the commitment are billed as overage at the tier's effective per-GB rate;
+// days below it still pay the full daily commitment. Costs are normalized to 30 days.
+function calculateCommitmentTiers(dailyGB, location, options = {}) {
+    const days = (dailyGB || []).map(gb => parseFloat(gb) || 0);
+    if (days.length === 0) return null;
+
+    const pricing = getPricing(location, options);
+    const scale = 30 / days.length;
+    const totalGB = days.reduce((sum, gb) => sum + gb, 0);
+    const paygMonthly = totalGB * pricing.analytics * scale;
+
+    const tiers = pricing.commitmentTiers.map(tier => {
+        let cost = 0, overageGB = 0, unusedGB = 0, daysOver = 0, daysUnder = 0;
+        days.forEach(gb => {
+            const over = Math.max(0, gb - tier.gbPerDay);
+            const under = Math.max(0, tier.gbPerDay - gb);
+            cost += tier.pricePerDay + over * tier.effectivePerGB;
+            overageGB += over;
+            unusedGB += under;
+            if (over > 0) daysOver++;
+            if (under > 0) daysUnder++;
+        });
+        const monthlyCost = cost * scale;
+        return {
+            gbPerDay: tier.gbPerDay,
+            pricePerDay: tier.pricePerDay,
+            effectivePerGB: tier.effectivePerGB,
+            monthlyCost,
+            monthlyDelta: monthlyCost - paygMonthly,
+            overageGB: overageGB * scale,
+            overageCost: overageGB * tier.effectivePerGB * scale,
+            unusedGB: unusedGB * scale,
+            wastedCommitment: unusedGB * tier.effectivePerGB * scale,
+            daysOver,
+            daysUnder,
+            // Constant daily volume at which this tier costs the same as pay-as-you-go
+            breakEvenGBPerDay: tier.pricePerDay / pricing.analytics
+        };
+    });
+
+    const cheapest = tiers.reduce((best, tier) => tier.monthlyCost < best.monthlyCost ? tier : best, tiers[0]);
+    const recommended = cheapest.monthlyCost < paygMonthly ? cheapest : null;
+
+    return {
+        region: pricing.regionName,
+        sentinel: pricing.sentinel,
+        analyticsPerGB: pricing.analytics,
+        days: days.length,
+        avgDailyGB: totalGB / days.length,
+        peakDailyGB: Math.max(...days),
+        paygMonthly,
+        tiers,
+        recommended,
+        monthlyDelta: recommended ? recommended.monthlyDelta : 0,
+        breakEvenGBPerDay: (recommended || tiers[0]).breakEvenGBPerDay
+    };
+}
+
+// Model linking same-region workspaces to a dedicated cluster with a shared commitment tier.
+// Each workspace is { name, location, sentinel, monthlyGB, currentMonthlyCost, dailySeries: [{ date, gb }] };
+// workspaces without a daily series are spread evenly over the month. Sentinel-enabled workspaces
+// are pooled separately because their commitment is priced at combined Sentinel rates.
+function calculateDedicatedClusters(workspaces) {
+    const byRegion = {};
+    (workspaces || []).filter(ws => ws.monthlyGB > 0).forEach(ws => {
+        const key = `${getPricing(ws.location).region}${ws.sentinel ? ':sentinel' : ''}`;
+        if (!byRegion[key]) byRegion[key] = [];
+        byRegion[key].push(ws);
+    });
+
+    return Object.entries(byRegion)
+        // A cluster only pools ingestion when at least two workspaces share a region
+        .filter(([, members]) => members.length > 1)
+        .map(([key, members]) => {
+            const [region] = key.split(':');
+            const options = { sentinel: !!members[0].sentinel };
+            const dateKey = date => date instanceof Date ? date.toISOString().slice(0, 10) : String(date);
+            // Members without a series are spread over the dates the others report, so their days line up
+            const seriesDates = [...new Set(members.flatMap(ws => (ws.dailySeries || []).map(point => dateKey(point.date))))];
+            const spreadDates = seriesDates.length > 0 ? seriesDates : Array.from({ length: 30 }, (_, i) => `day-${i}`);
+            const dailyFor = ws => ws.dailySeries?.length
+                ? ws.dailySeries
+                : spreadDates.map(date => ({ date, gb: ws.monthlyGB / 30 }));
+
+            // Sum ingestion across members by day
+            const combinedByDate = {};
+            members.forEach(ws => dailyFor(ws).forEach(point => {
+                const key = dateKey(point.date);
+                combinedByDate[key] = (combinedByDate[key] || 0) + point.gb;
+            }));
+            const cluster = calculateCommitmentTiers(Object.values(combinedByDate), region, options);
+
+            // Best cost each workspace can reach on its own (pay-as-you-go or its own commitment tier)
+            const memberResults = members.map(ws => {
+                const standalone = calculateCommitmentTiers(dailyFor(ws).map(point => point.gb), ws.location, options);
+                return {
+                    name: ws.name,
+                    monthlyGB: ws.monthlyGB,
+                    currentMonthlyCost: ws.currentMonthlyCost,
+                    standaloneMonthlyCost: standalone.recommended ? standalone.recommended.monthlyCost : standalone.paygMonthly,
+                    standaloneTier: standalone.recommended ? standalone.recommended.gbPerDay : null
+                };
+            }).sort((a, b) => b.monthlyGB - a.monthlyGB);
+
+            const currentMonthlyCost = memberResults.reduce((sum, ws) => sum + ws.currentMonthlyCost, 0);
+            const standaloneMonthlyCost = memberResults.reduce((sum, ws) => sum + ws.standaloneMonthlyCost, 0);
+            const clusterMonthlyCost = cluster.recommended ? cluster.recommended.monthlyCost : null;
+            const monthlySavings = clusterMonthlyCost !== null ? standaloneMonthlyCost - clusterMonthlyCost : 0;
+
+            return {
+                region,
+                regionName: options.sentinel ? `${cluster.region} (Sentinel)` : cluster.region,
+                sentinel: options.sentinel,
+                workspaces: memberResults,
+                totalMonthlyGB: memberResults.reduce((sum, ws) => sum + ws.monthlyGB, 0),
+                avgDailyGB: cluster.avgDailyGB,
+                peakDailyGB: cluster.peakDailyGB,
+                currentMonthlyCost,
+                standaloneMonthlyCost,
+                clusterTier: cluster.recommended,
+                clusterMonthlyCost,
+                monthlySavings,
+                qualifies: monthlySavings > 0,
+                breakEvenGBPerDay: cluster.breakEvenGBPerDay
+            };
+        })
+        .sort((a, b) => b.monthlySavings - a.monthlySavings);
+}
+
+// Price a table's retention at steady state. monthlyGB is 30-day ingestion; each day of
+// retention holds one day of data, so retained GB = monthlyGB / 30 x days. Interactive days
+// beyond the included period are billed at the retention rate, later days at long-term rates.
+// The recommendation keeps the included days interactive and moves the rest to long-term
+// retention without shortening the total, so nothing is deleted.
+function calculateRetentionCost(monthlyGB, retentionInDays, totalRetentionInDays, location, options = {}) {
+    const pricing = getPricing(location, options);
+    const dailyGB = (parseFloat(monthlyGB) || 0) / 30;
+    const plan = options.plan || 'Analytics';
+    const freeDays = pricing.freeRetentionDays;
+    const interactiveDays = retentionInDays || freeDays;
+    const totalDays = Math.max(totalRetentionInDays || interactiveDays, interactiveDays);
+
+    // Basic and Auxiliary tables have fixed interactive retention, so only long-term days are billed
+    const billableInteractiveDays = plan === 'Analytics' ? Math.max(0, interactiveDays - freeDays) : 0;
+    const longTermDays = Math.max(0, totalDays - Math.max(interactiveDays, plan === 'Analytics' ? 0 : freeDays));
+
+    const interactiveGB = dailyGB * billableInteractiveDays;
+    const longTermGB = dailyGB * longTermDays;
+    const currentMonthlyCost = interactiveGB * pricing.retention + longTermGB * pricing.archive;
+
+    const recommendedRetentionInDays = plan === 'Analytics' ? Math.min(interactiveDays, freeDays) : interactiveDays;
+    const recommendedLongTermGB = dailyGB * Math.max(0, totalDays - recommendedRetentionInDays);
+    const recommendedMonthlyCost = plan === 'Analytics'
+        ? recommendedLongTermGB * pricing.archive
+        : currentMonthlyCost;
+
+    return {
+        plan,
+        freeDays,
+        retentionInDays: interactiveDays,
+        totalRetentionInDays: totalDays,
+        retainedGB: dailyGB * totalDays,
+        interactiveGB,
+        longTermGB,
+        currentMonthlyCost,
+        recommendedRetentionInDays,
+        recommendedTotalRetentionInDays: totalDays,
+        recommendedMonthlyCost,
+        monthlySavings: currentMonthlyCost - recommendedMonthlyCost
+    };
+}
+
+// Split a Sentinel workspace's billable tables into free, operational and security data,
+// and price moving the operational tables to a separate workspace without Sentinel.
+// tables: [{ name, gb }] with 30-day billable volume
+function calculateSentinelSplit(tables, location) {
+    const sentinelPricing = getPricing(location, { sentinel: true });
+    const result = { freeTables: [], operationalTables: [], securityTables: [], freeGB: 0, operationalGB: 0, securityGB: 0 };
+
+    (tables || []).forEach(table => {
+        const gb = parseFloat(table.gb) || 0;
+        if (AZURE_MONITOR_PRICING.sentinelFreeTables.includes(table.name)) {
+            result.freeTables.push({ name: table.name, gb });
+            result.freeGB += gb;
+        } else if (AZURE_MONITOR_PRICING.operationalTablePattern.test(table.name)) {
+            result.operationalTables.push({ name: table.name, gb });
+            result.operationalGB += gb;
+        } else {
+            result.securityTables.push({ name: table.name, gb });
+            result.securityGB += gb;
+        }
+    });
+
+    const billableGB = result.operationalGB + result.securityGB;
+    result.sentinelRatePerGB = sentinelPricing.analytics;
+    result.sentinelMonthlyCost = billableGB * sentinelPricing.analytics;
+    // Operational data in its own workspace drops the Sentinel add-on but keeps Log Analytics ingestion
+    result.splitMonthlySavings = result.operationalGB * sentinelPricing.sentinelAddOn;
+    result.operationalShare = billableGB > 0 ? result.operationalGB / billableGB : 0;
+    // Splitting adds a workspace to manage and cross-workspace queries, so require a meaningful saving
+    result.splitPaysOff = result.splitMonthlySavings >= 100 && result.operationalShare >= 0.1;
+    return result;
+}
+
+// Recommend a daily cap from percentiles of daily billable GB. The cap sits well above normal
+// peaks (p95) so it only stops runaway ingestion, and bounds the monthly bill as a budget guardrail.
+// currentCapGB is null when no cap is set; capHitDays counts days the cap stopped collection.
+function calculateDailyCap(dailyGB, currentCapGB, location, options = {}) {
+    const days = (dailyGB || []).map(gb => parseFloat(gb) || 0).sort((a, b) => a - b);
+    if (days.length === 0) return null;
+
+    const pricing = getPricing(location, options);
+    const percentile = p => days[Math.min(days.length - 1, Math.ceil(p / 100 * days.length) - 1)];
+    const p50GB = percentile(50);
+    const p95GB = percentile(95);
+    const peakGB = days[days.length - 1];
+    const recommendedCapGB = Math.max(1, Math.ceil(Math.max(p95GB * 1.5, peakGB * 1.1)));
+    const cap = currentCapGB > 0 ? currentCapGB : null;
+
+    return {
+        days: days.length,
+        p50GB,
+        p95GB,
+        peakGB,
+        currentCapGB: cap,
+        capHitDays: options.capHitDays || 0,
+        // Days in the window that ingested more than the current cap allows
+        daysAboveCap: cap ? days.filter(gb => gb >= cap).length : 0,
+        status: !cap ? 'missing' : cap < p95GB ? 'belowPeak' : 'ok',
+        recommendedCapGB,
+        alertThresholdGB: recommendedCapGB * 0.9,
+        monthlyCostCeiling: recommendedCapGB * 30 * pricing.analytics
+    };
+}
+
+// Export for use in Node.js (server.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AZURE_MONITOR_PRICING, normalizeRegion, getPricing, formatPricingForPrompt, calculateCommitmentTiers, calculateDedicatedClusters, calculateSentinelSplit, calculateRetentionCost, calculateDailyCap };
+}